@@ -0,0 +1,624 @@
+#!/usr/bin/env node
+// bin/llmsgen.js
+// Headless CLI for the URL → sitemap → meta → llms.txt pipeline.
+// Runs the exact same code as the web UI (lib/pipeline.js), so the files it
+// writes match what the browser would download.
+//
+//   llmsgen https://example.com --out llms.txt --csv meta.csv --faq /faq
+
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+
+import { runUrlToLlmsPipeline } from "../lib/pipeline.js";
+import {
+  buildMetadataCsv,
+  csvColumnsWith,
+  parseExtraColumns,
+} from "../lib/csv.js";
+import { AUDIT_ISSUES, summarizeAudit } from "../lib/audit.js";
+import { validateLlmsText } from "../lib/llms.js";
+import { buildPageMarkdownFiles } from "../lib/llms-full.js";
+import { buildExport, getExporter, listExporters } from "../lib/exporters.js";
+import { formatTrimmedItem, normalizeBudget } from "../lib/budget.js";
+import { measureLlmsText } from "../lib/tokens.js";
+import { normalizeUrlFilters } from "../lib/url-filters.js";
+import {
+  buildLocalizedLlmsTexts,
+  normalizeLocales,
+  parseLocaleRulesText,
+} from "../lib/locales.js";
+import { normalizeEnrich } from "../lib/enrich.js";
+import { normalizeDescriptions } from "../lib/describe.js";
+import {
+  diffLlmsTexts,
+  formatLlmsDiffJson,
+  formatLlmsDiffMarkdown,
+} from "../lib/llms-diff.js";
+import { loadConfig } from "../server/config.js";
+import { readCrawlCache, writeCrawlCache } from "../server/crawl-cache.js";
+import { createNodeEnv } from "../server/env.js";
+import { createLlmClient } from "../server/llm-client.js";
+import { createZip } from "../server/zip.js";
+
+const USAGE = `Usage: llmsgen <site-url> [options]
+
+Options:
+  -o, --out <file>     Write llms.txt to <file> (default: llms.txt)
+  -c, --csv <file>     Also write the metadata CSV to <file>
+      --columns <list> Extra CSV columns, comma-separated or "all":
+                       canonical_url, meta_robots, hreflang, og, twitter,
+                       h1, word_count, lang, schema_types, breadcrumb,
+                       http_status, final_url, lastmod, sitemap_hreflang,
+                       sitemap_images, sitemap_videos, news_title,
+                       news_publication_date, locale, llm_description,
+                       llm_section, llm_status
+      --full <file>    Also write llms-full.txt (page content as Markdown)
+      --md-zip <file>  Also write a zip with one .md file per page
+      --export <format>=<file>
+                       Also write the results as <format> (repeatable):
+                       json (site, sections, FAQs), jsonl (one record per
+                       page, with its content), sitemap (Markdown), xlsx,
+                       csv, llms; CSV / XLSX use --columns
+      --compare <src>  Diff the result against an existing llms.txt (file
+                       path or URL, e.g. the live https://site/llms.txt)
+      --diff-out <file>
+                       Write that diff to <file> (.json → JSON, else
+                       Markdown; default: print Markdown)
+  -f, --faq <url>      FAQ page URL (absolute or relative to the site;
+                       repeatable, the pages' FAQs are merged)
+      --detect-faqs    Also take FAQs (schema.org, accordions) from every
+                       crawled page
+      --site-name <s>  llms.txt H1 (default: homepage og:site_name / <title>)
+      --summary <s>    llms.txt > summary (default: homepage meta description)
+      --optional <s>   Comma-separated sections to move under ## Optional
+      --include <pat>  Only crawl sitemap URLs matching <pat> (repeatable;
+                       glob on path + query, or "re:<regex>")
+      --exclude <pat>  Skip sitemap URLs matching <pat> (repeatable)
+      --strip-query <all|params>
+                       Drop query strings, or only the listed parameters
+                       (comma-separated, * wildcards, e.g. utm_*,ref)
+      --max-per-section <n>
+                       Crawl at most <n> URLs per llms.txt section
+      --max-per-sitemap <n>
+                       Crawl at most <n> URLs per sitemap file
+      --prioritize <sitemap|priority|lastmod>
+                       Which URLs the caps keep (default: sitemap order)
+      --describe <paragraph|summary|headings|off>
+                       Pages without a meta description get one built from
+                       their first paragraph, a summary of the content or
+                       the H1 + subheadings (default: paragraph, then the
+                       others); flagged in the CSV's description_source
+      --describe-max <n>
+                       Max length of those descriptions (default: 160)
+      --locales <off|files|sections>
+                       Multi-language sites: one llms.txt per locale
+                       (others written as <locale>/llms.txt next to --out)
+                       or one file with per-locale sections (default: off)
+      --primary-locale <tag>
+                       Locale of the main llms.txt (default: the homepage's)
+      --locale-rule "<pat> => <tag>"
+                       Pages matching <pat> are in locale <tag>, whatever
+                       hreflang / path / <html lang> say (repeatable)
+      --token-budget <n>
+                       Trim llms.txt (not counting ## Optional) to about
+                       <n> tokens (default: config, 0 = no budget)
+      --trim <optional|shorten|oldest>
+                       How: move the last sections to ## Optional, shorten
+                       descriptions, or drop the entries with the oldest
+                       sitemap lastmod (default: optional)
+  -d, --delay <secs>   Minimum delay between requests to one host (default: 0)
+  -j, --concurrency <n>
+                       Pages fetched in parallel (default: config, 4)
+      --rps <n>        Max requests per second per host (default: config, 4)
+      --crawl-depth <n>
+                       Without a usable sitemap, URLs are found by following
+                       links up to <n> hops from the site URL (default: 3)
+      --crawl-max-pages <n>
+                       Stop that link crawl after <n> pages; 0 = never crawl
+                       links (default: 500)
+      --enrich         Ask an LLM (config "enrich" section, or the two
+                       flags below) for a factual description + section
+                       per page; listed as llm_* CSV columns
+      --enrich-dry-run Only build the prompts and estimate the tokens
+      --accept-suggestions
+                       Use the LLM's suggestions in llms.txt (otherwise
+                       they are only suggestions, for review in the CSV)
+      --llm-endpoint <url>
+                       OpenAI-compatible API base, e.g.
+                       http://127.0.0.1:11434/v1, or "mock"
+      --llm-model <name>
+      --enrich-budget <tokens>
+                       Stop asking once a run would use more (default:
+                       100000)
+      --enrich-cache <file>
+                       Reuse suggestions across runs (created if missing)
+      --cache <file>   Crawl cache for incremental re-runs (created if missing)
+      --refresh        With --cache: refetch every page, still report changes
+      --curation <file>
+                       Editor edits to apply: titles, descriptions,
+                       sections, exclusions, order (a site's file from the
+                       server's DATA_DIR/curation/)
+      --config <file>  Config file: fetch limits, crawl defaults, grouping
+                       rules, URL filters, descriptions, locales, LLM
+                       (default: ./llmsgen.config.json if present; the
+                       flags above override it)
+      --allow-private  Allow fetching private/loopback addresses (intranets)
+  -q, --quiet          Only print errors
+  -h, --help           Show this help
+`;
+
+function parseCliArgs(argv) {
+  return parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: "string", short: "o", default: "llms.txt" },
+      csv: { type: "string", short: "c" },
+      columns: { type: "string", default: "" },
+      full: { type: "string" },
+      "md-zip": { type: "string" },
+      export: { type: "string", multiple: true },
+      compare: { type: "string" },
+      "diff-out": { type: "string" },
+      faq: { type: "string", short: "f", multiple: true },
+      "detect-faqs": { type: "boolean", default: false },
+      "site-name": { type: "string", default: "" },
+      summary: { type: "string", default: "" },
+      optional: { type: "string", default: "" },
+      include: { type: "string", multiple: true },
+      exclude: { type: "string", multiple: true },
+      "strip-query": { type: "string" },
+      "max-per-section": { type: "string" },
+      "max-per-sitemap": { type: "string" },
+      prioritize: { type: "string" },
+      describe: { type: "string" },
+      "describe-max": { type: "string" },
+      locales: { type: "string" },
+      "primary-locale": { type: "string" },
+      "locale-rule": { type: "string", multiple: true },
+      "token-budget": { type: "string" },
+      trim: { type: "string" },
+      delay: { type: "string", short: "d", default: "0" },
+      concurrency: { type: "string", short: "j" },
+      rps: { type: "string" },
+      "crawl-depth": { type: "string" },
+      "crawl-max-pages": { type: "string" },
+      enrich: { type: "boolean", default: false },
+      "enrich-dry-run": { type: "boolean", default: false },
+      "accept-suggestions": { type: "boolean", default: false },
+      "llm-endpoint": { type: "string" },
+      "llm-model": { type: "string" },
+      "enrich-budget": { type: "string" },
+      "enrich-cache": { type: "string" },
+      cache: { type: "string" },
+      refresh: { type: "boolean", default: false },
+      curation: { type: "string" },
+      config: { type: "string" },
+      "allow-private": { type: "boolean", default: false },
+      quiet: { type: "boolean", short: "q", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const delaySecs = parseFloat(values.delay);
+  if (isNaN(delaySecs) || delaySecs < 0) {
+    console.error(`Invalid --delay value: ${values.delay}`);
+    return 2;
+  }
+
+  let extraColumns;
+  try {
+    extraColumns = parseExtraColumns(values.columns);
+  } catch (e) {
+    console.error(`Invalid --columns value: ${e.message}`);
+    return 2;
+  }
+
+  const exports = [];
+  for (const spec of values.export || []) {
+    const [format, file] = spec.split(/=(.*)/s);
+    if (!getExporter(format) || !file) {
+      const formats = listExporters().map((e) => e.format);
+      console.error(
+        `Invalid --export value: ${spec} (expected <format>=<file>, ` +
+          `format one of ${formats.join(", ")})`
+      );
+      return 2;
+    }
+    exports.push({ format, file });
+  }
+
+  let config;
+  try {
+    config = loadConfig({ configPath: values.config });
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+  const { crawl } = config;
+  const concurrency = parseInt(values.concurrency ?? crawl.concurrency, 10);
+  if (isNaN(concurrency) || concurrency < 1) {
+    console.error(`Invalid --concurrency value: ${values.concurrency}`);
+    return 2;
+  }
+  const rps = parseFloat(values.rps ?? crawl.maxRequestsPerSecond);
+  if (isNaN(rps) || rps < 0) {
+    console.error(`Invalid --rps value: ${values.rps}`);
+    return 2;
+  }
+
+  const crawlDepth = parseInt(
+    values["crawl-depth"] ?? crawl.linkCrawlMaxDepth,
+    10
+  );
+  if (isNaN(crawlDepth) || crawlDepth < 0) {
+    console.error(`Invalid --crawl-depth value: ${values["crawl-depth"]}`);
+    return 2;
+  }
+  const crawlMaxPages = parseInt(
+    values["crawl-max-pages"] ?? crawl.linkCrawlMaxPages,
+    10
+  );
+  if (isNaN(crawlMaxPages) || crawlMaxPages < 0) {
+    console.error(
+      `Invalid --crawl-max-pages value: ${values["crawl-max-pages"]}`
+    );
+    return 2;
+  }
+
+  // URL filter flags override the config file's "filters" field by field
+  const filterFlags = {};
+  if (values.include) filterFlags.include = values.include;
+  if (values.exclude) filterFlags.exclude = values.exclude;
+  if (values["strip-query"] !== undefined) {
+    const stripQuery = values["strip-query"].trim();
+    filterFlags.stripQuery =
+      stripQuery === "all" ? true : stripQuery.split(",");
+  }
+  if (values["max-per-section"] !== undefined) {
+    filterFlags.maxPerSection = values["max-per-section"];
+  }
+  if (values["max-per-sitemap"] !== undefined) {
+    filterFlags.maxPerSitemap = values["max-per-sitemap"];
+  }
+  if (values.prioritize !== undefined) {
+    filterFlags.priority = values.prioritize;
+  }
+  let urlFilters;
+  try {
+    urlFilters = normalizeUrlFilters({ ...config.filters, ...filterFlags });
+  } catch (e) {
+    console.error(e.message);
+    return 2;
+  }
+
+  // The description and locale flags override their config sections alike
+  let descriptions;
+  try {
+    const describeFlags = {};
+    if (values.describe !== undefined) describeFlags.fallback = values.describe;
+    if (values["describe-max"] !== undefined) {
+      describeFlags.maxLength = values["describe-max"];
+    }
+    descriptions = normalizeDescriptions({
+      ...config.descriptions,
+      ...describeFlags,
+    });
+  } catch (e) {
+    console.error(`Invalid description options: ${e.message}`);
+    return 2;
+  }
+
+  let locales;
+  try {
+    const localeFlags = {};
+    if (values.locales !== undefined) localeFlags.mode = values.locales;
+    if (values["primary-locale"] !== undefined) {
+      localeFlags.primary = values["primary-locale"];
+    }
+    if (values["locale-rule"]) {
+      localeFlags.rules = parseLocaleRulesText(
+        values["locale-rule"].join("\n")
+      );
+    }
+    locales = normalizeLocales({ ...config.locales, ...localeFlags });
+  } catch (e) {
+    console.error(`Invalid locale options: ${e.message}`);
+    return 2;
+  }
+
+  let budget;
+  try {
+    const budgetFlags = {};
+    if (values["token-budget"] !== undefined) {
+      budgetFlags.maxTokens = values["token-budget"];
+    }
+    if (values.trim !== undefined) budgetFlags.strategy = values.trim;
+    budget = normalizeBudget({ ...config.budget, ...budgetFlags });
+  } catch (e) {
+    console.error(`Invalid budget options: ${e.message}`);
+    return 2;
+  }
+
+  const policy = { ...config.proxy };
+  if (values["allow-private"]) policy.allowPrivateNetworks = true;
+  const env = createNodeEnv({ policy });
+
+  const cache = values.cache ? await readCrawlCache(values.cache) : null;
+  const curation = values.curation
+    ? await readCrawlCache(values.curation)
+    : null;
+  if (curation && !curation.size) {
+    console.error(`warning: no edits found in ${values.curation}`);
+  }
+
+  let enrich = null;
+  if (values.enrich || values["enrich-dry-run"]) {
+    let enrichConfig;
+    try {
+      const enrichFlags = {};
+      if (values["llm-endpoint"] !== undefined) {
+        enrichFlags.endpoint = values["llm-endpoint"];
+      }
+      if (values["llm-model"] !== undefined) {
+        enrichFlags.model = values["llm-model"];
+      }
+      if (values["enrich-budget"] !== undefined) {
+        enrichFlags.tokenBudget = values["enrich-budget"];
+      }
+      enrichConfig = normalizeEnrich({ ...config.enrich, ...enrichFlags });
+    } catch (e) {
+      console.error(`Invalid LLM options: ${e.message}`);
+      return 2;
+    }
+    if (!enrichConfig.endpoint && !values["enrich-dry-run"]) {
+      console.error(
+        "--enrich needs an LLM endpoint: --llm-endpoint, or " +
+          "enrich.endpoint in the config file"
+      );
+      return 2;
+    }
+    enrich = {
+      config: enrichConfig,
+      client: createLlmClient(enrichConfig),
+      cache: values["enrich-cache"]
+        ? await readCrawlCache(values["enrich-cache"])
+        : null,
+      dryRun: values["enrich-dry-run"],
+    };
+  }
+
+  const result = await runUrlToLlmsPipeline(
+    positionals[0],
+    {
+      requestDelayMs: delaySecs * 1000,
+      concurrency,
+      maxRequestsPerSecond: rps,
+      maxRetries: crawl.maxRetries,
+      linkCrawlMaxDepth: crawlDepth,
+      linkCrawlMaxPages: crawlMaxPages,
+      faqUrls: (values.faq || []).map((url) => url.trim()).filter(Boolean),
+      detectFaqs: values["detect-faqs"],
+      // JSONL records carry the page content
+      fullText: Boolean(
+        values.full ||
+          values["md-zip"] ||
+          exports.some((e) => e.format === "jsonl")
+      ),
+      cache,
+      refresh: values.refresh,
+      curation,
+      grouping: config.grouping,
+      urlFilters,
+      descriptions,
+      enrich,
+      locales,
+      budget,
+      site: {
+        siteName: values["site-name"].trim(),
+        summary: values.summary.trim(),
+        optionalSections: values.optional
+          .split(",")
+          .map((name) => name.trim())
+          .filter(Boolean),
+      },
+      onStatus: (text, isError) => {
+        if (isError) console.error(text);
+        else if (!values.quiet) console.log(text);
+      },
+    },
+    env
+  );
+
+  if (!values.quiet) {
+    result.filterStats.forEach(({ rule, removed }) => {
+      console.log(`  ${rule}: ${removed} URL(s) removed`);
+    });
+  }
+
+  if (!result.ok) return 1;
+
+  if (cache) {
+    await writeCrawlCache(values.cache, cache);
+  }
+
+  if (result.enrichment) {
+    const stats = result.enrichment;
+    if (stats.dryRun) {
+      console.log(
+        `LLM dry run: ${stats.requests} request(s), ~${stats.tokens} ` +
+          `token(s) for ${stats.pages} page(s)`
+      );
+      if (stats.samplePrompt && !values.quiet) {
+        console.log(`First prompt:\n${stats.samplePrompt}`);
+      }
+    } else if (!values.quiet) {
+      console.log(
+        `LLM: ${stats.suggested} suggestion(s) (${stats.cached} cached), ` +
+          `${stats.failed} failed, ~${stats.tokens} token(s) in ` +
+          `${stats.requests} request(s)`
+      );
+    }
+    if (stats.budgetReached) {
+      console.error(
+        "warning: LLM token budget reached; later pages were not sent"
+      );
+    }
+    if (stats.error) console.error(`warning: LLM: ${stats.error}`);
+    if (enrich.cache && !stats.dryRun) {
+      await writeCrawlCache(values["enrich-cache"], enrich.cache);
+    }
+  }
+
+  // Batch approval: every suggestion goes into llms.txt
+  if (values["accept-suggestions"]) {
+    result.rows = result.rows.map((row) =>
+      row.llm_status === "suggested" ? { ...row, llm_status: "accepted" } : row
+    );
+    result.llmsFiles = buildLocalizedLlmsTexts(
+      result.rows,
+      result.faqItems,
+      result.site,
+      config.grouping,
+      locales,
+      budget
+    );
+    result.llmsText = result.llmsFiles[0].text;
+  }
+
+  // Read the file to compare against before --out may overwrite it
+  let liveText = null;
+  if (values.compare) {
+    const source = values.compare;
+    liveText = /^https?:\/\//i.test(source)
+      ? await env.fetchText(source)
+      : await readFile(source, "utf8").catch(() => null);
+    if (liveText === null) {
+      console.error(`Could not read ${source} for --compare`);
+      return 1;
+    }
+  }
+
+  // The primary llms.txt goes to --out, other locales' files beside it
+  for (const [i, file] of result.llmsFiles.entries()) {
+    const outFile =
+      i === 0 ? values.out : path.join(path.dirname(values.out), file.path);
+    await mkdir(path.dirname(outFile), { recursive: true });
+    await writeFile(outFile, file.text, "utf8");
+    if (!values.quiet) {
+      const { tokens } = measureLlmsText(file.text);
+      console.log(`Wrote ${outFile} (~${tokens} tokens)`);
+      file.trimmed.forEach((item) => {
+        console.log(`  ${formatTrimmedItem(item)}`);
+      });
+    }
+    if (file.overBudget) {
+      console.error(
+        `warning: ${outFile} is over the token budget even trimmed ` +
+          `(~${file.tokens} / ${budget.maxTokens} tokens)`
+      );
+    }
+
+    // Format check (llmstxt.org); issues are reported but don't fail the run
+    for (const issue of validateLlmsText(file.text)) {
+      const where = issue.line ? `${outFile}:${issue.line}: ` : "";
+      console.error(`${issue.level}: ${where}${issue.message}`);
+    }
+  }
+
+  // SEO audit summary; per-page issues are in the CSV's audit_issues column
+  if (!values.quiet) {
+    const summary = summarizeAudit(result.rows);
+    const counts = Object.entries(AUDIT_ISSUES)
+      .filter(([code]) => summary[code])
+      .map(([code, { label }]) => `${label}: ${summary[code]}`);
+    console.log(
+      summary.rowsWithIssues
+        ? `SEO audit: ${summary.rowsWithIssues} page(s) with issues ` +
+            `(${counts.join(", ")})`
+        : "SEO audit: no issues"
+    );
+  }
+
+  if (values.csv) {
+    const csv = buildMetadataCsv(result.rows, csvColumnsWith(extraColumns));
+    await writeFile(values.csv, csv, "utf8");
+    if (!values.quiet) console.log(`Wrote ${values.csv}`);
+  }
+
+  if (values.full) {
+    await writeFile(values.full, result.llmsFullText, "utf8");
+    if (!values.quiet) console.log(`Wrote ${values.full}`);
+  }
+
+  if (values["md-zip"]) {
+    const files = buildPageMarkdownFiles(result.rows, result.pageMarkdown);
+    await writeFile(values["md-zip"], createZip(files));
+    if (!values.quiet) {
+      console.log(`Wrote ${values["md-zip"]} (${files.length} page(s))`);
+    }
+  }
+
+  for (const { format, file } of exports) {
+    const { content } = buildExport(format, {
+      rows: result.rows,
+      faqItems: result.faqItems,
+      site: result.site,
+      grouping: config.grouping,
+      locales,
+      budget,
+      columns: csvColumnsWith(extraColumns),
+      pageMarkdown: result.pageMarkdown || null,
+    });
+    await writeFile(file, content);
+    if (!values.quiet) console.log(`Wrote ${file}`);
+  }
+
+  if (liveText !== null) {
+    const diff = diffLlmsTexts(liveText, result.llmsText);
+    const outFile = values["diff-out"];
+    if (!outFile) {
+      console.log(formatLlmsDiffMarkdown(diff));
+    } else {
+      const content = /\.json$/i.test(outFile)
+        ? formatLlmsDiffJson(diff)
+        : formatLlmsDiffMarkdown(diff);
+      await writeFile(outFile, content, "utf8");
+      if (!values.quiet) console.log(`Wrote ${outFile}`);
+    }
+  }
+
+  return 0;
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err);
+    process.exitCode = 1;
+  }
+);
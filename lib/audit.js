@@ -0,0 +1,224 @@
+// ===========================
+// SEO audit of the scraped titles / descriptions
+// ===========================
+//
+// auditMetadataRows() adds `audit_issues` ([{ code, level, message }]) to
+// every scraped row. Rows buildLlmsTextFromMetadata() leaves out (missing
+// title / description, noindex, non-canonical duplicates) say so.
+
+import { isNoindex } from "./meta.js";
+import {
+  DESCRIPTION_SOURCE_LABELS,
+  isSynthesizedDescription,
+} from "./describe.js";
+
+export const AUDIT_LIMITS = {
+  titleMinChars: 30,
+  titleMaxChars: 60,
+  titleMaxPixels: 580, // Google desktop SERP title width
+  descriptionMinChars: 70,
+  descriptionMaxChars: 160,
+  descriptionMaxPixels: 920, // Google desktop SERP snippet width
+};
+
+// Code → level + column label (filter dropdown)
+export const AUDIT_ISSUES = {
+  http_error: { level: "error", label: "HTTP error" },
+  missing_title: { level: "error", label: "Missing title" },
+  missing_description: { level: "error", label: "Missing description" },
+  duplicate_title: { level: "warning", label: "Duplicate title" },
+  duplicate_description: { level: "warning", label: "Duplicate description" },
+  title_too_long: { level: "warning", label: "Title too long" },
+  title_too_short: { level: "warning", label: "Title too short" },
+  description_too_long: { level: "warning", label: "Description too long" },
+  description_too_short: { level: "warning", label: "Description too short" },
+  title_equals_description: {
+    level: "warning",
+    label: "Title same as description",
+  },
+  boilerplate_suffix: { level: "info", label: "Boilerplate title suffix" },
+  synthesized_description: {
+    level: "info",
+    label: "Synthesized description",
+  },
+  noindex: { level: "info", label: "noindex" },
+  canonicalized: { level: "info", label: "Canonical elsewhere" },
+};
+
+// Approximate Arial glyph widths in em, for SERP pixel-length estimates
+const NARROW = "fijlrtI!|.,:;'()[] ";
+const WIDE = "mwMW@%";
+const CAPS = "ABCDEFGHJKLNOPQRSTUVXYZ&";
+
+function estimatePixels(text, fontPx) {
+  let em = 0;
+  for (const ch of text) {
+    if (NARROW.includes(ch)) em += 0.3;
+    else if (WIDE.includes(ch)) em += 0.85;
+    else if (CAPS.includes(ch)) em += 0.68;
+    else em += 0.55;
+  }
+  return Math.round(em * fontPx);
+}
+
+// Title separators a site-name suffix usually follows: "Page | Site"
+const SUFFIX_RE = /\s+[|\-–—·:]\s+([^|\-–—·:]+)$/;
+
+function normalize(text) {
+  return text.replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * The site-wide title suffix (e.g. " | Acme") if at least 3 titles and
+ * half of all titles end with it, else "".
+ */
+function findBoilerplateSuffix(titles) {
+  const counts = new Map();
+  titles.forEach((title) => {
+    const match = SUFFIX_RE.exec(title);
+    if (match) {
+      const suffix = match[0];
+      counts.set(suffix, (counts.get(suffix) || 0) + 1);
+    }
+  });
+
+  let best = "";
+  let bestCount = 0;
+  counts.forEach((count, suffix) => {
+    if (count > bestCount) {
+      best = suffix;
+      bestCount = count;
+    }
+  });
+  return bestCount >= 3 && bestCount >= titles.length / 2 ? best : "";
+}
+
+/**
+ * Character / pixel length checks for a title or description. kind is
+ * "title" | "description" (the AUDIT_LIMITS / issue code prefix); fontPx is
+ * the SERP font size used for the pixel estimate.
+ */
+function checkLength(kind, label, text, fontPx, add, limits) {
+  const minChars = limits[`${kind}MinChars`];
+  const maxChars = limits[`${kind}MaxChars`];
+  const maxPixels = limits[`${kind}MaxPixels`];
+  const pixels = estimatePixels(text, fontPx);
+
+  if (text.length > maxChars) {
+    add(
+      `${kind}_too_long`,
+      `${label} is ${text.length} chars (max ${maxChars})`
+    );
+  } else if (pixels > maxPixels) {
+    add(
+      `${kind}_too_long`,
+      `${label} is ~${pixels}px wide (max ${maxPixels}px)`
+    );
+  } else if (text.length < minChars) {
+    add(
+      `${kind}_too_short`,
+      `${label} is ${text.length} chars (min ${minChars})`
+    );
+  }
+}
+
+/**
+ * Return copies of the rows with `audit_issues` set. Rows skipped before
+ * fetching (skip_reason) are not audited.
+ */
+export function auditMetadataRows(metadataRows, limits = AUDIT_LIMITS) {
+  const audited = metadataRows.filter((row) => !row.skip_reason);
+  const titleCounts = new Map();
+  const descriptionCounts = new Map();
+  audited.forEach((row) => {
+    const title = normalize(row.meta_title || "");
+    const description = normalize(row.meta_description || "");
+    if (title) titleCounts.set(title, (titleCounts.get(title) || 0) + 1);
+    if (description) {
+      descriptionCounts.set(
+        description,
+        (descriptionCounts.get(description) || 0) + 1
+      );
+    }
+  });
+  const suffix = findBoilerplateSuffix(
+    audited.map((row) => (row.meta_title || "").trim()).filter(Boolean)
+  );
+
+  return metadataRows.map((row) => {
+    if (row.skip_reason) return { ...row, audit_issues: [] };
+
+    const issues = [];
+    const add = (code, message) =>
+      issues.push({ code, level: AUDIT_ISSUES[code].level, message });
+    const title = (row.meta_title || "").trim();
+    const description = (row.meta_description || "").trim();
+
+    if (row.http_status >= 400) {
+      add("http_error", `HTTP ${row.http_status}`);
+    }
+    if (!title) {
+      add("missing_title", "Missing title (left out of llms.txt)");
+    } else {
+      const others = titleCounts.get(normalize(title)) - 1;
+      if (others > 0) {
+        add("duplicate_title", `Same title as ${others} other page(s)`);
+      }
+      checkLength("title", "Title", title, 20, add, limits);
+      if (suffix && title.endsWith(suffix)) {
+        add(
+          "boilerplate_suffix",
+          `Title ends with the site-wide "${suffix.trim()}"`
+        );
+      }
+    }
+
+    if (!description) {
+      add("missing_description", "Missing description (left out of llms.txt)");
+    } else {
+      const others = descriptionCounts.get(normalize(description)) - 1;
+      if (others > 0) {
+        add(
+          "duplicate_description",
+          `Same description as ${others} other page(s)`
+        );
+      }
+      checkLength("description", "Description", description, 14, add, limits);
+      if (isSynthesizedDescription(row)) {
+        const from = DESCRIPTION_SOURCE_LABELS[row.description_source];
+        add(
+          "synthesized_description",
+          `No meta description; built from ${from} (review it)`
+        );
+      }
+    }
+
+    if (title && description && normalize(title) === normalize(description)) {
+      add("title_equals_description", "Title and description are identical");
+    }
+
+    const canonical = (row.canonical_url || "").trim();
+    if (isNoindex(row)) {
+      add("noindex", `Meta robots "${row.meta_robots}" (left out of llms.txt)`);
+    } else if (canonical && canonical !== row.url) {
+      add("canonicalized", `Canonical is ${canonical} (listed under it)`);
+    }
+
+    return { ...row, audit_issues: issues };
+  });
+}
+
+/**
+ * Count rows per issue code: { [code]: n }, plus rowsWithIssues.
+ */
+export function summarizeAudit(metadataRows) {
+  const summary = { rowsWithIssues: 0 };
+  metadataRows.forEach((row) => {
+    const issues = row.audit_issues || [];
+    if (issues.length) summary.rowsWithIssues++;
+    new Set(issues.map((issue) => issue.code)).forEach((code) => {
+      summary[code] = (summary[code] || 0) + 1;
+    });
+  });
+  return summary;
+}
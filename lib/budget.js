@@ -0,0 +1,249 @@
+// ===========================
+// Token budget: trim llms.txt to fit an LLM reader's context
+// ===========================
+//
+// A budget config (config file "budget" section, CLI flags, UI inputs):
+//
+//   {
+//     maxTokens: 4000,        ← 0 = no budget
+//     strategy: "optional"    ← "optional": move the last (lowest priority)
+//                               sections under "## Optional", one by one |
+//                               "shorten": cut descriptions shorter and
+//                               shorter | "oldest": drop the entries with
+//                               the oldest sitemap lastmod first (undated
+//                               ones last)
+//   }
+//
+// The budget counts llms.txt without "## Optional" (readers short on
+// context skip that section), as estimated by lib/tokens.js. Nothing is
+// trimmed from the header, FAQs or "Other languages"; when they alone
+// are over budget the result says so. What was trimmed is reported:
+//
+//   { action: "moved", section, entries }        ← to "## Optional"
+//   { action: "shortened", url, title, from, to } ← description lengths
+//   { action: "dropped", url, title, lastmod }
+
+import { fitToLength } from "./describe.js";
+import {
+  ALTERNATES_SECTION,
+  OPTIONAL_SECTION,
+  buildLlmsSections,
+  formatLlmsEntry,
+  formatLlmsText,
+  llmsHeader,
+  selectLlmsRows,
+} from "./llms.js";
+import { DEFAULT_GROUPING } from "./grouping.js";
+import { countTokens, measureLlmsText } from "./tokens.js";
+
+export const BUDGET_STRATEGIES = ["optional", "shorten", "oldest"];
+
+export const DEFAULT_BUDGET = { maxTokens: 0, strategy: "optional" };
+
+// Description lengths tried in turn by the "shorten" strategy
+const SHORTEN_STEPS = [200, 160, 120, 100, 80, 60, 40];
+
+/**
+ * Validate a budget config and fill in defaults. Throws an Error naming
+ * the offending setting.
+ */
+export function normalizeBudget(raw) {
+  const input = raw && typeof raw === "object" ? raw : {};
+  const maxTokens = parseInt(input.maxTokens ?? DEFAULT_BUDGET.maxTokens, 10);
+  if (isNaN(maxTokens) || maxTokens < 0) {
+    throw new Error("Token budget must be 0 (none) or more");
+  }
+  const strategy = input.strategy || DEFAULT_BUDGET.strategy;
+  if (!BUDGET_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown trim strategy "${strategy}"`);
+  }
+  return { maxTokens, strategy };
+}
+
+// ---------- Strategies ----------
+//
+// Each one trims a copy of the sections, estimating the savings line by
+// line, until `over` tokens are saved; returns false when there was
+// nothing left to trim.
+
+const isTrimmable = (section) =>
+  section.name !== OPTIONAL_SECTION && section.name !== ALTERNATES_SECTION;
+
+const entryTokens = (entry) => countTokens(`${formatLlmsEntry(entry)}\n`);
+
+// Heading, blank line and the blank lines between sections
+const sectionOverhead = (section) =>
+  countTokens(`## ${section.name}\n\n`) + 2;
+
+function moveToOptional(sections, over) {
+  let optional = sections.find((s) => s.name === OPTIONAL_SECTION);
+  if (!optional) {
+    optional = { name: OPTIONAL_SECTION, entries: [] };
+    sections.push(optional);
+  }
+  const moved = [];
+  for (let i = sections.length - 1; i >= 0 && over > 0; i--) {
+    if (!isTrimmable(sections[i])) continue;
+    const [section] = sections.splice(i, 1);
+    over -= section.entries.reduce((sum, e) => sum + entryTokens(e), 0);
+    over -= sectionOverhead(section);
+    moved.unshift(...section.entries); // keep the sections' order
+  }
+  optional.entries.unshift(...moved);
+  if (!optional.entries.length) sections.splice(sections.indexOf(optional), 1);
+  return moved.length > 0;
+}
+
+function shortenDescriptions(sections, over) {
+  const entries = sections.filter(isTrimmable).flatMap((s) => s.entries);
+  let shortened = false;
+  for (const max of SHORTEN_STEPS) {
+    for (const entry of entries) {
+      if (over <= 0) return true;
+      if (entry.description.length <= max) continue;
+      // fitToLength() may add "…" after max - 1 characters
+      const description = fitToLength(entry.description, max - 1);
+      if (description === entry.description) continue;
+      const before = entryTokens(entry);
+      entry.description = description;
+      over -= before - entryTokens(entry);
+      shortened = true;
+    }
+  }
+  return shortened;
+}
+
+function dropOldest(sections, over, lastmodByUrl) {
+  const time = (entry) => {
+    const t = Date.parse(lastmodByUrl.get(entry.url) || "");
+    return isNaN(t) ? Infinity : t;
+  };
+  // Oldest first; among equals, the last in llms.txt first
+  const candidates = sections
+    .filter(isTrimmable)
+    .flatMap((section) =>
+      section.entries.map((entry) => ({ section, entry }))
+    )
+    .reverse()
+    .sort((a, b) => time(a.entry) - time(b.entry));
+
+  let dropped = false;
+  for (const { section, entry } of candidates) {
+    if (over <= 0) break;
+    section.entries.splice(section.entries.indexOf(entry), 1);
+    over -= entryTokens(entry);
+    if (!section.entries.length) {
+      sections.splice(sections.indexOf(section), 1);
+      over -= sectionOverhead(section);
+    }
+    dropped = true;
+  }
+  return dropped;
+}
+
+// What changed between the sections before and after trimming
+function describeTrimming(before, after, lastmodByUrl) {
+  const placed = new Map(); // url → { entry, section name } after trimming
+  after.forEach((section) =>
+    section.entries.forEach((entry) =>
+      placed.set(entry.url, { entry, section: section.name })
+    )
+  );
+  const trimmed = [];
+  before.filter(isTrimmable).forEach((section) => {
+    let moved = 0;
+    section.entries.forEach(({ url, title, description }) => {
+      const now = placed.get(url);
+      if (!now) {
+        trimmed.push({
+          action: "dropped",
+          url,
+          title,
+          lastmod: lastmodByUrl.get(url) || "",
+        });
+        return;
+      }
+      if (now.section === OPTIONAL_SECTION) moved++;
+      if (now.entry.description !== description) {
+        trimmed.push({
+          action: "shortened",
+          url,
+          title,
+          from: description.length,
+          to: now.entry.description.length,
+        });
+      }
+    });
+    if (moved) {
+      trimmed.push({ action: "moved", section: section.name, entries: moved });
+    }
+  });
+  return trimmed;
+}
+
+/**
+ * One trimmed item (see above) as a sentence for people.
+ */
+export function formatTrimmedItem(item) {
+  if (item.action === "moved") {
+    const noun = item.entries === 1 ? "entry" : "entries";
+    return `Moved "${item.section}" (${item.entries} ${noun}) to ## Optional`;
+  }
+  if (item.action === "shortened") {
+    return (
+      `Shortened the description of ${item.url} ` +
+      `(${item.from} → ${item.to} characters)`
+    );
+  }
+  const age = item.lastmod ? `lastmod ${item.lastmod}` : "no lastmod";
+  return `Dropped ${item.url} (${age})`;
+}
+
+/**
+ * llms.txt for rows within a token budget (normalized config; null = no
+ * budget). Same other arguments as buildLlmsTextFromMetadata(). Returns
+ * { text, tokens, trimmed, overBudget }: tokens counted as the budget
+ * is, overBudget when trimming everything allowed wasn't enough.
+ */
+export function buildLlmsTextWithinBudget(
+  metadataRows,
+  faqItems = [],
+  site = {},
+  grouping = DEFAULT_GROUPING,
+  locales = null,
+  budget = null
+) {
+  const header = llmsHeader(metadataRows, site);
+  const original = buildLlmsSections(metadataRows, site, grouping, locales);
+  let text = formatLlmsText(header, original, faqItems);
+  let tokens = measureLlmsText(text).coreTokens;
+  if (!budget || !budget.maxTokens || tokens <= budget.maxTokens) {
+    return { text, tokens, trimmed: [], overBudget: false };
+  }
+
+  const lastmodByUrl = new Map(
+    selectLlmsRows(metadataRows).map((row) => [row.url, row.lastmod || ""])
+  );
+  const sections = original.map((section) => ({
+    ...section,
+    entries: section.entries.map((entry) => ({ ...entry })),
+  }));
+  const trim = {
+    optional: (over) => moveToOptional(sections, over),
+    shorten: (over) => shortenDescriptions(sections, over),
+    oldest: (over) => dropOldest(sections, over, lastmodByUrl),
+  }[budget.strategy];
+
+  // The line-by-line estimates are close, not exact: re-measure and go on
+  // while still over
+  while (tokens > budget.maxTokens && trim(tokens - budget.maxTokens)) {
+    text = formatLlmsText(header, sections, faqItems);
+    tokens = measureLlmsText(text).coreTokens;
+  }
+  return {
+    text,
+    tokens,
+    trimmed: describeTrimming(original, sections, lastmodByUrl),
+    overBudget: tokens > budget.maxTokens,
+  };
+}
@@ -0,0 +1,121 @@
+// ===========================
+// Polite concurrent fetching: worker pool + per-host rate limiting
+// + automatic back-off on 429 / 503 (honours Retry-After)
+// ===========================
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Never wait longer than this for a single Retry-After.
+const MAX_RETRY_AFTER_MS = 120000;
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Per-host rate limiter. Requests to the same host are spaced at least
+ * max(minDelayMs, 1000 / maxPerSecond) apart, however many workers run.
+ *
+ *   await limiter.wait(url)      – resolves when the next slot is free
+ *   limiter.pause(url, ms)       – push that host's next slot back (back-off)
+ *   limiter.setMinDelay(url, ms) – raise the spacing for that host only
+ *                                  (robots.txt Crawl-delay)
+ */
+export function createHostRateLimiter({ maxPerSecond = 0, minDelayMs = 0 } = {}) {
+  const baseInterval = Math.max(
+    minDelayMs,
+    maxPerSecond > 0 ? 1000 / maxPerSecond : 0
+  );
+  const nextSlot = new Map(); // host -> timestamp
+  const hostInterval = new Map(); // host -> per-host minimum interval
+
+  return {
+    async wait(url) {
+      const host = hostOf(url);
+      const interval = Math.max(baseInterval, hostInterval.get(host) || 0);
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot.get(host) || 0);
+      nextSlot.set(host, slot + interval);
+      if (slot > now) await sleep(slot - now);
+    },
+    pause(url, ms) {
+      const host = hostOf(url);
+      const until = Date.now() + ms;
+      nextSlot.set(host, Math.max(nextSlot.get(host) || 0, until));
+    },
+    setMinDelay(url, ms) {
+      hostInterval.set(hostOf(url), ms);
+    },
+  };
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into ms.
+ * Returns null when missing or unparseable.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === "") return null;
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) {
+    return Math.min(Number(str) * 1000, MAX_RETRY_AFTER_MS);
+  }
+  const date = Date.parse(str);
+  if (isNaN(date)) return null;
+  return Math.min(Math.max(0, date - now), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Fetch one URL through the rate limiter, retrying 429 / 503 responses.
+ * Waits Retry-After when the server sends it, otherwise backs off
+ * exponentially (baseBackoffMs, 2×, 4×, ...). The whole host is paused
+ * meanwhile so other workers don't keep hammering it.
+ *
+ * Returns the env.fetchResponse() result (possibly a final 429/503), or null
+ * on network errors.
+ */
+export async function fetchWithRetry(url, env, limiter, options = {}) {
+  const { maxRetries = 3, baseBackoffMs = 1000, headers } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    await limiter.wait(url);
+    const resp = await env.fetchResponse(url, { headers });
+    if (!resp || (resp.status !== 429 && resp.status !== 503)) {
+      return resp;
+    }
+    if (attempt >= maxRetries) {
+      return resp;
+    }
+
+    const retryAfter = parseRetryAfter(resp.headers["retry-after"]);
+    const backoff = retryAfter ?? baseBackoffMs * 2 ** attempt;
+    limiter.pause(url, backoff);
+  }
+}
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight.
+ * Resolves to the results array in input order.
+ */
+export async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workers = [];
+  const count = Math.max(1, Math.min(concurrency || 1, items.length));
+  for (let i = 0; i < count; i++) {
+    workers.push(runWorker());
+  }
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,93 @@
+// ===========================
+// Metadata CSV export (RFC 4180: CRLF line ends, quoted fields as needed)
+// ===========================
+
+import { META_FIELDS } from "./meta.js";
+
+export const CSV_COLUMNS = csvColumnsWith();
+
+function escapeCSV(value) {
+  if (value === null || value === undefined) return "";
+  let s = String(value).replace(/"/g, '""');
+  if (/[",\r\n]/.test(s)) {
+    s = `"${s}"`;
+  }
+  return s;
+}
+
+/**
+ * CSV columns with optional META_FIELDS keys (lib/meta.js) inserted after
+ * the title/description, e.g. csvColumnsWith(["canonical_url", "h1"]).
+ * description_source ("meta", "og", or how a missing one was synthesized,
+ * see lib/describe.js) flags descriptions an editor should review.
+ */
+export function csvColumnsWith(extraKeys = []) {
+  return [
+    "url",
+    "meta_title",
+    "meta_description",
+    "description_source",
+    ...extraKeys,
+    "skip_reason",
+    "audit_issues",
+  ];
+}
+
+/**
+ * Extra column keys from a comma-separated list, or "all" for every
+ * META_FIELDS key. Throws on an unknown key.
+ */
+export function parseExtraColumns(list) {
+  const knownColumns = META_FIELDS.map((f) => f.key);
+  if ((list || "").trim() === "all") return knownColumns;
+  const keys = (list || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const unknownColumn = keys.find((k) => !knownColumns.includes(k));
+  if (unknownColumn) throw new Error(`Unknown column: ${unknownColumn}`);
+  return keys;
+}
+
+/**
+ * Flatten a row value for a table cell / CSV field:
+ *   audit_issues [{ message }] → "message; message"
+ *   hreflang [{ lang, href }]  → "en=https://…; de=https://…"
+ *   og / twitter { k: v }      → "og:title=…; og:image=…"
+ *   string arrays              → "a, b"
+ */
+export function formatCellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) {
+    if (value.every((item) => typeof item !== "object")) {
+      return value.join(", ");
+    }
+    return value
+      .map((item) => {
+        if (item && item.message) return item.message;
+        if (item && item.lang) return `${item.lang}=${item.href}`;
+        return typeof item === "object" ? JSON.stringify(item) : item;
+      })
+      .join("; ");
+  }
+  if (typeof value === "object") {
+    return Object.entries(value)
+      .map(([key, v]) => `${key}=${v}`)
+      .join("; ");
+  }
+  return String(value);
+}
+
+/**
+ * Serialize metadata rows to CSV text (header row + one line per row,
+ * CRLF-terminated).
+ */
+export function buildMetadataCsv(metadataRows, columns = CSV_COLUMNS) {
+  const rows = [
+    columns.join(","),
+    ...metadataRows.map((row) =>
+      columns.map((key) => escapeCSV(formatCellValue(row[key]))).join(",")
+    ),
+  ];
+  return rows.map((line) => `${line}\r\n`).join("");
+}
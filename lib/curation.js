@@ -0,0 +1,173 @@
+// ===========================
+// Editor curation: per-row edits kept across re-crawls
+// ===========================
+//
+// Editors fix titles / descriptions / sections, leave pages out of
+// llms.txt, mark them "Optional" and reorder them within their section
+// (the web UI's results table). The edits are row fields:
+//
+//   curated_title, curated_description, curated_section
+//                          ← replace the scraped values (missing = keep)
+//   excluded: true         ← left out of llms.txt and llms-full.txt
+//   optional: true         ← listed under "## Optional"
+//   position: 3            ← order within its section (0 = first; missing
+//                            = after the positioned ones, in crawl order)
+//   llm_status             ← verdict on the LLM suggestion (lib/enrich.js)
+//
+// and are saved per site as a Map url → entry holding the same fields
+// (server: <dataDir>/curation/<scheme>-<host>.json, CLI: --curation). An
+// entry's llm_status comes with the llm_description it was given for, so
+// a verdict only carries over while the suggestion stays the same.
+
+import { LLM_STATUSES } from "./enrich.js";
+
+const TEXT_FIELDS = [
+  "curated_title",
+  "curated_description",
+  "curated_section",
+];
+const FLAG_FIELDS = ["excluded", "optional"];
+
+export const CURATION_FIELDS = [
+  ...TEXT_FIELDS,
+  ...FLAG_FIELDS,
+  "position",
+  "llm_status",
+];
+
+/**
+ * Validate the edits for a row (a subset of CURATION_FIELDS). "", false
+ * and null clear a field. Throws an Error naming the offending field.
+ */
+export function normalizeRowChanges(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Row changes must be an object");
+  }
+  const changes = {};
+  Object.entries(raw).forEach(([key, value]) => {
+    if (TEXT_FIELDS.includes(key)) {
+      if (typeof value !== "string") throw new Error(`${key} must be text`);
+      changes[key] = value.replace(/\s+/g, " ").trim();
+    } else if (FLAG_FIELDS.includes(key)) {
+      if (typeof value !== "boolean") {
+        throw new Error(`${key} must be true or false`);
+      }
+      changes[key] = value;
+    } else if (key === "position") {
+      if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+        throw new Error("position must be a whole number of 0 or more");
+      }
+      changes[key] = value;
+    } else if (key === "llm_status") {
+      if (!LLM_STATUSES.includes(value)) {
+        throw new Error(`Invalid llm_status "${value}"`);
+      }
+      changes[key] = value;
+    } else {
+      throw new Error(`Unknown row field "${key}"`);
+    }
+  });
+  return changes;
+}
+
+/**
+ * A copy of row with normalized changes applied. llm_status is ignored on
+ * rows without an LLM suggestion.
+ */
+export function applyRowChanges(row, changes) {
+  const next = { ...row };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (key === "llm_status" && !row.llm_description) return;
+    if (value === "" || value === false || value === null) {
+      delete next[key];
+    } else {
+      next[key] = value;
+    }
+  });
+  return next;
+}
+
+/**
+ * The curation entry for a row, or null when it has no edits.
+ */
+export function curationEntryForRow(row) {
+  const entry = {};
+  [...TEXT_FIELDS, ...FLAG_FIELDS, "position"].forEach((key) => {
+    if (row[key] !== undefined) entry[key] = row[key];
+  });
+  // "suggested" is the default, nothing to keep
+  const verdict = row.llm_description && row.llm_status;
+  if (verdict && row.llm_status !== "suggested") {
+    entry.llm_status = row.llm_status;
+    entry.llm_description = row.llm_description;
+  }
+  return Object.keys(entry).length ? entry : null;
+}
+
+/**
+ * Copy a site's saved edits (Map url → entry) onto freshly scraped rows.
+ */
+export function applyCuration(metadataRows, curation) {
+  if (!curation || !curation.size) return metadataRows;
+  return metadataRows.map((row) => {
+    const entry = curation.get(row.url);
+    if (!entry) return row;
+    const { llm_status: status, llm_description: forText, ...edits } = entry;
+    const next = { ...row, ...edits };
+    if (status && row.llm_description && row.llm_description === forText) {
+      next.llm_status = status;
+    }
+    return next;
+  });
+}
+
+/**
+ * Record rows' current edits in a curation Map (updated in place).
+ */
+export function updateCuration(curation, metadataRows) {
+  metadataRows.forEach((row) => {
+    const entry = curationEntryForRow(row);
+    if (entry) {
+      curation.set(row.url, entry);
+    } else {
+      curation.delete(row.url);
+    }
+  });
+  return curation;
+}
+
+// ---------- Effective values ----------
+
+/**
+ * The title llms.txt uses for a row: the edited one, else the scraped one.
+ */
+export function curatedTitle(row) {
+  return (row.curated_title || row.meta_title || "").trim();
+}
+
+/**
+ * The description llms.txt uses for a row: the edited one, else an
+ * accepted LLM suggestion, else the scraped one.
+ */
+export function curatedDescription(row) {
+  const accepted = row.llm_status === "accepted" && row.llm_description;
+  return (
+    row.curated_description ||
+    accepted ||
+    row.meta_description ||
+    ""
+  ).trim();
+}
+
+/**
+ * Order one section's items (rows, or anything with a `position`): the
+ * positioned ones first, the rest after them in their original order.
+ */
+export function sortByPosition(items) {
+  const key = (item) =>
+    Number.isInteger(item.position) ? item.position : Infinity;
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => key(a.item) - key(b.item) || a.index - b.index)
+    .map(({ item }) => item);
+}
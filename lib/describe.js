@@ -0,0 +1,202 @@
+// ===========================
+// Fallback descriptions for pages without a meta description
+// ===========================
+//
+// Built from the page itself, deterministically (no external calls), so
+// pages that would otherwise be left out of llms.txt still get a line.
+// A descriptions config (config file "descriptions" section, CLI flags,
+// UI inputs):
+//
+//   {
+//     fallback: "paragraph",   ← source tried first: "paragraph" (first
+//                                meaningful paragraph) | "summary"
+//                                (extractive summary of the main content)
+//                                | "headings" (H1 + top subheadings)
+//                                | "off"; the others follow as fallbacks
+//     maxLength: 160            ← characters
+//   }
+//
+// Rows record where their description came from in `description_source`:
+// "meta", "og", or one of the fallback sources above ("" = none).
+
+import { extractMainContent } from "./markdown.js";
+
+export const DESCRIPTION_SOURCES = ["paragraph", "summary", "headings"];
+
+export const DEFAULT_DESCRIPTIONS = { fallback: "paragraph", maxLength: 160 };
+
+// How each source is described to editors (table badge, audit message)
+export const DESCRIPTION_SOURCE_LABELS = {
+  paragraph: "the first paragraph",
+  summary: "a summary of the page content",
+  headings: "the H1 and subheadings",
+};
+
+const MIN_MAX_LENGTH = 50;
+
+/**
+ * Validate a descriptions config and fill in defaults. Throws an Error
+ * naming the offending setting.
+ */
+export function normalizeDescriptions(raw) {
+  const input = raw && typeof raw === "object" ? raw : {};
+  const fallback = input.fallback || DEFAULT_DESCRIPTIONS.fallback;
+  if (fallback !== "off" && !DESCRIPTION_SOURCES.includes(fallback)) {
+    throw new Error(`Unknown description fallback "${fallback}"`);
+  }
+  const maxLength = parseInt(
+    input.maxLength ?? DEFAULT_DESCRIPTIONS.maxLength,
+    10
+  );
+  if (isNaN(maxLength) || maxLength < MIN_MAX_LENGTH) {
+    throw new Error(`Description max length must be ${MIN_MAX_LENGTH} or more`);
+  }
+  return { fallback, maxLength };
+}
+
+/**
+ * True when a row's description was generated rather than written.
+ */
+export function isSynthesizedDescription(row) {
+  return DESCRIPTION_SOURCES.includes(row.description_source);
+}
+
+function cleanText(el) {
+  return (el.textContent || "").replace(/\s+/g, " ").trim();
+}
+
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Shorten text to max characters: whole sentences when at least half the
+ * budget survives, else whole words plus "…".
+ */
+export function fitToLength(text, max) {
+  if (text.length <= max) return text;
+  const head = text.slice(0, max);
+  const sentenceEnd = Math.max(
+    head.lastIndexOf(". "),
+    head.lastIndexOf("! "),
+    head.lastIndexOf("? ")
+  );
+  if (sentenceEnd >= max / 2) return head.slice(0, sentenceEnd + 1);
+  const wordEnd = text.slice(0, max).lastIndexOf(" ");
+  const cut = wordEnd > 0 ? text.slice(0, wordEnd) : text.slice(0, max - 1);
+  return `${cut.replace(/[\s,;:.–—-]+$/, "")}…`;
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?。！？])\s+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Body copy, not bylines / captions / "Read more" links
+function isMeaningful(text) {
+  return text.length >= 50 && countWords(text) >= 8;
+}
+
+function fromParagraph(main, maxLength) {
+  const paragraph = Array.from(main.querySelectorAll("p"))
+    .map(cleanText)
+    .find(isMeaningful);
+  return paragraph ? fitToLength(paragraph, maxLength) : "";
+}
+
+/**
+ * Extractive summary: sentences scored by how often their words occur in
+ * the whole text (words under 4 letters, mostly stop words, don't count),
+ * with a bonus for the opening sentence; the best that fit maxLength are
+ * kept in page order.
+ */
+function fromSummary(main, maxLength) {
+  const sentences = Array.from(main.querySelectorAll("p, li"))
+    .map(cleanText)
+    .filter(isMeaningful)
+    .flatMap(splitSentences)
+    .filter((s) => countWords(s) >= 5);
+  if (!sentences.length) return "";
+
+  const wordsOf = (s) =>
+    (s.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+      (w) => w.length >= 4
+    );
+  const frequency = new Map();
+  sentences.forEach((s) =>
+    wordsOf(s).forEach((w) => frequency.set(w, (frequency.get(w) || 0) + 1))
+  );
+
+  const ranked = sentences
+    .map((text, index) => {
+      const words = wordsOf(text);
+      const total = words.reduce((sum, w) => sum + frequency.get(w), 0);
+      const score = words.length ? total / words.length : 0;
+      return { text, index, score: index === 0 ? score * 1.5 : score };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const picked = [];
+  let length = 0;
+  ranked.forEach((s) => {
+    const added = s.text.length + (picked.length ? 1 : 0);
+    if (length + added > maxLength) return;
+    picked.push(s);
+    length += added;
+  });
+  if (!picked.length) return fitToLength(ranked[0].text, maxLength);
+  return picked
+    .sort((a, b) => a.index - b.index)
+    .map((s) => s.text)
+    .join(" ");
+}
+
+function fromHeadings(title, main, maxLength) {
+  const subheadings = Array.from(main.querySelectorAll("h2, h3"))
+    .map(cleanText)
+    .filter((text) => text && text !== title);
+  if (!title || !subheadings.length) return "";
+
+  // Whole subheadings only, as many as fit
+  let text = `${title}: ${subheadings[0]}`;
+  for (const heading of subheadings.slice(1)) {
+    if (text.length + heading.length + 2 > maxLength) break;
+    text += `, ${heading}`;
+  }
+  return fitToLength(text, maxLength);
+}
+
+/**
+ * A description for a page from its HTML, trying the configured source
+ * first and the others after it. Returns { text, source } or null.
+ */
+export function synthesizeDescription(
+  html,
+  env,
+  descriptions = DEFAULT_DESCRIPTIONS
+) {
+  if (descriptions.fallback === "off") return null;
+  const doc = env.parseHtml(html);
+  // The H1 is read before extractMainContent() strips the page chrome
+  const h1 = doc.querySelector("h1");
+  const title = h1 ? cleanText(h1) : "";
+  const main = extractMainContent(doc);
+  if (!main) return null;
+
+  const builders = {
+    paragraph: () => fromParagraph(main, descriptions.maxLength),
+    summary: () => fromSummary(main, descriptions.maxLength),
+    headings: () => fromHeadings(title, main, descriptions.maxLength),
+  };
+  const order = [
+    descriptions.fallback,
+    ...DESCRIPTION_SOURCES.filter((s) => s !== descriptions.fallback),
+  ];
+  for (const source of order) {
+    const text = builders[source]();
+    if (text) return { text, source };
+  }
+  return null;
+}
@@ -0,0 +1,321 @@
+// ===========================
+// Optional LLM enrichment: suggested descriptions + sections per page
+// ===========================
+//
+// Runs between the scrape and the llms.txt build (lib/pipeline.js). Pages
+// are sent in batches to an OpenAI-compatible chat endpoint (a local
+// llama.cpp / Ollama server, or the mock backend for tests); the model
+// answers with a concise factual description and a section for each.
+// Suggestions land on the rows as
+//
+//   llm_description, llm_section, llm_status: "suggested"
+//
+// and only reach llms.txt once an editor sets llm_status to "accepted"
+// (see buildLlmsTextFromMetadata()). An enrich config (config file
+// "enrich" section, CLI flags):
+//
+//   {
+//     endpoint: "http://127.0.0.1:11434/v1",  ← "" = off, "mock" = canned
+//     model: "llama3.1",                         answers (tests)
+//     apiKey: "",
+//     timeoutMs: 120000,
+//     batchSize: 5,               ← pages per request
+//     maxContentTokens: 1000,     ← page content sent per page
+//     tokenBudget: 100000,        ← per run, prompts + answers
+//     maxLength: 200,             ← description characters asked for
+//     systemPrompt, promptTemplate, pageTemplate   ← see below
+//   }
+//
+// The endpoint / model / key are used by the server's client
+// (server/llm-client.js); this module only builds prompts and reads
+// answers through a client: { model, complete({ system, prompt, pages })
+// → Promise<{ text, totalTokens }> }.
+
+import { isNoindex } from "./meta.js";
+import { countTokens } from "./tokens.js";
+
+// ---------- Prompt templates ----------
+//
+// {{name}} placeholders. promptTemplate: {{pages}} (the page blocks),
+// {{count}}, {{sections}}, {{maxLength}}. pageTemplate: {{id}}, {{url}},
+// {{title}}, {{description}}, {{content}}.
+
+export const DEFAULT_SYSTEM_PROMPT =
+  "You write llms.txt entries: short, factual descriptions of web pages " +
+  "for AI assistants. No marketing language, no calls to action.";
+
+export const DEFAULT_PROMPT_TEMPLATE = `For each of the {{count}} page(s) below, write one factual sentence (at most {{maxLength}} characters) saying what a reader finds on the page, and pick the section of the site it belongs in. Prefer one of these existing sections: {{sections}}.
+
+Answer with only a JSON array, one object per page:
+[{"id": 1, "description": "...", "section": "..."}]
+
+{{pages}}`;
+
+export const DEFAULT_PAGE_TEMPLATE = `### Page {{id}}
+URL: {{url}}
+Title: {{title}}
+Meta description: {{description}}
+Content:
+{{content}}`;
+
+export const DEFAULT_ENRICH = {
+  endpoint: "",
+  model: "",
+  apiKey: "",
+  timeoutMs: 120000,
+  batchSize: 5,
+  maxContentTokens: 1000,
+  tokenBudget: 100000,
+  maxLength: 200,
+  systemPrompt: DEFAULT_SYSTEM_PROMPT,
+  promptTemplate: DEFAULT_PROMPT_TEMPLATE,
+  pageTemplate: DEFAULT_PAGE_TEMPLATE,
+};
+
+export const LLM_STATUSES = ["suggested", "accepted", "rejected"];
+
+function positiveInt(value, fallback, label) {
+  const n = parseInt(value ?? fallback, 10);
+  if (isNaN(n) || n < 1) throw new Error(`${label} must be 1 or more`);
+  return n;
+}
+
+/**
+ * Validate an enrich config and fill in defaults. Throws an Error naming
+ * the offending setting.
+ */
+export function normalizeEnrich(raw) {
+  const input = raw && typeof raw === "object" ? raw : {};
+  const text = (key) => {
+    const value = input[key] ?? DEFAULT_ENRICH[key];
+    if (typeof value !== "string") throw new Error(`${key} must be a string`);
+    return value;
+  };
+
+  const count = (key) => positiveInt(input[key], DEFAULT_ENRICH[key], key);
+
+  const promptTemplate = text("promptTemplate");
+  if (!promptTemplate.includes("{{pages}}")) {
+    throw new Error("promptTemplate must contain {{pages}}");
+  }
+  return {
+    endpoint: text("endpoint").trim(),
+    model: text("model").trim(),
+    apiKey: text("apiKey"),
+    timeoutMs: count("timeoutMs"),
+    batchSize: count("batchSize"),
+    maxContentTokens: count("maxContentTokens"),
+    tokenBudget: count("tokenBudget"),
+    maxLength: count("maxLength"),
+    systemPrompt: text("systemPrompt"),
+    promptTemplate,
+    pageTemplate: text("pageTemplate"),
+  };
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    name in values ? String(values[name]) : match
+  );
+}
+
+// cyrb53: small, fast, well-distributed string hash (cache keys only)
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Read the model's answer: a JSON array (possibly wrapped in prose or a
+ * ``` fence, or under a "pages" key) of { id, description, section }.
+ * Returns Map id → { description, section }.
+ */
+export function parseEnrichReply(reply) {
+  const answers = new Map();
+  const text = reply || "";
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf("]"), text.lastIndexOf("}"));
+  if (start < 0 || end < start) return answers;
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return answers;
+  }
+  // Both end up in llms.txt: one line each, or a page could get the model
+  // to write headings and links of its choosing
+  const oneLine = (value) =>
+    String(value || "")
+      .replace(/\s+/g, " ")
+      .trim();
+  const items = Array.isArray(data) ? data : data.pages || [data];
+  (Array.isArray(items) ? items : []).forEach((item) => {
+    if (!item || typeof item !== "object") return;
+    const description = oneLine(item.description);
+    if (!description) return;
+    answers.set(Number(item.id), {
+      description,
+      section: oneLine(item.section),
+    });
+  });
+  return answers;
+}
+
+/**
+ * Add LLM suggestions to the rows worth listing (scraped, titled, not
+ * noindex).
+ *
+ * options:
+ *   client      – see above (not needed for a dry run)
+ *   enrich      – normalized enrich config
+ *   content     – Map url → page Markdown (missing: title + description
+ *                 only)
+ *   sections    – existing section names, offered to the model
+ *   cache       – Map key → { description, section }, updated in place;
+ *                 the key covers the model, templates and page inputs
+ *   dryRun      – build the prompts and count tokens, send nothing
+ *   onStatus(text, isError)
+ *
+ * Returns { rows, stats }: copies of the rows, and { dryRun, pages,
+ * requests, cached, suggested, failed, tokens, budgetReached, error,
+ * samplePrompt } (samplePrompt: the first prompt, dry runs only).
+ */
+export async function enrichRows(metadataRows, options) {
+  const {
+    client = null,
+    enrich = DEFAULT_ENRICH,
+    content = new Map(),
+    sections = [],
+    cache = new Map(),
+    dryRun = false,
+    onStatus = () => {},
+  } = options;
+
+  const rows = metadataRows.map((row) => ({ ...row }));
+  const stats = {
+    dryRun,
+    pages: 0,
+    requests: 0,
+    cached: 0,
+    suggested: 0,
+    failed: 0,
+    tokens: 0,
+    budgetReached: false,
+    error: "",
+    samplePrompt: "",
+  };
+  const suggest = (row, answer) => {
+    row.llm_description = answer.description;
+    row.llm_section = answer.section;
+    row.llm_status = "suggested";
+    stats.suggested++;
+  };
+
+  const maxContentChars = enrich.maxContentTokens * 4;
+  const pending = [];
+  rows.forEach((row) => {
+    if (row.skip_reason || isNoindex(row) || !row.meta_title) return;
+    if (row.http_status >= 400) return;
+    stats.pages++;
+
+    const values = {
+      url: row.url,
+      title: row.meta_title.trim(),
+      description: (row.meta_description || "").trim() || "(none)",
+      content: (content.get(row.url) || "").slice(0, maxContentChars).trim(),
+    };
+    const key = hashString(
+      JSON.stringify([
+        (client && client.model) || "",
+        enrich.systemPrompt,
+        enrich.promptTemplate,
+        enrich.pageTemplate,
+        enrich.maxLength,
+        values,
+      ])
+    );
+    if (!dryRun && cache.has(key)) {
+      suggest(row, cache.get(key));
+      stats.cached++;
+      return;
+    }
+    pending.push({ row, values, key });
+  });
+
+  const sectionList = sections.length ? sections.join(", ") : "(none yet)";
+  for (let i = 0; i < pending.length; i += enrich.batchSize) {
+    const batch = pending.slice(i, i + enrich.batchSize);
+    const prompt = fillTemplate(enrich.promptTemplate, {
+      count: batch.length,
+      sections: sectionList,
+      maxLength: enrich.maxLength,
+      pages: batch
+        .map((page, j) =>
+          fillTemplate(enrich.pageTemplate, { ...page.values, id: j + 1 })
+        )
+        .join("\n\n"),
+    });
+    // Prompt plus room for the answers (English prose: ~4 characters per
+    // token, and ~30 for an answer's JSON around the description)
+    const estimate =
+      countTokens(`${enrich.systemPrompt}\n${prompt}`) +
+      batch.length * (Math.ceil(enrich.maxLength / 4) + 30);
+    if (stats.tokens + estimate > enrich.tokenBudget) {
+      stats.budgetReached = true;
+      break;
+    }
+    stats.requests++;
+    if (dryRun) {
+      stats.tokens += estimate;
+      if (!stats.samplePrompt) stats.samplePrompt = prompt;
+      continue;
+    }
+
+    onStatus(
+      `Asking the LLM about pages ${i + 1}–${i + batch.length} of ` +
+        `${pending.length}...`,
+      false
+    );
+    let reply;
+    try {
+      reply = await client.complete({
+        system: enrich.systemPrompt,
+        prompt,
+        pages: batch.map((page, j) => ({ ...page.values, id: j + 1 })),
+      });
+    } catch (e) {
+      stats.tokens += estimate;
+      stats.failed += batch.length;
+      stats.error = stats.error || e.message;
+      continue;
+    }
+    stats.tokens += reply.totalTokens || estimate;
+
+    const answers = parseEnrichReply(reply.text);
+    batch.forEach((page, j) => {
+      const answer = answers.get(j + 1);
+      if (!answer) {
+        stats.failed++;
+        return;
+      }
+      cache.set(page.key, answer);
+      suggest(page.row, answer);
+    });
+    if (!answers.size) {
+      stats.error = stats.error || "The LLM's answer had no usable JSON";
+    }
+  }
+
+  return { rows, stats };
+}
@@ -0,0 +1,426 @@
+// ===========================
+// Export formats: llms.txt, metadata CSV, JSON, JSONL, Markdown sitemap,
+// XLSX
+// ===========================
+//
+// An exporter turns a crawl's results into one downloadable file:
+//
+//   {
+//     format: "json",             ← name used in URLs / CLI flags
+//     label: "JSON",
+//     fileName: "llms.json",
+//     contentType: "application/json",
+//     build(data) → string | Uint8Array
+//   }
+//
+// The built-in ones are registered below; registerExporter() adds more.
+// The web UI builds them locally from its table, the server at
+// GET /api/jobs/:id/export/:format, the CLI with --export. Export data:
+//
+//   rows         – metadata rows, editor edits applied (lib/curation.js)
+//   faqItems     – [{ question, answer }]
+//   site         – llms.txt header (siteName, summary, details,
+//                  optionalSections)
+//   grouping     – normalized grouping config (lib/grouping.js)
+//   locales      – normalized locales config (lib/locales.js)
+//   budget       – llms.txt token budget (lib/budget.js), or null
+//   columns      – CSV / XLSX columns (csvColumnsWith())
+//   pageMarkdown – { [url]: markdown } when the crawl kept page content
+//                  (JSONL "content"), else null
+
+import { CSV_COLUMNS, buildMetadataCsv, formatCellValue } from "./csv.js";
+import { curatedTitle, sortByPosition } from "./curation.js";
+import { DEFAULT_GROUPING, orderGroupNames } from "./grouping.js";
+import {
+  ALTERNATES_SECTION,
+  OPTIONAL_SECTION,
+  buildLlmsSections,
+  formatMarkdownLink,
+  llmsSectionForRow,
+  llmsHeader,
+  selectLlmsRows,
+} from "./llms.js";
+import {
+  DEFAULT_LOCALES,
+  buildLocalizedLlmsTexts,
+  primaryLocale,
+} from "./locales.js";
+import { createStoredZip } from "./zip.js";
+
+const exporters = new Map(); // format → exporter
+
+/**
+ * Add an export format (replaces a registered one of the same name).
+ */
+export function registerExporter(exporter) {
+  if (!/^[a-z0-9-]+$/.test((exporter && exporter.format) || "")) {
+    throw new Error("Exporters need a lowercase format name");
+  }
+  if (typeof exporter.build !== "function") {
+    throw new Error(`Exporter "${exporter.format}" has no build()`);
+  }
+  exporters.set(exporter.format, exporter);
+}
+
+/**
+ * The exporter for a format name, or null.
+ */
+export function getExporter(format) {
+  return exporters.get(format) || null;
+}
+
+/**
+ * Registered exporters, in registration order.
+ */
+export function listExporters() {
+  return Array.from(exporters.values());
+}
+
+/**
+ * Build one export: { fileName, contentType, content }. Missing data
+ * fields get their defaults. Throws on an unknown format.
+ */
+export function buildExport(format, data) {
+  const exporter = getExporter(format);
+  if (!exporter) throw new Error(`Unknown export format "${format}"`);
+  const input = {
+    rows: data.rows || [],
+    faqItems: data.faqItems || [],
+    site: data.site || {},
+    grouping: data.grouping || DEFAULT_GROUPING,
+    locales: data.locales || DEFAULT_LOCALES,
+    budget: data.budget || null,
+    columns: data.columns || CSV_COLUMNS,
+    pageMarkdown: data.pageMarkdown || null,
+  };
+  return {
+    fileName: exporter.fileName,
+    contentType: exporter.contentType,
+    content: exporter.build(input),
+  };
+}
+
+// ---------- Shared structure ----------
+
+// The site's sections as llms.txt lists them; other locales' pages get
+// their own sections unless locales are off (one file for the whole site)
+function siteSections(data) {
+  const { rows, site, grouping, locales } = data;
+  const localeOptions =
+    locales.mode === "off"
+      ? null
+      : { primary: primaryLocale(rows, locales), localeSections: true };
+  return buildLlmsSections(rows, site, grouping, localeOptions);
+}
+
+function siteHeader(data) {
+  const { siteName, summary, details } = llmsHeader(data.rows, data.site);
+  return { name: siteName, summary, details };
+}
+
+function faqList(faqItems) {
+  return faqItems
+    .map((item) => ({
+      question: (item.question || "").trim(),
+      answer: (item.answer || "").trim(),
+    }))
+    .filter((item) => item.question && item.answer);
+}
+
+// Page entries of the sections ("Other languages" links to llms.txt files)
+function pageEntries(sections) {
+  return sections
+    .filter((section) => section.name !== ALTERNATES_SECTION)
+    .flatMap((section) =>
+      section.entries.map((entry) => ({
+        ...entry,
+        optional: section.name === OPTIONAL_SECTION,
+      }))
+    );
+}
+
+// ---------- JSON / JSONL ----------
+
+function buildJson(data) {
+  const doc = {
+    site: siteHeader(data),
+    sections: siteSections(data),
+    faqs: faqList(data.faqItems),
+  };
+  return `${JSON.stringify(doc, null, 2)}\n`;
+}
+
+// One record per llms.txt page, for RAG ingestion: the page's Markdown
+// content comes along when the crawl kept it
+function buildJsonl(data) {
+  const pageMarkdown = data.pageMarkdown || {};
+  return pageEntries(siteSections(data))
+    .map((entry) => {
+      const record = {
+        url: entry.url,
+        title: entry.title,
+        description: entry.description,
+        section: entry.section,
+        locale: entry.locale || "",
+        optional: entry.optional,
+      };
+      const content = (pageMarkdown[entry.url] || "").trim();
+      if (content) record.content = content;
+      return `${JSON.stringify(record)}\n`;
+    })
+    .join("");
+}
+
+// ---------- Markdown sitemap ----------
+
+// Every page that was fetched and may be indexed, by section, titles only;
+// unlike llms.txt it doesn't need a description
+function buildMarkdownSitemap(data) {
+  const { rows, grouping, locales } = data;
+  const byLocale = locales.mode !== "off";
+  const primary = byLocale ? primaryLocale(rows, locales) : "";
+  const groups = new Map(); // section name → rows
+  selectLlmsRows(rows).forEach((row) => {
+    if (row.excluded || row.skip_reason || row.http_status >= 400) return;
+    const name = llmsSectionForRow(row, grouping, byLocale);
+    const locale = byLocale && row.locale !== primary ? row.locale || "" : "";
+    const key = locale ? `${name} (${locale})` : name;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  const lines = [`# ${llmsHeader(rows, data.site).siteName} sitemap`, ""];
+  const pageCount = Array.from(groups.values()).flat().length;
+  lines.push(`${pageCount} page(s)`);
+  orderGroupNames(Array.from(groups.keys()), grouping).forEach((name) => {
+    lines.push("", `## ${name}`, "");
+    sortByPosition(groups.get(name)).forEach((row) => {
+      const title = curatedTitle(row) || row.url;
+      lines.push(`- ${formatMarkdownLink(title, row.url)}`);
+    });
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+// ---------- XLSX ----------
+//
+// A minimal SpreadsheetML workbook: a "Pages" sheet with the CSV columns
+// and, when there are FAQs, a "FAQ" sheet. Text cells are inline strings,
+// so there is no shared string table.
+
+// Excel's limit for one cell
+const MAX_CELL_CHARS = 32767;
+
+const OOXML = "http://schemas.openxmlformats.org";
+const MAIN_NS = `${OOXML}/spreadsheetml/2006/main`;
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function xmlEscape(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// 0 → "A", 25 → "Z", 26 → "AA"
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetXml(table) {
+  const rowsXml = table.map((cells, r) => {
+    const cellsXml = cells.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      // Row 1 is the header row, bold (style 1)
+      const style = r === 0 ? ' s="1"' : "";
+      if (typeof value === "number" && Number.isFinite(value)) {
+        return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      }
+      const text = xmlEscape(formatCellValue(value).slice(0, MAX_CELL_CHARS));
+      return (
+        `<c r="${ref}"${style} t="inlineStr">` +
+        `<is><t xml:space="preserve">${text}</t></is></c>`
+      );
+    });
+    return `<row r="${r + 1}">${cellsXml.join("")}</row>`;
+  });
+  return (
+    XML_HEAD +
+    `<worksheet xmlns="${MAIN_NS}">` +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" state="frozen"/>' +
+    "</sheetView></sheetViews>" +
+    `<sheetData>${rowsXml.join("")}</sheetData></worksheet>`
+  );
+}
+
+const XLSX_STYLES =
+  XML_HEAD +
+  `<styleSheet xmlns="${MAIN_NS}">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="1"><fill><patternFill patternType="none"/></fill></fills>' +
+  '<borders count="1"><border/></borders>' +
+  '<cellStyleXfs count="1"><xf/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf/><xf fontId="1" applyFont="1"/></cellXfs>' +
+  "</styleSheet>";
+
+/**
+ * An .xlsx file from sheets: [{ name, table: [[cell]] }], first row the
+ * header. Cells are numbers or anything formatCellValue() takes.
+ */
+export function buildXlsx(sheets) {
+  const docRel = `${OOXML}/officeDocument/2006/relationships`;
+  const packageRels = `${OOXML}/package/2006/relationships`;
+
+  const contentTypes =
+    XML_HEAD +
+    `<Types xmlns="${OOXML}/package/2006/content-types">` +
+    '<Default Extension="rels" ' +
+    'ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/' +
+    'vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/' +
+    'vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheets
+      .map(
+        (_, i) =>
+          `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ` +
+          "ContentType=\"application/" +
+          'vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+      )
+      .join("") +
+    "</Types>";
+
+  const rootRels =
+    XML_HEAD +
+    `<Relationships xmlns="${packageRels}">` +
+    `<Relationship Id="rId1" Type="${docRel}/officeDocument" ` +
+    'Target="xl/workbook.xml"/></Relationships>';
+
+  const workbook =
+    XML_HEAD +
+    `<workbook xmlns="${MAIN_NS}" ` +
+    `xmlns:r="${docRel}"><sheets>` +
+    sheets
+      .map(
+        (sheet, i) =>
+          `<sheet name="${xmlEscape(sheet.name)}" sheetId="${i + 1}" ` +
+          `r:id="rId${i + 1}"/>`
+      )
+      .join("") +
+    "</sheets></workbook>";
+
+  const workbookRels =
+    XML_HEAD +
+    `<Relationships xmlns="${packageRels}">` +
+    sheets
+      .map(
+        (_, i) =>
+          `<Relationship Id="rId${i + 1}" Type="${docRel}/worksheet" ` +
+          `Target="worksheets/sheet${i + 1}.xml"/>`
+      )
+      .join("") +
+    `<Relationship Id="rId${sheets.length + 1}" ` +
+    `Type="${docRel}/styles" Target="styles.xml"/>` +
+    "</Relationships>";
+
+  return createStoredZip([
+    { path: "[Content_Types].xml", content: contentTypes },
+    { path: "_rels/.rels", content: rootRels },
+    { path: "xl/workbook.xml", content: workbook },
+    { path: "xl/_rels/workbook.xml.rels", content: workbookRels },
+    { path: "xl/styles.xml", content: XLSX_STYLES },
+    ...sheets.map((sheet, i) => ({
+      path: `xl/worksheets/sheet${i + 1}.xml`,
+      content: sheetXml(sheet.table),
+    })),
+  ]);
+}
+
+function buildPagesXlsx(data) {
+  const { rows, columns } = data;
+  const sheets = [
+    {
+      name: "Pages",
+      table: [columns, ...rows.map((row) => columns.map((key) => row[key]))],
+    },
+  ];
+  const faqs = faqList(data.faqItems);
+  if (faqs.length) {
+    sheets.push({
+      name: "FAQ",
+      table: [
+        ["question", "answer"],
+        ...faqs.map((item) => [item.question, item.answer]),
+      ],
+    });
+  }
+  return buildXlsx(sheets);
+}
+
+// ---------- Built-in formats ----------
+
+registerExporter({
+  format: "llms",
+  label: "llms.txt",
+  fileName: "llms.txt",
+  contentType: "text/plain; charset=utf-8",
+  build: (data) =>
+    buildLocalizedLlmsTexts(
+      data.rows,
+      data.faqItems,
+      data.site,
+      data.grouping,
+      data.locales,
+      data.budget
+    )[0].text,
+});
+
+registerExporter({
+  format: "csv",
+  label: "Metadata CSV",
+  fileName: "meta.csv",
+  contentType: "text/csv; charset=utf-8",
+  build: (data) => buildMetadataCsv(data.rows, data.columns),
+});
+
+registerExporter({
+  format: "json",
+  label: "JSON",
+  fileName: "llms.json",
+  contentType: "application/json; charset=utf-8",
+  build: buildJson,
+});
+
+registerExporter({
+  format: "jsonl",
+  label: "JSONL (pages)",
+  fileName: "pages.jsonl",
+  contentType: "application/x-ndjson; charset=utf-8",
+  build: buildJsonl,
+});
+
+registerExporter({
+  format: "sitemap",
+  label: "Markdown sitemap",
+  fileName: "sitemap.md",
+  contentType: "text/markdown; charset=utf-8",
+  build: buildMarkdownSitemap,
+});
+
+registerExporter({
+  format: "xlsx",
+  label: "Excel (XLSX)",
+  fileName: "meta.xlsx",
+  contentType:
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  build: buildPagesXlsx,
+});
@@ -0,0 +1,529 @@
+// ===========================
+// FAQ extraction (schema.org, accordions, headings) + llms.txt FAQ section
+// ===========================
+//
+// A page's FAQs come from every strategy that finds any, merged in this
+// order and deduped by question (the first answer found wins):
+//
+//   microdata   schema.org FAQPage / QAPage questions and HowTo steps,
+//               whichever way the type is written (https://, http://,
+//               schema.org/FAQPage)
+//   jsonld      the same types in JSON-LD
+//   accordions  <details><summary> and <dl><dt><dd> blocks whose summary /
+//               term reads like a question
+//   headings    h2–h4 that read like a question, with what follows them
+//
+// Answers are converted to Markdown (lib/markdown.js), so lists, links and
+// emphasis survive. Items: { question, answer }.
+
+import { htmlToMarkdown } from "./markdown.js";
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+export const FAQ_STRATEGIES = ["microdata", "jsonld", "accordions", "headings"];
+
+// For detecting FAQs on every crawled page: a question-like heading is
+// too common outside FAQs to count there
+export const FAQ_DETECT_STRATEGIES = ["microdata", "jsonld", "accordions"];
+
+// Never part of an answer
+const SKIP_TAGS = new Set(["script", "style", "noscript", "template"]);
+
+function tagOf(node) {
+  return node.nodeType === ELEMENT_NODE && node.tagName
+    ? node.tagName.toLowerCase()
+    : "";
+}
+
+function cleanText(el) {
+  return (el ? el.textContent || "" : "").replace(/\s+/g, " ").trim();
+}
+
+function looksLikeQuestion(text) {
+  const t = (text || "").trim().toLowerCase();
+  if (!t) return false;
+  if (t.includes("?")) return true;
+  const starts = [
+    "what",
+    "how",
+    "why",
+    "when",
+    "where",
+    "who",
+    "does",
+    "do",
+    "can",
+    "is",
+    "are",
+    "should",
+    "will",
+    "could",
+  ];
+  return starts.some((p) => t.startsWith(p + " "));
+}
+
+/**
+ * Markdown of some nodes, copied into a wrapper element of doc.
+ */
+function nodesToMarkdown(doc, nodes, baseUrl) {
+  const wrapper = doc.createElement("div");
+  nodes
+    .filter((node) => !SKIP_TAGS.has(tagOf(node)))
+    .forEach((node) => wrapper.appendChild(node.cloneNode(true)));
+  return htmlToMarkdown(wrapper, baseUrl);
+}
+
+/**
+ * Answer text from structured data, which may hold HTML, as Markdown.
+ * doc is a parsed (inert) document, so nothing in the markup runs.
+ */
+function textToMarkdown(doc, text, baseUrl) {
+  const value = String(text || "").trim();
+  if (!/<[a-z/!]/i.test(value)) return value;
+  const wrapper = doc.createElement("div");
+  wrapper.innerHTML = value;
+  return htmlToMarkdown(wrapper, baseUrl);
+}
+
+// "https://schema.org/FAQPage", "http://schema.org/FAQPage",
+// "schema.org/FAQPage", "FAQPage" → "faqpage" (itemtype may list several)
+const SCHEMA_ORG_RE = /^(?:https?:\/\/)?(?:www\.)?schema\.org\//i;
+
+function schemaTypeNames(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => String(v || "").split(/\s+/))
+    .filter(Boolean)
+    .map((type) => type.replace(SCHEMA_ORG_RE, "").toLowerCase());
+}
+
+/**
+ * Numbered Markdown list of HowTo steps, after the optional intro.
+ */
+function formatHowTo(intro, steps) {
+  const list = steps
+    .map((step, i) => `${i + 1}. ${step.replace(/\n/g, "\n   ")}`)
+    .join("\n");
+  return intro ? `${intro}\n\n${list}` : list;
+}
+
+// ---------- schema.org microdata ----------
+
+// The item an itemprop element belongs to (its nearest enclosing scope)
+function ownerScope(el) {
+  const parent = el.parentElement;
+  return parent ? parent.closest("[itemscope], [itemtype]") : null;
+}
+
+/**
+ * A microdata item's own properties named name (not those of items nested
+ * in it).
+ */
+function itemProps(scope, name) {
+  return Array.from(scope.querySelectorAll(`[itemprop~="${name}"]`)).filter(
+    (el) => ownerScope(el) === scope
+  );
+}
+
+function hasItemType(el, name) {
+  return schemaTypeNames(el.getAttribute("itemtype")).includes(name);
+}
+
+function propText(scope, name) {
+  const el = itemProps(scope, name)[0];
+  if (!el) return "";
+  return el.getAttribute("content") || cleanText(el);
+}
+
+/**
+ * Extract FAQs from schema.org microdata: Question items (in a FAQPage,
+ * QAPage or on their own) with their accepted answer, else the first
+ * suggested one; HowTo items with their steps.
+ * Returns list of {question, answer}.
+ */
+export function extractFaqSchemaMicrodata(doc, baseUrl = "") {
+  const faqs = [];
+  const answerOf = (answerEl) => {
+    const textEl = itemProps(answerEl, "text")[0] || answerEl;
+    return htmlToMarkdown(textEl, baseUrl);
+  };
+
+  doc.querySelectorAll("[itemtype]").forEach((scope) => {
+    if (hasItemType(scope, "question")) {
+      const question = propText(scope, "name");
+      const answerEl =
+        itemProps(scope, "acceptedAnswer")[0] ||
+        itemProps(scope, "suggestedAnswer")[0];
+      const answer = answerEl ? answerOf(answerEl) : "";
+      if (question && answer) faqs.push({ question, answer });
+    } else if (hasItemType(scope, "howto")) {
+      const question = propText(scope, "name");
+      const steps = Array.from(scope.querySelectorAll("[itemtype]"))
+        .filter((el) => hasItemType(el, "howtostep"))
+        .map(answerOf)
+        .filter(Boolean);
+      const intro = propText(scope, "description");
+      if (question && steps.length) {
+        faqs.push({ question, answer: formatHowTo(intro, steps) });
+      }
+    }
+  });
+
+  return faqs;
+}
+
+// ---------- schema.org JSON-LD ----------
+
+function asList(value) {
+  return (Array.isArray(value) ? value : value ? [value] : []).filter(
+    (item) => item && (typeof item === "object" || typeof item === "string")
+  );
+}
+
+/**
+ * Helper to walk parsed JSON-LD object and collect Q/A pairs: Question
+ * nodes (FAQPage / QAPage mainEntity, @graph entries, ...) and HowTo
+ * nodes. toMarkdown(text) converts answer / step text.
+ */
+export function extractFaqsFromLdJsonObject(
+  obj,
+  toMarkdown = (text) => text.trim()
+) {
+  const faqs = [];
+
+  function nodeHasType(node, name) {
+    return schemaTypeNames(node["@type"] || node.type).includes(name);
+  }
+
+  // The accepted answer, else the best-voted suggested one
+  function pickAnswer(qObj) {
+    const accepted = asList(qObj.acceptedAnswer || qObj.acceptedAnswers);
+    if (accepted.length) return accepted[0];
+    const votes = (a) => Number(a.upvoteCount) || 0;
+    return (
+      asList(qObj.suggestedAnswer).sort((a, b) => votes(b) - votes(a))[0] ||
+      null
+    );
+  }
+
+  function handleQuestion(qObj) {
+    const qText = String(qObj.name || qObj.headline || "").trim();
+    const ansObj = pickAnswer(qObj);
+    if (!ansObj || typeof ansObj !== "object") return;
+    const aText = toMarkdown(String(ansObj.text || ansObj.description || ""));
+    if (qText && aText) {
+      faqs.push({ question: qText, answer: aText });
+    }
+  }
+
+  function handleHowTo(node) {
+    const question = String(node.name || node.headline || "").trim();
+    const steps = [];
+    const addStep = (step) => {
+      if (typeof step === "string") {
+        if (step.trim()) steps.push(toMarkdown(step));
+      } else if (nodeHasType(step, "howtosection")) {
+        asList(step.itemListElement || step.steps).forEach(addStep);
+      } else {
+        const text = step.text || step.name || step.description;
+        if (text) steps.push(toMarkdown(String(text)));
+      }
+    };
+    asList(node.step || node.steps).forEach(addStep);
+    const intro = toMarkdown(String(node.description || ""));
+    if (question && steps.length) {
+      faqs.push({ question, answer: formatHowTo(intro, steps) });
+    }
+  }
+
+  function walk(node) {
+    if (!node) return;
+
+    if (Array.isArray(node)) {
+      node.forEach((item) => walk(item));
+      return;
+    }
+
+    if (typeof node === "object") {
+      if (nodeHasType(node, "question")) {
+        handleQuestion(node);
+      } else if (nodeHasType(node, "howto")) {
+        handleHowTo(node);
+      } else {
+        Object.values(node).forEach((v) => walk(v));
+      }
+    }
+  }
+
+  walk(obj);
+  return faqs;
+}
+
+/**
+ * Extract FAQs based on schema.org JSON-LD.
+ * Returns list of {question, answer}.
+ */
+export function extractFaqSchemaLdJson(doc, baseUrl = "") {
+  const faqs = [];
+  const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+  const toMarkdown = (text) => textToMarkdown(doc, text, baseUrl);
+
+  scripts.forEach((script) => {
+    const raw = script.textContent || "";
+    if (!raw.trim()) return;
+
+    try {
+      faqs.push(...extractFaqsFromLdJsonObject(JSON.parse(raw), toMarkdown));
+    } catch (e) {
+      // ignore JSON parse errors
+    }
+  });
+
+  return faqs;
+}
+
+// ---------- Accordions + headings ----------
+
+/**
+ * Extract FAQs from accordions: <details> whose <summary> reads like a
+ * question, and <dt> terms that do, answered by the <dd>s after them.
+ */
+export function extractFaqAccordions(doc, baseUrl = "") {
+  const faqs = [];
+
+  doc.querySelectorAll("details").forEach((details) => {
+    const children = Array.from(details.childNodes);
+    const summary = children.find((node) => tagOf(node) === "summary");
+    const question = cleanText(summary);
+    if (!looksLikeQuestion(question)) return;
+    const answer = nodesToMarkdown(
+      doc,
+      children.filter((node) => node !== summary),
+      baseUrl
+    );
+    if (answer) faqs.push({ question, answer });
+  });
+
+  doc.querySelectorAll("dt").forEach((dt) => {
+    const question = cleanText(dt);
+    if (!looksLikeQuestion(question)) return;
+    const parts = [];
+    let node = dt.nextElementSibling;
+    for (; node && tagOf(node) !== "dt"; node = node.nextElementSibling) {
+      if (tagOf(node) === "dd") parts.push(...node.childNodes);
+    }
+    const answer = nodesToMarkdown(doc, parts, baseUrl);
+    if (answer) faqs.push({ question, answer });
+  });
+
+  return faqs;
+}
+
+/**
+ * Fallback extractor:
+ * - Treat <h2>, <h3>, <h4> as potential questions
+ * - Collect following siblings (DOM order) until next heading (h1–h4)
+ * - Convert them to Markdown
+ */
+export function extractFaqHeadings(doc, baseUrl = "") {
+  const faqs = [];
+  const headings = doc.querySelectorAll("h2, h3, h4");
+
+  headings.forEach((h) => {
+    const qText = cleanText(h);
+    if (!looksLikeQuestion(qText)) return;
+
+    const answerNodes = [];
+    let node = h.nextSibling;
+
+    while (node) {
+      // Stop at next heading
+      if (["h1", "h2", "h3", "h4"].includes(tagOf(node))) break;
+      if (node.nodeType === ELEMENT_NODE || node.nodeType === TEXT_NODE) {
+        answerNodes.push(node);
+      }
+      node = node.nextSibling;
+    }
+
+    const answer = nodesToMarkdown(doc, answerNodes, baseUrl);
+    if (answer) {
+      faqs.push({ question: qText, answer });
+    }
+  });
+
+  return faqs;
+}
+
+// ---------- Merging ----------
+
+/**
+ * Question key for deduping: case, spacing and trailing punctuation don't
+ * count.
+ */
+export function faqQuestionKey(question) {
+  return String(question || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/[\s?？.!:]+$/, "")
+    .toLowerCase();
+}
+
+/**
+ * Merge FAQ lists in order, keeping the first item for each question.
+ */
+export function mergeFaqItems(...lists) {
+  const byQuestion = new Map();
+  lists.flat().forEach((item) => {
+    const key = faqQuestionKey(item.question);
+    if (key && item.answer && !byQuestion.has(key)) {
+      byQuestion.set(key, item);
+    }
+  });
+  return Array.from(byQuestion.values());
+}
+
+/**
+ * FAQ items from an HTML string: the strategies' results merged (see the
+ * top of this file). baseUrl makes answer links absolute.
+ */
+export function extractFaqItemsFromHtml(
+  html,
+  env,
+  { baseUrl = "", strategies = FAQ_STRATEGIES } = {}
+) {
+  const doc = env.parseHtml(html);
+  const extractors = {
+    microdata: () => extractFaqSchemaMicrodata(doc, baseUrl),
+    jsonld: () => extractFaqSchemaLdJson(doc, baseUrl),
+    accordions: () => extractFaqAccordions(doc, baseUrl),
+    headings: () => extractFaqHeadings(doc, baseUrl),
+  };
+  return mergeFaqItems(...strategies.map((name) => extractors[name]()));
+}
+
+export const FAQ_SECTION_TITLE = "Frequently Asked Questions (FAQ)";
+
+const HEADING_LINE_RE = /^\s*#{1,6}(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+// "- user question:" / "- agent answer:" lines start the Q/A parts
+const FAQ_MARKER_RE = /^\s*-\s*(?:user question|agent answer):\s*$/i;
+// Thematic breaks (---, * * *, ___) and setext underlines (===)
+const RULE_LINE_RE = /^\s*(?:(?:-\s*){3,}|(?:\*\s*){3,}|(?:_\s*){3,}|=+\s*)$/;
+
+/**
+ * FAQ text made safe to embed in llms.txt: Markdown headings would start
+ * new sections there and rules (---) end the Q/A item, so headings become
+ * bold lines, rules / setext underlines blank lines, and other lines
+ * starting with "#" or looking like a Q/A marker are escaped.
+ */
+function faqBlockText(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => {
+      const heading = HEADING_LINE_RE.exec(line);
+      if (heading) return heading[1] ? `**${heading[1]}**` : "";
+      if (RULE_LINE_RE.test(line)) return "";
+      if (FAQ_MARKER_RE.test(line)) return `\\${line.trim()}`;
+      return line.replace(/^(\s*)#/, "$1\\#");
+    })
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// A question on one line, without heading marks
+function faqQuestionText(text) {
+  const line = text.replace(/\s+/g, " ").trim();
+  const heading = HEADING_LINE_RE.exec(line);
+  return faqBlockText(heading ? heading[1] || "" : line);
+}
+
+/**
+ * Append FAQ section to llms.txt output if faqItems exist.
+ * Format (an H2 so the file keeps a single H1, as llms.txt requires):
+ *
+ * ## Frequently Asked Questions (FAQ)
+ *
+ * - user question:
+ * ...
+ *
+ * - agent answer:
+ * ...
+ * ---
+ */
+export function appendFaqSection(lines, faqItems) {
+  if (!faqItems || !faqItems.length) return;
+
+  lines.push("");
+  lines.push(`## ${FAQ_SECTION_TITLE}`);
+  lines.push("");
+
+  faqItems.forEach((item) => {
+    const q = faqQuestionText(item.question || "");
+    const a = faqBlockText(item.answer || "");
+    if (!q || !a) return;
+
+    lines.push("- user question:");
+    lines.push(q);
+    lines.push("");
+    lines.push("- agent answer:");
+    lines.push(a);
+    lines.push("");
+    lines.push("---");
+    lines.push("");
+  });
+}
+
+/**
+ * Fetch and extract FAQs from user-provided FAQ page URLs (absolute or
+ * relative to origin), merged in the order given. fetchPage(url) resolves
+ * to { html } or { error } (lib/pipeline.js fetches like the crawl does:
+ * robots.txt and the per-host rate limit apply). Pages that can't be
+ * fetched are skipped. Progress is reported through onStatus(text,
+ * isError). Returns the extracted {question, answer} items.
+ */
+export async function fetchAndExtractFaqFromUrls(
+  rawFaqUrls,
+  origin,
+  fetchPage,
+  env,
+  onStatus = () => {}
+) {
+  const lists = [];
+  for (const rawFaqUrl of rawFaqUrls) {
+    let faqUrl;
+    try {
+      faqUrl = new URL(rawFaqUrl, origin);
+    } catch {
+      onStatus(`Invalid FAQ URL "${rawFaqUrl}". Skipping it.`, true);
+      continue;
+    }
+
+    onStatus(`Fetching FAQ page: ${faqUrl.href}`, false);
+
+    const { html, error } = await fetchPage(faqUrl.href);
+    if (!html) {
+      const reason = error ? `: ${error}` : "";
+      onStatus(`Could not fetch FAQ page ${faqUrl.href}${reason}.`, true);
+      continue;
+    }
+
+    const items = extractFaqItemsFromHtml(html, env, { baseUrl: faqUrl.href });
+    if (!items.length) {
+      onStatus(
+        `No FAQs detected on ${faqUrl.href} with current heuristics.`,
+        false
+      );
+    }
+    lists.push(items);
+  }
+
+  const merged = mergeFaqItems(...lists);
+  if (merged.length) {
+    onStatus(
+      `Found ${merged.length} FAQ item(s). They will be appended to llms.txt.`,
+      false
+    );
+  }
+  return merged;
+}
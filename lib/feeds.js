@@ -0,0 +1,106 @@
+// ===========================
+// RSS / Atom feeds (URL discovery when a site has no usable sitemap)
+// ===========================
+//
+// Same env contract as lib/sitemap.js:
+//   env.fetchText(url) → Promise<string|null>
+//   env.parseHtml(html) / env.parseXml(text) → Document
+
+// Where feeds usually live when a page doesn't advertise one
+export const COMMON_FEED_PATHS = [
+  "/feed",
+  "/feed.xml",
+  "/rss.xml",
+  "/atom.xml",
+  "/index.xml",
+];
+
+const FEED_TYPES = ["application/rss+xml", "application/atom+xml"];
+
+/**
+ * Feed URLs advertised by an HTML page:
+ * <link rel="alternate" type="application/rss+xml" href="...">
+ */
+export function extractFeedLinksFromDocument(doc, baseUrl) {
+  const feeds = [];
+  doc.querySelectorAll("link[rel~='alternate'][href]").forEach((link) => {
+    const type = (link.getAttribute("type") || "").toLowerCase().trim();
+    if (!FEED_TYPES.includes(type)) return;
+    try {
+      const href = new URL(link.getAttribute("href"), baseUrl).href;
+      if (!feeds.includes(href)) feeds.push(href);
+    } catch {
+      // ignore malformed hrefs
+    }
+  });
+  return feeds;
+}
+
+// RFC 822 (RSS) / RFC 3339 (Atom) dates → ISO 8601, like sitemap <lastmod>
+function isoDate(text) {
+  const time = Date.parse(text || "");
+  return isNaN(time) ? "" : new Date(time).toISOString();
+}
+
+function childText(parent, tag) {
+  const el = parent.getElementsByTagName(tag)[0];
+  return el && el.textContent ? el.textContent.trim() : "";
+}
+
+// Atom: the rel="alternate" (or rel-less) <link href>
+function atomLink(entry) {
+  const links = Array.from(entry.getElementsByTagName("link"));
+  const link = links.find((l) => {
+    const rel = l.getAttribute("rel");
+    return !rel || rel === "alternate";
+  });
+  return link ? (link.getAttribute("href") || "").trim() : "";
+}
+
+/**
+ * Item URLs of an RSS 2.0 or Atom feed, in feed order.
+ * Returns [{ url, lastmod, priority, sitemap }] like
+ * extractEntriesFromSitemap() (sitemap: the feed URL).
+ */
+export async function extractEntriesFromFeed(feedUrl, env) {
+  const text = await env.fetchText(feedUrl);
+  if (text === null) return [];
+  const doc = env.parseXml(text);
+  if (!doc) return [];
+
+  const entries = new Map();
+  const add = (href, date) => {
+    if (!href) return;
+    let url;
+    try {
+      url = new URL(href, feedUrl).href;
+    } catch {
+      return;
+    }
+    if (!entries.has(url)) {
+      entries.set(url, {
+        url,
+        lastmod: isoDate(date),
+        priority: "",
+        sitemap: feedUrl,
+      });
+    }
+  };
+
+  Array.from(doc.getElementsByTagName("item")).forEach((item) => {
+    // <guid> is only a URL when it's a permalink
+    const guid = childText(item, "guid");
+    add(
+      childText(item, "link") || (/^https?:\/\//i.test(guid) ? guid : ""),
+      childText(item, "pubDate") || childText(item, "dc:date")
+    );
+  });
+  Array.from(doc.getElementsByTagName("entry")).forEach((entry) => {
+    add(
+      atomLink(entry),
+      childText(entry, "updated") || childText(entry, "published")
+    );
+  });
+
+  return Array.from(entries.values());
+}
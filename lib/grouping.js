@@ -0,0 +1,294 @@
+// ===========================
+// Grouping helpers (URL → llms.txt section name)
+// ===========================
+
+/**
+ * Turn "post-category" → "Post Category"
+ */
+export function toTitleFromSlug(slug) {
+  if (!slug) return "";
+  return slug
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join(" ");
+}
+
+/**
+ * Determine group name based on URL path:
+ *
+ * - If path is "/" or single segment (e.g. "/about-us") → "Page"
+ * - If path has at least two segments:
+ *     domain/folder1/slug            → group = folder1
+ *     domain/folder1/folder2/slug    → group = folder2
+ *   i.e. always use the *last folder* before the slug.
+ */
+export function getGroupNameFromUrl(url) {
+  try {
+    const u = new URL(url);
+    let path = u.pathname || "/";
+
+    // Normalize: remove trailing slash except root "/"
+    if (path.length > 1 && path.endsWith("/")) {
+      path = path.slice(0, -1);
+    }
+
+    // Split into segments, ignoring empty ones
+    const segments = path.split("/").filter(Boolean);
+
+    // Root or single slug → "Page"
+    if (segments.length <= 1) {
+      return "Page";
+    }
+
+    // More than one segment: last folder is second-to-last segment
+    const folderSegment = segments[segments.length - 2];
+    const title = toTitleFromSlug(folderSegment);
+    return title || "Page";
+  } catch {
+    return "Page";
+  }
+}
+
+// ---------- Grouping rules ----------
+//
+// A grouping config (config file "grouping" section, UI rules editor):
+//
+//   {
+//     rules: [                       ← first match wins
+//       { type: "prefix", match: "/blog/", section: "Blog" },
+//       { type: "regex", match: "^/docs/([^/]+)/", section: "Docs: $1" },
+//                                    ($1…$9: captured slug, title-cased)
+//       { type: "schema", match: "Product", section: "Products" },
+//       { type: "breadcrumb", match: "Guides", section: "Guides" }
+//     ],
+//     strategy: "folder",            ← for rows no rule matched:
+//                                      folder | depth | breadcrumb | schema
+//     depth: 1,                      ← folder depth for "depth" / crumb
+//                                      level for "breadcrumb"
+//     order: ["Docs", "Blog"],       ← these sections first, in this order
+//     exclude: ["Tag"]               ← sections never emitted
+//   }
+//
+// Regex rules are limited to MAX_REGEX_LENGTH characters: each one runs
+// against every page's URL. As with URL filters (lib/url-filters.js), the
+// server only takes them from job requests when its operator allows it;
+// normalizeGrouping(raw, { allowRegex: false }) rejects them.
+
+export const GROUPING_RULE_TYPES = ["prefix", "regex", "schema", "breadcrumb"];
+export const GROUPING_STRATEGIES = ["folder", "depth", "breadcrumb", "schema"];
+
+export const DEFAULT_GROUPING = {
+  rules: [],
+  strategy: "folder",
+  depth: 1,
+  order: [],
+  exclude: [],
+};
+
+// Types too generic to name a section after
+const GENERIC_SCHEMA_TYPES = new Set([
+  "WebPage",
+  "WebSite",
+  "Organization",
+  "BreadcrumbList",
+  "ImageObject",
+  "Person",
+  "SiteNavigationElement",
+]);
+
+export const MAX_REGEX_LENGTH = 200;
+
+// Regex rule → its compiled RegExp. Kept aside, so normalized configs
+// stay plain JSON (they're stored with jobs and profiles).
+const compiledRules = new WeakMap();
+
+// The rule's RegExp, compiled on first use (rules that skipped
+// normalizeGrouping(), e.g. read back from JSON). Throws on bad or
+// overlong patterns.
+function ruleRegex(rule) {
+  let re = compiledRules.get(rule);
+  if (!re) {
+    if (rule.match.length > MAX_REGEX_LENGTH) {
+      throw new Error(`regexes are limited to ${MAX_REGEX_LENGTH} chars`);
+    }
+    re = new RegExp(rule.match);
+    compiledRules.set(rule, re);
+  }
+  return re;
+}
+
+const nameList = (value) =>
+  (Array.isArray(value) ? value : [])
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+
+/**
+ * Validate a grouping config and fill in defaults. Throws an Error naming
+ * the offending rule for unknown types, missing fields or bad regexes
+ * (or any regex, with allowRegex: false).
+ */
+export function normalizeGrouping(raw, { allowRegex = true } = {}) {
+  const input = raw && typeof raw === "object" ? raw : {};
+  const rules = (Array.isArray(input.rules) ? input.rules : []).map(
+    (rule, i) => {
+      const type = String((rule && rule.type) || "").trim();
+      const match = String((rule && rule.match) || "").trim();
+      const section = String((rule && rule.section) || "").trim();
+      if (!GROUPING_RULE_TYPES.includes(type)) {
+        throw new Error(`Grouping rule ${i + 1}: unknown type "${type}"`);
+      }
+      if (!match || !section) {
+        throw new Error(`Grouping rule ${i + 1}: needs a match and a section`);
+      }
+      const normalized = { type, match, section };
+      if (type === "regex") {
+        if (!allowRegex) {
+          throw new Error(
+            `Grouping rule ${i + 1}: regular expressions are turned off`
+          );
+        }
+        try {
+          ruleRegex(normalized);
+        } catch (e) {
+          throw new Error(`Grouping rule ${i + 1}: ${e.message}`);
+        }
+      }
+      return normalized;
+    }
+  );
+
+  const strategy = input.strategy || DEFAULT_GROUPING.strategy;
+  if (!GROUPING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown grouping strategy "${strategy}"`);
+  }
+  const depth = parseInt(input.depth ?? DEFAULT_GROUPING.depth, 10);
+  if (isNaN(depth) || depth < 1) {
+    throw new Error("Grouping depth must be 1 or more");
+  }
+
+  return {
+    rules,
+    strategy,
+    depth,
+    order: nameList(input.order),
+    exclude: nameList(input.exclude),
+  };
+}
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname || "/";
+  } catch {
+    return "/";
+  }
+}
+
+function ruleSection(rule, row, path) {
+  switch (rule.type) {
+    case "prefix":
+      return path.startsWith(rule.match) ? rule.section : null;
+    case "regex": {
+      const match = ruleRegex(rule).exec(path);
+      if (!match) return null;
+      return rule.section.replace(/\$(\d)/g, (_, n) =>
+        toTitleFromSlug(match[Number(n)] || "")
+      );
+    }
+    case "schema":
+      return (row.schema_types || []).includes(rule.match)
+        ? rule.section
+        : null;
+    case "breadcrumb": {
+      const wanted = rule.match.toLowerCase();
+      const crumbs = (row.breadcrumb || []).map((c) => c.toLowerCase());
+      return crumbs.includes(wanted) ? rule.section : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function strategySection(grouping, row) {
+  switch (grouping.strategy) {
+    case "depth": {
+      // Folder at the given depth: /blog/2024/05/post, depth 1 → "Blog"
+      const segments = pathOf(row.url).split("/").filter(Boolean);
+      if (segments.length <= grouping.depth) {
+        return getGroupNameFromUrl(row.url);
+      }
+      return toTitleFromSlug(segments[grouping.depth - 1]) || "Page";
+    }
+    case "breadcrumb": {
+      // Crumb at the given level (0 is usually "Home"); the last crumb is
+      // the page itself, so pages that shallow count as "Page"
+      const crumbs = row.breadcrumb || [];
+      if (crumbs.length > grouping.depth + 1) return crumbs[grouping.depth];
+      return crumbs.length ? "Page" : getGroupNameFromUrl(row.url);
+    }
+    case "schema": {
+      const type = (row.schema_types || []).find(
+        (t) => !GENERIC_SCHEMA_TYPES.has(t)
+      );
+      return type || getGroupNameFromUrl(row.url);
+    }
+    default:
+      return getGroupNameFromUrl(row.url);
+  }
+}
+
+/**
+ * Section name for a metadata row under a (normalized) grouping config.
+ */
+export function getGroupNameForRow(row, grouping = DEFAULT_GROUPING) {
+  const path = pathOf(row.url);
+  for (const rule of grouping.rules) {
+    const section = ruleSection(rule, row, path);
+    if (section) return section;
+  }
+  return strategySection(grouping, row);
+}
+
+/**
+ * Order section names: grouping.order first (as listed), then "Page", then
+ * the rest in their original order.
+ */
+export function orderGroupNames(names, grouping = DEFAULT_GROUPING) {
+  const pinned = grouping.order.filter((name) => names.includes(name));
+  const rest = names.filter((name) => !pinned.includes(name));
+  if (rest.includes("Page")) {
+    rest.splice(rest.indexOf("Page"), 1);
+    rest.unshift("Page");
+  }
+  return [...pinned, ...rest];
+}
+
+// ---------- Rules editor text format ----------
+//
+// One rule per line: "<type> <match> => <Section>", e.g.
+//   prefix /blog/ => Blog
+//   regex ^/docs/([^/]+)/ => Docs: $1
+// Blank lines and lines starting with # are ignored.
+
+/**
+ * Parse rules editor text into rule objects. Throws on malformed lines.
+ */
+export function parseGroupingRulesText(text) {
+  const rules = [];
+  (text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    const match = /^(\w+)\s+(.+?)\s+=>\s+(.+)$/.exec(line);
+    if (!match) {
+      throw new Error(`Line ${i + 1}: expected "<type> <match> => <Section>"`);
+    }
+    rules.push({ type: match[1], match: match[2], section: match[3].trim() });
+  });
+  return rules;
+}
+
+export function formatGroupingRulesText(rules) {
+  return (rules || [])
+    .map((rule) => `${rule.type} ${rule.match} => ${rule.section}`)
+    .join("\n");
+}
@@ -0,0 +1,177 @@
+// ===========================
+// Fallback URL discovery: breadth-first link crawl
+// ===========================
+//
+// Used by lib/pipeline.js when a site has no usable sitemap. Follows <a href>
+// links from the start page, same origin only, through the same rate limiter
+// as the page scrape. Pages whose <link rel="canonical"> points elsewhere are
+// listed under their canonical URL, so duplicates collapse into one entry.
+
+import { fetchWithRetry, mapWithConcurrency } from "./crawler.js";
+import { extractFeedLinksFromDocument } from "./feeds.js";
+
+// Links to these are never pages
+const SKIP_EXTENSIONS = [
+  "pdf",
+  "jpe?g",
+  "png",
+  "gif",
+  "webp",
+  "avif",
+  "svg",
+  "ico",
+  "css",
+  "js",
+  "json",
+  "xml",
+  "txt",
+  "csv",
+  "zip",
+  "gz",
+  "rar",
+  "mp3",
+  "mp4",
+  "webm",
+  "mov",
+  "woff2?",
+  "ttf",
+  "eot",
+  "docx?",
+  "xlsx?",
+  "pptx?",
+];
+const SKIP_EXTENSIONS_RE = new RegExp(
+  `\\.(${SKIP_EXTENSIONS.join("|")})$`,
+  "i"
+);
+
+/**
+ * Absolute http(s) URL without #fragment, or null.
+ */
+function cleanUrl(href, baseUrl) {
+  let u;
+  try {
+    u = new URL(href, baseUrl);
+  } catch {
+    return null;
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+  u.hash = "";
+  return u.href;
+}
+
+function isHtmlResponse(resp) {
+  const type = (resp.headers["content-type"] || "").toLowerCase();
+  return !type || type.includes("html");
+}
+
+// <meta name="robots" content="nofollow"> (name is case-insensitive)
+function hasNofollow(doc) {
+  const robots = Array.from(doc.querySelectorAll("meta[name]")).find(
+    (el) => el.getAttribute("name").toLowerCase() === "robots"
+  );
+  return /(^|[\s,])(nofollow|none)([\s,]|$)/i.test(
+    (robots && robots.getAttribute("content")) || ""
+  );
+}
+
+/**
+ * Crawl links breadth-first from startUrl.
+ *
+ * options:
+ *   maxDepth    – link hops from the start page (default 3)
+ *   maxPages    – stop after this many pages are found (default 500)
+ *   concurrency – pages fetched in parallel (default 4)
+ *   limiter     – createHostRateLimiter() instance (required)
+ *   maxRetries  – retries for 429 / 503 responses (default 3)
+ *   isAllowed(url) → Promise<boolean>  (robots.txt; default: all allowed)
+ *   onProgress(found, depth)
+ *
+ * Returns { entries, pages, feedUrls }:
+ *   entries  – [{ url, lastmod, priority, sitemap, depth }] in crawl order,
+ *              shaped like extractEntriesFromSitemap() results
+ *   pages    – Map url → fetchResponse() result for entries whose URL was
+ *              fetched as-is, so the caller needn't fetch them again
+ *   feedUrls – RSS / Atom feeds the crawled pages advertise
+ */
+export async function crawlSiteLinks(startUrl, options, env) {
+  const {
+    maxDepth = 3,
+    maxPages = 500,
+    concurrency = 4,
+    limiter,
+    maxRetries = 3,
+    isAllowed = async () => true,
+    onProgress = () => {},
+  } = options;
+
+  const found = new Map(); // canonical url → entry
+  const pages = new Map();
+  const feedUrls = new Set();
+  const seen = new Set(); // queued or fetched URLs
+  let origin = new URL(startUrl).origin;
+
+  const visit = async (url, depth, next) => {
+    if (found.size >= maxPages || !(await isAllowed(url))) return;
+    const resp = await fetchWithRetry(url, env, limiter, { maxRetries });
+    if (!resp || !resp.ok || !isHtmlResponse(resp)) return;
+
+    // Follow the start page's redirect (http → https, bare → www)
+    const pageUrl = cleanUrl(resp.url || url, url) || url;
+    if (depth === 0) origin = new URL(pageUrl).origin;
+    if (new URL(pageUrl).origin !== origin) return;
+    seen.add(pageUrl);
+
+    const doc = env.parseHtml(resp.text);
+    const canonicalEl = doc.querySelector("link[rel~='canonical'][href]");
+    const canonical =
+      (canonicalEl && cleanUrl(canonicalEl.getAttribute("href"), pageUrl)) ||
+      pageUrl;
+    const entryUrl =
+      new URL(canonical).origin === origin ? canonical : pageUrl;
+
+    if (found.has(entryUrl) || found.size >= maxPages) return;
+    seen.add(entryUrl);
+    found.set(entryUrl, {
+      url: entryUrl,
+      lastmod: "",
+      priority: "",
+      sitemap: "",
+      depth,
+    });
+    if (entryUrl === pageUrl) pages.set(entryUrl, { ...resp, url: pageUrl });
+    onProgress(found.size, depth);
+
+    extractFeedLinksFromDocument(doc, pageUrl).forEach((feed) =>
+      feedUrls.add(feed)
+    );
+    if (depth >= maxDepth || hasNofollow(doc)) return;
+
+    doc.querySelectorAll("a[href]").forEach((a) => {
+      if (/\bnofollow\b/i.test(a.getAttribute("rel") || "")) return;
+      const link = cleanUrl(a.getAttribute("href"), pageUrl);
+      if (!link || seen.has(link)) return;
+      const u = new URL(link);
+      if (u.origin !== origin || SKIP_EXTENSIONS_RE.test(u.pathname)) return;
+      seen.add(link);
+      next.push(link);
+    });
+  };
+
+  let frontier = [cleanUrl(startUrl, startUrl)];
+  seen.add(frontier[0]);
+  for (let depth = 0; depth <= maxDepth && frontier.length; depth++) {
+    if (found.size >= maxPages) break;
+    const next = [];
+    await mapWithConcurrency(frontier, concurrency, (url) =>
+      visit(url, depth, next)
+    );
+    frontier = next;
+  }
+
+  return {
+    entries: Array.from(found.values()),
+    pages,
+    feedUrls: Array.from(feedUrls),
+  };
+}
@@ -0,0 +1,257 @@
+// ===========================
+// llms.txt compare mode: structured diff between two generations
+// ===========================
+//
+// Typically the live /llms.txt (old) against a fresh
+// buildLlmsTextFromMetadata() output (new). Both sides are parsed with
+// parseLlmsText(), so a hand-edited live file works too. Entries are matched
+// by URL and FAQ items by question.
+
+import { formatMarkdownLink, parseLlmsText } from "./llms.js";
+
+const HEADER_FIELDS = [
+  ["siteName", "Site name"],
+  ["summary", "Summary"],
+  ["details", "Details"],
+];
+
+function indexEntries(parsed) {
+  const byUrl = new Map(); // url -> { section, title, description }
+  parsed.sections.forEach((section) => {
+    section.entries.forEach((entry) => {
+      if (!byUrl.has(entry.url)) {
+        byUrl.set(entry.url, { ...entry, section: section.name });
+      }
+    });
+  });
+  return byUrl;
+}
+
+function faqKey(question) {
+  return question.replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Compare two llms.txt texts. Returns
+ *   { header:   [{ field, label, before, after }],
+ *     added:    [{ url, title, description, section }],
+ *     removed:  [{ url, title, description, section }],
+ *     changed:  [{ url, section, title?, description? }]  ({ before, after }),
+ *     moved:    [{ url, title, from, to }],
+ *     sections: { added: [name], removed: [name] },
+ *     faq:      { added: [{ question, answer }], removed: [...],
+ *                 changed: [{ question, before, after }] },
+ *     unparsed: { before: [{ line, text, section }], after: [...] },
+ *     counts:   { added, removed, changed, moved, faq, unparsed } }
+ * unparsed: link bullets either side that couldn't be read
+ * (parseLlmsText()); they aren't compared, so they are reported instead.
+ */
+export function diffLlmsTexts(oldText, newText) {
+  const before = parseLlmsText(oldText);
+  const after = parseLlmsText(newText);
+
+  const header = HEADER_FIELDS.filter(
+    ([field]) => before[field] !== after[field]
+  ).map(([field, label]) => ({
+    field,
+    label,
+    before: before[field],
+    after: after[field],
+  }));
+
+  const oldEntries = indexEntries(before);
+  const newEntries = indexEntries(after);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const moved = [];
+
+  newEntries.forEach((entry, url) => {
+    const old = oldEntries.get(url);
+    if (!old) {
+      added.push(entry);
+      return;
+    }
+    const change = { url, section: entry.section };
+    if (old.title !== entry.title) {
+      change.title = { before: old.title, after: entry.title };
+    }
+    if (old.description !== entry.description) {
+      change.description = {
+        before: old.description,
+        after: entry.description,
+      };
+    }
+    if (change.title || change.description) changed.push(change);
+    if (old.section !== entry.section) {
+      moved.push({
+        url,
+        title: entry.title,
+        from: old.section,
+        to: entry.section,
+      });
+    }
+  });
+  oldEntries.forEach((entry, url) => {
+    if (!newEntries.has(url)) removed.push(entry);
+  });
+
+  const oldSections = before.sections.map((section) => section.name);
+  const newSections = after.sections.map((section) => section.name);
+  const sections = {
+    added: newSections.filter((name) => !oldSections.includes(name)),
+    removed: oldSections.filter((name) => !newSections.includes(name)),
+  };
+
+  const oldFaq = new Map(before.faqItems.map((i) => [faqKey(i.question), i]));
+  const newFaq = new Map(after.faqItems.map((i) => [faqKey(i.question), i]));
+  const faq = { added: [], removed: [], changed: [] };
+  newFaq.forEach((item, key) => {
+    const old = oldFaq.get(key);
+    if (!old) {
+      faq.added.push(item);
+    } else if (old.answer !== item.answer) {
+      faq.changed.push({
+        question: item.question,
+        before: old.answer,
+        after: item.answer,
+      });
+    }
+  });
+  oldFaq.forEach((item, key) => {
+    if (!newFaq.has(key)) faq.removed.push(item);
+  });
+
+  return {
+    header,
+    added,
+    removed,
+    changed,
+    moved,
+    sections,
+    faq,
+    unparsed: { before: before.unparsed, after: after.unparsed },
+    counts: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      moved: moved.length,
+      faq: faq.added.length + faq.removed.length + faq.changed.length,
+      unparsed: before.unparsed.length + after.unparsed.length,
+    },
+  };
+}
+
+/**
+ * True when the diff has nothing to report.
+ */
+export function isEmptyLlmsDiff(diff) {
+  const { counts } = diff;
+  return (
+    !diff.header.length &&
+    !diff.sections.added.length &&
+    !diff.sections.removed.length &&
+    !counts.added &&
+    !counts.removed &&
+    !counts.changed &&
+    !counts.moved &&
+    !counts.faq &&
+    !counts.unparsed
+  );
+}
+
+// ---------- Export ----------
+
+const quote = (text) => `"${(text || "").replace(/\s+/g, " ").trim()}"`;
+
+/**
+ * Render a diff as Markdown, e.g. for a PR description.
+ */
+export function formatLlmsDiffMarkdown(diff) {
+  const { counts } = diff;
+  const lines = ["## llms.txt changes", ""];
+
+  if (isEmptyLlmsDiff(diff)) {
+    lines.push("No changes.");
+    return lines.join("\n") + "\n";
+  }
+
+  lines.push(
+    `**${counts.added} added, ${counts.removed} removed, ` +
+      `${counts.changed} changed, ${counts.moved} moved, ` +
+      `${counts.faq} FAQ change(s)**`
+  );
+  if (counts.unparsed) {
+    lines.push(
+      "",
+      `${counts.unparsed} link line(s) could not be read and were ` +
+        "not compared."
+    );
+  }
+
+  const block = (title, items, render) => {
+    if (!items.length) return;
+    lines.push("", `### ${title} (${items.length})`, "");
+    items.forEach((item) => lines.push(...[].concat(render(item))));
+  };
+
+  block(
+    "Header",
+    diff.header,
+    (h) => `- ${h.label}: ${quote(h.before)} → ${quote(h.after)}`
+  );
+  const entryLine = (e) =>
+    `- ${formatMarkdownLink(e.title, e.url)} — ${e.section}`;
+  block("Added", diff.added, entryLine);
+  block("Removed", diff.removed, entryLine);
+  block("Changed", diff.changed, (c) => {
+    const out = [`- ${c.url}`];
+    if (c.title) {
+      out.push(
+        `  - Title: ${quote(c.title.before)} → ${quote(c.title.after)}`
+      );
+    }
+    if (c.description) {
+      out.push(
+        `  - Description: ${quote(c.description.before)} → ` +
+          quote(c.description.after)
+      );
+    }
+    return out;
+  });
+  block(
+    "Moved",
+    diff.moved,
+    (m) => `- ${formatMarkdownLink(m.title, m.url)}: ${m.from} → ${m.to}`
+  );
+
+  const sectionChanges = [
+    ...diff.sections.added.map((name) => `- Added section: ${name}`),
+    ...diff.sections.removed.map((name) => `- Removed section: ${name}`),
+  ];
+  block("Sections", sectionChanges, (line) => line);
+
+  const faqChanges = [
+    ...diff.faq.added.map((i) => `- Added: ${quote(i.question)}`),
+    ...diff.faq.removed.map((i) => `- Removed: ${quote(i.question)}`),
+    ...diff.faq.changed.map((i) => `- Answer changed: ${quote(i.question)}`),
+  ];
+  block("FAQ", faqChanges, (line) => line);
+
+  const unparsedLine = (side) => (u) =>
+    `- ${side} file, line ${u.line} (${u.section}): ${quote(u.text)}`;
+  const unparsed = [
+    ...diff.unparsed.before.map(unparsedLine("Old")),
+    ...diff.unparsed.after.map(unparsedLine("New")),
+  ];
+  block("Unreadable links", unparsed, (line) => line);
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render a diff as pretty-printed JSON.
+ */
+export function formatLlmsDiffJson(diff) {
+  return JSON.stringify(diff, null, 2) + "\n";
+}
@@ -0,0 +1,143 @@
+// ===========================
+// llms-full.txt + per-page Markdown files
+// ===========================
+//
+// llms-full.txt is the companion of llms.txt that inlines the content of
+// every page (converted to Markdown by lib/markdown.js) instead of linking.
+// Editor edits (lib/curation.js) apply: curated titles and descriptions,
+// and `excluded` pages are left out.
+
+import { curatedDescription, curatedTitle } from "./curation.js";
+
+/**
+ * Build llms-full.txt from the scraped rows and their Markdown.
+ * pageMarkdown: { [url]: markdown }. Rows without Markdown are skipped.
+ */
+export function buildLlmsFullText(metadataRows, pageMarkdown, site = {}) {
+  const lines = [];
+
+  const siteName = (site.siteName || "").trim();
+  if (siteName) {
+    lines.push(`# ${siteName}`);
+    lines.push("");
+  }
+  const summary = (site.summary || "").trim();
+  if (summary) {
+    summary.split(/\r?\n/).forEach((l) => lines.push(`> ${l.trim()}`));
+    lines.push("");
+  }
+
+  for (const row of metadataRows) {
+    const markdown = ((pageMarkdown || {})[row.url] || "").trim();
+    if (!markdown || row.excluded) continue;
+
+    if (lines.length) {
+      lines.push("---");
+      lines.push("");
+    }
+
+    // Most pages open with their own H1; only add one when they don't
+    const title = curatedTitle(row) || row.url;
+    if (!/^#\s/.test(markdown)) {
+      lines.push(`# ${title}`);
+      lines.push("");
+    }
+    lines.push(`Source: ${row.url}`);
+    lines.push("");
+    lines.push(markdown);
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Relative .md path for a page URL:
+ *   /                 → index.md
+ *   /blog/post        → blog/post.md
+ *   /docs/            → docs/index.md
+ *   /about.html       → about.md
+ *   /search?q=a       → search-q-a.md
+ */
+export function markdownPathForUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return "page.md";
+  }
+
+  const clean = (s) =>
+    s
+      .replace(/[^a-zA-Z0-9._-]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 100);
+
+  let segments = u.pathname
+    .split("/")
+    .map((seg) => {
+      try {
+        return decodeURIComponent(seg);
+      } catch {
+        return seg;
+      }
+    })
+    .map(clean)
+    .filter((seg) => seg && seg !== "." && seg !== "..");
+
+  if (!segments.length || u.pathname.endsWith("/")) {
+    segments.push("index");
+  }
+
+  let last = segments.pop().replace(/\.(html?|php|aspx?|jsp)$/i, "");
+  if (u.search) {
+    last = `${last}-${clean(u.search.slice(1))}`;
+  }
+  segments.push(last || "index");
+
+  return `${segments.join("/")}.md`;
+}
+
+/**
+ * One page as a standalone Markdown file with a small front matter block.
+ */
+export function buildPageMarkdownFile(row, markdown) {
+  const front = [
+    "---",
+    `title: ${JSON.stringify(curatedTitle(row))}`,
+    `url: ${JSON.stringify(row.url)}`,
+  ];
+  const description = curatedDescription(row);
+  if (description) {
+    front.push(`description: ${JSON.stringify(description)}`);
+  }
+  front.push("---");
+
+  return `${front.join("\n")}\n\n${(markdown || "").trim()}\n`;
+}
+
+/**
+ * { path, content } for every row that has Markdown, with unique paths.
+ */
+export function buildPageMarkdownFiles(metadataRows, pageMarkdown) {
+  const used = new Set();
+  const files = [];
+
+  for (const row of metadataRows) {
+    const markdown = (pageMarkdown || {})[row.url];
+    if (!markdown || row.excluded) continue;
+
+    let filePath = markdownPathForUrl(row.url);
+    for (let n = 2; used.has(filePath); n++) {
+      filePath = markdownPathForUrl(row.url).replace(/\.md$/, `-${n}.md`);
+    }
+    used.add(filePath);
+
+    files.push({
+      path: filePath,
+      content: buildPageMarkdownFile(row, markdown),
+    });
+  }
+
+  return files;
+}
@@ -0,0 +1,570 @@
+// ===========================
+// llms.txt builder + validator (https://llmstxt.org)
+// ===========================
+//
+// Output layout:
+//
+//   # Site Name
+//
+//   > One-paragraph summary
+//
+//   Optional free-form details (paragraphs, no headings)
+//
+//   ## Group            ← one section per URL folder
+//   - [Title](url): description
+//
+//   ## Group (de)       ← per-locale sections (locales.localeSections)
+//
+//   ## Other languages  ← the other locales' llms.txt (locales.alternates)
+//
+//   ## Optional         ← secondary links an LLM may skip
+//   - [Title](url): description
+//
+//   ## Frequently Asked Questions (FAQ)   ← only when FAQs were extracted
+
+import { FAQ_SECTION_TITLE, appendFaqSection } from "./faq.js";
+import {
+  DEFAULT_GROUPING,
+  getGroupNameForRow,
+  orderGroupNames,
+} from "./grouping.js";
+import { isNoindex } from "./meta.js";
+import {
+  curatedDescription,
+  curatedTitle,
+  sortByPosition,
+} from "./curation.js";
+
+export const OPTIONAL_SECTION = "Optional";
+export const ALTERNATES_SECTION = "Other languages";
+
+// "de" → "Deutsch" (the language's own name), or the code itself
+function languageName(locale) {
+  try {
+    const name = new Intl.DisplayNames([locale], { type: "language" }).of(
+      locale
+    );
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : locale;
+  } catch {
+    return locale;
+  }
+}
+
+function siteNameFromRows(metadataRows) {
+  for (const row of metadataRows) {
+    try {
+      return new URL(row.url).hostname;
+    } catch {
+      // try the next row
+    }
+  }
+  return "Site";
+}
+
+/**
+ * "/de/blog/post" → "/blog/post" for a "de" row, so every locale's pages
+ * group into the same sections.
+ */
+function withoutLocalePrefix(url, locale) {
+  if (!locale) return url;
+  try {
+    const u = new URL(url);
+    const segments = u.pathname.split("/");
+    const first = (segments[1] || "").replace("_", "-").toLowerCase();
+    if (first !== locale.toLowerCase()) return url;
+    u.pathname = "/" + segments.slice(2).join("/");
+    return u.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Section of a row in llms.txt: the editor's (curated_section), else an
+ * accepted LLM suggestion's, else the grouping rules'. stripLocale: group
+ * "/de/blog/post" like "/blog/post" (per-locale output).
+ */
+export function llmsSectionForRow(
+  row,
+  grouping = DEFAULT_GROUPING,
+  stripLocale = false
+) {
+  const accepted = row.llm_status === "accepted" && row.llm_section;
+  const url = stripLocale ? withoutLocalePrefix(row.url, row.locale) : row.url;
+  return (
+    (row.curated_section || accepted || "").trim() ||
+    getGroupNameForRow({ ...row, url }, grouping)
+  );
+}
+
+/**
+ * The rows that belong in llms.txt: noindex pages are dropped, and pages
+ * sharing a canonical URL collapse into one entry linking to the canonical
+ * (using the canonical page's own row when it was crawled).
+ */
+export function selectLlmsRows(metadataRows) {
+  const byKey = new Map(); // canonical (or own) URL -> row
+  for (const row of metadataRows) {
+    if (isNoindex(row)) continue;
+    const url = (row.url || "").trim();
+    const key = (row.canonical_url || "").trim() || url;
+    const existing = byKey.get(key);
+    if (!existing || (existing.url !== key && url === key)) {
+      byKey.set(key, row);
+    }
+  }
+  return Array.from(byKey, ([key, row]) => ({ ...row, url: key }));
+}
+
+/**
+ * The link sections of llms.txt, as data: [{ name, entries: [{ url, title,
+ * description, section, locale? }] }] in output order ("Optional" last).
+ * An entry's section is the page's own one, also under "Optional" or a
+ * locale section ("Other languages" entries have none). Same arguments and
+ * rules as buildLlmsTextFromMetadata().
+ */
+export function buildLlmsSections(
+  metadataRows,
+  site = {},
+  grouping = DEFAULT_GROUPING,
+  locales = null
+) {
+  const optionalSections = new Set(
+    (site.optionalSections || []).map((name) => name.trim().toLowerCase())
+  );
+  const excluded = new Set(grouping.exclude.map((n) => n.toLowerCase()));
+  // locale ("" = primary) -> groupName -> array of { position, entry }
+  const groupsByLocale = new Map([["", new Map()]]);
+  const optionalItems = [];
+
+  for (const row of selectLlmsRows(metadataRows)) {
+    if (row.excluded) continue;
+    const url = (row.url || "").trim();
+    const title = curatedTitle(row);
+    const description = curatedDescription(row);
+    if (!url || !title || !description) continue;
+
+    const groupName = llmsSectionForRow(row, grouping, Boolean(locales));
+    if (excluded.has(groupName.toLowerCase())) continue;
+    const entry = { url, title, description, section: groupName };
+    if (row.locale) entry.locale = row.locale;
+    const item = { position: row.position, entry };
+
+    if (row.optional || optionalSections.has(groupName.toLowerCase())) {
+      optionalItems.push(item);
+      continue;
+    }
+
+    const locale =
+      locales && locales.localeSections && row.locale !== locales.primary
+        ? row.locale || ""
+        : "";
+    if (!groupsByLocale.has(locale)) groupsByLocale.set(locale, new Map());
+    const groups = groupsByLocale.get(locale);
+    if (!groups.has(groupName)) {
+      groups.set(groupName, []);
+    }
+    groups.get(groupName).push(item);
+  }
+
+  // Custom order first, then "Page", then others in insertion order; the
+  // primary locale's sections before the other locales'
+  const sections = [];
+  const sortedEntries = (items) =>
+    sortByPosition(items).map((item) => item.entry);
+  groupsByLocale.forEach((groups, locale) => {
+    orderGroupNames(Array.from(groups.keys()), grouping).forEach((name) => {
+      sections.push({
+        name: locale ? `${name} (${locale})` : name,
+        entries: sortedEntries(groups.get(name)),
+      });
+    });
+  });
+
+  const alternates = (locales && locales.alternates) || [];
+  if (alternates.length) {
+    sections.push({
+      name: ALTERNATES_SECTION,
+      entries: alternates.map((alt) => ({
+        url: alt.url,
+        title: languageName(alt.locale),
+        description: `llms.txt for the ${alt.locale} version of this site`,
+      })),
+    });
+  }
+
+  // "## Optional" always comes last
+  if (optionalItems.length) {
+    sections.push({
+      name: OPTIONAL_SECTION,
+      entries: sortedEntries(optionalItems),
+    });
+  }
+  return sections;
+}
+
+/**
+ * The llms.txt header: { siteName, summary, details }. siteName falls back
+ * to the first row's hostname.
+ */
+export function llmsHeader(metadataRows, site = {}) {
+  const siteName =
+    (site.siteName || "").trim() || siteNameFromRows(metadataRows);
+  return {
+    siteName: siteName.replace(/\s+/g, " "),
+    summary: (site.summary || "").trim(),
+    details: (site.details || "").trim(),
+  };
+}
+
+// Whitespace runs (newlines included) as one space: an entry must stay on
+// its bullet line, or a "## " in a page's text would start a section
+const oneLine = (text) => String(text ?? "").replace(/\s+/g, " ").trim();
+
+// Markdown link text: on one line, backslashes and brackets escaped
+const escapeLinkTitle = (title) =>
+  oneLine(title).replace(/[\\[\]]/g, "\\$&");
+
+// Link destination: parentheses and whitespace percent-encoded, so the
+// URL can't end the link early
+const escapeLinkUrl = (url) =>
+  String(url)
+    .replace(/\s/g, (ch) => encodeURIComponent(ch))
+    .replace(/\(/g, "%28")
+    .replace(/\)/g, "%29");
+
+/**
+ * A Markdown link, "[title](url)", escaped so any title and URL survive
+ * the round trip through parseLlmsText().
+ */
+export function formatMarkdownLink(title, url) {
+  return `[${escapeLinkTitle(title)}](${escapeLinkUrl(url)})`;
+}
+
+/**
+ * An llms.txt link bullet: "- [title](url): description", all on one line.
+ */
+export function formatLlmsEntry({ url, title, description }) {
+  return `- ${formatMarkdownLink(title, url)}: ${oneLine(description)}`;
+}
+
+/**
+ * llms.txt text from a header (llmsHeader()), sections
+ * (buildLlmsSections()) and FAQ items.
+ */
+export function formatLlmsText(header, sections, faqItems = []) {
+  const lines = [];
+
+  // Header: H1, blockquote summary, details
+  lines.push(`# ${header.siteName}`);
+  lines.push("");
+
+  if (header.summary) {
+    header.summary
+      .split(/\r?\n/)
+      .forEach((l) => lines.push(`> ${l.trim()}`.trimEnd()));
+    lines.push("");
+  }
+
+  if (header.details) {
+    lines.push(header.details);
+    lines.push("");
+  }
+
+  if (sections.length === 0) {
+    lines.push("## Page");
+    lines.push("");
+    lines.push("// No complete rows (URL + title + description) found.");
+  } else {
+    sections.forEach(({ name, entries }, index) => {
+      lines.push(`## ${name}`);
+      lines.push("");
+      entries.forEach((entry) => lines.push(formatLlmsEntry(entry)));
+      if (index < sections.length - 1) {
+        lines.push(""); // blank line between groups
+        lines.push("");
+      }
+    });
+  }
+
+  // Append FAQ section at the bottom (if any)
+  appendFaqSection(lines, faqItems);
+
+  return lines.join("\n");
+}
+
+/**
+ * Build llms.txt content grouped by URL pattern, then append FAQ section.
+ * Rows are filtered with selectLlmsRows(); rows missing a URL, title or
+ * description are skipped. Editor edits (lib/curation.js) win: curated
+ * titles / descriptions / sections, `excluded` rows left out, `position`
+ * ordering within a section. Rows whose LLM suggestion was accepted
+ * (llm_status "accepted", see lib/enrich.js) use llm_description and, when
+ * set, llm_section otherwise (llmsSectionForRow()).
+ *
+ * site:
+ *   siteName         – H1 (falls back to the first row's hostname)
+ *   summary          – blockquote under the H1
+ *   details          – free-form Markdown paragraphs before the sections
+ *   optionalSections – group names whose entries go under "## Optional"
+ *                      (rows with `optional: true` always do)
+ *
+ * grouping: section rules / order / exclusions, normalized with
+ * normalizeGrouping() (lib/grouping.js); default is the URL's last folder.
+ *
+ * locales (optional, see lib/locales.js):
+ *   primary        – the site's main locale
+ *   localeSections – rows of other locales (row.locale) get their own
+ *                    sections, "## Blog (de)", after the primary ones
+ *   alternates     – [{ locale, url }] llms.txt files of other locales,
+ *                    listed under "## Other languages"
+ */
+export function buildLlmsTextFromMetadata(
+  metadataRows,
+  faqItems = [],
+  site = {},
+  grouping = DEFAULT_GROUPING,
+  locales = null
+) {
+  return formatLlmsText(
+    llmsHeader(metadataRows, site),
+    buildLlmsSections(metadataRows, site, grouping, locales),
+    faqItems
+  );
+}
+
+// ---------- Validator ----------
+
+// "- [title](url): notes". The title may hold escaped characters (\[);
+// the URL may be <angle-bracketed> or contain balanced parentheses.
+const LINK_ITEM_RE = new RegExp(
+  [
+    /^[-*+]\s+/.source,
+    /\[((?:\\.|[^\]\\])+)\]/.source, // [title]
+    /\((<[^<>]+>|(?:[^()\s]|\([^()\s]*\))+)\)/.source, // (url)
+    /(?::\s*(.*))?$/.source, // : notes
+  ].join("")
+);
+
+// The URL of a LINK_ITEM_RE match, without <angle brackets>
+const linkItemUrl = (item) => item[2].replace(/^<(.*)>$/, "$1").trim();
+
+// The title of a LINK_ITEM_RE match, unescaped
+const linkItemTitle = (item) => item[1].replace(/\\(.)/g, "$1").trim();
+
+// A bullet that starts like a link, "- [", whether or not it parses
+const LINK_BULLET_RE = /^[-*+]\s+\[/;
+
+/**
+ * Check llms.txt text against the llmstxt.org format.
+ * Returns a list of { level: "error" | "warning", line, message }
+ * (line is 1-based; 0 for whole-file issues).
+ */
+export function validateLlmsText(text) {
+  const issues = [];
+  const add = (level, line, message) => issues.push({ level, line, message });
+  const lines = (text || "").split(/\r?\n/);
+
+  let h1Count = 0;
+  let sawSummary = false;
+  let currentSection = null; // H2 title, null before the first H2
+  let sectionItems = 0;
+  const sections = []; // { title, line } for every H2
+
+  const closeSection = (lineNo) => {
+    if (currentSection !== null && sectionItems === 0) {
+      add("warning", lineNo, `Section "${currentSection}" has no links.`);
+    }
+  };
+
+  const firstContent = lines.findIndex((l) => l.trim() !== "");
+  if (firstContent === -1) {
+    add("error", 0, "File is empty.");
+    return issues;
+  }
+  if (!/^#\s+\S/.test(lines[firstContent])) {
+    add("error", firstContent + 1, "File must start with an H1 (# Site Name).");
+  }
+
+  lines.forEach((raw, i) => {
+    const lineNo = i + 1;
+    const line = raw.trim();
+    if (!line) return;
+
+    const heading = /^(#{1,6})\s*(.*)$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      const title = heading[2].trim();
+      if (level === 1) {
+        h1Count++;
+        if (h1Count > 1) add("error", lineNo, "Only one H1 is allowed.");
+      } else if (level === 2) {
+        closeSection(lineNo);
+        currentSection = title;
+        sectionItems = 0;
+        sections.push({ title, line: lineNo });
+        if (!title) add("error", lineNo, "H2 section needs a name.");
+      } else {
+        add(
+          "warning",
+          lineNo,
+          `H${level} heading: only H2 sections are part of the format.`
+        );
+      }
+      return;
+    }
+
+    if (currentSection === null) {
+      if (line.startsWith(">")) {
+        if (h1Count === 1) sawSummary = true;
+      } else if (/^(=+|-+)$/.test(line) && i > 0 && lines[i - 1].trim()) {
+        add("error", lineNo, "Setext heading found; use # / ## headings only.");
+      }
+      return; // free-form details are allowed before the first H2
+    }
+
+    if (currentSection === FAQ_SECTION_TITLE) {
+      sectionItems++; // Q/A block, not a link list
+      return;
+    }
+
+    // Inside an H2 file-list section
+    if (line.startsWith("//")) return; // placeholder comment
+    const item = LINK_ITEM_RE.exec(line);
+    if (!item) {
+      if (/^[-*+]\s/.test(line)) {
+        add("error", lineNo, "List item must be a link: - [name](url): notes");
+      } else {
+        add(
+          "warning",
+          lineNo,
+          `Text outside a link list in "${currentSection}".`
+        );
+      }
+      return;
+    }
+    sectionItems++;
+    const url = linkItemUrl(item);
+    try {
+      new URL(url);
+    } catch {
+      add("warning", lineNo, `Link is not an absolute URL: ${url}`);
+    }
+  });
+
+  closeSection(lines.length);
+
+  if (h1Count === 1 && !sawSummary) {
+    add("warning", 0, "No > summary blockquote after the H1.");
+  }
+  // Only the FAQ block may follow "## Optional"
+  const optionalIndex = sections.findIndex(
+    (sec) => sec.title === OPTIONAL_SECTION
+  );
+  if (optionalIndex !== -1) {
+    const after = sections
+      .slice(optionalIndex + 1)
+      .filter((sec) => sec.title !== FAQ_SECTION_TITLE);
+    if (after.length) {
+      add(
+        "warning",
+        sections[optionalIndex].line,
+        `"## ${OPTIONAL_SECTION}" should be the last section.`
+      );
+    }
+  }
+
+  return issues;
+}
+
+// ---------- Parser ----------
+
+/**
+ * Parse llms.txt text (ours or a hand-written one) back into its parts:
+ *   { siteName, summary, details,
+ *     sections: [{ name, entries: [{ title, url, description }] }],
+ *     faqItems: [{ question, answer }],
+ *     unparsed: [{ line, text, section }] }
+ * unparsed lists the bullets in link sections that start like a link,
+ * "- [", but aren't one (line is 1-based). Anything else that doesn't fit
+ * the format is ignored.
+ */
+export function parseLlmsText(text) {
+  const parsed = {
+    siteName: "",
+    summary: "",
+    details: "",
+    sections: [],
+    faqItems: [],
+    unparsed: [],
+  };
+  const summaryLines = [];
+  const detailLines = [];
+  let section = null;
+  let faq = null; // { field: "question" | "answer", question, answer }
+
+  const flushFaq = () => {
+    if (faq && faq.question.trim() && faq.answer.trim()) {
+      parsed.faqItems.push({
+        question: faq.question.trim(),
+        answer: faq.answer.trim(),
+      });
+    }
+    faq = null;
+  };
+
+  (text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    const heading = /^(#{1,2})\s+(.*)$/.exec(line);
+
+    if (heading && heading[1] === "#" && !parsed.siteName && !section) {
+      parsed.siteName = heading[2].trim();
+      return;
+    }
+    if (heading && heading[1] === "##") {
+      flushFaq();
+      section = { name: heading[2].trim(), entries: [] };
+      if (section.name !== FAQ_SECTION_TITLE) parsed.sections.push(section);
+      return;
+    }
+
+    if (!section) {
+      if (line.startsWith(">")) {
+        summaryLines.push(line.replace(/^>\s?/, ""));
+      } else if (line || detailLines.length) {
+        detailLines.push(raw);
+      }
+      return;
+    }
+
+    if (section.name === FAQ_SECTION_TITLE) {
+      if (/^-\s*user question:$/i.test(line)) {
+        flushFaq();
+        faq = { field: "question", question: "", answer: "" };
+      } else if (faq && /^-\s*agent answer:$/i.test(line)) {
+        faq.field = "answer";
+      } else if (line === "---") {
+        flushFaq();
+      } else if (faq) {
+        faq[faq.field] += `${raw}\n`;
+      }
+      return;
+    }
+
+    const item = LINK_ITEM_RE.exec(line);
+    if (item) {
+      section.entries.push({
+        title: linkItemTitle(item),
+        url: linkItemUrl(item),
+        description: (item[3] || "").trim(),
+      });
+    } else if (LINK_BULLET_RE.test(line)) {
+      parsed.unparsed.push({ line: i + 1, text: line, section: section.name });
+    }
+  });
+  flushFaq();
+
+  parsed.summary = summaryLines.join("\n").trim();
+  parsed.details = detailLines.join("\n").trim();
+  return parsed;
+}
@@ -0,0 +1,298 @@
+// ===========================
+// Multi-language sites: page locale detection + one llms.txt per locale
+// ===========================
+//
+// A locales config (config file "locales" section, UI language options):
+//
+//   {
+//     mode: "files",                 ← off: one llms.txt, languages mixed
+//                                      files: one llms.txt per locale
+//                                      sections: one file, per-locale
+//                                      sections ("## Blog (de)")
+//     primary: "en",                 ← "" = the homepage's locale
+//     rules: [                       ← first match wins, before detection
+//       { match: "/ch/**", locale: "de-CH" }
+//     ]
+//   }
+//
+// Rule patterns use the URL filter syntax (lib/url-filters.js). Without a
+// matching rule a page's locale comes from, in order: its hreflang entry
+// pointing at itself, a /de/ or /pt-br/ path prefix, a fr. subdomain, its
+// <html lang>.
+
+import { buildLlmsTextWithinBudget } from "./budget.js";
+import { DEFAULT_GROUPING } from "./grouping.js";
+import {
+  compileUrlPattern,
+  isRegexPattern,
+  matchUrlPattern,
+} from "./url-filters.js";
+
+export const LOCALE_MODES = ["off", "files", "sections"];
+
+export const DEFAULT_LOCALES = { mode: "off", primary: "", rules: [] };
+
+// ISO 639-1 codes accepted as path / subdomain prefixes. Limited to
+// languages sites commonly publish in, so /go/ or /my/ don't count.
+const LANGUAGE_CODES = new Set(
+  (
+    "af ar az be bg bn bs ca cs cy da de el en es et eu fa fi fr ga gl he " +
+    "hi hr hu hy id is it ja ka kk km ko lt lv mk ml mn mr ms mt nb ne nl " +
+    "nn no pa pl pt ro ru si sk sl sq sr sv sw ta te th tl tr uk ur uz vi " +
+    "zh"
+  ).split(" ")
+);
+
+// language[-Script][-REGION], "-" or "_" separated
+const LOCALE_RE =
+  /^([a-z]{2,3})(?:[-_]([a-z]{4}))?(?:[-_]([a-z]{2}|\d{3}))?$/i;
+
+/**
+ * Canonical form of a language tag: "pt_br" → "pt-BR", "zh-hant" →
+ * "zh-Hant". Returns "" for anything that isn't one (incl. "x-default").
+ */
+export function normalizeLocale(tag) {
+  const match = LOCALE_RE.exec((tag || "").trim());
+  if (!match) return "";
+  const [, language, script, region] = match;
+  return [
+    language.toLowerCase(),
+    script && script[0].toUpperCase() + script.slice(1).toLowerCase(),
+    region && region.toUpperCase(),
+  ]
+    .filter(Boolean)
+    .join("-");
+}
+
+// A path segment / subdomain label that is a known language code
+function prefixLocale(label) {
+  const locale = normalizeLocale(label);
+  return LANGUAGE_CODES.has(locale.split("-")[0]) ? locale : "";
+}
+
+/**
+ * Validate a locales config and fill in defaults. Throws an Error naming
+ * the offending rule. allowRegex: false rejects "re:" rules (see
+ * lib/url-filters.js).
+ */
+export function normalizeLocales(raw, { allowRegex = true } = {}) {
+  const input = raw && typeof raw === "object" ? raw : {};
+  const mode = input.mode || DEFAULT_LOCALES.mode;
+  if (!LOCALE_MODES.includes(mode)) {
+    throw new Error(`Unknown locales mode "${mode}"`);
+  }
+  const primary = normalizeLocale(input.primary);
+  if ((input.primary || "").trim() && !primary) {
+    throw new Error(`Invalid primary locale "${input.primary}"`);
+  }
+
+  const rules = (Array.isArray(input.rules) ? input.rules : []).map(
+    (rule, i) => {
+      const match = String((rule && rule.match) || "").trim();
+      const locale = normalizeLocale(rule && rule.locale);
+      if (!match || !locale) {
+        throw new Error(`Locale rule ${i + 1}: needs a match and a locale`);
+      }
+      if (!allowRegex && isRegexPattern(match)) {
+        throw new Error(
+          `Locale rule ${i + 1}: regular expressions are turned off`
+        );
+      }
+      try {
+        compileUrlPattern(match);
+      } catch (e) {
+        throw new Error(`Locale rule ${i + 1}: ${e.message}`);
+      }
+      return { match, locale };
+    }
+  );
+
+  return { mode, primary, rules };
+}
+
+/**
+ * Locale of a metadata row ("" when nothing says).
+ */
+export function detectLocale(row, locales = DEFAULT_LOCALES) {
+  const rule = locales.rules.find((r) => matchUrlPattern(r.match, row.url));
+  if (rule) return rule.locale;
+
+  // hreflang alternates (page <head> or sitemap) naming this very URL
+  const alternates = [
+    ...(row.hreflang || []),
+    ...(row.sitemap_hreflang || []),
+  ];
+  const self = alternates.find(
+    (alt) => alt.href === row.url && normalizeLocale(alt.lang)
+  );
+  if (self) return normalizeLocale(self.lang);
+
+  let u;
+  try {
+    u = new URL(row.url);
+  } catch {
+    return normalizeLocale(row.lang);
+  }
+  const firstSegment = u.pathname.split("/").filter(Boolean)[0] || "";
+  const labels = u.hostname.split(".");
+  return (
+    prefixLocale(firstSegment) ||
+    (labels.length > 2 ? prefixLocale(labels[0]) : "") ||
+    normalizeLocale(row.lang)
+  );
+}
+
+/**
+ * Copies of the rows with `locale` set.
+ */
+export function assignLocales(metadataRows, locales = DEFAULT_LOCALES) {
+  return metadataRows.map((row) => ({
+    ...row,
+    locale: row.skip_reason ? "" : detectLocale(row, locales),
+  }));
+}
+
+/**
+ * The site's primary locale: the configured one, else the homepage's,
+ * else the most common. Expects rows from assignLocales().
+ */
+export function primaryLocale(metadataRows, locales = DEFAULT_LOCALES) {
+  if (locales.primary) return locales.primary;
+
+  const home = metadataRows.find((row) => {
+    try {
+      return new URL(row.url).pathname === "/" && row.locale;
+    } catch {
+      return false;
+    }
+  });
+  if (home) return home.locale;
+
+  const counts = new Map();
+  metadataRows.forEach((row) => {
+    if (row.locale) counts.set(row.locale, (counts.get(row.locale) || 0) + 1);
+  });
+  let best = "";
+  counts.forEach((count, locale) => {
+    if (!best || count > counts.get(best)) best = locale;
+  });
+  return best;
+}
+
+/**
+ * Where a locale's llms.txt goes: the primary one at the root, the others
+ * under the locale's path (llms.txt may live in a subpath).
+ */
+export function llmsPathForLocale(locale, primary) {
+  return !locale || locale === primary
+    ? "llms.txt"
+    : `${locale.toLowerCase()}/llms.txt`;
+}
+
+/**
+ * Build the llms.txt file(s) for a site under a locales config.
+ * Expects rows from assignLocales(). Returns
+ * [{ locale, path, text, tokens, trimmed, overBudget }], primary file
+ * first. Mode "off" / "sections" give a single file; "files" gives one
+ * per locale, each listing the others under "## Other languages" (FAQs
+ * stay in the primary file). A token budget (lib/budget.js) applies to
+ * each file.
+ */
+export function buildLocalizedLlmsTexts(
+  metadataRows,
+  faqItems = [],
+  site = {},
+  grouping = DEFAULT_GROUPING,
+  locales = DEFAULT_LOCALES,
+  budget = null
+) {
+  const primary = primaryLocale(metadataRows, locales);
+
+  if (locales.mode !== "files") {
+    const localeOptions =
+      locales.mode === "sections" ? { primary, localeSections: true } : null;
+    return [
+      {
+        locale: primary,
+        path: "llms.txt",
+        ...buildLlmsTextWithinBudget(
+          metadataRows,
+          faqItems,
+          site,
+          grouping,
+          localeOptions,
+          budget
+        ),
+      },
+    ];
+  }
+
+  const byLocale = new Map([[primary, []]]);
+  metadataRows.forEach((row) => {
+    const locale = row.locale || primary;
+    if (!byLocale.has(locale)) byLocale.set(locale, []);
+    byLocale.get(locale).push(row);
+  });
+
+  let origin = "";
+  try {
+    origin = new URL(metadataRows[0].url).origin;
+  } catch {
+    // no rows: relative links
+  }
+  const files = Array.from(byLocale.keys()).map((locale) => ({
+    locale,
+    path: llmsPathForLocale(locale, primary),
+  }));
+
+  return files.map(({ locale, path }) => {
+    const alternates = files
+      .filter((file) => file.locale !== locale)
+      .map((file) => ({
+        locale: file.locale,
+        url: `${origin}/${file.path}`,
+      }));
+    return {
+      locale,
+      path,
+      ...buildLlmsTextWithinBudget(
+        byLocale.get(locale),
+        locale === primary ? faqItems : [],
+        site,
+        grouping,
+        { primary, alternates },
+        budget
+      ),
+    };
+  });
+}
+
+// ---------- Rules editor text format ----------
+//
+// One rule per line: "<pattern> => <locale>", e.g.
+//   /ch/** => de-CH
+//   re:^/(en|us)/ => en
+// Blank lines and lines starting with # are ignored.
+
+/**
+ * Parse locale rules text into rule objects. Throws on malformed lines.
+ */
+export function parseLocaleRulesText(text) {
+  const rules = [];
+  (text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    const match = /^(.+?)\s+=>\s+(\S+)$/.exec(line);
+    if (!match) {
+      throw new Error(`Line ${i + 1}: expected "<pattern> => <locale>"`);
+    }
+    rules.push({ match: match[1], locale: match[2] });
+  });
+  return rules;
+}
+
+export function formatLocaleRulesText(rules) {
+  return (rules || [])
+    .map((rule) => `${rule.match} => ${rule.locale}`)
+    .join("\n");
+}
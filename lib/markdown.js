@@ -0,0 +1,423 @@
+// ===========================
+// Main-content extraction (readability-style) + HTML → Markdown
+// ===========================
+//
+// Used for llms-full.txt and the per-page .md files. Works on any DOM
+// Document (browser DOMParser or linkedom), so it only relies on basic
+// node APIs: childNodes, tagName, getAttribute, textContent, remove().
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+// Never part of the main content
+const STRIP_TAGS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "canvas",
+  "iframe",
+  "object",
+  "embed",
+  "form",
+  "button",
+  "input",
+  "select",
+  "textarea",
+  "nav",
+  "footer",
+  "aside",
+  "dialog",
+];
+
+const STRIP_ROLES = [
+  "navigation",
+  "banner",
+  "contentinfo",
+  "complementary",
+  "search",
+  "dialog",
+  "alertdialog",
+];
+
+// id/class names of boilerplate blocks (cookie banners, share bars, ...)
+const BOILERPLATE_WORDS = [
+  "cookie",
+  "consent",
+  "gdpr",
+  "newsletter",
+  "subscribe",
+  "popup",
+  "modal",
+  "share",
+  "sharing",
+  "social",
+  "breadcrumbs?",
+  "sidebar",
+  "comments?",
+  "advert",
+  "ads?",
+  "promo",
+  "related",
+  "skip-link",
+  "menu",
+  "masthead",
+  "site-header",
+  "site-footer",
+  "toolbar",
+];
+const BOILERPLATE_RE = new RegExp(
+  `(^|[\\s_-])(${BOILERPLATE_WORDS.join("|")})([\\s_-]|$)`,
+  "i"
+);
+
+const BLOCK_TAGS = new Set([
+  "address",
+  "article",
+  "blockquote",
+  "dd",
+  "details",
+  "div",
+  "dl",
+  "dt",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hr",
+  "li",
+  "main",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "summary",
+  "table",
+  "ul",
+]);
+
+function tagOf(node) {
+  return node.nodeType === ELEMENT_NODE && node.tagName
+    ? node.tagName.toLowerCase()
+    : "";
+}
+
+function textLength(el) {
+  return (el.textContent || "").replace(/\s+/g, " ").trim().length;
+}
+
+function isBoilerplate(el) {
+  const role = (el.getAttribute("role") || "").toLowerCase();
+  if (STRIP_ROLES.includes(role)) return true;
+  if (el.getAttribute("aria-hidden") === "true") return true;
+  if (el.hasAttribute && el.hasAttribute("hidden")) return true;
+  const id = el.getAttribute("id") || "";
+  const className = el.getAttribute("class") || "";
+  return BOILERPLATE_RE.test(`${id} ${className}`);
+}
+
+function removeBoilerplate(root) {
+  STRIP_TAGS.forEach((tag) => {
+    Array.from(root.querySelectorAll(tag)).forEach((el) => el.remove());
+  });
+
+  // <header> is page chrome unless it sits inside the article itself
+  Array.from(root.querySelectorAll("header")).forEach((el) => {
+    if (!el.closest || !el.closest("article, main")) el.remove();
+  });
+
+  // Class-name matches are fuzzy ("has-sidebar" on a layout wrapper), so
+  // never drop a block that holds most of the page's text.
+  const rootLength = textLength(root);
+  const candidates = root.querySelectorAll(
+    "[role], [id], [class], [aria-hidden], [hidden]"
+  );
+  Array.from(candidates)
+    .filter((el) => tagOf(el) !== "body" && tagOf(el) !== "main")
+    .forEach((el) => {
+      if (el.isConnected === false || !isBoilerplate(el)) return;
+      if (textLength(el) > 0.5 * rootLength) return;
+      el.remove();
+    });
+}
+
+/**
+ * Pick the element holding the page's main content:
+ * <main> / [role=main] / a single dominant <article>, else the block whose
+ * paragraphs carry the most text, else <body>.
+ */
+export function extractMainContent(doc) {
+  const body = doc.body || doc.querySelector("body") || doc.documentElement;
+  if (!body) return null;
+
+  removeBoilerplate(body);
+
+  const main = body.querySelector("main, [role='main']");
+  if (main && textLength(main) > 0) return main;
+
+  const articles = Array.from(body.querySelectorAll("article"));
+  if (articles.length) {
+    articles.sort((a, b) => textLength(b) - textLength(a));
+    const [first, second] = articles;
+    if (!second || textLength(first) > 2 * textLength(second)) {
+      return first;
+    }
+  }
+
+  // Score each paragraph's parent (and, at half weight, grandparent)
+  const scores = new Map();
+  Array.from(body.querySelectorAll("p, pre, li, td")).forEach((p) => {
+    const len = textLength(p);
+    if (len < 25) return;
+    const commas = p.textContent.split(",").length - 1;
+    const score = 1 + Math.min(len / 100, 3) + commas;
+    const parent = p.parentNode;
+    if (parent && parent.nodeType === ELEMENT_NODE) {
+      scores.set(parent, (scores.get(parent) || 0) + score);
+      const grand = parent.parentNode;
+      if (grand && grand.nodeType === ELEMENT_NODE) {
+        scores.set(grand, (scores.get(grand) || 0) + score / 2);
+      }
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, el) => {
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  });
+
+  // A wrapper that holds only a sliver of the page text is not "the" content
+  if (best && textLength(best) >= 0.3 * textLength(body)) return best;
+  return body;
+}
+
+// ---------- HTML → Markdown ----------
+
+function absoluteUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return href;
+  }
+}
+
+function escapeInline(text) {
+  return text.replace(/([\\`*_[\]])/g, "\\$1");
+}
+
+function inlineToMd(node, ctx) {
+  if (node.nodeType === TEXT_NODE) {
+    return escapeInline((node.textContent || "").replace(/\s+/g, " "));
+  }
+  if (node.nodeType !== ELEMENT_NODE) return "";
+
+  const tag = tagOf(node);
+  const children = () =>
+    Array.from(node.childNodes)
+      .map((child) => inlineToMd(child, ctx))
+      .join("");
+
+  switch (tag) {
+    case "br":
+      return "\n";
+    case "strong":
+    case "b": {
+      const inner = children().trim();
+      return inner ? `**${inner}**` : "";
+    }
+    case "em":
+    case "i": {
+      const inner = children().trim();
+      return inner ? `*${inner}*` : "";
+    }
+    case "code":
+    case "kbd":
+    case "samp": {
+      const code = (node.textContent || "").replace(/\s+/g, " ");
+      const fence = code.includes("`") ? "``" : "`";
+      return code.trim() ? `${fence}${code}${fence}` : "";
+    }
+    case "a": {
+      const inner = children().trim();
+      const href = (node.getAttribute("href") || "").trim();
+      if (!inner) return "";
+      const linkless = /^(javascript|mailto|tel):/i.test(href);
+      if (!href || linkless || href.startsWith("#")) {
+        return inner;
+      }
+      return `[${inner}](${absoluteUrl(href, ctx.baseUrl)})`;
+    }
+    case "img": {
+      const alt = (node.getAttribute("alt") || "").replace(/\s+/g, " ").trim();
+      return alt ? `[Image: ${escapeInline(alt)}]` : "";
+    }
+    default:
+      return children();
+  }
+}
+
+function collapseInline(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .trim();
+}
+
+function indent(text, prefix) {
+  return text
+    .split("\n")
+    .map((line, i) => (i === 0 || !line ? line : prefix + line))
+    .join("\n");
+}
+
+function listToMd(list, ctx) {
+  const ordered = tagOf(list) === "ol";
+  let n = parseInt(list.getAttribute("start") || "1", 10) || 1;
+  const items = [];
+
+  Array.from(list.childNodes)
+    .filter((child) => tagOf(child) === "li")
+    .forEach((li) => {
+      const marker = ordered ? `${n++}. ` : "- ";
+      // Keep nested lists tight under their parent item
+      const body = blocksToMd(li, ctx)
+        .trim()
+        .replace(/\n\n(?=(?:- |\d+\. ))/g, "\n");
+      if (!body) return;
+      items.push(marker + indent(body, " ".repeat(marker.length)));
+    });
+
+  return items.join("\n");
+}
+
+function tableToMd(table, ctx) {
+  const rows = Array.from(table.querySelectorAll("tr"))
+    .map((tr) =>
+      Array.from(tr.childNodes)
+        .filter((cell) => ["td", "th"].includes(tagOf(cell)))
+        .map((cell) =>
+          collapseInline(inlineToMd(cell, ctx))
+            .replace(/\n/g, " ")
+            .replace(/\|/g, "\\|")
+        )
+    )
+    .filter((cells) => cells.length);
+  if (!rows.length) return "";
+
+  const width = Math.max(...rows.map((cells) => cells.length));
+  const pad = (cells) => cells.concat(Array(width - cells.length).fill(""));
+  const [header, ...bodyRows] = rows;
+
+  return [
+    `| ${pad(header).join(" | ")} |`,
+    `| ${Array(width).fill("---").join(" | ")} |`,
+    ...bodyRows.map((cells) => `| ${pad(cells).join(" | ")} |`),
+  ].join("\n");
+}
+
+function preToMd(pre) {
+  const codeEl = pre.querySelector("code");
+  const className = `${pre.getAttribute("class") || ""} ${
+    (codeEl && codeEl.getAttribute("class")) || ""
+  }`;
+  const langMatch = /(?:lang|language)-([\w+-]+)/.exec(className);
+  const code = (pre.textContent || "").replace(/\n+$/, "");
+  const fence = code.includes("```") ? "~~~" : "```";
+  return `${fence}${langMatch ? langMatch[1] : ""}\n${code}\n${fence}`;
+}
+
+function blockToMd(el, ctx) {
+  const tag = tagOf(el);
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = collapseInline(inlineToMd(el, ctx)).replace(/\n/g, " ");
+    return text ? `${"#".repeat(Number(tag[1]))} ${text}` : "";
+  }
+
+  switch (tag) {
+    case "p":
+    case "summary":
+    case "figcaption":
+    case "address":
+      return collapseInline(inlineToMd(el, ctx));
+    case "ul":
+    case "ol":
+      return listToMd(el, ctx);
+    case "pre":
+      return preToMd(el);
+    case "table":
+      return tableToMd(el, ctx);
+    case "hr":
+      return "---";
+    case "blockquote":
+      return blocksToMd(el, ctx)
+        .split("\n")
+        .map((line) => (line ? `> ${line}` : ">"))
+        .join("\n");
+    case "dt":
+      return `**${collapseInline(inlineToMd(el, ctx))}**`;
+    case "dd":
+      return `: ${blocksToMd(el, ctx).trim()}`;
+    default:
+      return blocksToMd(el, ctx);
+  }
+}
+
+/**
+ * Convert an element's children to Markdown blocks. Runs of inline content
+ * between block elements become paragraphs.
+ */
+function blocksToMd(el, ctx) {
+  const blocks = [];
+  let inlineRun = "";
+
+  const flush = () => {
+    const text = collapseInline(inlineRun);
+    if (text) blocks.push(text);
+    inlineRun = "";
+  };
+
+  Array.from(el.childNodes).forEach((child) => {
+    const tag = tagOf(child);
+    if (tag && BLOCK_TAGS.has(tag)) {
+      flush();
+      const md = blockToMd(child, ctx);
+      if (md && md.trim()) blocks.push(md);
+    } else {
+      inlineRun += inlineToMd(child, ctx);
+    }
+  });
+  flush();
+
+  return blocks.join("\n\n");
+}
+
+/**
+ * Convert an element to Markdown. Links are made absolute against baseUrl.
+ */
+export function htmlToMarkdown(el, baseUrl) {
+  if (!el) return "";
+  return blocksToMd(el, { baseUrl })
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * HTML page → Markdown of its main content.
+ */
+export function pageToMarkdown(html, url, env) {
+  const doc = env.parseHtml(html);
+  return htmlToMarkdown(extractMainContent(doc), url);
+}
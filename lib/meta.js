@@ -0,0 +1,280 @@
+// ===========================
+// Per-page meta extraction
+// ===========================
+
+// Optional per-page fields (besides url / meta_title / meta_description),
+// in column order for the results table and CSV.
+export const META_FIELDS = [
+  { key: "canonical_url", label: "Canonical URL" },
+  { key: "meta_robots", label: "Meta robots" },
+  { key: "hreflang", label: "hreflang" },
+  { key: "og", label: "Open Graph" },
+  { key: "twitter", label: "Twitter" },
+  { key: "h1", label: "H1" },
+  { key: "word_count", label: "Words" },
+  { key: "lang", label: "Language" },
+  { key: "schema_types", label: "Schema types" },
+  { key: "breadcrumb", label: "Breadcrumb" },
+  { key: "http_status", label: "HTTP status" },
+  { key: "final_url", label: "Final URL" },
+  // From the sitemap entry and its extensions (lib/sitemap.js
+  // sitemapRowFields())
+  { key: "lastmod", label: "Sitemap lastmod" },
+  { key: "sitemap_hreflang", label: "Sitemap hreflang" },
+  { key: "sitemap_images", label: "Sitemap images" },
+  { key: "sitemap_videos", label: "Sitemap videos" },
+  { key: "news_title", label: "News title" },
+  { key: "news_publication_date", label: "News published" },
+  // Set by lib/locales.js assignLocales()
+  { key: "locale", label: "Locale" },
+  // LLM suggestions (lib/enrich.js) and the editor's verdict
+  { key: "llm_description", label: "LLM description" },
+  { key: "llm_section", label: "LLM section" },
+  { key: "llm_status", label: "LLM suggestion" },
+  // Editor edits (lib/curation.js)
+  { key: "curated_title", label: "Edited title" },
+  { key: "curated_description", label: "Edited description" },
+  { key: "curated_section", label: "Edited section" },
+  { key: "excluded", label: "Excluded" },
+  { key: "optional", label: "Optional" },
+  { key: "position", label: "Position in section" },
+];
+
+function absoluteUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * <meta> tags whose property/name starts with prefix ("og:", "twitter:"),
+ * as { "og:title": "...", ... }. The first tag of each name wins.
+ */
+function collectMetaPrefix(doc, prefix) {
+  const tags = {};
+  Array.from(doc.querySelectorAll("meta")).forEach((el) => {
+    const name = (
+      el.getAttribute("property") ||
+      el.getAttribute("name") ||
+      ""
+    ).toLowerCase();
+    const content = (el.getAttribute("content") || "").trim();
+    if (name.startsWith(prefix) && content && !(name in tags)) {
+      tags[name] = content;
+    }
+  });
+  return tags;
+}
+
+/**
+ * JSON-LD nodes of the page: top-level objects and @graph members.
+ * Invalid blocks are skipped.
+ */
+function collectJsonLdNodes(doc) {
+  const nodes = [];
+  const addNode = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      node.forEach(addNode);
+      return;
+    }
+    nodes.push(node);
+    if (node["@graph"]) addNode(node["@graph"]);
+  };
+
+  const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+  Array.from(scripts).forEach((script) => {
+    try {
+      addNode(JSON.parse(script.textContent));
+    } catch {
+      // Invalid JSON-LD is common; ignore the block
+    }
+  });
+  return nodes;
+}
+
+/**
+ * schema.org @type values from JSON-LD.
+ */
+function collectSchemaTypes(jsonLdNodes) {
+  const types = new Set();
+  jsonLdNodes.forEach((node) => {
+    [].concat(node["@type"] || []).forEach((type) => types.add(String(type)));
+  });
+  return Array.from(types);
+}
+
+/**
+ * Breadcrumb trail as names, e.g. ["Home", "Guides", "Setup"]: from a
+ * JSON-LD / microdata BreadcrumbList, else a breadcrumb <nav> / list.
+ */
+function collectBreadcrumb(doc, jsonLdNodes) {
+  const clean = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+  const list = jsonLdNodes.find((node) =>
+    [].concat(node["@type"] || []).includes("BreadcrumbList")
+  );
+  if (list && Array.isArray(list.itemListElement)) {
+    return list.itemListElement
+      .slice()
+      .sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0))
+      .map((el) => clean(el.name || (el.item && el.item.name)))
+      .filter(Boolean);
+  }
+
+  const microdata = doc.querySelector('[itemtype*="BreadcrumbList"]');
+  if (microdata) {
+    return Array.from(microdata.querySelectorAll('[itemprop="name"]'))
+      .map((el) => clean(el.getAttribute("content") || el.textContent))
+      .filter(Boolean);
+  }
+
+  const container = Array.from(doc.querySelectorAll("nav, ol, ul")).find(
+    (el) =>
+      /breadcrumb/i.test(el.getAttribute("aria-label") || "") ||
+      /breadcrumb/i.test(el.getAttribute("class") || "")
+  );
+  if (container) {
+    const items = container.querySelectorAll("li");
+    const parts = items.length
+      ? Array.from(items)
+      : Array.from(container.querySelectorAll("a"));
+    return parts.map((el) => clean(el.textContent)).filter(Boolean);
+  }
+  return [];
+}
+
+function countWords(doc) {
+  const body = doc.body || doc.querySelector("body");
+  if (!body) return 0;
+
+  // Walk text nodes so text in adjacent blocks doesn't run together
+  let words = 0;
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      words += (node.textContent.match(/\S+/g) || []).length;
+      return;
+    }
+    const tag = (node.tagName || "").toLowerCase();
+    if (["script", "style", "noscript", "template"].includes(tag)) return;
+    Array.from(node.childNodes || []).forEach(walk);
+  };
+  walk(body);
+  return words;
+}
+
+/**
+ * Extract meta title & description (plus the META_FIELDS above, except
+ * http_status / final_url which come from the response) from HTML string.
+ */
+export function extractMetaFromHtml(html, url, env) {
+  const doc = env.parseHtml(html);
+
+  // Title
+  let title = "";
+  const titleTag = doc.querySelector("title");
+  if (titleTag && titleTag.textContent) {
+    title = titleTag.textContent.trim();
+  }
+  if (!title) {
+    const ogTitle = doc.querySelector('meta[property="og:title"]');
+    if (ogTitle && ogTitle.getAttribute("content")) {
+      title = ogTitle.getAttribute("content").trim();
+    }
+  }
+
+  // Description
+  let description = "";
+  let descriptionSource = "";
+  const descTag = doc.querySelector('meta[name="description"]');
+  if (descTag && descTag.getAttribute("content")) {
+    description = descTag.getAttribute("content").trim();
+    descriptionSource = "meta";
+  }
+  if (!description) {
+    const ogDesc = doc.querySelector('meta[property="og:description"]');
+    if (ogDesc && ogDesc.getAttribute("content")) {
+      description = ogDesc.getAttribute("content").trim();
+      descriptionSource = "og";
+    }
+  }
+
+  // Canonical + hreflang alternates
+  const canonicalTag = doc.querySelector('link[rel="canonical"]');
+  const canonical = canonicalTag
+    ? absoluteUrl((canonicalTag.getAttribute("href") || "").trim(), url)
+    : "";
+  const hreflang = Array.from(
+    doc.querySelectorAll('link[rel="alternate"][hreflang]')
+  )
+    .map((el) => ({
+      lang: (el.getAttribute("hreflang") || "").trim(),
+      href: absoluteUrl((el.getAttribute("href") || "").trim(), url),
+    }))
+    .filter((alt) => alt.lang && alt.href);
+
+  // <meta name="robots"> (name is case-insensitive)
+  const robotsTag = Array.from(doc.querySelectorAll("meta[name]")).find(
+    (el) => el.getAttribute("name").toLowerCase() === "robots"
+  );
+  const metaRobots = robotsTag
+    ? (robotsTag.getAttribute("content") || "").trim().toLowerCase()
+    : "";
+
+  const h1 = doc.querySelector("h1");
+  const htmlEl = doc.documentElement;
+  const jsonLdNodes = collectJsonLdNodes(doc);
+
+  return {
+    url,
+    meta_title: title,
+    meta_description: description,
+    description_source: description ? descriptionSource : "",
+    canonical_url: canonical,
+    meta_robots: metaRobots,
+    hreflang,
+    og: collectMetaPrefix(doc, "og:"),
+    twitter: collectMetaPrefix(doc, "twitter:"),
+    h1: h1 ? h1.textContent.replace(/\s+/g, " ").trim() : "",
+    lang: ((htmlEl && htmlEl.getAttribute("lang")) || "").trim(),
+    schema_types: collectSchemaTypes(jsonLdNodes),
+    breadcrumb: collectBreadcrumb(doc, jsonLdNodes),
+    word_count: countWords(doc),
+  };
+}
+
+/**
+ * True when a meta robots value keeps the page out of indexes
+ * ("noindex" or "none").
+ */
+export function isNoindex(row) {
+  return /(^|[\s,])(noindex|none)([\s,]|$)/i.test(row.meta_robots || "");
+}
+
+/**
+ * Site-level info for the llms.txt header, read from the homepage:
+ * name from og:site_name (falling back to <title>), summary from the meta
+ * description (falling back to og:description).
+ */
+export function extractSiteInfoFromHtml(html, env) {
+  const doc = env.parseHtml(html);
+  const content = (selector) => {
+    const el = doc.querySelector(selector);
+    return ((el && el.getAttribute("content")) || "").trim();
+  };
+
+  let siteName = content('meta[property="og:site_name"]');
+  if (!siteName) {
+    const titleTag = doc.querySelector("title");
+    siteName = ((titleTag && titleTag.textContent) || "").trim();
+  }
+
+  let summary = content('meta[name="description"]');
+  if (!summary) {
+    summary = content('meta[property="og:description"]');
+  }
+
+  return { siteName, summary };
+}
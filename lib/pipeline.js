@@ -0,0 +1,634 @@
+// ===========================
+// URL → Sitemap → Meta Data → llms.txt pipeline
+// ===========================
+//
+// Shared by the server-side crawl jobs behind the web UI (server/jobs.js) and
+// the Node CLI (bin/llmsgen.js) so both produce identical output. The platform
+// specific parts are passed in as an `env` object:
+//
+//   env.fetchText(url)  → Promise<string|null>  (null on any fetch error)
+//   env.fetchResponse(url, { headers })
+//                       → Promise<{ ok, status, url, headers, text }|null>
+//                         (headers: plain object, lower-case names;
+//                          null on network errors / blocked URLs)
+//   env.parseHtml(html) → HTML Document
+//   env.parseXml(text)  → XML Document
+
+import {
+  discoverSitemaps,
+  extractEntriesFromSitemap,
+  probeCommonSitemaps,
+  sitemapRowFields,
+} from "./sitemap.js";
+import { COMMON_FEED_PATHS, extractEntriesFromFeed } from "./feeds.js";
+import { crawlSiteLinks } from "./link-crawler.js";
+import {
+  extractMetaFromHtml,
+  extractSiteInfoFromHtml,
+  isNoindex,
+} from "./meta.js";
+import {
+  FAQ_DETECT_STRATEGIES,
+  extractFaqItemsFromHtml,
+  fetchAndExtractFaqFromUrls,
+  mergeFaqItems,
+} from "./faq.js";
+import { DEFAULT_GROUPING, getGroupNameForRow } from "./grouping.js";
+import { DEFAULT_URL_FILTERS, applyUrlFilters } from "./url-filters.js";
+import { buildLlmsFullText } from "./llms-full.js";
+import { auditMetadataRows } from "./audit.js";
+import {
+  DEFAULT_LOCALES,
+  assignLocales,
+  buildLocalizedLlmsTexts,
+} from "./locales.js";
+import { pageToMarkdown } from "./markdown.js";
+import { DEFAULT_DESCRIPTIONS, synthesizeDescription } from "./describe.js";
+import { enrichRows } from "./enrich.js";
+import { applyCuration } from "./curation.js";
+import {
+  ROBOTS_USER_AGENT,
+  describeRobotsBlock,
+  fetchRobots,
+  matchRobotsRules,
+} from "./robots.js";
+import {
+  createHostRateLimiter,
+  fetchWithRetry,
+  mapWithConcurrency,
+} from "./crawler.js";
+
+/**
+ * Normalize a user-entered site URL (adds https:// if the scheme is missing).
+ * Returns a URL object, or null if the input can't be parsed.
+ */
+export function normalizeSiteUrl(rawUrl) {
+  const trimmed = (rawUrl || "").trim();
+  if (!trimmed) return null;
+  try {
+    return new URL(trimmed);
+  } catch {
+    try {
+      return new URL("https://" + trimmed);
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Conditional request headers for revalidating a cached page.
+ */
+function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry.etag) headers["If-None-Match"] = entry.etag;
+  if (entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+  return headers;
+}
+
+/**
+ * Run the full pipeline for one site.
+ *
+ * options:
+ *   requestDelayMs       – minimum gap between requests to one host (default 0)
+ *   concurrency          – pages fetched in parallel (default 4)
+ *   maxRequestsPerSecond – per-host request rate cap, 0 = none (default 4)
+ *   maxRetries           – retries for 429 / 503 responses (default 3)
+ *   robotsUserAgent      – robots.txt product token (default MetaScraperBot)
+ *   faqUrls              – FAQ page URLs (absolute or relative to the site),
+ *                          fetched like pages: robots.txt and rate limits
+ *   detectFaqs           – also look for FAQs (structured data, accordions)
+ *                          on every crawled page, except noindex ones;
+ *                          merged after the FAQ pages' (default false)
+ *   linkCrawlMaxDepth    – link hops for the fallback link crawl (default 3)
+ *   linkCrawlMaxPages    – pages the fallback link crawl may find, 0 = no
+ *                          link crawl (default 500)
+ *   fullText             – also convert each page's main content to Markdown
+ *                          and build llms-full.txt (default false)
+ *   cache                – Map of url → cache entry for incremental re-crawls
+ *                          (see server/crawl-cache.js); updated in place
+ *   refresh              – with a cache: refetch every page unconditionally,
+ *                          but still report what changed (default false)
+ *   grouping             – llms.txt section rules, normalized with
+ *                          normalizeGrouping() (see lib/grouping.js)
+ *   urlFilters           – include / exclude patterns, query stripping and
+ *                          caps applied to the sitemap URLs before any
+ *                          fetch, normalized with normalizeUrlFilters()
+ *                          (see lib/url-filters.js)
+ *   descriptions         – fallback descriptions for pages without one,
+ *                          normalized with normalizeDescriptions() (see
+ *                          lib/describe.js)
+ *   enrich               – optional LLM suggestions (see lib/enrich.js):
+ *                          { config, client, cache, dryRun } with the
+ *                          normalized enrich config, its client and a
+ *                          suggestion cache Map; null = off (default)
+ *   curation             – the site's saved editor edits, Map url → entry
+ *                          (see lib/curation.js), copied onto the rows
+ *   locales              – page locale rules and per-locale llms.txt mode,
+ *                          normalized with normalizeLocales() (see
+ *                          lib/locales.js)
+ *   budget               – llms.txt token budget, normalized with
+ *                          normalizeBudget() (see lib/budget.js); null =
+ *                          none (default)
+ *   site                 – llms.txt header overrides { siteName, summary,
+ *                          details, optionalSections }; empty name/summary
+ *                          are filled from the homepage
+ *   onStatus(text, isError) – progress messages
+ *   onRow(row, count, total) – called after each page is scraped (in
+ *                              completion order; result.rows keeps sitemap order)
+ *
+ * Every row in result.rows carries `audit_issues` (see lib/audit.js); rows
+ * passed to onRow don't yet, since duplicates need the whole site.
+ *
+ * URLs come from the robots.txt sitemaps, else the first common sitemap
+ * location that lists any (COMMON_SITEMAP_PATHS), else a same-origin link
+ * crawl from the entered URL plus the site's RSS / Atom feeds.
+ * result.discovery says which: { method: "sitemap" | "probe" | "crawl",
+ * sources: [sitemap / start / feed URLs] }.
+ *
+ * URLs disallowed by robots.txt are not fetched; they appear in rows with
+ * a `skip_reason`. A Crawl-delay raises the minimum delay for that host.
+ *
+ * With a cache, a page whose sitemap <lastmod> matches the cached one is not
+ * fetched at all; other cached pages are revalidated with If-None-Match /
+ * If-Modified-Since (304 → cached row). result.changes then holds
+ * { new, changed, unchanged, removed, removedUrls }.
+ *
+ * Returns { ok, error, origin, site, rows, faqItems, llmsText, llmsFiles,
+ * filterStats } (filterStats: [{ rule, removed }] from applyUrlFilters();
+ * llmsFiles: [{ locale, path, text }] from buildLocalizedLlmsTexts(), the
+ * primary file first and equal to llmsText; rows carry `locale`), plus
+ * enrichment (enrichRows() stats) when enrich is set, and
+ * pageMarkdown ({ [url]: markdown }) and llmsFullText when fullText is set.
+ * When ok is false, error holds the message that was also reported through
+ * onStatus.
+ */
+export async function runUrlToLlmsPipeline(rawUrl, options, env) {
+  const {
+    requestDelayMs = 0,
+    concurrency = 4,
+    maxRequestsPerSecond = 4,
+    maxRetries = 3,
+    robotsUserAgent = ROBOTS_USER_AGENT,
+    faqUrls = [],
+    detectFaqs = false,
+    linkCrawlMaxDepth = 3,
+    linkCrawlMaxPages = 500,
+    fullText = false,
+    cache = null,
+    refresh = false,
+    grouping = DEFAULT_GROUPING,
+    urlFilters = DEFAULT_URL_FILTERS,
+    descriptions = DEFAULT_DESCRIPTIONS,
+    enrich = null,
+    curation = null,
+    locales = DEFAULT_LOCALES,
+    budget = null,
+    site: siteOverrides = {},
+    onStatus = () => {},
+    onRow = () => {},
+  } = options || {};
+
+  const result = {
+    ok: false,
+    error: "",
+    origin: "",
+    site: {},
+    rows: [],
+    faqItems: [],
+    llmsText: "",
+    llmsFiles: [],
+    filterStats: [],
+    discovery: { method: "", sources: [] },
+  };
+  if (fullText) {
+    result.pageMarkdown = {};
+    result.llmsFullText = "";
+  }
+
+  const fail = (message) => {
+    onStatus(message, true);
+    result.error = message;
+    return result;
+  };
+
+  if (!(rawUrl || "").trim()) {
+    return fail("Please enter a site URL.");
+  }
+
+  const site = normalizeSiteUrl(rawUrl);
+  if (!site) {
+    return fail("Invalid URL. Please check and try again.");
+  }
+
+  const origin = site.origin;
+  result.origin = origin;
+  onStatus(`Discovering sitemaps for ${origin}...`, false);
+
+  // robots.txt: sitemap locations + crawl rules for our user agent
+  const robotsByOrigin = new Map();
+  const getRobots = async (o) => {
+    if (!robotsByOrigin.has(o)) {
+      robotsByOrigin.set(o, await fetchRobots(o, env, robotsUserAgent));
+    }
+    return robotsByOrigin.get(o);
+  };
+
+  const siteRobots = await getRobots(origin);
+  const isAllowed = async (url) => {
+    const robots = await getRobots(new URL(url).origin);
+    return matchRobotsRules(url, robots.rules).allowed;
+  };
+
+  // Page fetches (link crawl + scrape): rate limited per host
+  const limiter = createHostRateLimiter({
+    maxPerSecond: maxRequestsPerSecond,
+    minDelayMs: requestDelayMs,
+  });
+
+  // Collect all entries (URL, <lastmod>, <priority>) from all sitemaps
+  const sitemapEntries = [];
+  const seenUrls = new Set();
+  const addEntries = (entries) => {
+    entries.forEach((entry) => {
+      if (seenUrls.has(entry.url)) return;
+      seenUrls.add(entry.url);
+      sitemapEntries.push(entry);
+    });
+  };
+  // Pages the link crawl already fetched: url → fetchResponse() result
+  const prefetchedPages = new Map();
+
+  // 1) Sitemaps named in robots.txt
+  const sitemapUrls = await discoverSitemaps(origin, env, siteRobots);
+  if (sitemapUrls.length) {
+    onStatus(
+      `Found ${sitemapUrls.length} sitemap URL(s). Fetching URLs...`,
+      false
+    );
+    for (const smUrl of sitemapUrls) {
+      addEntries(await extractEntriesFromSitemap(smUrl, env));
+    }
+    result.discovery = { method: "sitemap", sources: sitemapUrls };
+  }
+
+  // 2) Common sitemap locations
+  if (!sitemapEntries.length) {
+    onStatus("Probing common sitemap locations...", false);
+    const probed = await probeCommonSitemaps(origin, env);
+    if (probed) {
+      addEntries(probed.entries);
+      result.discovery = { method: "probe", sources: [probed.sitemapUrl] };
+      onStatus(`Using ${probed.sitemapUrl}. Fetching URLs...`, false);
+    }
+  }
+
+  // 3) No usable sitemap: crawl links from the entered URL, plus feeds
+  if (!sitemapEntries.length && linkCrawlMaxPages > 0) {
+    onStatus(
+      `No sitemap found. Crawling links from ${site.href} (depth ` +
+        `${linkCrawlMaxDepth}, up to ${linkCrawlMaxPages} pages)...`,
+      false
+    );
+    if (siteRobots.crawlDelay) {
+      const crawlDelayMs = siteRobots.crawlDelay * 1000;
+      limiter.setMinDelay(origin, Math.max(requestDelayMs, crawlDelayMs));
+    }
+    const crawled = await crawlSiteLinks(
+      site.href,
+      {
+        maxDepth: linkCrawlMaxDepth,
+        maxPages: linkCrawlMaxPages,
+        concurrency,
+        limiter,
+        maxRetries,
+        isAllowed,
+        onProgress: (found) =>
+          onStatus(`Crawling links: ${found} page(s) found`, false),
+      },
+      env
+    );
+    addEntries(crawled.entries);
+    crawled.pages.forEach((resp, url) => prefetchedPages.set(url, resp));
+
+    // Feeds reach posts deeper than the crawl went. The start page may
+    // have redirected (e.g. to www.), so use the origin the crawl ended on.
+    const crawlOrigin = crawled.entries.length
+      ? new URL(crawled.entries[0].url).origin
+      : origin;
+    const feedUrls = new Set([
+      ...crawled.feedUrls,
+      ...COMMON_FEED_PATHS.map((path) => `${crawlOrigin}${path}`),
+    ]);
+    const usedFeeds = [];
+    for (const feedUrl of feedUrls) {
+      const room = linkCrawlMaxPages - sitemapEntries.length;
+      if (room <= 0) break;
+      const items = (await extractEntriesFromFeed(feedUrl, env)).filter(
+        (entry) => new URL(entry.url).origin === crawlOrigin
+      );
+      if (items.length) usedFeeds.push(feedUrl);
+      addEntries(items.slice(0, room));
+    }
+    result.discovery = { method: "crawl", sources: [site.href, ...usedFeeds] };
+  }
+
+  if (!sitemapEntries.length) {
+    return fail(
+      linkCrawlMaxPages > 0
+        ? "No URLs found: no sitemap, and the link crawl found no pages."
+        : "No URLs found: no usable sitemap, and the link crawl is off."
+    );
+  }
+
+  // Include / exclude / query stripping / caps, before anything is fetched
+  const filtered = applyUrlFilters(sitemapEntries, urlFilters, grouping);
+  result.filterStats = filtered.stats;
+  const filteredOut = sitemapEntries.length - filtered.entries.length;
+  if (filteredOut) {
+    onStatus(
+      `URL filters removed ${filteredOut} of ${sitemapEntries.length} URL(s).`,
+      false
+    );
+  }
+
+  const entryByUrl = new Map(
+    filtered.entries.map((entry) => [entry.url, entry])
+  );
+  const allUrls = Array.from(entryByUrl.keys());
+  if (!allUrls.length) {
+    return fail("The URL filters removed every URL found in the sitemaps.");
+  }
+
+  // robots.txt for one URL: its host's Crawl-delay goes to the limiter;
+  // resolves to why the URL can't be fetched, or "" when it can
+  const robotsBlock = async (url) => {
+    let urlOrigin;
+    try {
+      urlOrigin = new URL(url).origin;
+    } catch {
+      return "Invalid URL";
+    }
+    const robots = await getRobots(urlOrigin);
+    if (robots.crawlDelay) {
+      const crawlDelayMs = robots.crawlDelay * 1000;
+      limiter.setMinDelay(url, Math.max(requestDelayMs, crawlDelayMs));
+    }
+    const { allowed, rule } = matchRobotsRules(url, robots.rules);
+    return allowed ? "" : describeRobotsBlock(robots, rule);
+  };
+
+  // Apply robots.txt before any page fetch
+  const skipReasons = new Map(); // url -> reason
+  for (const url of allUrls) {
+    const reason = await robotsBlock(url);
+    if (reason) skipReasons.set(url, reason);
+  }
+
+  const skippedNote = skipReasons.size
+    ? ` (${skipReasons.size} skipped, see table)`
+    : "";
+  onStatus(
+    `Found ${allUrls.length} URL(s)${skippedNote}. Scraping pages...`,
+    false
+  );
+
+  const changes = { new: 0, changed: 0, unchanged: 0, removed: 0 };
+  const needsMarkdown = fullText || Boolean(enrich);
+  const contentByUrl = new Map(); // page Markdown for the LLM
+  const faqsByUrl = new Map(); // FAQ items found on the pages (detectFaqs)
+
+  // Fetch (or reuse from the cache) one page; returns its row
+  const scrapePage = async (url) => {
+    const lastmod = entryByUrl.get(url).lastmod || "";
+    const cached = cache && !refresh ? cache.get(url) : null;
+    // Cached entries from runs without Markdown can't feed llms-full.txt
+    // or the LLM; those without FAQ detection can't give the page's FAQs
+    const usable =
+      cached &&
+      (!needsMarkdown || cached.markdown !== undefined) &&
+      (!detectFaqs || cached.faqItems !== undefined);
+
+    const reuse = (entry) => {
+      if (fullText) result.pageMarkdown[url] = entry.markdown;
+      if (enrich) contentByUrl.set(url, entry.markdown);
+      if (detectFaqs) faqsByUrl.set(url, entry.faqItems);
+      changes.unchanged++;
+      return { ...entry.row };
+    };
+
+    if (usable && lastmod && cached.lastmod === lastmod) {
+      return reuse(cached);
+    }
+
+    // Already fetched by the link crawl: use it, and free the memory
+    const prefetched = prefetchedPages.get(url);
+    prefetchedPages.delete(url);
+    const resp =
+      prefetched ||
+      (await fetchWithRetry(url, env, limiter, {
+        maxRetries,
+        headers: usable ? conditionalHeaders(cached) : {},
+      }));
+    if (usable && resp && resp.status === 304) {
+      cache.set(url, { ...cached, lastmod });
+      return reuse(cached);
+    }
+    if (!resp || !resp.ok) {
+      return {
+        url,
+        meta_title: "",
+        meta_description: "",
+        http_status: resp ? resp.status : null,
+        final_url: resp ? resp.url : "",
+      };
+    }
+
+    const row = {
+      ...extractMetaFromHtml(resp.text, url, env),
+      http_status: resp.status,
+      final_url: resp.url,
+    };
+    if (!row.meta_description) {
+      const synthesized = synthesizeDescription(resp.text, env, descriptions);
+      if (synthesized) {
+        row.meta_description = synthesized.text;
+        row.description_source = synthesized.source;
+      }
+    }
+    const markdown = needsMarkdown
+      ? pageToMarkdown(resp.text, url, env)
+      : undefined;
+    if (fullText) result.pageMarkdown[url] = markdown;
+    if (enrich) contentByUrl.set(url, markdown);
+    const faqItems = detectFaqs
+      ? extractFaqItemsFromHtml(resp.text, env, {
+          baseUrl: url,
+          strategies: FAQ_DETECT_STRATEGIES,
+        })
+      : undefined;
+    if (detectFaqs) faqsByUrl.set(url, faqItems);
+
+    if (cache) {
+      const previous = cache.get(url);
+      if (!previous) {
+        changes.new++;
+      } else if (
+        JSON.stringify(previous.row) === JSON.stringify(row) &&
+        // Markdown only counts when both runs produced it
+        (markdown === undefined ||
+          previous.markdown === undefined ||
+          previous.markdown === markdown)
+      ) {
+        changes.unchanged++;
+      } else {
+        changes.changed++;
+      }
+      cache.set(url, {
+        etag: resp.headers.etag || "",
+        lastModified: resp.headers["last-modified"] || "",
+        lastmod,
+        row,
+        markdown,
+        faqItems,
+        fetchedAt: new Date().toISOString(),
+      });
+    }
+    return row;
+  };
+
+  let count = 0;
+  result.rows = await mapWithConcurrency(allUrls, concurrency, async (url) => {
+    let row;
+    if (skipReasons.has(url)) {
+      row = {
+        url,
+        meta_title: "",
+        meta_description: "",
+        skip_reason: skipReasons.get(url),
+      };
+    } else {
+      row = await scrapePage(url);
+    }
+    // Sitemap extension data (news date, images, hreflang alternates, ...)
+    row = { ...row, ...sitemapRowFields(entryByUrl.get(url)) };
+
+    count++;
+    onRow(row, count, allUrls.length);
+    onStatus(`Scraping pages: ${count} / ${allUrls.length}`, false);
+    return row;
+  });
+
+  // SEO audit (missing / duplicate / badly sized titles and descriptions)
+  result.rows = assignLocales(auditMetadataRows(result.rows), locales);
+
+  // Optional LLM suggestions; editors accept them before they reach llms.txt
+  if (enrich) {
+    onStatus(
+      enrich.dryRun
+        ? "Estimating LLM enrichment (dry run)..."
+        : "Asking the LLM for descriptions...",
+      false
+    );
+    const sections = new Set(
+      result.rows
+        .filter((row) => !row.skip_reason)
+        .map((row) => getGroupNameForRow(row, grouping))
+    );
+    const enriched = await enrichRows(result.rows, {
+      client: enrich.client,
+      enrich: enrich.config,
+      content: contentByUrl,
+      sections: Array.from(sections),
+      cache: enrich.cache || undefined,
+      dryRun: enrich.dryRun,
+      onStatus,
+    });
+    result.rows = enriched.rows;
+    result.enrichment = enriched.stats;
+    contentByUrl.clear();
+  }
+
+  // Titles / descriptions / sections / order the editors fixed last time
+  result.rows = applyCuration(result.rows, curation);
+
+  // Pages that dropped out of the sitemaps (or the filters) since last crawl
+  if (cache) {
+    const removedUrls = Array.from(cache.keys()).filter(
+      (url) => !entryByUrl.has(url)
+    );
+    removedUrls.forEach((url) => cache.delete(url));
+    changes.removed = removedUrls.length;
+    result.changes = { ...changes, removedUrls };
+  }
+
+  // FAQs: the FAQ pages' first, then those found on the crawled pages.
+  // FAQ pages are fetched like crawled ones: robots.txt, rate limit.
+  const fetchFaqPage = async (url) => {
+    const blocked = await robotsBlock(url);
+    if (blocked) return { error: blocked };
+    const resp = await fetchWithRetry(url, env, limiter, { maxRetries });
+    if (!resp) return { error: "network error" };
+    if (!resp.ok) return { error: `HTTP ${resp.status}` };
+    return { html: resp.text };
+  };
+  const faqPageItems = faqUrls.length
+    ? await fetchAndExtractFaqFromUrls(
+        faqUrls,
+        origin,
+        fetchFaqPage,
+        env,
+        onStatus
+      )
+    : [];
+  const detected = result.rows
+    .filter((row) => faqsByUrl.has(row.url) && !isNoindex(row))
+    .map((row) => faqsByUrl.get(row.url))
+    .filter((items) => items.length);
+  result.faqItems = mergeFaqItems(faqPageItems, ...detected);
+  if (detectFaqs) {
+    onStatus(
+      `Detected FAQs on ${detected.length} crawled page(s): ` +
+        `${result.faqItems.length} FAQ item(s) in total.`,
+      false
+    );
+  }
+  faqsByUrl.clear();
+
+  // llms.txt header: user overrides win, the rest comes from the homepage
+  result.site = { ...siteOverrides };
+  const homeUrl = `${origin}/`;
+  const homeAllowed = matchRobotsRules(homeUrl, siteRobots.rules).allowed;
+  if (homeAllowed && (!result.site.siteName || !result.site.summary)) {
+    const homeHtml = await env.fetchText(homeUrl);
+    const homeInfo = homeHtml ? extractSiteInfoFromHtml(homeHtml, env) : {};
+    result.site.siteName = result.site.siteName || homeInfo.siteName || "";
+    result.site.summary = result.site.summary || homeInfo.summary || "";
+  }
+
+  // Build grouped llms.txt content (with FAQ section if any)
+  result.llmsFiles = buildLocalizedLlmsTexts(
+    result.rows,
+    result.faqItems,
+    result.site,
+    grouping,
+    locales,
+    budget
+  );
+  result.llmsText = result.llmsFiles[0].text;
+  if (fullText) {
+    result.llmsFullText = buildLlmsFullText(
+      result.rows,
+      result.pageMarkdown,
+      result.site
+    );
+  }
+  result.ok = true;
+
+  const changeNote = result.changes
+    ? ` ${changes.new} new, ${changes.changed} changed, ` +
+      `${changes.unchanged} unchanged, ${changes.removed} removed.`
+    : "";
+  onStatus(`Done. Scraped ${result.rows.length} page(s).${changeNote}`, false);
+  return result;
+}
@@ -0,0 +1,187 @@
+// ===========================
+// robots.txt parsing & matching (RFC 9309)
+// ===========================
+//
+// - Groups are selected by product token (case-insensitive); all groups for
+//   our agent are merged, falling back to the "*" groups.
+// - Allow/Disallow paths support "*" wildcards and a trailing "$" anchor.
+// - The longest matching rule wins; on a tie Allow wins.
+// - Crawl-delay (non-standard, but widely used) is read from the same group.
+
+// Product token the crawler identifies as (see USER_AGENT in server/env.js).
+export const ROBOTS_USER_AGENT = "MetaScraperBot";
+
+/**
+ * Parse robots.txt text.
+ * Returns { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }.
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const sep = line.indexOf(":");
+    if (sep === -1) continue;
+
+    const key = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (key === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue; // rules before any user-agent are ignored
+
+    if (key === "allow" || key === "disallow") {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay") {
+      const delay = parseFloat(value);
+      if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+function agentMatches(groupAgent, userAgent) {
+  // Accept "MetaScraperBot/1.0" style entries as well as the bare token
+  const token = groupAgent.split("/")[0].trim();
+  return token === userAgent.toLowerCase();
+}
+
+/**
+ * Pick the rules that apply to userAgent: every group naming it, or else
+ * every "*" group. Returns { rules, crawlDelay }.
+ */
+export function selectRobotsGroup(robots, userAgent = ROBOTS_USER_AGENT) {
+  let groups = robots.groups.filter((g) =>
+    g.agents.some((a) => agentMatches(a, userAgent))
+  );
+  if (!groups.length) {
+    groups = robots.groups.filter((g) => g.agents.includes("*"));
+  }
+
+  const rules = [];
+  let crawlDelay = null;
+  for (const g of groups) {
+    rules.push(...g.rules);
+    if (g.crawlDelay !== null) {
+      crawlDelay = Math.max(crawlDelay || 0, g.crawlDelay);
+    }
+  }
+  return { rules, crawlDelay };
+}
+
+function normalizeEncoding(path) {
+  try {
+    return encodeURI(decodeURI(path));
+  } catch {
+    return path;
+  }
+}
+
+function ruleToRegExp(path) {
+  const anchored = path.endsWith("$");
+  const body = anchored ? path.slice(0, -1) : path;
+  const source = normalizeEncoding(body)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Check a URL against a rule set (from selectRobotsGroup).
+ * Returns { allowed, rule } where rule is the deciding rule (or null).
+ */
+export function matchRobotsRules(url, rules) {
+  let target;
+  try {
+    const u = new URL(url);
+    target = normalizeEncoding(u.pathname + u.search);
+  } catch {
+    return { allowed: true, rule: null };
+  }
+  if (target === "/robots.txt") return { allowed: true, rule: null };
+
+  let best = null;
+  for (const rule of rules) {
+    if (!ruleToRegExp(rule.path).test(target)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow && !best.allow)
+    ) {
+      best = rule;
+    }
+  }
+
+  return { allowed: !best || best.allow, rule: best };
+}
+
+/**
+ * Fetch and evaluate robots.txt for one origin.
+ * Per RFC 9309: 4xx → everything allowed; 5xx / unreachable → everything
+ * disallowed. Returns { sitemaps, rules, crawlDelay, unreachable, status }.
+ */
+export async function fetchRobots(origin, env, userAgent = ROBOTS_USER_AGENT) {
+  const resp = await env.fetchResponse(`${origin}/robots.txt`);
+
+  if (!resp || resp.status >= 500) {
+    return {
+      sitemaps: [],
+      rules: [{ allow: false, path: "/" }],
+      crawlDelay: null,
+      unreachable: true,
+      status: resp ? resp.status : 0,
+    };
+  }
+  if (!resp.ok) {
+    return {
+      sitemaps: [],
+      rules: [],
+      crawlDelay: null,
+      unreachable: false,
+      status: resp.status,
+    };
+  }
+
+  const parsed = parseRobotsTxt(resp.text);
+  const { rules, crawlDelay } = selectRobotsGroup(parsed, userAgent);
+  return {
+    sitemaps: parsed.sitemaps,
+    rules,
+    crawlDelay,
+    unreachable: false,
+    status: resp.status,
+  };
+}
+
+/**
+ * Human-readable reason for a robots.txt skip (shown in the results table).
+ */
+export function describeRobotsBlock(robots, rule) {
+  if (robots.unreachable) {
+    return robots.status
+      ? `robots.txt unreachable (HTTP ${robots.status}); crawling disallowed`
+      : "robots.txt unreachable; crawling disallowed";
+  }
+  return `Disallowed by robots.txt (Disallow: ${rule ? rule.path : "/"})`;
+}
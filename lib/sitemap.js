@@ -0,0 +1,190 @@
+// ===========================
+// Sitemap discovery & parsing
+// ===========================
+//
+// Every function takes an `env` object that supplies the platform specific
+// pieces (see lib/pipeline.js):
+//   env.fetchText(url) → Promise<string|null>
+//   env.parseXml(text) → XML Document
+
+import { fetchRobots } from "./robots.js";
+
+// Probed in this order when robots.txt doesn't name a sitemap
+export const COMMON_SITEMAP_PATHS = [
+  "/sitemap.xml",
+  "/sitemap_index.xml",
+  "/wp-sitemap.xml",
+  "/sitemap.txt",
+];
+
+/**
+ * Sitemap URLs declared by the "Sitemap:" lines in robots.txt (already
+ * fetched by the caller via fetchRobots(), or fetched here). May be empty;
+ * see probeCommonSitemaps().
+ */
+export async function discoverSitemaps(origin, env, robots = null) {
+  const robotsInfo = robots || (await fetchRobots(origin, env));
+  return Array.from(new Set(robotsInfo.sitemaps));
+}
+
+/**
+ * Try COMMON_SITEMAP_PATHS in order and stop at the first one that lists
+ * any URL (they are usually aliases of each other).
+ * Returns { sitemapUrl, entries }, or null when none does.
+ */
+export async function probeCommonSitemaps(origin, env) {
+  for (const path of COMMON_SITEMAP_PATHS) {
+    const sitemapUrl = `${origin}${path}`;
+    const entries = await extractEntriesFromSitemap(sitemapUrl, env);
+    if (entries.length) return { sitemapUrl, entries };
+  }
+  return null;
+}
+
+function childText(parent, tag) {
+  const el = parent.getElementsByTagName(tag)[0];
+  return el && el.textContent ? el.textContent.trim() : "";
+}
+
+// ---------- Sitemap extensions ----------
+//
+// Google's image / news / video extensions and xhtml:link hreflang
+// alternates, matched by their conventional namespace prefixes.
+
+function readExtensions(urlNode) {
+  const ext = {};
+
+  const images = Array.from(urlNode.getElementsByTagName("image:image"))
+    .map((image) => childText(image, "image:loc"))
+    .filter(Boolean);
+  if (images.length) ext.images = images;
+
+  const news = urlNode.getElementsByTagName("news:news")[0];
+  if (news) {
+    ext.news = {
+      title: childText(news, "news:title"),
+      publicationDate: childText(news, "news:publication_date"),
+      publication: childText(news, "news:name"),
+      language: childText(news, "news:language"),
+    };
+  }
+
+  const videos = Array.from(urlNode.getElementsByTagName("video:video"))
+    .map(
+      (video) =>
+        childText(video, "video:title") ||
+        childText(video, "video:content_loc") ||
+        childText(video, "video:player_loc")
+    )
+    .filter(Boolean);
+  if (videos.length) ext.videos = videos;
+
+  const alternates = Array.from(urlNode.getElementsByTagName("xhtml:link"))
+    .filter((link) => (link.getAttribute("rel") || "") === "alternate")
+    .map((link) => ({
+      lang: (link.getAttribute("hreflang") || "").trim(),
+      href: (link.getAttribute("href") || "").trim(),
+    }))
+    .filter((alt) => alt.lang && alt.href);
+  if (alternates.length) ext.alternates = alternates;
+
+  return ext;
+}
+
+/**
+ * The sitemap data of an entry as row fields (see META_FIELDS): lastmod,
+ * sitemap_hreflang, sitemap_images, sitemap_videos, news_title,
+ * news_publication_date. Only the fields the entry has are set.
+ */
+export function sitemapRowFields(entry) {
+  const fields = {};
+  if (entry.lastmod) fields.lastmod = entry.lastmod;
+  if (entry.alternates) fields.sitemap_hreflang = entry.alternates;
+  if (entry.images) fields.sitemap_images = entry.images;
+  if (entry.videos) fields.sitemap_videos = entry.videos;
+  if (entry.news) {
+    fields.news_title = entry.news.title;
+    fields.news_publication_date = entry.news.publicationDate;
+  }
+  return fields;
+}
+
+/**
+ * Extracts all entries from a sitemap or sitemap index (recursive), or from
+ * a plain-text sitemap (one URL per line). Gzipped sitemaps (.xml.gz) are
+ * decompressed by the fetch layer (server/safe-fetch.js).
+ * Returns [{ url, lastmod, priority, sitemap }]: the <lastmod> and
+ * <priority> texts (or "") and the sitemap file that listed the URL, plus
+ * images / news / videos / alternates when the sitemap uses the extensions
+ * (see readExtensions()).
+ */
+export async function extractEntriesFromSitemap(sitemapUrl, env) {
+  const entries = new Map(); // url -> entry (dedupe, first one wins)
+  const visitedSitemaps = new Set();
+
+  async function processSitemap(url) {
+    if (visitedSitemaps.has(url)) return;
+    visitedSitemaps.add(url);
+
+    const text = await env.fetchText(url);
+    if (text === null) return;
+
+    // Plain-text sitemap: no markup, just absolute URLs
+    if (!text.trimStart().startsWith("<")) {
+      text.split(/\r?\n/).forEach((line) => {
+        const loc = line.trim();
+        if (/^https?:\/\/\S+$/i.test(loc) && !entries.has(loc)) {
+          entries.set(loc, {
+            url: loc,
+            lastmod: "",
+            priority: "",
+            sitemap: url,
+          });
+        }
+      });
+      return;
+    }
+
+    const xmlDoc = env.parseXml(text);
+    if (!xmlDoc) return;
+
+    const sitemapIndex = xmlDoc.getElementsByTagName("sitemapindex");
+    if (sitemapIndex && sitemapIndex.length > 0) {
+      // Sitemap index: iterate over <sitemap><loc>
+      const sitemapNodes = xmlDoc.getElementsByTagName("sitemap");
+      for (const sm of sitemapNodes) {
+        const childUrl = childText(sm, "loc");
+        if (childUrl) {
+          await processSitemap(childUrl);
+        }
+      }
+    } else {
+      // URL sitemap: iterate over <url><loc> (+ <lastmod>, <priority>,
+      // extensions)
+      const urlNodes = xmlDoc.getElementsByTagName("url");
+      for (const u of urlNodes) {
+        const loc = childText(u, "loc");
+        if (loc && !entries.has(loc)) {
+          entries.set(loc, {
+            url: loc,
+            lastmod: childText(u, "lastmod"),
+            priority: childText(u, "priority"),
+            sitemap: url,
+            ...readExtensions(u),
+          });
+        }
+      }
+    }
+  }
+
+  await processSitemap(sitemapUrl);
+  return Array.from(entries.values());
+}
+
+/**
+ * Extracts all URLs from a sitemap or sitemap index (recursive).
+ */
+export async function extractUrlsFromSitemap(sitemapUrl, env) {
+  const entries = await extractEntriesFromSitemap(sitemapUrl, env);
+  return entries.map((entry) => entry.url);
+}
@@ -0,0 +1,310 @@
+// ===========================
+// URL filters (applied to the sitemap URLs before any page is fetched)
+// ===========================
+//
+// A filters config (config file "filters" section, CLI flags, UI inputs):
+//
+//   {
+//     include: ["/docs/**"],         ← keep only URLs matching one of these
+//     exclude: ["/tag/**", "re:^/page/\\d+"],
+//     stripQuery: true,              ← drop query strings; or a list of
+//                                      parameter names: ["utm_*", "ref"]
+//     maxPerSection: 50,             ← 0 = no cap
+//     maxPerSitemap: 0,
+//     priority: "priority"           ← which URLs a cap keeps: "sitemap"
+//                                      (order listed) | "priority"
+//                                      (<priority>) | "lastmod" (newest)
+//   }
+//
+// Patterns are globs matched against the path + query string ("*" = any
+// characters except "/", "**" = anything), or the full URL when they
+// contain "://". Patterns starting with "re:" are regular expressions,
+// tested (unanchored) against the same string. Patterns are limited to
+// MAX_REGEX_LENGTH characters (lib/grouping.js).
+//
+// Regexes run on the server, against URLs the crawled site chooses, and a
+// badly written one ("(a+)+$") can stall the whole process. Normalizers
+// take { allowRegex }: the server turns regexes in job requests off
+// unless its operator allows them (config crawl.allowRequestRegexes);
+// those in its own config file always work.
+
+import {
+  DEFAULT_GROUPING,
+  MAX_REGEX_LENGTH,
+  getGroupNameForRow,
+} from "./grouping.js";
+
+export const URL_FILTER_PRIORITIES = ["sitemap", "priority", "lastmod"];
+
+export const DEFAULT_URL_FILTERS = {
+  include: [],
+  exclude: [],
+  stripQuery: false,
+  maxPerSection: 0,
+  maxPerSitemap: 0,
+  priority: "sitemap",
+};
+
+// Pattern → RegExp: each pattern is compiled once, not per URL
+const compiledPatterns = new Map();
+const MAX_COMPILED_PATTERNS = 500;
+
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split("**")
+    .map((part) => part.split("*").map(escapeRegex).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * True for "re:" (regular expression) patterns.
+ */
+export function isRegexPattern(pattern) {
+  return pattern.startsWith("re:");
+}
+
+/**
+ * Compile a glob or "re:" pattern into a RegExp (cached). Throws on bad
+ * regexes and on patterns over MAX_REGEX_LENGTH characters.
+ */
+export function compileUrlPattern(pattern) {
+  let re = compiledPatterns.get(pattern);
+  if (re) return re;
+  if (pattern.length > MAX_REGEX_LENGTH) {
+    throw new Error(`patterns are limited to ${MAX_REGEX_LENGTH} chars`);
+  }
+  re = isRegexPattern(pattern)
+    ? new RegExp(pattern.slice(3))
+    : globToRegExp(pattern);
+  if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) compiledPatterns.clear();
+  compiledPatterns.set(pattern, re);
+  return re;
+}
+
+function matchTarget(pattern, url) {
+  if (pattern.includes("://")) return url;
+  try {
+    const u = new URL(url);
+    return u.pathname + u.search;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * True when url matches a glob or "re:" pattern (see above).
+ */
+export function matchUrlPattern(pattern, url) {
+  return compileUrlPattern(pattern).test(matchTarget(pattern, url));
+}
+
+function patternList(value, label, allowRegex) {
+  const patterns = (Array.isArray(value) ? value : [])
+    .map((pattern) => String(pattern).trim())
+    .filter(Boolean);
+  patterns.forEach((pattern, i) => {
+    if (!allowRegex && isRegexPattern(pattern)) {
+      throw new Error(
+        `${label} pattern ${i + 1}: regular expressions are turned off`
+      );
+    }
+    try {
+      compileUrlPattern(pattern);
+    } catch (e) {
+      throw new Error(`${label} pattern ${i + 1}: ${e.message}`);
+    }
+  });
+  return patterns;
+}
+
+function capValue(value, label) {
+  const cap = parseInt(value ?? 0, 10);
+  if (isNaN(cap) || cap < 0) {
+    throw new Error(`${label} must be 0 (no cap) or more`);
+  }
+  return cap;
+}
+
+/**
+ * Validate a filters config and fill in defaults. Throws an Error naming
+ * the offending setting. allowRegex: false rejects "re:" patterns.
+ */
+export function normalizeUrlFilters(raw, { allowRegex = true } = {}) {
+  const input = raw && typeof raw === "object" ? raw : {};
+
+  let stripQuery = input.stripQuery ?? false;
+  if (Array.isArray(stripQuery)) {
+    stripQuery = stripQuery.map((name) => String(name).trim()).filter(Boolean);
+    if (!stripQuery.length) stripQuery = false;
+  } else if (typeof stripQuery !== "boolean") {
+    throw new Error("stripQuery must be true, false or a parameter list");
+  }
+
+  const priority = input.priority || DEFAULT_URL_FILTERS.priority;
+  if (!URL_FILTER_PRIORITIES.includes(priority)) {
+    throw new Error(`Unknown URL priority "${priority}"`);
+  }
+
+  return {
+    include: patternList(input.include, "Include", allowRegex),
+    exclude: patternList(input.exclude, "Exclude", allowRegex),
+    stripQuery,
+    maxPerSection: capValue(input.maxPerSection, "Max URLs per section"),
+    maxPerSitemap: capValue(input.maxPerSitemap, "Max URLs per sitemap"),
+    priority,
+  };
+}
+
+/**
+ * True when the filters would keep every URL as-is.
+ */
+export function isEmptyUrlFilters(filters) {
+  return (
+    !filters.include.length &&
+    !filters.exclude.length &&
+    !filters.stripQuery &&
+    !filters.maxPerSection &&
+    !filters.maxPerSitemap
+  );
+}
+
+function stripQueryString(url, stripQuery) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return url;
+  }
+  u.hash = "";
+  if (stripQuery === true) {
+    u.search = "";
+  } else {
+    const names = stripQuery.map(globToRegExp);
+    Array.from(u.searchParams.keys())
+      .filter((key) => names.some((re) => re.test(key)))
+      .forEach((key) => u.searchParams.delete(key));
+  }
+  return u.href;
+}
+
+// Higher first; ties keep sitemap order (Array.prototype.sort is stable)
+function rankEntries(entries, priority) {
+  if (priority === "priority") {
+    // The sitemaps protocol's default <priority> is 0.5
+    const value = (e) => {
+      const n = parseFloat(e.priority);
+      return isNaN(n) ? 0.5 : n;
+    };
+    return [...entries].sort((a, b) => value(b) - value(a));
+  }
+  if (priority === "lastmod") {
+    const value = (e) => Date.parse(e.lastmod) || -Infinity;
+    return [...entries].sort((a, b) => value(b) - value(a));
+  }
+  return entries;
+}
+
+/**
+ * Keep at most `max` entries per key(entry), chosen by filters.priority.
+ * Returns the surviving entries in their original order.
+ */
+function capEntries(entries, max, key, priority) {
+  const kept = new Set();
+  const counts = new Map();
+  rankEntries(entries, priority).forEach((entry) => {
+    const k = key(entry);
+    const n = counts.get(k) || 0;
+    if (n < max) {
+      kept.add(entry);
+      counts.set(k, n + 1);
+    }
+  });
+  return entries.filter((entry) => kept.has(entry));
+}
+
+/**
+ * Apply a (normalized) filters config to sitemap entries
+ * [{ url, lastmod, priority, sitemap }]. Section caps use the grouping's
+ * URL rules (schema / breadcrumb rules need the page, so don't apply here).
+ *
+ * Returns { entries, stats }: the kept entries (URLs possibly rewritten by
+ * stripQuery, in sitemap order) and [{ rule, removed }], one per rule in the
+ * order they ran.
+ */
+export function applyUrlFilters(
+  entries,
+  filters = DEFAULT_URL_FILTERS,
+  grouping = DEFAULT_GROUPING
+) {
+  const stats = [];
+  let kept = entries;
+  const step = (rule, next) => {
+    stats.push({ rule, removed: kept.length - next.length });
+    kept = next;
+  };
+
+  if (filters.stripQuery) {
+    const seen = new Set();
+    const stripped = [];
+    kept.forEach((entry) => {
+      const url = stripQueryString(entry.url, filters.stripQuery);
+      if (seen.has(url)) return;
+      seen.add(url);
+      stripped.push({ ...entry, url });
+    });
+    const params =
+      filters.stripQuery === true
+        ? "query strings"
+        : filters.stripQuery.join(", ");
+    step(`Duplicates after stripping ${params}`, stripped);
+  }
+
+  if (filters.include.length) {
+    const patterns = filters.include.map((p) => [p, compileUrlPattern(p)]);
+    step(
+      `Include ${filters.include.join(", ")}`,
+      kept.filter((entry) =>
+        patterns.some(([p, re]) => re.test(matchTarget(p, entry.url)))
+      )
+    );
+  }
+
+  filters.exclude.forEach((pattern) => {
+    const re = compileUrlPattern(pattern);
+    step(
+      `Exclude ${pattern}`,
+      kept.filter((entry) => !re.test(matchTarget(pattern, entry.url)))
+    );
+  });
+
+  if (filters.maxPerSection) {
+    step(
+      `Max ${filters.maxPerSection} per section`,
+      capEntries(
+        kept,
+        filters.maxPerSection,
+        (entry) => getGroupNameForRow({ url: entry.url }, grouping),
+        filters.priority
+      )
+    );
+  }
+
+  if (filters.maxPerSitemap) {
+    step(
+      `Max ${filters.maxPerSitemap} per sitemap`,
+      capEntries(
+        kept,
+        filters.maxPerSitemap,
+        (entry) => entry.sitemap || "",
+        filters.priority
+      )
+    );
+  }
+
+  return { entries: kept, stats };
+}
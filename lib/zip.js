@@ -0,0 +1,112 @@
+// ===========================
+// Minimal ZIP writer for the browser and Node (stored entries, no ZIP64)
+// ===========================
+//
+// Used for the XLSX export (lib/exporters.js), which has to be built in
+// the browser too, so no zlib: entries are stored uncompressed. The
+// server's per-page Markdown zip deflates (server/zip.js).
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a byte array (Uint8Array / Buffer).
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields for a Date (local time, 2 s resolution).
+ */
+export function dosDateTime(date) {
+  const time =
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    (date.getSeconds() >> 1);
+  const day =
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a ZIP archive of uncompressed entries. entries: [{ path, content
+ * (string|Uint8Array) }]. Returns a Uint8Array.
+ */
+export function createStoredZip(entries, date = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(date);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const data =
+      typeof entry.content === "string"
+        ? encoder.encode(entry.content)
+        : entry.content;
+    const crc = crc32(data);
+
+    const local = new Uint8Array(30);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true); // local file header signature
+    lv.setUint16(4, 20, true); // version needed
+    lv.setUint16(6, 0x0800, true); // flags: UTF-8 names
+    lv.setUint16(8, 0, true); // method: stored
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, day, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, data.length, true); // compressed size
+    lv.setUint32(22, data.length, true);
+    lv.setUint16(26, name.length, true);
+    parts.push(local, name, data);
+
+    const record = new Uint8Array(46);
+    const cv = new DataView(record.buffer);
+    cv.setUint32(0, 0x02014b50, true); // central directory signature
+    cv.setUint16(4, 20, true); // version made by
+    cv.setUint16(6, 20, true); // version needed
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, 0, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, day, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true); // local header offset
+    central.push(record, name);
+
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true); // end of central directory signature
+  ev.setUint16(8, entries.length, true);
+  ev.setUint16(10, entries.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  const all = [...parts, ...central, end];
+  const zip = new Uint8Array(all.reduce((sum, b) => sum + b.length, 0));
+  let at = 0;
+  all.forEach((bytes) => {
+    zip.set(bytes, at);
+    at += bytes.length;
+  });
+  return zip;
+}
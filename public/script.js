@@ -1,766 +1,1881 @@
 // ===========================
 // URL → Sitemap → Meta Data → llms.txt (grouped by URL folders)
-// + Optional FAQ extraction from a user-provided FAQ URL
+// + Optional FAQ extraction from user-provided FAQ URLs / the crawled pages
+//
+// The crawl runs server-side as a job (/api/jobs, see server/jobs.js) using
+// the shared pipeline in /lib; this page starts the job, follows its progress
+// over Server-Sent Events and handles the downloads. The active job id is kept
+// in localStorage so a reload reattaches to a job that is still running.
 // ===========================
 
+import { AUDIT_ISSUES, summarizeAudit } from "/lib/audit.js";
+import {
+  buildMetadataCsv,
+  csvColumnsWith,
+  formatCellValue,
+} from "/lib/csv.js";
+import {
+  DEFAULT_GROUPING,
+  formatGroupingRulesText,
+  normalizeGrouping,
+  orderGroupNames,
+  parseGroupingRulesText,
+} from "/lib/grouping.js";
+import { buildExport } from "/lib/exporters.js";
+import { META_FIELDS } from "/lib/meta.js";
+import { llmsSectionForRow, validateLlmsText } from "/lib/llms.js";
+import {
+  diffLlmsTexts,
+  formatLlmsDiffJson,
+  formatLlmsDiffMarkdown,
+  isEmptyLlmsDiff,
+} from "/lib/llms-diff.js";
+import { isEmptyUrlFilters, normalizeUrlFilters } from "/lib/url-filters.js";
+import {
+  DEFAULT_DESCRIPTIONS,
+  DESCRIPTION_SOURCE_LABELS,
+  isSynthesizedDescription,
+  normalizeDescriptions,
+} from "/lib/describe.js";
+import {
+  DEFAULT_LOCALES,
+  assignLocales,
+  buildLocalizedLlmsTexts,
+  formatLocaleRulesText,
+  normalizeLocales,
+  parseLocaleRulesText,
+} from "/lib/locales.js";
+import {
+  applyRowChanges,
+  curatedDescription,
+  curatedTitle,
+  normalizeRowChanges,
+  sortByPosition,
+} from "/lib/curation.js";
+import { formatTrimmedItem, normalizeBudget } from "/lib/budget.js";
+import { measureLlmsText } from "/lib/tokens.js";
+
 const siteUrlInput = document.getElementById("siteUrl");
 const requestDelayInput = document.getElementById("requestDelay");
-const faqUrlInput = document.getElementById("faqUrl");
+const concurrencyInput = document.getElementById("concurrency");
+const maxRpsInput = document.getElementById("maxRequestsPerSecond");
+const linkCrawlDepthInput = document.getElementById("linkCrawlMaxDepth");
+const linkCrawlPagesInput = document.getElementById("linkCrawlMaxPages");
+const faqUrlsInput = document.getElementById("faqUrls");
+const detectFaqsInput = document.getElementById("detectFaqs");
+const fullTextInput = document.getElementById("fullText");
+const refreshInput = document.getElementById("refreshCrawl");
+const includePatternsInput = document.getElementById("includePatterns");
+const excludePatternsInput = document.getElementById("excludePatterns");
+const stripQueryInput = document.getElementById("stripQuery");
+const stripParamsInput = document.getElementById("stripParams");
+const maxPerSectionInput = document.getElementById("maxPerSection");
+const maxPerSitemapInput = document.getElementById("maxPerSitemap");
+const urlPriorityInput = document.getElementById("urlPriority");
+const descriptionFallbackInput = document.getElementById("descriptionFallback");
+const descriptionMaxInput = document.getElementById("descriptionMaxLength");
+const enrichInput = document.getElementById("enrich");
+const enrichDryRunInput = document.getElementById("enrichDryRun");
 const runBtn = document.getElementById("runBtn");
+const profileSelect = document.getElementById("profileSelect");
+const saveProfileBtn = document.getElementById("saveProfileBtn");
+const newProfileBtn = document.getElementById("newProfileBtn");
+const deleteProfileBtn = document.getElementById("deleteProfileBtn");
+const profileHistory = document.getElementById("profileHistory");
+const profileRunsList = document.getElementById("profileRuns");
+const profileLlmsLink = document.getElementById("profileLlmsLink");
+const profileLiveLink = document.getElementById("profileLiveLink");
+const profileLiveStatus = document.getElementById("profileLiveStatus");
+const unpublishBtn = document.getElementById("unpublishBtn");
+const profileHostsInput = document.getElementById("profileHosts");
+const profileCronInput = document.getElementById("profileCron");
+const profileThresholdInput = document.getElementById("profileThreshold");
 const toolStatus = document.getElementById("toolStatus");
+const crawlChangesList = document.getElementById("crawlChanges");
+const filterStatsList = document.getElementById("filterStats");
+const enrichStatsList = document.getElementById("enrichStats");
 const downloadCsvBtn = document.getElementById("downloadCsvBtn");
 const downloadLlmsBtn = document.getElementById("downloadLlmsBtn");
+const downloadFullBtn = document.getElementById("downloadFullBtn");
+const downloadPagesBtn = document.getElementById("downloadPagesBtn");
+const downloadJsonBtn = document.getElementById("downloadJsonBtn");
+const downloadJsonlBtn = document.getElementById("downloadJsonlBtn");
+const downloadSitemapBtn = document.getElementById("downloadSitemapBtn");
+const downloadXlsxBtn = document.getElementById("downloadXlsxBtn");
+const exportButtons = [
+  downloadJsonBtn,
+  downloadJsonlBtn,
+  downloadSitemapBtn,
+  downloadXlsxBtn,
+];
 const resultTableBody = document.getElementById("resultTableBody");
+const resultTableHead = document.getElementById("resultTableHead");
+const columnPicker = document.getElementById("columnPicker");
+const auditSummaryList = document.getElementById("auditSummary");
+const auditFilterSelect = document.getElementById("auditFilter");
+const acceptAllBtn = document.getElementById("acceptAllBtn");
+const rowSearchInput = document.getElementById("rowSearch");
+const rowOrderSelect = document.getElementById("rowOrder");
+const pagePrevBtn = document.getElementById("pagePrevBtn");
+const pageNextBtn = document.getElementById("pageNextBtn");
+const pageInfo = document.getElementById("pageInfo");
+const sectionNamesList = document.getElementById("sectionNames");
 const llmsPreview = document.getElementById("llmsPreview");
-
-const PROXY_ENDPOINT = "/proxy";
+const llmsFileSelect = document.getElementById("llmsFileSelect");
+const llmsIssuesList = document.getElementById("llmsIssues");
+const tokenStats = document.getElementById("tokenStats");
+const tokenTotal = document.getElementById("tokenTotal");
+const tokenSectionsList = document.getElementById("tokenSections");
+const trimmedItemsList = document.getElementById("trimmedItems");
+const siteNameInput = document.getElementById("siteName");
+const siteSummaryInput = document.getElementById("siteSummary");
+const siteDetailsInput = document.getElementById("siteDetails");
+const optionalSectionsInput = document.getElementById("optionalSections");
+const compareUrlInput = document.getElementById("compareUrl");
+const compareFileInput = document.getElementById("compareFile");
+const compareBtn = document.getElementById("compareBtn");
+const compareStatus = document.getElementById("compareStatus");
+const diffReport = document.getElementById("diffReport");
+const exportDiffMdBtn = document.getElementById("exportDiffMdBtn");
+const exportDiffJsonBtn = document.getElementById("exportDiffJsonBtn");
+const groupingRulesInput = document.getElementById("groupingRules");
+const groupingStrategyInput = document.getElementById("groupingStrategy");
+const groupingDepthInput = document.getElementById("groupingDepth");
+const sectionOrderInput = document.getElementById("sectionOrder");
+const excludedSectionsInput = document.getElementById("excludedSections");
+const groupingError = document.getElementById("groupingError");
+const groupingInputs = [
+  groupingRulesInput,
+  groupingStrategyInput,
+  groupingDepthInput,
+  sectionOrderInput,
+  excludedSectionsInput,
+];
+const localeModeInput = document.getElementById("localeMode");
+const primaryLocaleInput = document.getElementById("primaryLocale");
+const localeRulesInput = document.getElementById("localeRules");
+const localeError = document.getElementById("localeError");
+const localeInputs = [localeModeInput, primaryLocaleInput, localeRulesInput];
+const tokenBudgetInput = document.getElementById("tokenBudget");
+const trimStrategyInput = document.getElementById("trimStrategy");
+const budgetError = document.getElementById("budgetError");
+const budgetInputs = [tokenBudgetInput, trimStrategyInput];
+const headerInputs = [
+  siteNameInput,
+  siteSummaryInput,
+  siteDetailsInput,
+  optionalSectionsInput,
+];
+
+const JOBS_ENDPOINT = "/api/jobs";
+const PROFILES_ENDPOINT = "/api/profiles";
+const ACTIVE_JOB_KEY = "llmsgen.activeJobId";
+const PROFILE_KEY = "llmsgen.profileId";
+const COLUMNS_KEY = "llmsgen.extraColumns";
+const GROUPING_KEY = "llmsgen.grouping";
+const LOCALES_KEY = "llmsgen.locales";
+const BUDGET_KEY = "llmsgen.budget";
+const TABLE_PAGE_SIZE = 50;
+const SAVE_EDITS_DELAY_MS = 600;
 
 let metadataRows = [];
-let llmsTextContent = "";
+let llmsTextContent = ""; // the llms.txt picked in llmsFileSelect
+let llmsFiles = []; // [{ locale, path, text }], primary first
+let faqItems = []; // { question, answer }[] from the finished job
+let jobEvents = null; // EventSource for the job being followed
+let fullTextJobId = null; // finished job with llms-full.txt / page Markdown
+let resultsJobId = null; // finished job shown, for reviewing LLM suggestions
+let llmsDiff = null; // last compare result (live llms.txt → generated)
+let extraColumns = loadExtraColumns(); // META_FIELDS keys shown + exported
+let grouping = loadSavedGrouping(); // normalized; null = server default
+let locales = loadSavedLocales(); // normalized; null = server default
+let budget = loadSavedBudget(); // normalized; null = server default
+let tablePage = 0; // page of the results table (TABLE_PAGE_SIZE rows)
+let pendingEdits = new Map(); // url → row changes not yet sent
+let saveEditsTimer = null;
+let savingEdits = Promise.resolve(); // edits are sent one request at a time
+let draggedIndex = null; // metadataRows index of the row being dragged
+let profiles = []; // site profile summaries, for profileSelect
+let currentProfile = null; // selected site profile, with its run history
 
-// Will be filled if FAQ URL is provided and FAQ extraction succeeds
-let faqItems = []; // { question: string, answer: string }[]
+// ---------- UI helpers ----------
 
-// ---------- Helpers: proxy fetch & parsing ----------
+function resetResultsUI() {
+  saveRowEdits(); // for the previous job, before forgetting it
+  metadataRows = [];
+  llmsTextContent = "";
+  llmsFiles = [];
+  faqItems = [];
+  fullTextJobId = null;
+  resultsJobId = null;
+  tablePage = 0;
 
-/**
- * Generic fetch helper. Calls the backend proxy so we don't hit CORS.
- * If parseXml is true, returns an XML Document.
- * Otherwise returns response text. Returns null on error.
- */
-async function fetchUrlGeneric(url, parseXml = false) {
-  try {
-    const proxiedUrl = `${PROXY_ENDPOINT}?url=${encodeURIComponent(url)}`;
-    const resp = await fetch(proxiedUrl, { method: "GET" });
-    if (!resp.ok) {
-      throw new Error(`HTTP ${resp.status}`);
-    }
-    const text = await resp.text();
-    if (parseXml) {
-      const parser = new DOMParser();
-      return parser.parseFromString(text, "application/xml");
-    }
-    return text;
-  } catch (e) {
-    console.error("[ERROR] Could not fetch", url, e);
-    return null;
+  downloadCsvBtn.disabled = true;
+  downloadLlmsBtn.disabled = true;
+  downloadFullBtn.disabled = true;
+  downloadPagesBtn.disabled = true;
+  exportButtons.forEach((btn) => {
+    btn.disabled = true;
+  });
+
+  if (resultTableBody) {
+    resultTableBody.innerHTML = "";
+  }
+  auditSummaryList.innerHTML = "";
+  auditFilterSelect.value = "";
+  auditFilterSelect.disabled = true;
+  if (llmsPreview) {
+    llmsPreview.value = "";
+    llmsPreview.disabled = true;
   }
+  llmsFileSelect.innerHTML = "";
+  llmsFileSelect.hidden = true;
+  headerInputs.forEach((input) => {
+    input.value = "";
+    input.disabled = true;
+  });
+  llmsIssuesList.innerHTML = "";
+  renderTokenStats(null);
+  crawlChangesList.innerHTML = "";
+  crawlChangesList.hidden = true;
+  filterStatsList.innerHTML = "";
+  filterStatsList.hidden = true;
+  enrichStatsList.innerHTML = "";
+  enrichStatsList.hidden = true;
+  acceptAllBtn.hidden = true;
+  resetCompareUI();
 }
 
 /**
- * Discover sitemap URLs for a given site origin.
- * 1) Check /robots.txt for "Sitemap:" lines
- * 2) Fallback to /sitemap.xml
+ * Show new / changed / unchanged / removed counts against the previous
+ * crawl of the same site (from the server's crawl cache).
  */
-async function discoverSitemaps(origin) {
-  const sitemapUrls = new Set();
-
-  // 1. robots.txt
-  const robotsUrl = `${origin}/robots.txt`;
-  const robotsText = await fetchUrlGeneric(robotsUrl, false);
-
-  if (robotsText) {
-    const lines = robotsText.split(/\r?\n/);
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (/^sitemap:/i.test(trimmed)) {
-        const afterColon = trimmed.split(/:/i).slice(1).join(":").trim();
-        if (afterColon) {
-          sitemapUrls.add(afterColon);
-        }
-      }
+function renderCrawlChanges(changes) {
+  crawlChangesList.innerHTML = "";
+  crawlChangesList.hidden = !changes;
+  if (!changes) return;
+
+  [
+    ["new", "New"],
+    ["changed", "Changed"],
+    ["unchanged", "Unchanged"],
+    ["removed", "Removed"],
+  ].forEach(([key, label]) => {
+    const li = document.createElement("li");
+    li.textContent = `${label}: ${changes[key] || 0}`;
+    const removedUrls = changes.removedUrls || [];
+    if (key === "removed" && removedUrls.length) {
+      li.title = removedUrls.join("\n");
     }
-  }
-
-  // 2. Fallback: /sitemap.xml
-  if (sitemapUrls.size === 0) {
-    sitemapUrls.add(`${origin}/sitemap.xml`);
-  }
-
-  return Array.from(sitemapUrls);
+    crawlChangesList.appendChild(li);
+  });
 }
 
 /**
- * Extracts all URLs from a sitemap or sitemap index (recursive).
+ * Show how many sitemap URLs each URL filter rule removed.
  */
-async function extractUrlsFromSitemap(sitemapUrl) {
-  const urls = [];
-  const visitedSitemaps = new Set();
-
-  async function processSitemap(url) {
-    if (visitedSitemaps.has(url)) return;
-    visitedSitemaps.add(url);
-
-    const xmlDoc = await fetchUrlGeneric(url, true);
-    if (!xmlDoc) return;
-
-    const sitemapIndex = xmlDoc.getElementsByTagName("sitemapindex");
-    if (sitemapIndex && sitemapIndex.length > 0) {
-      // Sitemap index: iterate over <sitemap><loc>
-      const sitemapNodes = xmlDoc.getElementsByTagName("sitemap");
-      for (const sm of sitemapNodes) {
-        const locEl = sm.getElementsByTagName("loc")[0];
-        if (locEl && locEl.textContent) {
-          const childUrl = locEl.textContent.trim();
-          await processSitemap(childUrl);
-        }
-      }
-    } else {
-      // URL sitemap: iterate over <url><loc>
-      const urlNodes = xmlDoc.getElementsByTagName("url");
-      for (const u of urlNodes) {
-        const locEl = u.getElementsByTagName("loc")[0];
-        if (locEl && locEl.textContent) {
-          urls.push(locEl.textContent.trim());
-        }
-      }
-    }
-  }
-
-  await processSitemap(sitemapUrl);
-  return Array.from(new Set(urls)); // dedupe
+function renderFilterStats(stats) {
+  filterStatsList.innerHTML = "";
+  filterStatsList.hidden = !(stats && stats.length);
+  (stats || []).forEach(({ rule, removed }) => {
+    const li = document.createElement("li");
+    li.textContent = `${rule}: ${removed} removed`;
+    filterStatsList.appendChild(li);
+  });
 }
 
 /**
- * Extract meta title & description from HTML string.
+ * Show what the LLM step did (or, for a dry run, would send).
  */
-function extractMetaFromHtml(html, url) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(html, "text/html");
-
-  // Title
-  let title = "";
-  const titleTag = doc.querySelector("title");
-  if (titleTag && titleTag.textContent) {
-    title = titleTag.textContent.trim();
-  }
-  if (!title) {
-    const ogTitle = doc.querySelector('meta[property="og:title"]');
-    if (ogTitle && ogTitle.getAttribute("content")) {
-      title = ogTitle.getAttribute("content").trim();
-    }
-  }
-
-  // Description
-  let description = "";
-  const descTag = doc.querySelector('meta[name="description"]');
-  if (descTag && descTag.getAttribute("content")) {
-    description = descTag.getAttribute("content").trim();
-  }
-  if (!description) {
-    const ogDesc = doc.querySelector('meta[property="og:description"]');
-    if (ogDesc && ogDesc.getAttribute("content")) {
-      description = ogDesc.getAttribute("content").trim();
-    }
-  }
-
-  return {
-    url,
-    meta_title: title,
-    meta_description: description,
+function renderEnrichStats(stats) {
+  enrichStatsList.innerHTML = "";
+  enrichStatsList.hidden = !stats;
+  if (!stats) return;
+
+  const add = (text, title) => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    if (title) li.title = title;
+    enrichStatsList.appendChild(li);
   };
+  if (stats.dryRun) {
+    add(
+      `LLM dry run: ${stats.requests} request(s), ~${stats.tokens} ` +
+        `token(s) for ${stats.pages} page(s)`,
+      stats.samplePrompt ? `First prompt:\n\n${stats.samplePrompt}` : ""
+    );
+  } else {
+    add(`LLM: ${stats.suggested} suggestion(s) (${stats.cached} cached)`);
+    if (stats.failed) add(`${stats.failed} failed`, stats.error);
+    add(`~${stats.tokens} token(s) in ${stats.requests} request(s)`);
+  }
+  if (stats.budgetReached) add("Token budget reached: some pages not sent");
 }
 
-// ---------- FAQ helpers (schema.org + fallback) ----------
-
-function looksLikeQuestion(text) {
-  const t = (text || "").trim().toLowerCase();
-  if (!t) return false;
-  if (t.includes("?")) return true;
-  const starts = [
-    "what",
-    "how",
-    "why",
-    "when",
-    "where",
-    "who",
-    "does",
-    "do",
-    "can",
-    "is",
-    "are",
-    "should",
-    "will",
-    "could",
-  ];
-  return starts.some((p) => t.startsWith(p + " "));
-}
+// ---------- URL filters ----------
+
+const patternLines = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
 
 /**
- * Extract FAQs based on schema.org FAQPage microdata markup.
- * Looks for itemtype="https://schema.org/FAQPage".
- * Returns list of {question, answer}.
+ * The URL filters from the advanced options, normalized (throws on bad
+ * patterns), or null when none are set so the server's config applies.
  */
-function extractFaqSchemaMicrodata(doc) {
-  const faqs = [];
-  const faqRoots = doc.querySelectorAll('[itemtype="https://schema.org/FAQPage"]');
-  if (!faqRoots.length) return faqs;
-
-  faqRoots.forEach((root) => {
-    const entities =
-      root.querySelectorAll('[itemprop="mainEntity"]') ||
-      root.querySelectorAll('[itemprop="mainEntityOfPage"]');
-
-    entities.forEach((ent) => {
-      const qEl = ent.querySelector('[itemprop="name"]');
-      const aEl = ent.querySelector('[itemprop="text"]');
-      const question = (qEl?.textContent || "").trim();
-      const answer = (aEl?.textContent || "").trim();
-      if (question && answer) {
-        faqs.push({ question, answer });
-      }
-    });
+function readUrlFilters() {
+  let stripQuery = false;
+  if (stripQueryInput.checked) {
+    const params = stripParamsInput.value
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    stripQuery = params.length ? params : true;
+  }
+  const filters = normalizeUrlFilters({
+    include: patternLines(includePatternsInput.value),
+    exclude: patternLines(excludePatternsInput.value),
+    stripQuery,
+    maxPerSection: maxPerSectionInput.value || 0,
+    maxPerSitemap: maxPerSitemapInput.value || 0,
+    priority: urlPriorityInput.value,
   });
-
-  return faqs;
+  return isEmptyUrlFilters(filters) ? null : filters;
 }
 
 /**
- * Helper to walk parsed JSON-LD object and collect FAQ Q/A pairs.
+ * The description fallback from the advanced options, normalized (throws
+ * on a bad length), or null when left at the defaults so the server's
+ * config applies.
  */
-function extractFaqsFromLdJsonObject(obj) {
-  const faqs = [];
-
-  function handleQuestion(qObj) {
-    if (!qObj || typeof qObj !== "object") return;
-    const qText = (qObj.name || qObj.headline || "").toString();
-    const aPart = qObj.acceptedAnswer || qObj.acceptedAnswers || qObj.suggestedAnswer;
-
-    const answers = [];
-    if (Array.isArray(aPart)) {
-      answers.push(...aPart);
-    } else if (aPart) {
-      answers.push(aPart);
-    }
-
-    answers.forEach((ansObj) => {
-      if (!ansObj || typeof ansObj !== "object") return;
-      const aText = (ansObj.text || ansObj.description || "").toString();
-      if (qText && aText) {
-        faqs.push({
-          question: qText.trim(),
-          answer: aText.trim(),
-        });
-      }
-    });
-  }
-
-  function nodeHasType(node, typeSubstring) {
-    const t = node["@type"] || node.type;
-    if (!t) return false;
-    if (Array.isArray(t)) {
-      return t.some((v) =>
-        String(v).toLowerCase().includes(typeSubstring.toLowerCase())
-      );
-    }
-    return String(t).toLowerCase().includes(typeSubstring.toLowerCase());
-  }
-
-  function walk(node) {
-    if (!node) return;
-
-    if (Array.isArray(node)) {
-      node.forEach((item) => walk(item));
-      return;
-    }
+function readDescriptions() {
+  const descriptions = normalizeDescriptions({
+    fallback: descriptionFallbackInput.value,
+    maxLength: descriptionMaxInput.value,
+  });
+  const isDefault =
+    descriptions.fallback === DEFAULT_DESCRIPTIONS.fallback &&
+    descriptions.maxLength === DEFAULT_DESCRIPTIONS.maxLength;
+  return isDefault ? null : descriptions;
+}
 
-    if (typeof node === "object") {
-      if (nodeHasType(node, "faqpage")) {
-        const entities =
-          node.mainEntity || node.mainEntityOfPage || node.mainEntityOfPageList;
-        if (entities) {
-          const list = Array.isArray(entities) ? entities : [entities];
-          list.forEach((ent) => {
-            if (nodeHasType(ent, "question")) {
-              handleQuestion(ent);
-            }
-          });
-        }
-      } else if (nodeHasType(node, "question")) {
-        handleQuestion(node);
-      }
+// ---------- Optional metadata columns ----------
 
-      Object.values(node).forEach((v) => walk(v));
-    }
+function loadExtraColumns() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COLUMNS_KEY) || "[]");
+    return META_FIELDS.map((f) => f.key).filter((key) => saved.includes(key));
+  } catch {
+    return [];
   }
-
-  walk(obj);
-  return faqs;
 }
 
-/**
- * Extract FAQs based on schema.org FAQPage JSON-LD.
- * Returns list of {question, answer}.
- */
-function extractFaqSchemaLdJson(doc) {
-  const faqs = [];
-  const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
-
-  scripts.forEach((script) => {
-    const raw = script.textContent || "";
-    if (!raw.trim()) return;
-
-    try {
-      const data = JSON.parse(raw);
-      const items = extractFaqsFromLdJsonObject(data);
-      if (items && items.length) {
-        faqs.push(...items);
-      }
-    } catch (e) {
-      // ignore JSON parse errors
-    }
-  });
+function tableLabels() {
+  return [
+    "#",
+    "URL",
+    "Title",
+    "Description",
+    "Section",
+    "In llms.txt",
+    "Optional",
+    ...META_FIELDS.filter((f) => extraColumns.includes(f.key)).map(
+      (f) => f.label
+    ),
+    "Issues",
+    "Notes",
+  ];
+}
 
-  // dedupe by question+answer
-  const seen = new Set();
-  const unique = [];
-  faqs.forEach((item) => {
-    const key = `${item.question}|||${item.answer}`;
-    if (!seen.has(key)) {
-      seen.add(key);
-      unique.push(item);
-    }
+function renderTableHead() {
+  resultTableHead.innerHTML = "";
+  tableLabels().forEach((label) => {
+    const th = document.createElement("th");
+    th.textContent = label;
+    resultTableHead.appendChild(th);
   });
-  return unique;
 }
 
-/**
- * Fallback extractor:
- * - Treat <h2>, <h3>, <h4> as potential questions
- * - Collect following siblings (DOM order) until next heading (h1–h4)
- * - Aggregate text from p/div/li/section/article and text nodes
- */
-function extractFaqHeadings(doc) {
-  const faqs = [];
-  const headings = doc.querySelectorAll("h2, h3, h4");
-
-  headings.forEach((h) => {
-    const qText = (h.textContent || "").trim();
-    if (!looksLikeQuestion(qText)) return;
-
-    const answerParts = [];
-    let node = h.nextSibling;
-
-    while (node) {
-      if (node.nodeType === Node.ELEMENT_NODE) {
-        const tag = node.tagName ? node.tagName.toLowerCase() : "";
-
-        // Stop at next heading
-        if (["h1", "h2", "h3", "h4"].includes(tag)) break;
-
-        if (["p", "div", "li", "section", "article"].includes(tag)) {
-          const text = node.textContent.trim();
-          if (text) answerParts.push(text);
-        }
-      } else if (node.nodeType === Node.TEXT_NODE) {
-        const text = node.textContent.trim();
-        if (text) answerParts.push(text);
-      }
-
-      node = node.nextSibling;
-    }
-
-    const answer = answerParts.join("\n\n").trim();
-    if (answer) {
-      faqs.push({ question: qText, answer });
-    }
+META_FIELDS.forEach(({ key, label }) => {
+  const wrapper = document.createElement("label");
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = extraColumns.includes(key);
+  checkbox.addEventListener("change", () => {
+    const selected = new Set(extraColumns);
+    if (checkbox.checked) selected.add(key);
+    else selected.delete(key);
+    // Keep META_FIELDS order whatever the click order
+    extraColumns = META_FIELDS.map((f) => f.key).filter((k) =>
+      selected.has(k)
+    );
+    localStorage.setItem(COLUMNS_KEY, JSON.stringify(extraColumns));
+    renderTableHead();
+    updateMetadataTable();
   });
+  wrapper.appendChild(checkbox);
+  wrapper.appendChild(document.createTextNode(label));
+  columnPicker.appendChild(wrapper);
+});
+renderTableHead();
 
-  return faqs;
-}
-
-/**
- * Combined FAQ extractor from HTML string:
- * 1) schema.org microdata
- * 2) schema.org JSON-LD
- * 3) heading-based fallback
- */
-function extractFaqItemsFromHtml(html) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(html, "text/html");
+// ---------- Grouping rules editor ----------
 
-  // 1) schema.org microdata
-  let items = extractFaqSchemaMicrodata(doc);
-  if (items.length) {
-    console.log("FAQ: found", items.length, "items via schema.org microdata");
-    return items;
-  }
+const splitNames = (value) =>
+  value
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
 
-  // 2) JSON-LD schema
-  items = extractFaqSchemaLdJson(doc);
-  if (items.length) {
-    console.log("FAQ: found", items.length, "items via JSON-LD schema.org");
-    return items;
+function loadSavedGrouping() {
+  try {
+    const saved = localStorage.getItem(GROUPING_KEY);
+    return saved ? normalizeGrouping(JSON.parse(saved)) : null;
+  } catch {
+    return null;
   }
+}
 
-  // 3) fallback: heading-based
-  items = extractFaqHeadings(doc);
-  console.log("FAQ: found", items.length, "items via heading-based heuristic");
-  return items;
+function fillGroupingInputs(value) {
+  const g = normalizeGrouping(value);
+  groupingRulesInput.value = formatGroupingRulesText(g.rules);
+  groupingStrategyInput.value = g.strategy;
+  groupingDepthInput.value = String(g.depth);
+  sectionOrderInput.value = g.order.join(", ");
+  excludedSectionsInput.value = g.exclude.join(", ");
+  groupingDepthInput.disabled = !["depth", "breadcrumb"].includes(g.strategy);
 }
 
 /**
- * Append FAQ section to llms.txt output if faqItems exist.
- * Format:
- *
- * Frequently Asked Questions (FAQ)
- * ==============================
- * - user question:
- * ...
- *
- * - agent answer:
- * ...
- * ---
+ * Read the editor into a normalized grouping config (throws with a
+ * readable message on bad rules).
  */
-function appendFaqSection(lines) {
-  if (!faqItems || !faqItems.length) return;
-
-  lines.push("");
-  lines.push("Frequently Asked Questions (FAQ)");
-  lines.push("================================");
-  lines.push("");
-
-  faqItems.forEach((item) => {
-    const q = (item.question || "").trim();
-    const a = (item.answer || "").trim();
-    if (!q || !a) return;
-
-    lines.push("- user question:");
-    lines.push(q);
-    lines.push("");
-    lines.push("- agent answer:");
-    lines.push(a);
-    lines.push("");
-    lines.push("---");
-    lines.push("");
+function readGroupingInputs() {
+  return normalizeGrouping({
+    rules: parseGroupingRulesText(groupingRulesInput.value),
+    strategy: groupingStrategyInput.value,
+    depth: groupingDepthInput.value,
+    order: splitNames(sectionOrderInput.value),
+    exclude: splitNames(excludedSectionsInput.value),
   });
 }
 
-/**
- * Fetch and extract FAQs from a user-provided FAQ URL.
- * rawFaqUrl may be absolute or relative; we use origin as base if needed.
- */
-async function fetchAndExtractFaqFromUrl(rawFaqUrl, origin) {
-  let faqUrl;
+function onGroupingEdited() {
+  groupingDepthInput.disabled = !["depth", "breadcrumb"].includes(
+    groupingStrategyInput.value
+  );
   try {
-    faqUrl = new URL(rawFaqUrl);
-  } catch {
-    try {
-      faqUrl = new URL(rawFaqUrl, origin);
-    } catch {
-      toolStatus.textContent = "Invalid FAQ URL. Skipping FAQ extraction.";
-      toolStatus.classList.add("error");
-      return;
-    }
+    grouping = readGroupingInputs();
+  } catch (e) {
+    groupingError.textContent = e.message;
+    return; // keep the last valid grouping
   }
+  groupingError.textContent = "";
+  localStorage.setItem(GROUPING_KEY, JSON.stringify(grouping));
+  if (metadataRows.length) regenerateLlmsText();
+}
 
-  toolStatus.textContent = `Fetching FAQ page: ${faqUrl.href}`;
-  toolStatus.classList.remove("error");
+fillGroupingInputs(grouping);
 
-  const html = await fetchUrlGeneric(faqUrl.href, false);
-  if (!html) {
-    toolStatus.textContent = "Could not fetch FAQ page.";
-    toolStatus.classList.add("error");
-    return;
-  }
+// ---------- Languages ----------
 
-  const items = extractFaqItemsFromHtml(html);
-  if (!items.length) {
-    toolStatus.textContent =
-      "No FAQs detected on the FAQ page with current heuristics.";
-    return;
+function loadSavedLocales() {
+  try {
+    const saved = localStorage.getItem(LOCALES_KEY);
+    return saved ? normalizeLocales(JSON.parse(saved)) : null;
+  } catch {
+    return null;
   }
-
-  faqItems = items;
-  toolStatus.textContent = `Found ${faqItems.length} FAQ item(s). They will be appended to llms.txt.`;
 }
 
-// ---------- Grouping helpers ----------
-
-/**
- * Turn "post-category" → "Post Category"
- */
-function toTitleFromSlug(slug) {
-  if (!slug) return "";
-  return slug
-    .split(/[-_]+/)
-    .filter(Boolean)
-    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
-    .join(" ");
+function fillLocaleInputs(value) {
+  const l = normalizeLocales(value);
+  localeModeInput.value = l.mode;
+  primaryLocaleInput.value = l.primary;
+  localeRulesInput.value = formatLocaleRulesText(l.rules);
 }
 
-/**
- * Determine group name based on URL path:
- *
- * - If path is "/" or single segment (e.g. "/about-us") → "Page"
- * - If path has at least two segments:
- *     domain/folder1/slug            → group = folder1
- *     domain/folder1/folder2/slug    → group = folder2
- *   i.e. always use the *last folder* before the slug.
- */
-function getGroupNameFromUrl(url) {
+function onLocalesEdited() {
   try {
-    const u = new URL(url);
-    let path = u.pathname || "/";
-
-    // Normalize: remove trailing slash except root "/"
-    if (path.length > 1 && path.endsWith("/")) {
-      path = path.slice(0, -1);
-    }
+    locales = normalizeLocales({
+      mode: localeModeInput.value,
+      primary: primaryLocaleInput.value,
+      rules: parseLocaleRulesText(localeRulesInput.value),
+    });
+  } catch (e) {
+    localeError.textContent = e.message;
+    return; // keep the last valid config
+  }
+  localeError.textContent = "";
+  localStorage.setItem(LOCALES_KEY, JSON.stringify(locales));
+  if (!metadataRows.length) return;
+  // Rows carry hreflang / lang, so new rules re-detect without a re-crawl
+  metadataRows = assignLocales(metadataRows, locales);
+  updateMetadataTable();
+  regenerateLlmsText();
+}
 
-    // Split into segments, ignoring empty ones
-    const segments = path.split("/").filter(Boolean);
+fillLocaleInputs(locales);
 
-    // Root or single slug → "Page"
-    if (segments.length <= 1) {
-      return "Page";
-    }
+// ---------- Token budget ----------
 
-    // More than one segment: last folder is second-to-last segment
-    const folderSegment = segments[segments.length - 2];
-    const title = toTitleFromSlug(folderSegment);
-    return title || "Page";
+function loadSavedBudget() {
+  try {
+    const saved = localStorage.getItem(BUDGET_KEY);
+    return saved ? normalizeBudget(JSON.parse(saved)) : null;
   } catch {
-    return "Page";
+    return null;
   }
 }
 
-// ---------- UI helpers ----------
-
-function resetResultsUI() {
-  metadataRows = [];
-  llmsTextContent = "";
-  faqItems = [];
-
-  downloadCsvBtn.disabled = true;
-  downloadLlmsBtn.disabled = true;
+function fillBudgetInputs(value) {
+  const b = normalizeBudget(value);
+  tokenBudgetInput.value = String(b.maxTokens);
+  trimStrategyInput.value = b.strategy;
+}
 
-  if (resultTableBody) {
-    resultTableBody.innerHTML = "";
-  }
-  if (llmsPreview) {
-    llmsPreview.value = "";
-    llmsPreview.disabled = true;
+function onBudgetEdited() {
+  try {
+    budget = normalizeBudget({
+      maxTokens: tokenBudgetInput.value || 0,
+      strategy: trimStrategyInput.value,
+    });
+  } catch (e) {
+    budgetError.textContent = e.message;
+    return; // keep the last valid budget
   }
+  budgetError.textContent = "";
+  localStorage.setItem(BUDGET_KEY, JSON.stringify(budget));
+  if (metadataRows.length) regenerateLlmsText();
 }
 
-function updateMetadataTable() {
-  if (!resultTableBody) return;
-  resultTableBody.innerHTML = "";
+/**
+ * Estimated tokens of the llms.txt shown, per section, against the
+ * budget, and what was trimmed to fit it. null hides the stats.
+ */
+function renderTokenStats(file) {
+  tokenSectionsList.innerHTML = "";
+  trimmedItemsList.innerHTML = "";
+  tokenStats.hidden = !file;
+  if (!file) return;
+
+  const stats = measureLlmsText(file.text);
+  const limit = budget && budget.maxTokens;
+  let total = `≈ ${stats.tokens.toLocaleString()} tokens`;
+  if (stats.coreTokens !== stats.tokens) {
+    total += ` (${stats.coreTokens.toLocaleString()} without ## Optional)`;
+  }
+  if (limit) total += ` · budget ${limit.toLocaleString()}`;
+  tokenTotal.textContent = total;
+  tokenTotal.classList.toggle("over-budget", Boolean(file.overBudget));
+
+  stats.sections.forEach((section) => {
+    const li = document.createElement("li");
+    const label = document.createElement("span");
+    label.textContent = section.name;
+    const count = document.createElement("strong");
+    count.textContent = section.tokens.toLocaleString();
+    li.title = `${section.entries} entries`;
+    li.append(label, " ", count);
+    tokenSectionsList.appendChild(li);
+  });
 
-  const previewRows = metadataRows.slice(0, 200); // limit for UI
+  (file.trimmed || []).forEach((item) => {
+    const li = document.createElement("li");
+    li.className = "issue-warning";
+    li.textContent = `! ${formatTrimmedItem(item)}`;
+    trimmedItemsList.appendChild(li);
+  });
+  if (file.overBudget) {
+    const li = document.createElement("li");
+    li.className = "issue-error";
+    li.textContent =
+      "✗ Still over the token budget: the header, FAQs and other " +
+      "languages are never trimmed.";
+    trimmedItemsList.appendChild(li);
+  }
+}
 
-  previewRows.forEach((row, index) => {
-    const tr = document.createElement("tr");
+fillBudgetInputs(budget);
 
-    const tdIndex = document.createElement("td");
-    tdIndex.textContent = String(index + 1);
+// ---------- SEO audit ----------
 
-    const tdUrl = document.createElement("td");
-    tdUrl.textContent = row.url;
+// Filter dropdown: "" all, "any" with issues, "error", or an issue code
+Object.entries(AUDIT_ISSUES).forEach(([code, { label }]) => {
+  const option = document.createElement("option");
+  option.value = code;
+  option.textContent = label;
+  auditFilterSelect.appendChild(option);
+});
 
-    const tdTitle = document.createElement("td");
-    tdTitle.textContent = row.meta_title;
+function rowMatchesAuditFilter(row) {
+  const filter = auditFilterSelect.value;
+  const issues = row.audit_issues || [];
+  if (!filter) return true;
+  if (filter === "any") return issues.length > 0;
+  if (filter === "error") return issues.some((i) => i.level === "error");
+  return issues.some((i) => i.code === filter);
+}
 
-    const tdDesc = document.createElement("td");
-    tdDesc.textContent = row.meta_description;
+function renderAuditSummary() {
+  auditSummaryList.innerHTML = "";
+  const audited = metadataRows.some((row) => row.audit_issues);
+  auditFilterSelect.disabled = !audited;
+  if (!audited) return;
+
+  const summary = summarizeAudit(metadataRows);
+  const add = (text, className) => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    if (className) li.className = className;
+    auditSummaryList.appendChild(li);
+  };
 
-    tr.appendChild(tdIndex);
-    tr.appendChild(tdUrl);
-    tr.appendChild(tdTitle);
-    tr.appendChild(tdDesc);
-    resultTableBody.appendChild(tr);
+  if (!summary.rowsWithIssues) {
+    add("✓ No SEO issues", "issue-ok");
+    return;
+  }
+  add(`${summary.rowsWithIssues} page(s) with issues`);
+  Object.entries(AUDIT_ISSUES).forEach(([code, { level, label }]) => {
+    if (summary[code]) add(`${label}: ${summary[code]}`, `issue-${level}`);
   });
 }
 
+// ---------- Row editor ----------
+
 /**
- * Build llms.txt content grouped by URL pattern, then append FAQ section.
+ * Section a row lands in, as in llms.txt (grouping rules, accepted LLM
+ * section or the editor's own).
  */
-function buildLlmsTextFromMetadata() {
-  const groups = new Map(); // groupName -> array of bullet lines
+function rowSection(row) {
+  const perLocale = (locales || DEFAULT_LOCALES).mode !== "off";
+  return llmsSectionForRow(row, grouping || undefined, perLocale);
+}
 
-  for (const row of metadataRows) {
-    const url = (row.url || "").trim();
-    const title = (row.meta_title || "").trim();
-    const description = (row.meta_description || "").trim();
-    if (!url || !title || !description) continue;
+// Sections are only worked out when needed: the table is redrawn for
+// every row while a crawl streams in
+function itemSection(item) {
+  if (item.section === undefined) item.section = rowSection(item.row);
+  return item.section;
+}
 
-    const groupName = getGroupNameFromUrl(url);
-    const line = `- [${title}](${url}): ${description}`;
+function rowMatchesSearch(item, query) {
+  if (!query) return true;
+  const { row } = item;
+  return [row.url, curatedTitle(row), curatedDescription(row)]
+    .concat(itemSection(item))
+    .some((value) => (value || "").toLowerCase().includes(query));
+}
 
-    if (!groups.has(groupName)) {
-      groups.set(groupName, []);
-    }
-    groups.get(groupName).push(line);
-  }
+/**
+ * { row, index } in table order: crawl order, or grouped like llms.txt
+ * (section order, then position, with `section` set) so rows can be
+ * dragged within their section.
+ */
+function orderedTableRows() {
+  const items = [];
+  metadataRows.forEach((row, index) => {
+    if (row) items.push({ row, index });
+  });
+  if (rowOrderSelect.value !== "sections") return items;
+  items.forEach(itemSection);
+
+  const names = Array.from(new Set(items.map((item) => item.section)));
+  return orderGroupNames(names, grouping || DEFAULT_GROUPING).flatMap(
+    (name) =>
+      sortByPosition(
+        items
+          .filter((item) => item.section === name)
+          .map((item) => ({ ...item, position: item.row.position }))
+      )
+  );
+}
 
-  const lines = [];
+function renderPager(total, pageCount) {
+  const first = tablePage * TABLE_PAGE_SIZE;
+  pageInfo.textContent = total
+    ? `Rows ${first + 1}–${Math.min(first + TABLE_PAGE_SIZE, total)} of ` +
+      `${total}`
+    : "No matching rows";
+  pagePrevBtn.disabled = tablePage === 0;
+  pageNextBtn.disabled = tablePage >= pageCount - 1;
+}
 
-  if (groups.size === 0) {
-    lines.push("## Page");
-    lines.push("");
-    lines.push("// No complete rows (URL + title + description) found.");
-  } else {
-    // Put "Page" first if it exists, then others in insertion order
-    const orderedGroups = [];
-    if (groups.has("Page")) {
-      orderedGroups.push("Page");
-    }
-    for (const key of groups.keys()) {
-      if (key !== "Page") orderedGroups.push(key);
-    }
+function updateMetadataTable() {
+  if (!resultTableBody) return;
+  resultTableBody.innerHTML = "";
 
-    orderedGroups.forEach((groupName, index) => {
-      lines.push(`## ${groupName}`);
-      lines.push("");
-      const groupLines = groups.get(groupName) || [];
-      lines.push(...groupLines);
-      if (index < orderedGroups.length - 1) {
-        lines.push(""); // blank line between groups
-        lines.push("");
+  const query = rowSearchInput.value.trim().toLowerCase();
+  const items = orderedTableRows();
+  const matching = items.filter(
+    (item) => rowMatchesAuditFilter(item.row) && rowMatchesSearch(item, query)
+  );
+  const pageCount = Math.max(1, Math.ceil(matching.length / TABLE_PAGE_SIZE));
+  tablePage = Math.min(tablePage, pageCount - 1);
+  renderPager(matching.length, pageCount);
+
+  const bySection = rowOrderSelect.value === "sections";
+  let lastSection = null;
+  matching
+    .slice(tablePage * TABLE_PAGE_SIZE, (tablePage + 1) * TABLE_PAGE_SIZE)
+    .forEach((item) => {
+      const section = itemSection(item);
+      if (bySection && section !== lastSection) {
+        const tr = document.createElement("tr");
+        tr.className = "section-row";
+        const td = document.createElement("td");
+        td.colSpan = tableLabels().length;
+        td.textContent = section;
+        tr.appendChild(td);
+        resultTableBody.appendChild(tr);
+        lastSection = section;
       }
+      resultTableBody.appendChild(
+        renderTableRow(item.row, item.index, section)
+      );
     });
-  }
 
-  // Append FAQ section at the bottom (if any)
-  appendFaqSection(lines);
+  // Existing sections, offered by the Section inputs
+  sectionNamesList.innerHTML = "";
+  if (resultsJobId) {
+    new Set(items.map(itemSection)).forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      sectionNamesList.appendChild(option);
+    });
+  }
 
-  llmsTextContent = lines.join("\n");
+  acceptAllBtn.hidden = !(
+    resultsJobId &&
+    metadataRows.some((row) => row && row.llm_status === "suggested")
+  );
+}
 
-  if (llmsPreview) {
-    llmsPreview.disabled = false;
-    llmsPreview.value = llmsTextContent;
+/**
+ * Text input for an editable field: shows the value llms.txt uses, and an
+ * edit back to the scraped value (or an empty one) drops the override.
+ */
+function editCell(index, field, value, scraped, multiline) {
+  const td = document.createElement("td");
+  const input = document.createElement(multiline ? "textarea" : "input");
+  input.className = "cell-input";
+  if (multiline) input.rows = 2;
+  if (field === "curated_section") input.setAttribute("list", "sectionNames");
+  input.value = value;
+  input.placeholder = scraped;
+  input.disabled = !resultsJobId;
+  input.classList.toggle("cell-edited", value !== scraped);
+
+  input.addEventListener("input", () => {
+    const text = input.value.replace(/\s+/g, " ").trim();
+    const override = text === scraped ? "" : text;
+    input.classList.toggle("cell-edited", Boolean(override));
+    setRowChanges(index, { [field]: override });
+    regenerateLlmsText();
+  });
+  // A new section can move the row: redraw once the edit is done
+  if (field === "curated_section") {
+    input.addEventListener("change", () => {
+      updateMetadataTable();
+    });
   }
+  td.appendChild(input);
+  return td;
 }
 
-// ---------- Main scraping logic ----------
+function checkboxCell(checked, onChange) {
+  const td = document.createElement("td");
+  td.className = "cell-check";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = checked;
+  checkbox.disabled = !resultsJobId;
+  checkbox.addEventListener("change", () => {
+    onChange(checkbox.checked);
+    updateMetadataTable();
+    regenerateLlmsText();
+  });
+  td.appendChild(checkbox);
+  return td;
+}
 
-async function runUrlToLlmsFlow() {
-  resetResultsUI();
-  toolStatus.classList.remove("error");
+function renderTableRow(row, index, section) {
+  const tr = document.createElement("tr");
+  const scraped = { ...row, curated_title: "", curated_description: "" };
 
-  let rawUrl = siteUrlInput.value.trim();
-  if (!rawUrl) {
-    toolStatus.textContent = "Please enter a site URL.";
-    toolStatus.classList.add("error");
-    return;
+  const tdIndex = document.createElement("td");
+  tdIndex.textContent = String(index + 1);
+  if (rowOrderSelect.value === "sections" && resultsJobId) {
+    enableRowDrag(tr, tdIndex, index, section);
   }
 
-  // Normalize URL (add https if scheme missing)
-  let site;
-  try {
-    site = new URL(rawUrl);
-  } catch {
-    try {
-      site = new URL("https://" + rawUrl);
-    } catch {
-      toolStatus.textContent = "Invalid URL. Please check and try again.";
-      toolStatus.classList.add("error");
-      return;
-    }
+  const tdUrl = document.createElement("td");
+  tdUrl.textContent = row.url;
+
+  const tdTitle = editCell(
+    index,
+    "curated_title",
+    curatedTitle(row),
+    curatedTitle(scraped)
+  );
+
+  const tdDesc = editCell(
+    index,
+    "curated_description",
+    curatedDescription(row),
+    curatedDescription(scraped),
+    true
+  );
+  if (isSynthesizedDescription(row)) {
+    const badge = document.createElement("span");
+    badge.className = "desc-badge";
+    badge.textContent = "synthesized";
+    badge.title = `No meta description: built from ${
+      DESCRIPTION_SOURCE_LABELS[row.description_source]
+    }`;
+    tdDesc.appendChild(badge);
   }
-
-  const origin = site.origin;
-  toolStatus.textContent = `Discovering sitemaps for ${origin}...`;
-
-  // Discover sitemap URLs
-  const sitemapUrls = await discoverSitemaps(origin);
-  if (!sitemapUrls.length) {
-    toolStatus.textContent = "No sitemap URLs discovered.";
-    toolStatus.classList.add("error");
-    return;
+  if (row.llm_description) {
+    tdDesc.appendChild(renderSuggestion(row));
   }
 
-  toolStatus.textContent = `Found ${sitemapUrls.length} sitemap URL(s). Fetching URLs...`;
+  const tdSection = editCell(
+    index,
+    "curated_section",
+    section,
+    rowSection({ ...row, curated_section: "" })
+  );
 
-  // Collect all URLs from all sitemaps
-  const allUrlsSet = new Set();
-  for (const smUrl of sitemapUrls) {
-    const urls = await extractUrlsFromSitemap(smUrl);
-    urls.forEach((u) => allUrlsSet.add(u));
-  }
+  const tdInclude = checkboxCell(!row.excluded, (checked) => {
+    setRowChanges(index, { excluded: !checked });
+  });
+  const tdOptional = checkboxCell(Boolean(row.optional), (checked) => {
+    setRowChanges(index, { optional: checked });
+  });
+  if (row.excluded) tr.classList.add("row-excluded");
 
-  const allUrls = Array.from(allUrlsSet);
-  if (!allUrls.length) {
-    toolStatus.textContent = "No URLs found in the discovered sitemaps.";
-    toolStatus.classList.add("error");
-    return;
-  }
+  const extraCells = extraColumns.map((key) => {
+    const td = document.createElement("td");
+    td.textContent = formatCellValue(row[key]);
+    return td;
+  });
 
-  toolStatus.textContent = `Found ${allUrls.length} URL(s). Scraping pages...`;
+  const tdIssues = document.createElement("td");
+  tdIssues.className = "cell-issues";
+  (row.audit_issues || []).forEach((issue) => {
+    const div = document.createElement("div");
+    div.className = `issue-${issue.level}`;
+    div.textContent = issue.message;
+    tdIssues.appendChild(div);
+  });
 
-  let delayMs = 0;
-  const delayVal = requestDelayInput.value;
-  if (delayVal !== "") {
-    const parsed = parseFloat(delayVal);
-    if (!isNaN(parsed) && parsed > 0) {
-      delayMs = parsed * 1000;
-    }
-  }
+  // Why a URL wasn't scraped (e.g. disallowed by robots.txt)
+  const tdNote = document.createElement("td");
+  tdNote.className = "cell-note";
+  tdNote.textContent = row.skip_reason || "";
+  if (row.skip_reason) tr.classList.add("row-skipped");
+
+  [
+    tdIndex,
+    tdUrl,
+    tdTitle,
+    tdDesc,
+    tdSection,
+    tdInclude,
+    tdOptional,
+    ...extraCells,
+    tdIssues,
+    tdNote,
+  ].forEach((td) => tr.appendChild(td));
+  return tr;
+}
 
-  // Scrape each page for meta
-  let count = 0;
-  for (const url of allUrls) {
-    const html = await fetchUrlGeneric(url, false);
-    if (html === null) {
-      metadataRows.push({
-        url,
-        meta_title: "",
-        meta_description: "",
-      });
-    } else {
-      const meta = extractMetaFromHtml(html, url);
-      metadataRows.push(meta);
-    }
+/**
+ * Drag by the ⠿ handle in the # cell, onto another row of the same
+ * section. Rows only become draggable while the handle is held, so text
+ * in their inputs stays selectable.
+ */
+function enableRowDrag(tr, tdIndex, index, section) {
+  const handle = document.createElement("span");
+  handle.className = "drag-handle";
+  handle.textContent = "⠿";
+  handle.title = "Drag to reorder within the section";
+  handle.addEventListener("mousedown", () => {
+    tr.draggable = true;
+  });
+  tdIndex.prepend(handle);
 
-    count++;
-    toolStatus.textContent = `Scraping pages: ${count} / ${allUrls.length}`;
-    updateMetadataTable();
+  tr.addEventListener("dragstart", (e) => {
+    draggedIndex = index;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", metadataRows[index].url);
+  });
+  tr.addEventListener("dragend", () => {
+    tr.draggable = false;
+    draggedIndex = null;
+  });
+  tr.addEventListener("dragover", (e) => {
+    if (draggedIndex === null || draggedIndex === index) return;
+    if (rowSection(metadataRows[draggedIndex]) !== section) return;
+    e.preventDefault();
+    tr.classList.add("drop-target");
+  });
+  tr.addEventListener("dragleave", () => {
+    tr.classList.remove("drop-target");
+  });
+  tr.addEventListener("drop", (e) => {
+    e.preventDefault();
+    if (draggedIndex !== null) moveRowInSection(draggedIndex, index);
+  });
+}
 
-    if (delayMs > 0) {
-      await new Promise((resolve) => setTimeout(resolve, delayMs));
+/**
+ * Move a row to another row's place in their section and number the
+ * section's rows from 0 (their `position`).
+ */
+function moveRowInSection(fromIndex, toIndex) {
+  const section = rowSection(metadataRows[fromIndex]);
+  const order = sortByPosition(
+    metadataRows
+      .map((row, index) => ({ row, index }))
+      .filter(({ row }) => row && rowSection(row) === section)
+      .map(({ row, index }) => ({ index, position: row.position }))
+  ).map((item) => item.index);
+
+  const from = order.indexOf(fromIndex);
+  const to = order.indexOf(toIndex);
+  order.splice(from, 1);
+  order.splice(to, 0, fromIndex);
+  order.forEach((index, position) => {
+    if (metadataRows[index].position !== position) {
+      setRowChanges(index, { position });
     }
-  }
-
-  // If user provided a FAQ URL, fetch & extract FAQs now
-  const rawFaqUrl = faqUrlInput ? faqUrlInput.value.trim() : "";
-  if (rawFaqUrl) {
-    await fetchAndExtractFaqFromUrl(rawFaqUrl, origin);
-  }
-
-  // Build grouped llms.txt content (with FAQ section if any)
-  buildLlmsTextFromMetadata();
+  });
+  updateMetadataTable();
+  regenerateLlmsText();
+}
 
-  downloadCsvBtn.disabled = metadataRows.length === 0;
-  downloadLlmsBtn.disabled = !llmsTextContent;
+// ---------- Saving edits ----------
 
-  toolStatus.textContent = `Done. Scraped ${metadataRows.length} page(s).`;
+/**
+ * Apply an edit to a row here and queue it for the server, which saves it
+ * for the site and updates the job's llms.txt.
+ */
+function setRowChanges(index, changes) {
+  const row = metadataRows[index];
+  const normalized = normalizeRowChanges(changes);
+  metadataRows[index] = applyRowChanges(row, normalized);
+  pendingEdits.set(row.url, { ...pendingEdits.get(row.url), ...normalized });
+
+  // Typing sends one request per pause, not per key
+  clearTimeout(saveEditsTimer);
+  saveEditsTimer = setTimeout(saveRowEdits, SAVE_EDITS_DELAY_MS);
 }
 
-// ---------- Download helpers ----------
+function saveRowEdits() {
+  clearTimeout(saveEditsTimer);
+  const edits = Array.from(pendingEdits, ([url, changes]) => ({
+    url,
+    changes,
+  }));
+  pendingEdits = new Map();
+  if (!edits.length || !resultsJobId) return;
 
-function downloadMetadataCSV() {
-  if (!metadataRows.length) return;
+  const url = `${JOBS_ENDPOINT}/${resultsJobId}/rows`;
+  savingEdits = savingEdits.then(async () => {
+    try {
+      const resp = await fetch(url, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ edits }),
+        keepalive: true, // still sent when the tab is closing
+      });
+      if (!resp.ok) {
+        const data = await resp.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${resp.status}`);
+      }
+    } catch (e) {
+      setStatus(`Could not save your edits: ${e.message}`, true);
+    }
+  });
+}
+
+// ---------- LLM suggestions ----------
 
-  const header = ["url", "meta_title", "meta_description"];
+/**
+ * The suggested description / section under a row's description, with
+ * accept / reject buttons once the job has finished.
+ */
+function renderSuggestion(row) {
+  const box = document.createElement("div");
+  box.className = `llm-suggestion llm-${row.llm_status}`;
+
+  const text = document.createElement("div");
+  const section = row.llm_section ? ` → ${row.llm_section}` : "";
+  text.textContent = `Suggested: ${row.llm_description}${section}`;
+  box.appendChild(text);
+
+  if (!resultsJobId) return box;
+  [
+    ["accepted", "Accept"],
+    ["rejected", "Reject"],
+  ].forEach(([status, label]) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "llm-review-btn";
+    btn.textContent = row.llm_status === status ? `${label}ed` : label;
+    btn.disabled = row.llm_status === status;
+    btn.addEventListener("click", () => {
+      reviewSuggestions([row.url], status);
+    });
+    box.appendChild(btn);
+  });
+  return box;
+}
 
-  const escapeCSV = (value) => {
-    if (value === null || value === undefined) return "";
-    let s = String(value).replace(/"/g, '""');
-    if (/[",\n]/.test(s)) {
-      s = `"${s}"`;
+/**
+ * Accept / reject suggestions (saved like any other edit), then rebuild
+ * the table and the preview.
+ */
+function reviewSuggestions(urls, status) {
+  const wanted = new Set(urls);
+  metadataRows.forEach((row, index) => {
+    if (row && row.llm_description && wanted.has(row.url)) {
+      setRowChanges(index, { llm_status: status });
     }
-    return s;
+  });
+  updateMetadataTable();
+  regenerateLlmsText();
+}
+
+// ---------- Compare with the live llms.txt ----------
+
+function setCompareStatus(text, isError) {
+  compareStatus.textContent = text;
+  compareStatus.classList.toggle("error", Boolean(isError));
+}
+
+function resetCompareUI() {
+  llmsDiff = null;
+  diffReport.innerHTML = "";
+  setCompareStatus("", false);
+  compareBtn.disabled = true;
+  exportDiffMdBtn.disabled = true;
+  exportDiffJsonBtn.disabled = true;
+}
+
+/**
+ * Default location of the deployed llms.txt for the crawled site.
+ */
+function liveLlmsUrl(siteUrl) {
+  try {
+    const base = /^https?:\/\//i.test(siteUrl) ? siteUrl : `https://${siteUrl}`;
+    return new URL("/llms.txt", base).href;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * The current llms.txt: the uploaded file if one was picked, else the URL
+ * fetched through /proxy.
+ */
+async function readLiveLlmsText() {
+  const file = compareFileInput.files && compareFileInput.files[0];
+  if (file) return file.text();
+
+  const url = compareUrlInput.value.trim();
+  if (!url) throw new Error("Enter the live llms.txt URL or upload the file.");
+  const resp = await fetch(`/proxy?url=${encodeURIComponent(url)}`);
+  const text = await resp.text();
+  if (!resp.ok) throw new Error(text || `HTTP ${resp.status}`);
+  return text;
+}
+
+function appendDiffBlock(title, items, className, render) {
+  if (!items.length) return;
+  const h4 = document.createElement("h4");
+  h4.textContent = `${title} (${items.length})`;
+  const ul = document.createElement("ul");
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    li.className = className;
+    li.textContent = render(item);
+    ul.appendChild(li);
+  });
+  diffReport.appendChild(h4);
+  diffReport.appendChild(ul);
+}
+
+function renderLlmsDiff(diff) {
+  diffReport.innerHTML = "";
+  if (isEmptyLlmsDiff(diff)) {
+    setCompareStatus("No changes: the generated llms.txt matches.", false);
+    return;
+  }
+
+  const { counts } = diff;
+  setCompareStatus(
+    `${counts.added} added, ${counts.removed} removed, ` +
+      `${counts.changed} changed, ${counts.moved} moved, ` +
+      `${counts.faq} FAQ change(s).` +
+      (counts.unparsed
+        ? ` ${counts.unparsed} link line(s) could not be read.`
+        : ""),
+    false
+  );
+
+  const entry = (e) => `${e.title} — ${e.url} (${e.section})`;
+  appendDiffBlock("Header", diff.header, "diff-changed", (h) =>
+    `${h.label}: "${h.before}" → "${h.after}"`
+  );
+  appendDiffBlock("Added", diff.added, "diff-added", entry);
+  appendDiffBlock("Removed", diff.removed, "diff-removed", entry);
+  appendDiffBlock("Changed", diff.changed, "diff-changed", (c) => {
+    const parts = [];
+    if (c.title) parts.push(`title "${c.title.before}" → "${c.title.after}"`);
+    if (c.description) parts.push("description changed");
+    return `${c.url}: ${parts.join(", ")}`;
+  });
+  appendDiffBlock("Moved", diff.moved, "diff-moved", (m) =>
+    `${m.title} — ${m.url}: ${m.from} → ${m.to}`
+  );
+  appendDiffBlock(
+    "Sections",
+    [
+      ...diff.sections.added.map((name) => `Added: ${name}`),
+      ...diff.sections.removed.map((name) => `Removed: ${name}`),
+    ],
+    "diff-moved",
+    (line) => line
+  );
+  appendDiffBlock(
+    "FAQ",
+    [
+      ...diff.faq.added.map((i) => `Added: ${i.question}`),
+      ...diff.faq.removed.map((i) => `Removed: ${i.question}`),
+      ...diff.faq.changed.map((i) => `Answer changed: ${i.question}`),
+    ],
+    "diff-changed",
+    (line) => line
+  );
+  appendDiffBlock(
+    "Unreadable links",
+    [
+      ...diff.unparsed.before.map((u) => ["Live", u]),
+      ...diff.unparsed.after.map((u) => ["Generated", u]),
+    ],
+    "diff-removed",
+    ([side, u]) => `${side} file, line ${u.line} (${u.section}): ${u.text}`
+  );
+}
+
+async function compareWithLive() {
+  if (!llmsTextContent) return;
+  compareBtn.disabled = true;
+  setCompareStatus("Loading the live llms.txt...", false);
+
+  try {
+    const liveText = await readLiveLlmsText();
+    llmsDiff = diffLlmsTexts(liveText, llmsTextContent);
+    renderLlmsDiff(llmsDiff);
+  } catch (e) {
+    llmsDiff = null;
+    diffReport.innerHTML = "";
+    setCompareStatus(`Could not compare: ${e.message}`, true);
+  }
+
+  compareBtn.disabled = false;
+  exportDiffMdBtn.disabled = !llmsDiff;
+  exportDiffJsonBtn.disabled = !llmsDiff;
+}
+
+// ---------- Crawl job (server-side) ----------
+
+function setStatus(text, isError) {
+  toolStatus.textContent = text;
+  toolStatus.classList.toggle("error", Boolean(isError));
+}
+
+function stopFollowingJob() {
+  if (jobEvents) {
+    jobEvents.close();
+    jobEvents = null;
+  }
+}
+
+// ---------- llms.txt header editing + format check ----------
+
+function readSiteInputs() {
+  return {
+    siteName: siteNameInput.value,
+    summary: siteSummaryInput.value,
+    details: siteDetailsInput.value,
+    optionalSections: optionalSectionsInput.value
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
   };
+}
 
-  const rows = [
-    header.join(","),
-    ...metadataRows.map((row) =>
-      header.map((key) => escapeCSV(row[key])).join(",")
-    ),
-  ];
+function renderLlmsIssues(issues) {
+  llmsIssuesList.innerHTML = "";
+
+  if (!issues.length) {
+    const li = document.createElement("li");
+    li.className = "issue-ok";
+    li.textContent = "✓ Matches the llms.txt format.";
+    llmsIssuesList.appendChild(li);
+    return;
+  }
+
+  issues.forEach((issue) => {
+    const li = document.createElement("li");
+    li.className = `issue-${issue.level}`;
+    const icon = issue.level === "error" ? "✗" : "!";
+    const where = issue.line ? `Line ${issue.line}: ` : "";
+    li.textContent = `${icon} ${where}${issue.message}`;
+    llmsIssuesList.appendChild(li);
+  });
+}
+
+/**
+ * Rebuild llms.txt from the scraped rows and the (possibly edited) header
+ * fields, using the same builder as the server, then re-validate it.
+ */
+function regenerateLlmsText() {
+  const selectedPath = llmsFileSelect.value;
+  llmsFiles = buildLocalizedLlmsTexts(
+    metadataRows,
+    faqItems,
+    readSiteInputs(),
+    grouping || undefined,
+    locales || DEFAULT_LOCALES,
+    budget
+  );
+
+  // One entry per file; keep the picked file if it still exists
+  llmsFileSelect.innerHTML = "";
+  llmsFiles.forEach((file) => {
+    const option = document.createElement("option");
+    option.value = file.path;
+    option.textContent = file.locale
+      ? `${file.path} (${file.locale})`
+      : file.path;
+    llmsFileSelect.appendChild(option);
+  });
+  if (llmsFiles.some((file) => file.path === selectedPath)) {
+    llmsFileSelect.value = selectedPath;
+  }
+  llmsFileSelect.hidden = llmsFiles.length < 2;
+  showSelectedLlmsFile();
+}
+
+function showSelectedLlmsFile() {
+  const file =
+    llmsFiles.find((f) => f.path === llmsFileSelect.value) || llmsFiles[0];
+  llmsTextContent = file ? file.text : "";
+
+  if (llmsPreview) {
+    llmsPreview.disabled = false;
+    llmsPreview.value = llmsTextContent;
+  }
+  renderLlmsIssues(validateLlmsText(llmsTextContent));
+  renderTokenStats(file || null);
+  downloadLlmsBtn.disabled = !llmsTextContent;
+  compareBtn.disabled = !llmsTextContent;
+}
+
+/**
+ * Show a finished job's rows, llms.txt preview and download buttons.
+ */
+function showJobResults(job) {
+  metadataRows = job.rows || [];
+  faqItems = job.faqItems || [];
+  resultsJobId = job.state === "done" ? job.id : null;
+  updateMetadataTable();
+  renderAuditSummary();
+  setStatus(job.statusText, job.statusIsError);
+
+  if (job.state === "done") {
+    if (!compareUrlInput.value) {
+      compareUrlInput.value = liveLlmsUrl(job.params.url);
+    }
+    const site = job.site || {};
+    siteNameInput.value = site.siteName || "";
+    siteSummaryInput.value = site.summary || "";
+    siteDetailsInput.value = site.details || "";
+    optionalSectionsInput.value = (site.optionalSections || []).join(", ");
+    headerInputs.forEach((input) => {
+      input.disabled = false;
+    });
+    // The rules the job ran with (saved ones, or the server's default)
+    if (job.params.grouping) {
+      grouping = normalizeGrouping(job.params.grouping);
+      fillGroupingInputs(grouping);
+      groupingError.textContent = "";
+    }
+    if (job.params.locales) {
+      locales = normalizeLocales(job.params.locales);
+      fillLocaleInputs(locales);
+      localeError.textContent = "";
+    }
+    if (job.params.budget) {
+      budget = normalizeBudget(job.params.budget);
+      fillBudgetInputs(budget);
+      budgetError.textContent = "";
+    }
+    regenerateLlmsText();
+  }
+
+  // The run is in the profile's history by now
+  if (currentProfile && job.params.profileId === currentProfile.id) {
+    refreshProfile();
+  }
+
+  renderCrawlChanges(job.changes);
+  renderFilterStats(job.filterStats);
+  renderEnrichStats(job.enrichment);
+
+  // llms-full.txt and the page zip are built server-side, download by URL
+  fullTextJobId = job.hasFullText ? job.id : null;
+  downloadFullBtn.disabled = !fullTextJobId;
+  downloadPagesBtn.disabled = !fullTextJobId;
+
+  downloadCsvBtn.disabled = metadataRows.length === 0;
+  exportButtons.forEach((btn) => {
+    btn.disabled = metadataRows.length === 0;
+  });
+  runBtn.disabled = false;
+}
+
+async function loadFinishedJob(jobId) {
+  try {
+    const resp = await fetch(`${JOBS_ENDPOINT}/${jobId}`);
+    if (resp.status === 404) {
+      // Job no longer exists (e.g. data dir was cleared): start fresh
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      setStatus("Idle. Paste a URL and click “Generate LLMs.txt”.", false);
+      runBtn.disabled = false;
+      return;
+    }
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    showJobResults(await resp.json());
+  } catch (e) {
+    console.error("[ERROR] Could not load job", jobId, e);
+    setStatus("Could not load the job results.", true);
+    runBtn.disabled = false;
+  }
+}
+
+/**
+ * Follow a job's progress stream. The first event is always a full
+ * snapshot, so this also works after a page reload mid-crawl.
+ */
+function followJob(jobId) {
+  stopFollowingJob();
+  runBtn.disabled = true;
+
+  const source = new EventSource(`${JOBS_ENDPOINT}/${jobId}/events`);
+  jobEvents = source;
+
+  source.addEventListener("snapshot", (e) => {
+    const job = JSON.parse(e.data);
+    if (job.state !== "running") {
+      stopFollowingJob();
+      showJobResults(job);
+      return;
+    }
+    metadataRows = job.rows || [];
+    updateMetadataTable();
+    setStatus(job.statusText, job.statusIsError);
+  });
 
-  const blob = new Blob([rows.join("\n")], {
+  source.addEventListener("status", (e) => {
+    const { text, isError } = JSON.parse(e.data);
+    setStatus(text, isError);
+  });
+
+  source.addEventListener("row", (e) => {
+    const { index, row } = JSON.parse(e.data);
+    metadataRows[index] = row;
+    updateMetadataTable();
+  });
+
+  source.addEventListener("done", () => {
+    stopFollowingJob();
+    loadFinishedJob(jobId);
+  });
+
+  source.onerror = () => {
+    // EventSource retries on its own; only give up if the job is gone.
+    if (source.readyState === EventSource.CLOSED) {
+      stopFollowingJob();
+      loadFinishedJob(jobId);
+    }
+  };
+}
+
+/**
+ * The crawl settings from the form: the POST /api/jobs fields other than
+ * url / refresh / site. Throws with a readable message on bad input.
+ */
+function readJobSettings() {
+  let urlFilters;
+  try {
+    urlFilters = readUrlFilters();
+  } catch (e) {
+    throw new Error(`URL filters: ${e.message}`);
+  }
+  const descriptions = readDescriptions();
+  return {
+    requestDelay: requestDelayInput.value,
+    concurrency: concurrencyInput.value,
+    maxRequestsPerSecond: maxRpsInput.value,
+    linkCrawlMaxDepth: linkCrawlDepthInput.value,
+    linkCrawlMaxPages: linkCrawlPagesInput.value,
+    faqUrls: patternLines(faqUrlsInput.value),
+    detectFaqs: detectFaqsInput.checked,
+    fullText: Boolean(fullTextInput && fullTextInput.checked),
+    // Only once edited here; otherwise the server's config applies
+    grouping: localStorage.getItem(GROUPING_KEY) ? grouping : undefined,
+    filters: urlFilters || undefined,
+    descriptions: descriptions || undefined,
+    enrich: enrichInput.checked
+      ? { dryRun: enrichDryRunInput.checked }
+      : undefined,
+    locales: localStorage.getItem(LOCALES_KEY) ? locales : undefined,
+    budget: localStorage.getItem(BUDGET_KEY) ? budget : undefined,
+  };
+}
+
+/**
+ * fetch() a JSON API; resolves to the parsed body (null for 204), throws
+ * with the server's error message otherwise.
+ */
+async function requestJson(url, method = "GET", body = undefined) {
+  const resp = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (resp.status === 204) return null;
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(data.error || `HTTP ${resp.status}`);
+  return data;
+}
+
+async function runUrlToLlmsFlow() {
+  stopFollowingJob();
+  resetResultsUI();
+  toolStatus.classList.remove("error");
+
+  const rawUrl = siteUrlInput.value.trim();
+  if (!rawUrl) {
+    setStatus("Please enter a site URL.", true);
+    return;
+  }
+
+  let settings;
+  try {
+    settings = readJobSettings();
+  } catch (e) {
+    setStatus(e.message, true);
+    return;
+  }
+  const refresh = Boolean(refreshInput && refreshInput.checked);
+
+  setStatus("Starting crawl job...", false);
+
+  let job;
+  try {
+    if (currentProfile) {
+      // The profile crawls with what the form says now
+      await saveProfileSettings(rawUrl, settings);
+      job = await requestJson(
+        `${PROFILES_ENDPOINT}/${currentProfile.id}/runs`,
+        "POST",
+        { refresh }
+      );
+    } else {
+      job = await requestJson(JOBS_ENDPOINT, "POST", {
+        url: rawUrl,
+        ...settings,
+        refresh,
+      });
+    }
+  } catch (e) {
+    setStatus(`Could not start crawl job: ${e.message}`, true);
+    return;
+  }
+
+  localStorage.setItem(ACTIVE_JOB_KEY, job.id);
+  followJob(job.id);
+}
+
+// ---------- Site profiles ----------
+//
+// A profile keeps a site's URL and crawl settings on the server
+// (server/profiles.js); generating with a profile selected saves the form
+// into it first and adds the run to its history.
+
+/**
+ * Put saved settings (readJobSettings() fields) into the form; missing
+ * ones go back to the page's defaults.
+ */
+function fillFormFromSettings(settings) {
+  const fill = (input, key) => {
+    input.value = settings[key] ?? input.defaultValue;
+  };
+  fill(requestDelayInput, "requestDelay");
+  fill(concurrencyInput, "concurrency");
+  fill(maxRpsInput, "maxRequestsPerSecond");
+  fill(linkCrawlDepthInput, "linkCrawlMaxDepth");
+  fill(linkCrawlPagesInput, "linkCrawlMaxPages");
+  faqUrlsInput.value = (settings.faqUrls || []).join("\n");
+  detectFaqsInput.checked = settings.detectFaqs === true;
+  fullTextInput.checked = settings.fullText === true;
+  enrichInput.checked = Boolean(settings.enrich);
+  enrichDryRunInput.checked = Boolean(
+    settings.enrich && settings.enrich.dryRun
+  );
+
+  const filters = normalizeUrlFilters(settings.filters);
+  includePatternsInput.value = filters.include.join("\n");
+  excludePatternsInput.value = filters.exclude.join("\n");
+  stripQueryInput.checked = Boolean(filters.stripQuery);
+  stripParamsInput.value = Array.isArray(filters.stripQuery)
+    ? filters.stripQuery.join(", ")
+    : "";
+  maxPerSectionInput.value = String(filters.maxPerSection);
+  maxPerSitemapInput.value = String(filters.maxPerSitemap);
+  urlPriorityInput.value = filters.priority;
+
+  const descriptions = normalizeDescriptions(settings.descriptions);
+  descriptionFallbackInput.value = descriptions.fallback;
+  descriptionMaxInput.value = String(descriptions.maxLength);
+
+  // Saved rules count as edited here, so readJobSettings() sends them
+  grouping = settings.grouping ? normalizeGrouping(settings.grouping) : null;
+  fillGroupingInputs(grouping);
+  groupingError.textContent = "";
+  if (grouping) {
+    localStorage.setItem(GROUPING_KEY, JSON.stringify(grouping));
+  } else {
+    localStorage.removeItem(GROUPING_KEY);
+  }
+  locales = settings.locales ? normalizeLocales(settings.locales) : null;
+  fillLocaleInputs(locales);
+  localeError.textContent = "";
+  if (locales) {
+    localStorage.setItem(LOCALES_KEY, JSON.stringify(locales));
+  } else {
+    localStorage.removeItem(LOCALES_KEY);
+  }
+  budget = settings.budget ? normalizeBudget(settings.budget) : null;
+  fillBudgetInputs(budget);
+  budgetError.textContent = "";
+  if (budget) {
+    localStorage.setItem(BUDGET_KEY, JSON.stringify(budget));
+  } else {
+    localStorage.removeItem(BUDGET_KEY);
+  }
+}
+
+/**
+ * The llms.txt header overrides to save: the header fields while results
+ * are shown (the job filled them in), else the profile's saved ones.
+ */
+function profileSiteOverrides() {
+  if (!siteNameInput.disabled) return readSiteInputs();
+  return currentProfile ? currentProfile.settings.site : undefined;
+}
+
+/**
+ * Save the URL and form settings into the selected profile.
+ */
+async function saveProfileSettings(url, settings) {
+  currentProfile = await requestJson(
+    `${PROFILES_ENDPOINT}/${currentProfile.id}`,
+    "PUT",
+    {
+      url,
+      settings: { ...settings, site: profileSiteOverrides() },
+      hosts: profileHostsInput.value.split(/[\s,]+/).filter(Boolean),
+      schedule: {
+        cron: profileCronInput.value,
+        threshold: profileThresholdInput.value || null,
+      },
+    }
+  );
+  fillProfileExtras(currentProfile);
+  renderProfileRuns();
+}
+
+/**
+ * Hosts and schedule of a profile (null: empty fields). They're stored
+ * with the profile, not in the form settings.
+ */
+function fillProfileExtras(profile) {
+  const schedule = (profile && profile.schedule) || {};
+  profileHostsInput.value = ((profile && profile.hosts) || []).join(", ");
+  profileCronInput.value = schedule.cron || "";
+  profileThresholdInput.value = schedule.threshold || "";
+}
+
+function renderProfileOptions() {
+  profileSelect.innerHTML = "";
+  [{ id: "", name: "— No profile —" }, ...profiles].forEach((profile) => {
+    const option = document.createElement("option");
+    option.value = profile.id;
+    option.textContent = profile.name;
+    profileSelect.appendChild(option);
+  });
+  profileSelect.value = currentProfile ? currentProfile.id : "";
+  saveProfileBtn.disabled = !currentProfile;
+  deleteProfileBtn.disabled = !currentProfile;
+}
+
+function runButton(label, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "btn btn-outline btn-small";
+  btn.textContent = label;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function renderProfileRuns() {
+  profileRunsList.innerHTML = "";
+  profileHistory.hidden = !currentProfile;
+  if (!currentProfile) return;
+
+  const base = `${PROFILES_ENDPOINT}/${currentProfile.id}`;
+  profileLlmsLink.href = `${base}/llms.txt`;
+  profileLlmsLink.textContent = `${base}/llms.txt`;
+  const liveUrl = `/sites/${currentProfile.id}/llms.txt`;
+  profileLiveLink.href = liveUrl;
+  profileLiveLink.textContent = liveUrl;
+  const live = currentProfile.runs.find(
+    (run) => run.id === currentProfile.liveRunId
+  );
+  profileLiveStatus.textContent = live
+    ? `Live since ${new Date(currentProfile.publishedAt).toLocaleString()}.`
+    : "Nothing is published yet.";
+  unpublishBtn.hidden = !live;
+  if (!currentProfile.runs.length) {
+    const li = document.createElement("li");
+    li.textContent = "No runs yet: click “Generate LLMs.txt”.";
+    profileRunsList.appendChild(li);
+    return;
+  }
+
+  currentProfile.runs.forEach((run) => {
+    const li = document.createElement("li");
+    const isCurrent = run.id === currentProfile.currentRunId;
+    const isLive = run.id === currentProfile.liveRunId;
+    li.classList.toggle("profile-run-current", isCurrent);
+
+    const summary = document.createElement("span");
+    const when = new Date(run.finishedAt || run.createdAt).toLocaleString();
+    summary.textContent = `${when} · ${run.state} · ${run.pages} pages`;
+    if (run.error) summary.title = run.error;
+    li.appendChild(summary);
+    if (isCurrent) {
+      const badge = document.createElement("span");
+      badge.className = "profile-run-badge";
+      badge.textContent = "current";
+      li.appendChild(badge);
+    }
+    if (isLive) {
+      const badge = document.createElement("span");
+      badge.className = "profile-run-badge profile-run-live";
+      badge.textContent = "live";
+      li.appendChild(badge);
+    }
+
+    run.files.forEach((file) => {
+      const link = document.createElement("a");
+      link.href = `${base}/runs/${run.id}/${file}`;
+      link.textContent = file;
+      li.appendChild(link);
+    });
+    if (run.pageFiles) {
+      const pages = document.createElement("span");
+      pages.textContent = `+ ${run.pageFiles} page .md files`;
+      li.appendChild(pages);
+    }
+    if (run.state === "done") {
+      li.appendChild(
+        runButton("Open", () => {
+          resetResultsUI();
+          localStorage.setItem(ACTIVE_JOB_KEY, run.id);
+          followJob(run.id);
+        })
+      );
+    }
+    if (run.state === "done" && !isCurrent) {
+      li.appendChild(runButton("Roll back", () => rollbackProfile(run.id)));
+    }
+    if (run.state === "done" && !isLive) {
+      li.appendChild(runButton("Publish", () => publishProfileRun(run.id)));
+    }
+    profileRunsList.appendChild(li);
+  });
+}
+
+async function loadProfiles() {
+  try {
+    profiles = await requestJson(PROFILES_ENDPOINT);
+  } catch (e) {
+    console.error("[ERROR] Could not load site profiles", e);
+    return;
+  }
+  const savedId = localStorage.getItem(PROFILE_KEY);
+  if (savedId && profiles.some((p) => p.id === savedId)) {
+    // Form values are the user's last ones; only the history is loaded
+    await refreshProfile(savedId);
+  }
+  renderProfileOptions();
+}
+
+/**
+ * (Re)load a profile's run history. fillForm: also put its URL and
+ * settings into the form.
+ */
+async function refreshProfile(id = currentProfile.id, fillForm = false) {
+  try {
+    currentProfile = await requestJson(`${PROFILES_ENDPOINT}/${id}`);
+  } catch (e) {
+    setStatus(`Could not load the profile: ${e.message}`, true);
+    return;
+  }
+  if (fillForm) {
+    siteUrlInput.value = currentProfile.url;
+    fillFormFromSettings(currentProfile.settings);
+  }
+  fillProfileExtras(currentProfile);
+  renderProfileRuns();
+}
+
+async function selectProfile(id) {
+  if (!id) {
+    currentProfile = null;
+    localStorage.removeItem(PROFILE_KEY);
+    renderProfileRuns();
+  } else {
+    localStorage.setItem(PROFILE_KEY, id);
+    await refreshProfile(id, true);
+  }
+  renderProfileOptions();
+}
+
+async function createProfileFromForm() {
+  const url = siteUrlInput.value.trim();
+  if (!url) {
+    setStatus("Please enter a site URL.", true);
+    return;
+  }
+  const suggested = url.replace(/^https?:\/\//, "").replace(/\/+$/, "");
+  const name = window.prompt("Profile name:", suggested);
+  if (!name) return;
+  try {
+    const settings = { ...readJobSettings(), site: profileSiteOverrides() };
+    const profile = await requestJson(PROFILES_ENDPOINT, "POST", {
+      name,
+      url,
+      settings,
+    });
+    profiles = await requestJson(PROFILES_ENDPOINT);
+    currentProfile = profile;
+    fillProfileExtras(profile);
+    localStorage.setItem(PROFILE_KEY, profile.id);
+    setStatus(`Saved profile “${profile.name}”.`, false);
+  } catch (e) {
+    setStatus(`Could not save the profile: ${e.message}`, true);
+    return;
+  }
+  renderProfileOptions();
+  renderProfileRuns();
+}
+
+async function saveProfileFromForm() {
+  try {
+    await saveProfileSettings(siteUrlInput.value.trim(), readJobSettings());
+    setStatus(`Saved profile “${currentProfile.name}”.`, false);
+  } catch (e) {
+    setStatus(`Could not save the profile: ${e.message}`, true);
+  }
+}
+
+async function deleteCurrentProfile() {
+  const { id, name } = currentProfile;
+  const question = `Delete the profile “${name}” and its run history?`;
+  if (!window.confirm(question)) return;
+  try {
+    await requestJson(`${PROFILES_ENDPOINT}/${id}`, "DELETE");
+  } catch (e) {
+    setStatus(`Could not delete the profile: ${e.message}`, true);
+    return;
+  }
+  profiles = profiles.filter((p) => p.id !== id);
+  await selectProfile("");
+}
+
+async function rollbackProfile(runId) {
+  try {
+    currentProfile = await requestJson(
+      `${PROFILES_ENDPOINT}/${currentProfile.id}/rollback`,
+      "POST",
+      { runId }
+    );
+  } catch (e) {
+    setStatus(`Could not roll back: ${e.message}`, true);
+    return;
+  }
+  renderProfileRuns();
+}
+
+/**
+ * Approve a run: its files replace the published ones.
+ */
+async function publishProfileRun(runId) {
+  try {
+    currentProfile = await requestJson(
+      `${PROFILES_ENDPOINT}/${currentProfile.id}/publish`,
+      "POST",
+      { runId }
+    );
+  } catch (e) {
+    setStatus(`Could not publish: ${e.message}`, true);
+    return;
+  }
+  renderProfileRuns();
+}
+
+async function unpublishProfile() {
+  const question = `Stop publishing the files of “${currentProfile.name}”?`;
+  if (!window.confirm(question)) return;
+  try {
+    currentProfile = await requestJson(
+      `${PROFILES_ENDPOINT}/${currentProfile.id}/publish`,
+      "DELETE"
+    );
+  } catch (e) {
+    setStatus(`Could not unpublish: ${e.message}`, true);
+    return;
+  }
+  renderProfileRuns();
+}
+
+// ---------- Download helpers ----------
+
+function downloadMetadataCSV() {
+  if (!metadataRows.length) return;
+
+  const csv = buildMetadataCsv(metadataRows, csvColumnsWith(extraColumns));
+  const blob = new Blob([csv], {
     type: "text/csv;charset=utf-8",
   });
   const url = URL.createObjectURL(blob);
@@ -783,9 +1898,10 @@ function downloadLlmsTxt() {
   });
   const url = URL.createObjectURL(blob);
 
+  // Browsers can't save into folders: "de/llms.txt" → "de-llms.txt"
   const a = document.createElement("a");
   a.href = url;
-  a.download = "llms.txt";
+  a.download = (llmsFileSelect.value || "llms.txt").replace(/\//g, "-");
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
@@ -793,12 +1909,91 @@ function downloadLlmsTxt() {
   URL.revokeObjectURL(url);
 }
 
+function downloadTextFile(text, fileName, type) {
+  const blob = new Blob([text], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the results in another format (lib/exporters.js), built from
+ * the table and header inputs as they are now. JSONL of a full-text run
+ * comes from the server, which has the page content.
+ */
+function downloadExport(format) {
+  if (!metadataRows.length) return;
+  if (format === "jsonl" && fullTextJobId) {
+    downloadJobFile("export/jsonl", "pages.jsonl");
+    return;
+  }
+
+  const { fileName, contentType, content } = buildExport(format, {
+    rows: metadataRows,
+    faqItems,
+    site: readSiteInputs(),
+    grouping,
+    locales,
+    budget,
+    columns: csvColumnsWith(extraColumns),
+  });
+  const blob = new Blob([content], { type: contentType });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+
+  URL.revokeObjectURL(url);
+}
+
+function downloadJobFile(file, fileName = file) {
+  if (!fullTextJobId) return;
+
+  const a = document.createElement("a");
+  a.href = `${JOBS_ENDPOINT}/${fullTextJobId}/${file}`;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
+
 // ---------- Event bindings ----------
 
 runBtn.addEventListener("click", () => {
   runUrlToLlmsFlow();
 });
 
+profileSelect.addEventListener("change", () => {
+  selectProfile(profileSelect.value);
+});
+
+saveProfileBtn.addEventListener("click", () => {
+  saveProfileFromForm();
+});
+
+newProfileBtn.addEventListener("click", () => {
+  createProfileFromForm();
+});
+
+deleteProfileBtn.addEventListener("click", () => {
+  deleteCurrentProfile();
+});
+
+unpublishBtn.addEventListener("click", () => {
+  unpublishProfile();
+});
+
 downloadCsvBtn.addEventListener("click", () => {
   downloadMetadataCSV();
 });
@@ -806,3 +2001,124 @@ downloadCsvBtn.addEventListener("click", () => {
 downloadLlmsBtn.addEventListener("click", () => {
   downloadLlmsTxt();
 });
+
+downloadFullBtn.addEventListener("click", () => {
+  downloadJobFile("llms-full.txt");
+});
+
+downloadPagesBtn.addEventListener("click", () => {
+  downloadJobFile("pages.zip");
+});
+
+downloadJsonBtn.addEventListener("click", () => {
+  downloadExport("json");
+});
+
+downloadJsonlBtn.addEventListener("click", () => {
+  downloadExport("jsonl");
+});
+
+downloadSitemapBtn.addEventListener("click", () => {
+  downloadExport("sitemap");
+});
+
+downloadXlsxBtn.addEventListener("click", () => {
+  downloadExport("xlsx");
+});
+
+auditFilterSelect.addEventListener("change", () => {
+  tablePage = 0;
+  updateMetadataTable();
+});
+
+rowSearchInput.addEventListener("input", () => {
+  tablePage = 0;
+  updateMetadataTable();
+});
+
+rowOrderSelect.addEventListener("change", () => {
+  tablePage = 0;
+  updateMetadataTable();
+});
+
+pagePrevBtn.addEventListener("click", () => {
+  tablePage--;
+  updateMetadataTable();
+});
+
+pageNextBtn.addEventListener("click", () => {
+  tablePage++;
+  updateMetadataTable();
+});
+
+// Edits still waiting for the typing pause
+window.addEventListener("pagehide", () => {
+  saveRowEdits();
+});
+
+acceptAllBtn.addEventListener("click", () => {
+  reviewSuggestions(
+    metadataRows
+      .filter((row) => row.llm_status === "suggested")
+      .map((row) => row.url),
+    "accepted"
+  );
+});
+
+compareBtn.addEventListener("click", () => {
+  compareWithLive();
+});
+
+exportDiffMdBtn.addEventListener("click", () => {
+  if (!llmsDiff) return;
+  downloadTextFile(
+    formatLlmsDiffMarkdown(llmsDiff),
+    "llms-diff.md",
+    "text/markdown"
+  );
+});
+
+exportDiffJsonBtn.addEventListener("click", () => {
+  if (!llmsDiff) return;
+  downloadTextFile(
+    formatLlmsDiffJson(llmsDiff),
+    "llms-diff.json",
+    "application/json"
+  );
+});
+
+groupingInputs.forEach((input) => {
+  input.addEventListener("input", () => {
+    onGroupingEdited();
+  });
+});
+
+localeInputs.forEach((input) => {
+  input.addEventListener("input", () => {
+    onLocalesEdited();
+  });
+});
+
+budgetInputs.forEach((input) => {
+  input.addEventListener("input", () => {
+    onBudgetEdited();
+  });
+});
+
+llmsFileSelect.addEventListener("change", () => {
+  showSelectedLlmsFile();
+});
+
+headerInputs.forEach((input) => {
+  input.addEventListener("input", () => {
+    regenerateLlmsText();
+  });
+});
+
+loadProfiles();
+
+// Reattach to the last job (still running or finished) after a reload
+const savedJobId = localStorage.getItem(ACTIVE_JOB_KEY);
+if (savedJobId) {
+  followJob(savedJobId);
+}
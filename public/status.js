@@ -0,0 +1,98 @@
+// ===========================
+// Scheduled runs status page (status.html)
+// ===========================
+//
+// Every site profile's schedule, last and next run from GET /api/schedule
+// (server/scheduler.js), refreshed every 30 seconds.
+
+const scheduleStatus = document.getElementById("scheduleStatus");
+const scheduleTableBody = document.getElementById("scheduleTableBody");
+
+const SCHEDULE_ENDPOINT = "/api/schedule";
+const REFRESH_MS = 30000;
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : "—");
+
+function lastRunText(site) {
+  if (site.running) return "Running…";
+  const run = site.lastRun;
+  if (!run) return "Never";
+  const when = formatTime(run.finishedAt || run.createdAt);
+  const state = run.error ? `${run.state}: ${run.error}` : run.state;
+  return `${when} · ${state}`;
+}
+
+function nextRunText(site) {
+  if (site.retryAt) {
+    return `Retry ${site.attempt + 1} at ${formatTime(site.retryAt)}`;
+  }
+  if (!site.cron) return "Not scheduled";
+  if (!site.nextRunAt) return "Never (no matching date)";
+  return formatTime(site.nextRunAt);
+}
+
+function checkText(site) {
+  const check = site.lastCheck;
+  if (!check) return "—";
+  const entries = `${check.entries} entr${check.entries === 1 ? "y" : "ies"}`;
+  return check.notified
+    ? `${entries} changed, notified`
+    : `${entries} changed, below the threshold (${site.threshold})`;
+}
+
+function webhookText(site) {
+  const sent = site.lastNotification;
+  if (!sent) return "—";
+  const result = sent.ok ? "delivered" : sent.error;
+  return `${formatTime(sent.at)} · ${sent.event} · ${result}`;
+}
+
+function renderSchedule(sites) {
+  scheduleTableBody.innerHTML = "";
+  if (!sites.length) {
+    const tr = document.createElement("tr");
+    const td = document.createElement("td");
+    td.colSpan = 6;
+    td.textContent = "No site profiles yet.";
+    tr.appendChild(td);
+    scheduleTableBody.appendChild(tr);
+    return;
+  }
+
+  sites.forEach((site) => {
+    const tr = document.createElement("tr");
+    const cells = [
+      `${site.name} (${site.url})`,
+      site.cron || "—",
+      lastRunText(site),
+      nextRunText(site),
+      checkText(site),
+      webhookText(site),
+    ];
+    cells.forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    if (site.lastRun && site.lastRun.state !== "done") {
+      tr.classList.add("row-skipped");
+    }
+    scheduleTableBody.appendChild(tr);
+  });
+}
+
+async function refreshSchedule() {
+  try {
+    const resp = await fetch(SCHEDULE_ENDPOINT);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    renderSchedule(await resp.json());
+    scheduleStatus.textContent = `Updated ${new Date().toLocaleTimeString()}.`;
+    scheduleStatus.classList.remove("error");
+  } catch (e) {
+    scheduleStatus.textContent = `Could not load the schedule: ${e.message}`;
+    scheduleStatus.classList.add("error");
+  }
+}
+
+refreshSchedule();
+setInterval(refreshSchedule, REFRESH_MS);
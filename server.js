@@ -1,28 +1,77 @@
 // server.js
-// Simple Express server that serves the frontend and provides a /proxy
-// endpoint to fetch remote URLs server-side (avoids browser CORS issues).
+// Simple Express server that serves the frontend, provides a /proxy
+// endpoint to fetch remote URLs server-side (avoids browser CORS issues),
+// runs crawl jobs server-side (/api/jobs) with SSE progress streaming,
+// re-crawls site profiles on a schedule, and publishes their approved
+// llms.txt files.
 
 import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
 
+import { buildPageMarkdownFiles } from "./lib/llms-full.js";
+import { csvColumnsWith, parseExtraColumns } from "./lib/csv.js";
+import { buildExport, getExporter } from "./lib/exporters.js";
+import { normalizeGrouping } from "./lib/grouping.js";
+import { normalizeUrlFilters } from "./lib/url-filters.js";
+import { normalizeDescriptions } from "./lib/describe.js";
+import { normalizeLocales } from "./lib/locales.js";
+import { normalizeBudget } from "./lib/budget.js";
+import { normalizeSiteUrl } from "./lib/pipeline.js";
+import { loadConfig } from "./server/config.js";
+import { USER_AGENT } from "./server/env.js";
+import { createJobManager, serializeJob } from "./server/jobs.js";
+import { createProfileStore } from "./server/profiles.js";
+import { createPublishHandler } from "./server/publish.js";
+import { createScheduler } from "./server/scheduler.js";
+import {
+  BlockedUrlError,
+  FetchLimitError,
+  checkUrlAllowed,
+  safeFetch,
+} from "./server/safe-fetch.js";
+import { createZip } from "./server/zip.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const config = loadConfig();
+
+const profileStore = createProfileStore({
+  dataDir: DATA_DIR,
+  reservedHosts: config.publish.reservedHosts,
+});
+
+// ------------ Published Sites ------------
+// Each site profile's live run (llms.txt, llms-full.txt, page .md files),
+// on the profile's hosts or under /sites/<profileId>/ — see
+// server/publish.js. First, since a published host serves nothing else.
+app.use(createPublishHandler(profileStore));
 
 // ------------ Serve Static Files ------------
 const publicDir = path.join(__dirname, "public");
 app.use(express.static(publicDir));
 
+// Shared pipeline modules (also used by the CLI), loaded by script.js
+app.use("/lib", express.static(path.join(__dirname, "lib")));
+
 app.get("/", (req, res) => {
   res.sendFile(path.join(publicDir, "index.html"));
 });
 
 // ------------ Proxy Endpoint ------------
-// IMPORTANT: Node 18+ required for global fetch.
-// This proxy is now OPEN (allows ALL hosts).
+// Fetches go through server/safe-fetch.js: http/https only, private and
+// internal addresses refused (also on redirect hops), optional host
+// allow/denylist and size/time caps from config.proxy. Blocked → 403.
+// Conditional requests (If-None-Match / If-Modified-Since) are passed
+// upstream, and a 304 is relayed with the validators so callers can cache.
+
+// Request/response headers relayed for conditional fetches
+const CONDITIONAL_REQUEST_HEADERS = ["if-none-match", "if-modified-since"];
+const VALIDATOR_RESPONSE_HEADERS = ["etag", "last-modified"];
 
 app.get("/proxy", async (req, res) => {
   const targetUrl = req.query.url;
@@ -31,45 +80,648 @@ app.get("/proxy", async (req, res) => {
     return res.status(400).send("Missing url parameter");
   }
 
-  let urlObj;
   try {
-    urlObj = new URL(targetUrl);
+    new URL(targetUrl);
   } catch (e) {
     return res.status(400).send("Invalid URL");
   }
 
-  // --------------------------------------------------
-  // 🟢 OPEN PROXY MODE — ALLOW ALL DOMAINS
-  // (You removed ALLOWED_HOSTS restrictions)
-  // --------------------------------------------------
+  const headers = { "User-Agent": USER_AGENT };
+  CONDITIONAL_REQUEST_HEADERS.forEach((name) => {
+    if (req.get(name)) headers[name] = req.get(name);
+  });
 
   try {
-    const upstream = await fetch(targetUrl, {
-      method: "GET",
-      headers: {
-        "User-Agent": "MetaScraperBot/1.0 (+https://hypelocal.com)"
-      }
+    const upstream = await safeFetch(targetUrl, config.proxy, { headers });
+
+    res.set("Access-Control-Allow-Origin", "*");
+    VALIDATOR_RESPONSE_HEADERS.forEach((name) => {
+      if (upstream.headers[name]) res.set(name, upstream.headers[name]);
     });
 
+    if (upstream.status === 304) {
+      return res.status(304).end();
+    }
+
     if (!upstream.ok) {
       return res
         .status(upstream.status)
         .send(`Upstream error ${upstream.status}`);
     }
 
-    const text = await upstream.text();
+    const text = upstream.body.toString("utf8");
 
     res.set("Content-Type", "text/plain; charset=utf-8");
-    res.set("Access-Control-Allow-Origin", "*");
     res.send(text);
 
   } catch (err) {
+    if (err instanceof BlockedUrlError) {
+      return res.status(403).send(`Blocked: ${err.message}`);
+    }
+    if (err instanceof FetchLimitError) {
+      return res.status(502).send(`Upstream error: ${err.message}`);
+    }
     console.error("Proxy error:", err);
     res.status(500).send("Proxy fetch error");
   }
 });
 
+// ------------ Crawl Jobs ------------
+// POST /api/jobs            { url, requestDelay (seconds), concurrency,
+//                             maxRequestsPerSecond, linkCrawlMaxDepth,
+//                             linkCrawlMaxPages, faqUrls, detectFaqs,
+//                             fullText, refresh, grouping, filters,
+//                             descriptions, enrich, locales, budget,
+//                             site } → 202 job
+//                            (faqUrls: FAQ page URLs, or faqUrl: one;
+//                             detectFaqs: also find FAQs on the crawled
+//                             pages; site: llms.txt header overrides; refresh:
+//                             ignore the crawl cache; grouping: section
+//                             rules, default config.grouping; filters: URL
+//                             filters, default config.filters;
+//                             descriptions: fallback for pages without
+//                             one, default config.descriptions; enrich:
+//                             true or { dryRun } for LLM suggestions
+//                             from config.enrich's endpoint; locales:
+//                             per-locale llms.txt, default config.locales;
+//                             budget: { maxTokens, strategy } llms.txt
+//                             token budget, default config.budget — see
+//                             lib/pipeline.js)
+// GET  /api/jobs            list of jobs (without results)
+// GET  /api/jobs/:id        job state + rows / faqItems / llmsText /
+//                            llmsFiles
+// PATCH /api/jobs/:id/rows  { edits: [{ url, changes }] } → { rows }
+//                            editor edits of finished rows: titles,
+//                            descriptions, sections, exclusion, Optional,
+//                            order, LLM suggestion verdicts (changes: see
+//                            lib/curation.js); kept for the site's later
+//                            jobs
+// GET  /api/jobs/:id/events Server-Sent Events: snapshot, status, row, done
+// GET  /api/jobs/:id/llms-full.txt  llms-full.txt (jobs run with fullText)
+// GET  /api/jobs/:id/pages.zip      one .md file per page (same)
+// GET  /api/jobs/:id/export/:format?columns=h1,lang
+//                           the results as llms, csv, json, jsonl,
+//                           sitemap (Markdown) or xlsx (lib/exporters.js);
+//                           columns: extra CSV / XLSX columns, or "all"
+
+const jobManager = createJobManager({
+  dataDir: DATA_DIR,
+  envOptions: { policy: config.proxy },
+  enrich: config.enrich,
+  // Finished (and later edited) profile runs go into the profile's history
+  onResults: (job) =>
+    job.params.profileId
+      ? profileStore.recordRun(job.params.profileId, job)
+      : Promise.resolve(),
+});
+
+app.use("/api", express.json({ limit: "1mb" }));
+
+/**
+ * Keep only the known llms.txt header fields from a request body.
+ */
+function parseSiteOverrides(site) {
+  if (!site || typeof site !== "object") return {};
+  const str = (v) => (typeof v === "string" ? v.trim() : "");
+  const optionalSections = Array.isArray(site.optionalSections)
+    ? site.optionalSections.map(str).filter(Boolean)
+    : [];
+  return {
+    siteName: str(site.siteName),
+    summary: str(site.summary),
+    details: str(site.details),
+    optionalSections,
+  };
+}
+
+// Upper bound for numeric request fields without a tighter one
+const MAX_NUMBER_PARAM = 1000000;
+const MAX_REQUEST_DELAY_SECS = 60;
+
+/**
+ * Parse an optional number from 0 to max from a request body.
+ * Missing/empty → fallback; invalid, infinite or out of range → null.
+ */
+function parseNonNegative(value, fallback, max = MAX_NUMBER_PARAM) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 && parsed <= max
+    ? parsed
+    : null;
+}
+
+const MAX_FAQ_URLS = 20;
+
+/**
+ * FAQ page URLs from a request body: faqUrls (a list), else faqUrl (one).
+ * Returns them trimmed and deduped, or null when malformed.
+ */
+function parseFaqUrls(body) {
+  let raw = body.faqUrls;
+  if (raw === undefined || raw === null) raw = body.faqUrl ? [body.faqUrl] : [];
+  if (!Array.isArray(raw) || raw.some((u) => typeof u !== "string")) {
+    return null;
+  }
+  return Array.from(new Set(raw.map((u) => u.trim()).filter(Boolean)));
+}
+
+/**
+ * Validate a job request body (POST /api/jobs, site profile settings)
+ * into createJob() params. Returns { params }, or { status, error }.
+ */
+async function parseJobRequest(body) {
+  const { url } = body;
+
+  if (!url || typeof url !== "string" || !url.trim()) {
+    return { status: 400, error: "Missing url" };
+  }
+
+  const site = normalizeSiteUrl(url);
+  if (!site) {
+    return { status: 400, error: "Invalid URL" };
+  }
+  try {
+    await checkUrlAllowed(site, config.proxy);
+  } catch (err) {
+    return { status: 403, error: `Blocked: ${err.message}` };
+  }
+
+  const { crawl } = config;
+  const allowRegex = crawl.allowRequestRegexes === true;
+  const requestDelaySecs = parseNonNegative(
+    body.requestDelay,
+    0,
+    MAX_REQUEST_DELAY_SECS
+  );
+  const concurrency = parseNonNegative(body.concurrency, crawl.concurrency);
+  const maxRequestsPerSecond = parseNonNegative(
+    body.maxRequestsPerSecond,
+    crawl.maxRequestsPerSecond
+  );
+  if (requestDelaySecs === null) {
+    return {
+      status: 400,
+      error: `requestDelay must be 0 to ${MAX_REQUEST_DELAY_SECS} seconds`,
+    };
+  }
+  if (concurrency === null || concurrency < 1) {
+    return { status: 400, error: "Invalid concurrency" };
+  }
+  if (maxRequestsPerSecond === null) {
+    return { status: 400, error: "Invalid maxRequestsPerSecond" };
+  }
+  const linkCrawlMaxDepth = parseNonNegative(
+    body.linkCrawlMaxDepth,
+    crawl.linkCrawlMaxDepth
+  );
+  const linkCrawlMaxPages = parseNonNegative(
+    body.linkCrawlMaxPages,
+    crawl.linkCrawlMaxPages
+  );
+  if (linkCrawlMaxDepth === null) {
+    return { status: 400, error: "Invalid linkCrawlMaxDepth" };
+  }
+  if (linkCrawlMaxPages === null) {
+    return { status: 400, error: "Invalid linkCrawlMaxPages" };
+  }
+  const faqUrls = parseFaqUrls(body);
+  if (!faqUrls || faqUrls.length > MAX_FAQ_URLS) {
+    return {
+      status: 400,
+      error: `faqUrls must be a list of at most ${MAX_FAQ_URLS} URLs`,
+    };
+  }
+  let grouping = config.grouping;
+  if (body.grouping) {
+    try {
+      grouping = normalizeGrouping(body.grouping, { allowRegex });
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+  }
+  let urlFilters = config.filters;
+  if (body.filters) {
+    try {
+      urlFilters = normalizeUrlFilters(body.filters, { allowRegex });
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+  }
+  let descriptions = config.descriptions;
+  if (body.descriptions) {
+    try {
+      descriptions = normalizeDescriptions(body.descriptions);
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+  }
+  let enrich = null;
+  if (body.enrich) {
+    if (!config.enrich.endpoint) {
+      return {
+        status: 400,
+        error:
+          "LLM enrichment is not set up on this server " +
+          '(config "enrich.endpoint" or LLM_ENDPOINT)',
+      };
+    }
+    enrich = { dryRun: body.enrich.dryRun === true };
+  }
+  let locales = config.locales;
+  if (body.locales) {
+    try {
+      locales = normalizeLocales(body.locales, { allowRegex });
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+  }
+  let budget = config.budget;
+  if (body.budget) {
+    try {
+      budget = normalizeBudget(body.budget);
+    } catch (err) {
+      return { status: 400, error: err.message };
+    }
+  }
+
+  return {
+    params: {
+      url: url.trim(),
+      requestDelayMs: requestDelaySecs * 1000,
+      concurrency: Math.min(Math.floor(concurrency), crawl.maxConcurrency),
+      maxRequestsPerSecond,
+      maxRetries: crawl.maxRetries,
+      linkCrawlMaxDepth: Math.floor(linkCrawlMaxDepth),
+      linkCrawlMaxPages: Math.min(
+        Math.floor(linkCrawlMaxPages),
+        crawl.maxLinkCrawlPages
+      ),
+      faqUrls,
+      detectFaqs: body.detectFaqs === true,
+      fullText: body.fullText === true,
+      refresh: body.refresh === true,
+      grouping,
+      urlFilters,
+      descriptions,
+      enrich,
+      locales,
+      budget,
+      site: parseSiteOverrides(body.site),
+    },
+  };
+}
+
+app.post("/api/jobs", async (req, res) => {
+  const parsed = await parseJobRequest(req.body || {});
+  if (parsed.error) {
+    return res.status(parsed.status).json({ error: parsed.error });
+  }
+  const job = jobManager.createJob(parsed.params);
+  res.status(202).json(serializeJob(job, { withResults: false }));
+});
+
+app.get("/api/jobs", (req, res) => {
+  res.json(jobManager.listJobs());
+});
+
+app.get("/api/jobs/:id", async (req, res) => {
+  const job = await jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(serializeJob(job));
+});
+
+app.patch("/api/jobs/:id/rows", async (req, res) => {
+  const { edits } = req.body || {};
+  const valid =
+    Array.isArray(edits) &&
+    edits.every((edit) => edit && typeof edit.url === "string");
+  if (!valid) {
+    return res
+      .status(400)
+      .json({ error: "Expected { edits: [{ url, changes }] }" });
+  }
+  try {
+    const rows = await jobManager.updateRows(req.params.id, edits);
+    if (!rows) {
+      return res.status(404).json({ error: "No finished job with this id" });
+    }
+    res.json({ rows });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/api/jobs/:id/events", async (req, res) => {
+  const job = await jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Full state first, so a reloaded page can rebuild its table
+  send("snapshot", serializeJob(job));
+  if (job.state !== "running") {
+    return res.end();
+  }
+
+  const unsubscribe = jobManager.subscribe(job.id, ({ type, data }) => {
+    send(type, data);
+    if (type === "done") res.end();
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+app.get("/api/jobs/:id/llms-full.txt", async (req, res) => {
+  const full = await jobManager.getFullText(req.params.id);
+  if (!full) {
+    return res.status(404).json({ error: "No llms-full.txt for this job" });
+  }
+  res.set("Content-Type", "text/plain; charset=utf-8");
+  res.attachment("llms-full.txt");
+  res.send(full.llmsFullText);
+});
+
+app.get("/api/jobs/:id/pages.zip", async (req, res) => {
+  const job = await jobManager.getJob(req.params.id);
+  const full = await jobManager.getFullText(req.params.id);
+  if (!job || !full) {
+    return res.status(404).json({ error: "No page Markdown for this job" });
+  }
+  const files = buildPageMarkdownFiles(job.rows, full.pageMarkdown);
+  res.set("Content-Type", "application/zip");
+  res.attachment("pages.zip");
+  res.send(createZip(files));
+});
+
+app.get("/api/jobs/:id/export/:format", async (req, res) => {
+  const job = await jobManager.getJob(req.params.id);
+  if (!job || job.state !== "done") {
+    return res.status(404).json({ error: "No finished job with this id" });
+  }
+  if (!getExporter(req.params.format)) {
+    return res.status(404).json({ error: "Unknown export format" });
+  }
+  let extraColumns;
+  try {
+    extraColumns = parseExtraColumns(String(req.query.columns || ""));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const full = await jobManager.getFullText(job.id);
+  const { fileName, contentType, content } = buildExport(req.params.format, {
+    rows: job.rows,
+    faqItems: job.faqItems,
+    site: job.site,
+    grouping: job.params.grouping,
+    locales: job.params.locales,
+    budget: job.params.budget,
+    columns: csvColumnsWith(extraColumns),
+    pageMarkdown: full ? full.pageMarkdown : null,
+  });
+  // attachment() sets a type from the extension first, unknown for .jsonl
+  res.attachment(fileName);
+  res.set("Content-Type", contentType);
+  res.send(typeof content === "string" ? content : Buffer.from(content));
+});
+
+// ------------ Site Profiles ------------
+// GET    /api/profiles              list (without run history)
+// POST   /api/profiles              { name, url, settings, hosts,
+//                                    schedule } → 201 profile (settings:
+//                                    POST /api/jobs fields, see
+//                                    server/profiles.js; hosts: host names
+//                                    to publish on; schedule: { cron,
+//                                    threshold } for scheduled runs)
+// GET    /api/profiles/:id          profile + run history
+// PUT    /api/profiles/:id          { name, url, settings, hosts,
+//                                    schedule } → profile
+// DELETE /api/profiles/:id          → 204, run history included
+// POST   /api/profiles/:id/runs     { refresh } → 202 job, crawled with the
+//                                    profile's settings
+// POST   /api/profiles/:id/rollback { runId } → profile (runId becomes
+//                                    the current run)
+// POST   /api/profiles/:id/publish  { runId } → profile (runId, default
+//                                    the current run, goes live)
+// DELETE /api/profiles/:id/publish  → profile, no longer published
+// GET    /api/profiles/:id/llms.txt            the current run's llms.txt
+// GET    /api/profiles/:id/runs/:runId/<file>  a run's artifact (see
+//                                              run.files; pages/<path>.md
+//                                              with run.pageFiles)
+
+/**
+ * Validate a profile's url + settings the way a job request would be.
+ * Returns { error, status } or {}.
+ */
+async function checkProfileSettings(url, settings) {
+  if (settings !== undefined && (!settings || typeof settings !== "object")) {
+    return { status: 400, error: "settings must be an object" };
+  }
+  const parsed = await parseJobRequest({ ...settings, url });
+  return parsed.error ? parsed : {};
+}
+
+app.get("/api/profiles", async (req, res) => {
+  res.json(await profileStore.listProfiles());
+});
+
+app.post("/api/profiles", async (req, res) => {
+  const { name, url, settings = {}, hosts, schedule } = req.body || {};
+  const checked = await checkProfileSettings(url, settings);
+  if (checked.error) {
+    return res.status(checked.status).json({ error: checked.error });
+  }
+  try {
+    const profile = await profileStore.createProfile(
+      { name, url: url.trim(), settings, hosts, schedule },
+      req.hostname
+    );
+    res.status(201).json(profile);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/api/profiles/:id", async (req, res) => {
+  const profile = await profileStore.getProfile(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+  res.json(profile);
+});
+
+app.put("/api/profiles/:id", async (req, res) => {
+  const profile = await profileStore.getProfile(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+  const { name, url, settings, hosts, schedule } = req.body || {};
+  const checked = await checkProfileSettings(
+    url !== undefined ? url : profile.url,
+    settings !== undefined ? settings : profile.settings
+  );
+  if (checked.error) {
+    return res.status(checked.status).json({ error: checked.error });
+  }
+  try {
+    const updated = await profileStore.updateProfile(
+      profile.id,
+      {
+        name,
+        url: url !== undefined ? url.trim() : undefined,
+        settings,
+        hosts,
+        schedule,
+      },
+      req.hostname
+    );
+    res.json(updated);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/profiles/:id", async (req, res) => {
+  if (!(await profileStore.deleteProfile(req.params.id))) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+  res.status(204).end();
+});
+
+/**
+ * Start a crawl of a profile with its saved settings. Returns { job }, or
+ * { status, error }.
+ */
+async function startProfileRun(profile, refresh = false) {
+  const parsed = await parseJobRequest({
+    ...profile.settings,
+    url: profile.url,
+    refresh,
+  });
+  if (parsed.error) return parsed;
+  const job = jobManager.createJob({
+    ...parsed.params,
+    profileId: profile.id,
+  });
+  return { job };
+}
+
+app.post("/api/profiles/:id/runs", async (req, res) => {
+  const profile = await profileStore.getProfile(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+  const started = await startProfileRun(
+    profile,
+    (req.body || {}).refresh === true
+  );
+  if (started.error) {
+    return res.status(started.status).json({ error: started.error });
+  }
+  res.status(202).json(serializeJob(started.job, { withResults: false }));
+});
+
+app.post("/api/profiles/:id/rollback", async (req, res) => {
+  const { runId } = req.body || {};
+  try {
+    const profile = await profileStore.rollback(req.params.id, runId);
+    if (!profile) {
+      return res.status(404).json({ error: "No such profile run" });
+    }
+    res.json(profile);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post("/api/profiles/:id/publish", async (req, res) => {
+  const { runId } = req.body || {};
+  try {
+    const profile = await profileStore.publishRun(req.params.id, runId);
+    if (!profile) {
+      return res.status(404).json({ error: "No such profile run" });
+    }
+    res.json(profile);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/profiles/:id/publish", async (req, res) => {
+  const profile = await profileStore.unpublish(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: "Profile not found" });
+  }
+  res.json(profile);
+});
+
+const RUN_FILE_TYPES = {
+  ".csv": "text/csv; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+};
+
+/**
+ * Send a stored run artifact, or a 404.
+ */
+async function sendRunFile(res, id, runId, file, download) {
+  const filePath = await profileStore.runFilePath(id, runId, file);
+  const notFound = () => {
+    res.removeHeader("Content-Disposition");
+    res.status(404).json({ error: "File not found" });
+  };
+  if (!filePath) return notFound();
+  if (download) res.attachment(path.basename(file));
+  const type = RUN_FILE_TYPES[path.extname(file)];
+  res.sendFile(
+    filePath,
+    { headers: { "Content-Type": type || "text/plain; charset=utf-8" } },
+    // Page files aren't listed, so may not exist
+    (err) => err && !res.headersSent && notFound()
+  );
+}
+
+app.get("/api/profiles/:id/llms.txt", (req, res) =>
+  sendRunFile(res, req.params.id, "current", "llms.txt", false)
+);
+
+app.get("/api/profiles/:id/runs/:runId/*", (req, res) =>
+  sendRunFile(res, req.params.id, req.params.runId, req.params[0], true)
+);
+
+// ------------ Scheduled Runs ------------
+// GET /api/schedule  every profile's cron, next and last run, retry and
+//                    last webhook state (server/scheduler.js); shown by
+//                    /status.html
+
+const scheduler = createScheduler({
+  profileStore,
+  jobManager,
+  startRun: (profile) => startProfileRun(profile),
+  config: config.scheduler,
+});
+
+app.get("/api/schedule", async (req, res) => {
+  res.json(await scheduler.getStatus());
+});
+
 // ------------ Start Server ------------
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
+  scheduler.start();
 });
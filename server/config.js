@@ -0,0 +1,264 @@
+// server/config.js
+// Server/CLI configuration. Values come from (lowest → highest priority):
+//   1) the defaults below
+//   2) a JSON config file: $LLMSGEN_CONFIG, or ./llmsgen.config.json if present
+//   3) environment variables (PROXY_ALLOW_HOSTS, PROXY_DENY_HOSTS, ...,
+//      ALLOW_REQUEST_REGEXES, LLM_ENDPOINT, LLM_MODEL, LLM_API_KEY,
+//      SCHEDULER_WEBHOOK_URL, PUBLISH_RESERVED_HOSTS)
+//
+// Example llmsgen.config.json:
+//   {
+//     "proxy": {
+//       "allowHosts": ["example.com", "*.example.com"],
+//       "denyHosts": ["admin.example.com"],
+//       "maxResponseBytes": 5242880,
+//       "timeoutMs": 15000
+//     },
+//     "grouping": {
+//       "rules": [{ "type": "prefix", "match": "/blog/", "section": "Blog" }],
+//       "strategy": "depth",
+//       "depth": 1,
+//       "exclude": ["Tag"]
+//     },
+//     "filters": {
+//       "exclude": ["/tag/**", "/page/*"],
+//       "stripQuery": ["utm_*"],
+//       "maxPerSection": 100,
+//       "priority": "lastmod"
+//     },
+//     "descriptions": { "fallback": "summary", "maxLength": 160 },
+//     "locales": {
+//       "mode": "files",
+//       "primary": "en",
+//       "rules": [{ "match": "/ch/**", "locale": "de-CH" }]
+//     },
+//     "budget": { "maxTokens": 8000, "strategy": "optional" },
+//     "enrich": {
+//       "endpoint": "http://127.0.0.1:11434/v1",
+//       "model": "llama3.1",
+//       "batchSize": 5,
+//       "tokenBudget": 100000
+//     },
+//     "scheduler": {
+//       "webhookUrl": "https://hooks.example.com/llms",
+//       "threshold": 3,
+//       "retries": 2,
+//       "retryDelaySeconds": 300
+//     },
+//     "publish": { "reservedHosts": ["llmsgen.example.com"] }
+//   }
+//
+// See lib/grouping.js for all grouping options, lib/url-filters.js for the
+// URL filters, lib/describe.js for descriptions synthesized for pages
+// without one, lib/locales.js for multi-language sites, lib/budget.js for
+// the llms.txt token budget, lib/enrich.js for LLM suggestions (incl.
+// prompt templates), server/scheduler.js for scheduled re-crawls and
+// their change / failure webhooks and server/publish.js for publishing.
+
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+
+import { DEFAULT_GROUPING, normalizeGrouping } from "../lib/grouping.js";
+import {
+  DEFAULT_URL_FILTERS,
+  normalizeUrlFilters,
+} from "../lib/url-filters.js";
+import {
+  DEFAULT_DESCRIPTIONS,
+  normalizeDescriptions,
+} from "../lib/describe.js";
+import { DEFAULT_LOCALES, normalizeLocales } from "../lib/locales.js";
+import { DEFAULT_BUDGET, normalizeBudget } from "../lib/budget.js";
+import { DEFAULT_ENRICH, normalizeEnrich } from "../lib/enrich.js";
+import { normalizeHosts } from "./profiles.js";
+import { DEFAULT_SCHEDULER, normalizeScheduler } from "./scheduler.js";
+
+export const DEFAULT_CONFIG = {
+  proxy: {
+    // When non-empty, only these hosts may be fetched ("*.example.com"
+    // also matches subdomains). denyHosts always wins over allowHosts.
+    allowHosts: [],
+    denyHosts: [],
+    // Loopback, private, link-local etc. addresses are refused unless this
+    // is switched on (e.g. for crawling an intranet from a trusted machine).
+    allowPrivateNetworks: false,
+    maxResponseBytes: 10 * 1024 * 1024,
+    timeoutMs: 20000,
+    maxRedirects: 5,
+  },
+  crawl: {
+    // Defaults for crawl jobs / the CLI; requests may override them, but
+    // never above maxConcurrency.
+    concurrency: 4,
+    maxConcurrency: 16,
+    maxRequestsPerSecond: 4,
+    maxRetries: 3,
+    // Fallback link crawl for sites without a usable sitemap; requests may
+    // override the defaults, but never above maxLinkCrawlPages.
+    linkCrawlMaxDepth: 3,
+    linkCrawlMaxPages: 500,
+    maxLinkCrawlPages: 5000,
+    // Accept "re:" URL filters and locale rules, and regex grouping rules,
+    // in job requests and profiles. Off by default: a slow regex ("(a+)+$") run against the
+    // crawled URLs blocks the whole server. Regexes in this file always
+    // work; only switch this on if everyone who can reach the app is
+    // trusted.
+    allowRequestRegexes: false,
+  },
+  // Default llms.txt grouping for jobs that don't send their own
+  grouping: DEFAULT_GROUPING,
+  // Default URL filters for jobs that don't send their own
+  filters: DEFAULT_URL_FILTERS,
+  // Fallback for pages without a meta description
+  descriptions: DEFAULT_DESCRIPTIONS,
+  // Default page locale rules / per-locale llms.txt mode
+  locales: DEFAULT_LOCALES,
+  // llms.txt token budget (maxTokens 0 = none)
+  budget: DEFAULT_BUDGET,
+  // LLM suggestions backend; jobs can only turn it on, never point it
+  // elsewhere
+  enrich: DEFAULT_ENRICH,
+  // Webhook, change threshold and retries for profiles' scheduled runs
+  scheduler: DEFAULT_SCHEDULER,
+  publish: {
+    // Host names the app is served on: no profile may be published there
+    // (localhost and 127.0.0.1 never can), or the app would be unreachable
+    reservedHosts: [],
+  },
+};
+
+function splitList(value) {
+  return value
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function readConfigFile(configPath) {
+  if (!existsSync(configPath)) return {};
+  try {
+    return JSON.parse(readFileSync(configPath, "utf8"));
+  } catch (e) {
+    throw new Error(`Could not read config file ${configPath}: ${e.message}`);
+  }
+}
+
+/**
+ * Load the effective configuration.
+ * An explicit configPath that doesn't exist is an error; the default
+ * ./llmsgen.config.json is optional.
+ */
+export function loadConfig({ configPath, env = process.env } = {}) {
+  const explicitPath = configPath || env.LLMSGEN_CONFIG;
+  const file = path.resolve(explicitPath || "llmsgen.config.json");
+  if (explicitPath && !existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+  const fromFile = readConfigFile(file);
+
+  const proxy = { ...DEFAULT_CONFIG.proxy, ...(fromFile.proxy || {}) };
+  if (env.PROXY_ALLOW_HOSTS !== undefined) {
+    proxy.allowHosts = splitList(env.PROXY_ALLOW_HOSTS);
+  }
+  if (env.PROXY_DENY_HOSTS !== undefined) {
+    proxy.denyHosts = splitList(env.PROXY_DENY_HOSTS);
+  }
+  if (env.PROXY_ALLOW_PRIVATE !== undefined) {
+    proxy.allowPrivateNetworks = /^(1|true|yes)$/i.test(env.PROXY_ALLOW_PRIVATE);
+  }
+  if (env.PROXY_MAX_BYTES) {
+    proxy.maxResponseBytes = Number(env.PROXY_MAX_BYTES);
+  }
+  if (env.PROXY_TIMEOUT_MS) {
+    proxy.timeoutMs = Number(env.PROXY_TIMEOUT_MS);
+  }
+
+  const crawl = { ...DEFAULT_CONFIG.crawl, ...(fromFile.crawl || {}) };
+  if (env.ALLOW_REQUEST_REGEXES !== undefined) {
+    crawl.allowRequestRegexes = /^(1|true|yes)$/i.test(
+      env.ALLOW_REQUEST_REGEXES
+    );
+  }
+
+  let grouping;
+  try {
+    grouping = normalizeGrouping(fromFile.grouping);
+  } catch (e) {
+    throw new Error(`Invalid grouping in ${file}: ${e.message}`);
+  }
+
+  let filters;
+  try {
+    filters = normalizeUrlFilters(fromFile.filters);
+  } catch (e) {
+    throw new Error(`Invalid filters in ${file}: ${e.message}`);
+  }
+
+  let descriptions;
+  try {
+    descriptions = normalizeDescriptions(fromFile.descriptions);
+  } catch (e) {
+    throw new Error(`Invalid descriptions in ${file}: ${e.message}`);
+  }
+
+  let locales;
+  try {
+    locales = normalizeLocales(fromFile.locales);
+  } catch (e) {
+    throw new Error(`Invalid locales in ${file}: ${e.message}`);
+  }
+
+  let budget;
+  try {
+    budget = normalizeBudget(fromFile.budget);
+  } catch (e) {
+    throw new Error(`Invalid budget in ${file}: ${e.message}`);
+  }
+
+  const enrichInput = { ...(fromFile.enrich || {}) };
+  if (env.LLM_ENDPOINT !== undefined) enrichInput.endpoint = env.LLM_ENDPOINT;
+  if (env.LLM_MODEL !== undefined) enrichInput.model = env.LLM_MODEL;
+  if (env.LLM_API_KEY !== undefined) enrichInput.apiKey = env.LLM_API_KEY;
+  let enrich;
+  try {
+    enrich = normalizeEnrich(enrichInput);
+  } catch (e) {
+    throw new Error(`Invalid enrich in ${file}: ${e.message}`);
+  }
+
+  const schedulerInput = { ...(fromFile.scheduler || {}) };
+  if (env.SCHEDULER_WEBHOOK_URL !== undefined) {
+    schedulerInput.webhookUrl = env.SCHEDULER_WEBHOOK_URL;
+  }
+  let scheduler;
+  try {
+    scheduler = normalizeScheduler(schedulerInput);
+  } catch (e) {
+    throw new Error(`Invalid scheduler in ${file}: ${e.message}`);
+  }
+
+  const publish = { ...DEFAULT_CONFIG.publish, ...(fromFile.publish || {}) };
+  if (env.PUBLISH_RESERVED_HOSTS !== undefined) {
+    publish.reservedHosts = splitList(env.PUBLISH_RESERVED_HOSTS);
+  }
+  try {
+    publish.reservedHosts = normalizeHosts(publish.reservedHosts);
+  } catch (e) {
+    throw new Error(`Invalid publish.reservedHosts in ${file}: ${e.message}`);
+  }
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...fromFile,
+    proxy,
+    crawl,
+    grouping,
+    filters,
+    descriptions,
+    locales,
+    budget,
+    enrich,
+    scheduler,
+    publish,
+  };
+}
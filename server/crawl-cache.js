@@ -0,0 +1,81 @@
+// server/crawl-cache.js
+// Persistent crawl cache for incremental re-crawls. One JSON file per site
+// (<dataDir>/cache/<scheme>-<host>.json) mapping page URL → entry:
+//
+//   { etag, lastModified, lastmod, row, markdown?, faqItems?, fetchedAt }
+//
+// The pipeline works on a plain Map (see lib/pipeline.js); this module only
+// loads and saves it. Each site's editor edits (lib/curation.js) use the
+// same file format under <dataDir>/curation/.
+
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+
+const CACHE_VERSION = 1;
+
+/**
+ * Cache file for a site origin under dataDir.
+ */
+export function crawlCachePath(dataDir, origin) {
+  return path.join(dataDir, "cache", siteFileName(origin));
+}
+
+/**
+ * Editor edits file for a site origin under dataDir.
+ */
+export function curationPath(dataDir, origin) {
+  return path.join(dataDir, "curation", siteFileName(origin));
+}
+
+function siteFileName(origin) {
+  const { protocol, host } = new URL(origin);
+  const name = `${protocol.replace(":", "")}-${host}`.replace(
+    /[^a-zA-Z0-9.-]+/g,
+    "_"
+  );
+  return `${name}.json`;
+}
+
+/**
+ * Load a cache file into a Map. Missing or unreadable files give an empty
+ * cache (the next crawl simply fetches everything).
+ */
+export async function readCrawlCache(file) {
+  try {
+    const data = JSON.parse(await readFile(file, "utf8"));
+    if (data.version !== CACHE_VERSION || !data.entries) return new Map();
+    return new Map(Object.entries(data.entries));
+  } catch {
+    return new Map();
+  }
+}
+
+// file → its last queued write. Jobs for one site (or any jobs, for the
+// LLM suggestion cache) can finish together; each file is written one at
+// a time, so they can't trample each other's .tmp file.
+const pendingWrites = new Map();
+
+/**
+ * Save a cache Map to file: a temp file, then renamed over it. Writes to
+ * the same file are queued, and the cache is copied right away, so the
+ * last call wins.
+ */
+export function writeCrawlCache(file, cache) {
+  const data = JSON.stringify({
+    version: CACHE_VERSION,
+    entries: Object.fromEntries(cache),
+  });
+  const write = (pendingWrites.get(file) || Promise.resolve()).then(
+    async () => {
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, data, "utf8");
+      await rename(`${file}.tmp`, file);
+    }
+  );
+  const settled = write.catch(() => {});
+  pendingWrites.set(file, settled);
+  settled.then(() => {
+    if (pendingWrites.get(file) === settled) pendingWrites.delete(file);
+  });
+  return write;
+}
@@ -0,0 +1,135 @@
+// server/cron.js
+// Cron expressions for scheduled profile runs (server/scheduler.js): the
+// five standard fields, in the server's local time zone:
+//
+//   minute  hour  day-of-month  month  day-of-week
+//   */15    2-5   1,15          *      mon-fri
+//
+// Fields take *, numbers, ranges (a-b), lists (a,b) and steps (*/n,
+// a-b/n); months and weekdays also take names (jan, mon), and 0 or 7 is
+// Sunday. Shorthands: @hourly, @daily, @weekly, @monthly, @yearly. As in
+// cron, when both day fields are restricted a day matching either runs.
+
+const MONTHS = "jan feb mar apr may jun jul aug sep oct nov dec".split(" ");
+const WEEKDAYS = "sun mon tue wed thu fri sat".split(" ");
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: WEEKDAYS, offset: 0 },
+];
+
+const SHORTHANDS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+};
+
+// Gives up when no time matches this far ahead (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+  const name = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (name >= 0) return name + field.offset;
+  if (!/^\d+$/.test(text)) return NaN;
+  return parseInt(text, 10);
+}
+
+// One field → the Set of values it matches
+function parseField(text, field) {
+  const invalid = () => new Error(`Invalid ${field.name} "${text}"`);
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText, extra] = part.split("/");
+    if (extra !== undefined) throw invalid();
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step >= 1) || (stepText && !/^\d+$/.test(stepText))) {
+      throw invalid();
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*") {
+      const [a, b, more] = range.split("-");
+      if (more !== undefined) throw invalid();
+      from = parseValue(a, field);
+      to = b === undefined ? from : parseValue(b, field);
+      // "5/15": from 5 to the end, every 15
+      if (b === undefined && stepText !== undefined) to = field.max;
+    }
+    if (isNaN(from) || isNaN(to) || from > to) throw invalid();
+    if (from < field.min || to > field.max) throw invalid();
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression (see above) into { minutes, hours, days,
+ * months, weekdays } value Sets. Throws an Error naming the bad field.
+ */
+export function parseCron(expr) {
+  const text = String(expr || "").trim();
+  const fields = (SHORTHANDS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new Error(
+      "Cron expressions have 5 fields (minute hour day month weekday): " +
+        `"${text}"`
+    );
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) =>
+    parseField(f, FIELDS[i])
+  );
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Unrestricted day fields, for cron's "either day field" rule
+    anyDay: fields[2] === "*",
+    anyWeekday: fields[4] === "*",
+  };
+}
+
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+/**
+ * The first time after `after` (a Date) that a parsed cron expression
+ * matches, to the minute; null if there is none within a few years.
+ */
+export function nextCronTime(cron, after = new Date()) {
+  const t = new Date(after.getTime());
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 86400000;
+
+  while (t.getTime() <= limit) {
+    if (!cron.months.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0);
+    } else if (!dayMatches(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0);
+    } else if (!cron.hours.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0);
+    } else if (!cron.minutes.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,60 @@
+// server/env.js
+// Node implementation of the pipeline `env` (see lib/pipeline.js):
+// fetches pages through the guarded client in server/safe-fetch.js and
+// parses HTML/XML with linkedom instead of the browser's DOMParser.
+
+import { DOMParser } from "linkedom";
+
+import { DEFAULT_CONFIG } from "./config.js";
+import { safeFetch } from "./safe-fetch.js";
+
+export const USER_AGENT = "MetaScraperBot/1.0 (+https://hypelocal.com)";
+
+/**
+ * Create a Node pipeline env. `policy` is the fetch policy from the
+ * config's `proxy` section. Fetch errors (including blocked URLs) are
+ * logged and turned into null.
+ */
+export function createNodeEnv({
+  userAgent = USER_AGENT,
+  policy = DEFAULT_CONFIG.proxy,
+} = {}) {
+  const parser = new DOMParser();
+
+  async function fetchResponse(url, { headers = {} } = {}) {
+    try {
+      const resp = await safeFetch(url, policy, {
+        headers: { "User-Agent": userAgent, ...headers },
+      });
+      return {
+        ok: resp.ok,
+        status: resp.status,
+        url: resp.url,
+        headers: resp.headers,
+        text: resp.body.toString("utf8"),
+      };
+    } catch (e) {
+      console.error("[ERROR] Could not fetch", url, e.message || e);
+      return null;
+    }
+  }
+
+  return {
+    fetchResponse,
+    async fetchText(url) {
+      const resp = await fetchResponse(url);
+      if (!resp) return null;
+      if (!resp.ok) {
+        console.error("[ERROR] Could not fetch", url, `HTTP ${resp.status}`);
+        return null;
+      }
+      return resp.text;
+    },
+    parseHtml(html) {
+      return parser.parseFromString(html, "text/html");
+    },
+    parseXml(text) {
+      return parser.parseFromString(text, "text/xml");
+    },
+  };
+}
@@ -0,0 +1,444 @@
+// server/jobs.js
+// Server-side crawl jobs. Each job runs the shared pipeline (lib/pipeline.js)
+// in the Node process, so it keeps going when the browser tab is closed or
+// reloaded. Progress is fanned out to subscribers (the SSE route in
+// server.js) and job snapshots are written to <dataDir>/jobs/<id>.json so
+// finished results can still be fetched after a server restart, or once
+// the job has dropped out of memory (only the latest are kept). The
+// llms-full.txt output (page Markdown) can be large, so it lives in a
+// separate <id>.full.json and is only loaded by the download routes.
+// Crawls are incremental: each site has a crawl cache (server/crawl-cache.js)
+// that is loaded before and saved after every job; so is the LLM suggestion
+// cache (server/llm-client.js) for jobs that ask for suggestions. Editors'
+// row edits on finished jobs are saved per site too, and applied to every
+// later job of that site.
+
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { mkdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+
+import { normalizeSiteUrl, runUrlToLlmsPipeline } from "../lib/pipeline.js";
+import {
+  crawlCachePath,
+  curationPath,
+  readCrawlCache,
+  writeCrawlCache,
+} from "./crawl-cache.js";
+import { createNodeEnv } from "./env.js";
+import { createLlmClient, llmCachePath } from "./llm-client.js";
+import {
+  applyRowChanges,
+  normalizeRowChanges,
+  updateCuration,
+} from "../lib/curation.js";
+import { buildLlmsFullText } from "../lib/llms-full.js";
+import { buildLocalizedLlmsTexts } from "../lib/locales.js";
+
+// Minimum time between snapshot writes while a job is running.
+const PERSIST_INTERVAL_MS = 2000;
+
+// Finished jobs kept in memory (rows, FAQs, page Markdown); older ones are
+// read back from their snapshots when asked for.
+const MAX_FINISHED_JOBS = 20;
+
+/**
+ * Public view of a job (what GET /api/jobs/:id returns).
+ * Pass { withResults: false } to leave out rows/FAQs/llms.txt.
+ */
+export function serializeJob(job, { withResults = true } = {}) {
+  const out = {
+    id: job.id,
+    state: job.state,
+    params: job.params,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    statusText: job.statusText,
+    statusIsError: job.statusIsError,
+    progress: job.progress,
+    error: job.error,
+    hasFullText: Boolean(job.hasFullText),
+    changes: job.changes || null,
+    filterStats: job.filterStats || [],
+    enrichment: job.enrichment || null,
+  };
+  if (withResults) {
+    out.site = job.site;
+    out.rows = job.rows;
+    out.faqItems = job.faqItems;
+    out.llmsText = job.llmsText;
+    out.llmsFiles = job.llmsFiles || [];
+  }
+  return out;
+}
+
+/**
+ * Create a job manager that stores snapshots under dataDir.
+ * Jobs move through: "running" → "done" | "error". A job loaded from disk
+ * that was still "running" when the server stopped becomes "interrupted".
+ * enrich: the normalized enrich config (lib/enrich.js) for jobs that ask
+ * for LLM suggestions. onResults(job) is called once a job has finished,
+ * and again after editors changed its rows (e.g. to keep a site profile's
+ * run history current).
+ */
+export function createJobManager({
+  dataDir,
+  envOptions = {},
+  enrich = null,
+  onResults = async () => {},
+}) {
+  const jobsDir = path.join(dataDir, "jobs");
+  const jobs = new Map(); // id -> job
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  let editQueue = Promise.resolve(); // see updateRows()
+
+  // A job's files are written one at a time, in call order (job.writes),
+  // so a throttled snapshot can't race or land after the final one
+  function writeJobFile(job, name, data) {
+    const file = path.join(jobsDir, name);
+    const write = (job.writes || Promise.resolve()).then(async () => {
+      await mkdir(jobsDir, { recursive: true });
+      await writeFile(`${file}.tmp`, data, "utf8");
+      await rename(`${file}.tmp`, file);
+    });
+    job.writes = write.catch(() => {});
+    return write;
+  }
+
+  function persist(job) {
+    return writeJobFile(
+      job,
+      `${job.id}.json`,
+      JSON.stringify(serializeJob(job))
+    );
+  }
+
+  function persistFullText(job, full) {
+    return writeJobFile(job, `${job.id}.full.json`, JSON.stringify(full));
+  }
+
+  function schedulePersist(job) {
+    if (job.persistTimer) return;
+    job.persistTimer = setTimeout(() => {
+      job.persistTimer = null;
+      persist(job).catch((err) => console.error("Job persist error:", err));
+    }, PERSIST_INTERVAL_MS);
+  }
+
+  function emit(job, type, data) {
+    events.emit(job.id, { type, data });
+  }
+
+  // Drop the oldest finished jobs beyond MAX_FINISHED_JOBS from memory;
+  // getJob() reloads them from disk
+  function evictFinished() {
+    const finished = Array.from(jobs.values()).filter(
+      (job) => job.state !== "running"
+    );
+    finished
+      .slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach((job) => jobs.delete(job.id));
+  }
+
+  async function run(job) {
+    const site = normalizeSiteUrl(job.params.url);
+    const cacheFile = site ? crawlCachePath(dataDir, site.origin) : null;
+    const cache = cacheFile ? await readCrawlCache(cacheFile) : null;
+    const curation = site
+      ? await readCrawlCache(curationPath(dataDir, site.origin))
+      : null;
+    const llmCacheFile = llmCachePath(dataDir);
+    const enrichOptions = job.params.enrich
+      ? {
+          config: enrich,
+          client: createLlmClient(enrich),
+          cache: await readCrawlCache(llmCacheFile),
+          dryRun: job.params.enrich.dryRun,
+        }
+      : null;
+
+    const result = await runUrlToLlmsPipeline(
+      job.params.url,
+      {
+        requestDelayMs: job.params.requestDelayMs,
+        concurrency: job.params.concurrency,
+        maxRequestsPerSecond: job.params.maxRequestsPerSecond,
+        maxRetries: job.params.maxRetries,
+        linkCrawlMaxDepth: job.params.linkCrawlMaxDepth,
+        linkCrawlMaxPages: job.params.linkCrawlMaxPages,
+        faqUrls: job.params.faqUrls || [],
+        detectFaqs: job.params.detectFaqs,
+        fullText: job.params.fullText,
+        cache,
+        refresh: job.params.refresh,
+        grouping: job.params.grouping,
+        urlFilters: job.params.urlFilters,
+        descriptions: job.params.descriptions,
+        enrich: enrichOptions,
+        curation,
+        locales: job.params.locales,
+        budget: job.params.budget,
+        site: job.params.site,
+        onStatus: (text, isError) => {
+          job.statusText = text;
+          job.statusIsError = Boolean(isError);
+          emit(job, "status", {
+            text,
+            isError: job.statusIsError,
+            progress: job.progress,
+          });
+        },
+        onRow: (row, count, total) => {
+          job.rows.push(row);
+          job.progress = { done: count, total };
+          emit(job, "row", { index: count - 1, row, progress: job.progress });
+          schedulePersist(job);
+        },
+      },
+      createNodeEnv(envOptions)
+    );
+
+    job.state = result.ok ? "done" : "error";
+    job.error = result.error;
+    job.site = result.site;
+    job.rows = result.rows;
+    job.faqItems = result.faqItems;
+    job.llmsText = result.llmsText;
+    job.llmsFiles = result.llmsFiles;
+    job.filterStats = result.filterStats;
+    if (result.enrichment) {
+      job.enrichment = result.enrichment;
+      if (!result.enrichment.dryRun) {
+        await writeCrawlCache(llmCacheFile, enrichOptions.cache);
+      }
+    }
+    if (result.ok && cache) {
+      // Cap the removed-URL list kept in job snapshots; counts stay exact
+      const { removedUrls, ...counts } = result.changes;
+      job.changes = { ...counts, removedUrls: removedUrls.slice(0, 200) };
+      await writeCrawlCache(cacheFile, cache);
+    }
+    if (result.ok && job.params.fullText) {
+      job.fullText = {
+        llmsFullText: result.llmsFullText,
+        pageMarkdown: result.pageMarkdown,
+      };
+      await persistFullText(job, job.fullText);
+      job.hasFullText = true;
+    }
+    job.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Start a new job. params: { url, requestDelayMs, concurrency,
+   * maxRequestsPerSecond, maxRetries, linkCrawlMaxDepth, linkCrawlMaxPages,
+   * faqUrls, detectFaqs, fullText, refresh, grouping, urlFilters,
+   * descriptions, enrich, locales, budget, site, profileId } (enrich:
+   * { dryRun } or null; profileId: the site profile the job runs for, see
+   * server/profiles.js)
+   * (see lib/pipeline.js).
+   * Returns the job immediately; the crawl continues in the background.
+   */
+  function createJob(params) {
+    const job = {
+      id: randomUUID(),
+      state: "running",
+      params: {
+        url: params.url,
+        requestDelayMs: params.requestDelayMs || 0,
+        concurrency: params.concurrency,
+        maxRequestsPerSecond: params.maxRequestsPerSecond,
+        maxRetries: params.maxRetries,
+        linkCrawlMaxDepth: params.linkCrawlMaxDepth,
+        linkCrawlMaxPages: params.linkCrawlMaxPages,
+        faqUrls: params.faqUrls || [],
+        detectFaqs: Boolean(params.detectFaqs),
+        fullText: Boolean(params.fullText),
+        refresh: Boolean(params.refresh),
+        grouping: params.grouping,
+        urlFilters: params.urlFilters,
+        descriptions: params.descriptions,
+        enrich: params.enrich || null,
+        locales: params.locales,
+        budget: params.budget || null,
+        site: params.site || {},
+        profileId: params.profileId || null,
+      },
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      statusText: "Queued.",
+      statusIsError: false,
+      progress: { done: 0, total: 0 },
+      error: "",
+      site: {},
+      rows: [],
+      faqItems: [],
+      llmsText: "",
+      llmsFiles: [], // [{ locale, path, text }], primary first
+      changes: null, // { new, changed, unchanged, removed, removedUrls }
+      filterStats: [], // [{ rule, removed }]
+      enrichment: null, // enrichRows() stats for jobs run with enrich
+      hasFullText: false,
+      fullText: null, // { llmsFullText, pageMarkdown } once finished
+      persistTimer: null,
+      writes: Promise.resolve(), // see writeJobFile()
+    };
+    jobs.set(job.id, job);
+
+    run(job)
+      .catch((err) => {
+        console.error("Job error:", err);
+        job.state = "error";
+        job.error = job.statusText = "Unexpected error while crawling.";
+        job.statusIsError = true;
+        job.finishedAt = new Date().toISOString();
+      })
+      .finally(async () => {
+        clearTimeout(job.persistTimer);
+        job.persistTimer = null;
+        // Written before the job may be evicted and read back
+        await persist(job).catch((err) =>
+          console.error("Job persist error:", err)
+        );
+        // Before "done", so clients reacting to it find the results recorded
+        await onResults(job).catch((err) =>
+          console.error("Job results error:", err)
+        );
+        emit(job, "done", serializeJob(job, { withResults: false }));
+        evictFinished();
+      });
+
+    return job;
+  }
+
+  /**
+   * Look a job up in memory, falling back to its snapshot on disk.
+   * Returns null for unknown ids.
+   */
+  async function getJob(id) {
+    if (jobs.has(id)) return jobs.get(id);
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+
+    try {
+      const raw = await readFile(path.join(jobsDir, `${id}.json`), "utf8");
+      const job = JSON.parse(raw);
+      if (job.state === "running") {
+        job.state = "interrupted";
+        job.statusText = "Interrupted: the server restarted during this job.";
+        job.statusIsError = true;
+      }
+      jobs.set(id, job);
+      evictFinished();
+      return job;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * llms-full.txt output of a finished job: { llmsFullText, pageMarkdown },
+   * or null if the job wasn't run with fullText.
+   */
+  async function getFullText(id) {
+    const job = await getJob(id);
+    if (!job || !job.hasFullText) return null;
+    if (job.fullText) return job.fullText;
+
+    try {
+      const file = path.join(jobsDir, `${id}.full.json`);
+      job.fullText = JSON.parse(await readFile(file, "utf8"));
+      return job.fullText;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Subscribe to a job's progress events ({ type, data }).
+   * Returns an unsubscribe function.
+   */
+  function subscribe(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+  }
+
+  /**
+   * Apply an editor's edits to a finished job's rows (see lib/curation.js),
+   * save them for the site and rebuild the job's llms.txt (and
+   * llms-full.txt). edits: [{ url, changes }]. Returns the updated rows, or
+   * null for an unknown / unfinished job. Throws on an invalid change,
+   * before anything is applied.
+   */
+  function updateRows(id, edits) {
+    // One at a time: each edit reads and rewrites the site's edits file
+    const run = editQueue.then(() => applyRowEdits(id, edits));
+    editQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function applyRowEdits(id, edits) {
+    const job = await getJob(id);
+    if (!job || job.state !== "done") return null;
+    const changesByUrl = new Map();
+    edits.forEach(({ url, changes }) => {
+      changesByUrl.set(url, {
+        ...changesByUrl.get(url),
+        ...normalizeRowChanges(changes),
+      });
+    });
+
+    const updated = [];
+    job.rows = job.rows.map((row) => {
+      if (!changesByUrl.has(row.url)) return row;
+      const next = applyRowChanges(row, changesByUrl.get(row.url));
+      updated.push(next);
+      return next;
+    });
+
+    const curationFile = curationPath(
+      dataDir,
+      normalizeSiteUrl(job.params.url).origin
+    );
+    const curation = await readCrawlCache(curationFile);
+    await writeCrawlCache(curationFile, updateCuration(curation, updated));
+
+    job.llmsFiles = buildLocalizedLlmsTexts(
+      job.rows,
+      job.faqItems,
+      job.site,
+      job.params.grouping,
+      job.params.locales,
+      job.params.budget
+    );
+    job.llmsText = job.llmsFiles[0].text;
+    const full = await getFullText(id);
+    if (full) {
+      full.llmsFullText = buildLlmsFullText(
+        job.rows,
+        full.pageMarkdown,
+        job.site
+      );
+      await persistFullText(job, full);
+    }
+    await persist(job);
+    await onResults(job);
+    return updated;
+  }
+
+  // Running jobs and the finished ones still in memory
+  function listJobs() {
+    return Array.from(jobs.values()).map((job) =>
+      serializeJob(job, { withResults: false })
+    );
+  }
+
+  return {
+    createJob,
+    getJob,
+    getFullText,
+    updateRows,
+    subscribe,
+    listJobs,
+  };
+}
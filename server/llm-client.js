@@ -0,0 +1,93 @@
+// server/llm-client.js
+// Clients for the optional LLM enrichment step (lib/enrich.js):
+//   - any OpenAI-compatible chat completions endpoint (llama.cpp server,
+//     Ollama, vLLM, ...): POST <endpoint>/chat/completions
+//   - "mock": canned answers built from the page itself, for tests and
+//     trying the review flow without a model
+//
+// The endpoint comes from the operator's config (or LLM_ENDPOINT), never
+// from a request, so it is called directly rather than through
+// safe-fetch.js: a local model on 127.0.0.1 is the usual setup.
+// Suggestions are cached across jobs in <dataDir>/cache/llm-suggestions.json
+// (same file format as the crawl cache).
+
+import path from "path";
+
+/**
+ * File holding the suggestion cache under dataDir.
+ */
+export function llmCachePath(dataDir) {
+  return path.join(dataDir, "cache", "llm-suggestions.json");
+}
+
+// First sentence of the page content when it says something, else the
+// meta description / title
+function mockDescription(page, maxLength) {
+  const text = (page.content || "")
+    .replace(/^#+\s.*$/gm, "")
+    .replace(/[*_`>[\]]|\(https?:[^)]*\)/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const sentence = (text.match(/^.*?[.!?](\s|$)/) || [text])[0].trim();
+  const fallback =
+    page.description !== "(none)" ? page.description : page.title;
+  return (sentence.length >= 30 ? sentence : fallback).slice(0, maxLength);
+}
+
+function createMockClient(maxLength) {
+  return {
+    model: "mock",
+    async complete({ pages }) {
+      const answers = pages.map((page) => ({
+        id: page.id,
+        description: mockDescription(page, maxLength),
+        section: "",
+      }));
+      return { text: JSON.stringify(answers), totalTokens: 0 };
+    },
+  };
+}
+
+/**
+ * Client for a normalized enrich config (lib/enrich.js), or null when no
+ * endpoint is configured.
+ */
+export function createLlmClient(enrich) {
+  if (!enrich.endpoint) return null;
+  if (enrich.endpoint === "mock") return createMockClient(enrich.maxLength);
+
+  const url = `${enrich.endpoint.replace(/\/+$/, "")}/chat/completions`;
+  return {
+    model: enrich.model,
+    async complete({ system, prompt }) {
+      const headers = { "Content-Type": "application/json" };
+      if (enrich.apiKey) headers.Authorization = `Bearer ${enrich.apiKey}`;
+
+      const resp = await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model: enrich.model,
+          temperature: 0,
+          messages: [
+            { role: "system", content: system },
+            { role: "user", content: prompt },
+          ],
+        }),
+        signal: AbortSignal.timeout(enrich.timeoutMs),
+      }).catch((e) => {
+        throw new Error(`LLM endpoint unreachable: ${e.message}`);
+      });
+      if (!resp.ok) {
+        throw new Error(`LLM endpoint returned HTTP ${resp.status}`);
+      }
+
+      const data = await resp.json();
+      const choice = (data.choices || [])[0];
+      return {
+        text: (choice && choice.message && choice.message.content) || "",
+        totalTokens: (data.usage && data.usage.total_tokens) || 0,
+      };
+    },
+  };
+}
@@ -0,0 +1,485 @@
+// server/profiles.js
+// Named site profiles, for sites that get crawled again and again. A
+// profile holds the site URL, the settings its crawls run with (the
+// POST /api/jobs body fields in PROFILE_SETTINGS: crawl limits, FAQ URLs,
+// grouping rules, URL filters, descriptions, LLM, locales, token budget
+// and the llms.txt header overrides) and the history of its runs. Editors'
+// row edits are kept per site already (lib/curation.js). Files under
+// <dataDir>/profiles/:
+//
+//   <id>.json                        { id, name, url, settings, hosts,
+//                                      schedule, currentRunId, liveRunId,
+//                                      publishedAt, runs: [newest first] }
+//   <id>/runs/<jobId>/llms.txt       each finished run's artifacts: its
+//   <id>/runs/<jobId>/de/llms.txt    llms.txt files (per-locale ones too),
+//   <id>/runs/<jobId>/meta.csv       the metadata CSV, and llms-full.txt
+//   <id>/runs/<jobId>/llms-full.txt  plus one Markdown file per page when
+//   <id>/runs/<jobId>/pages/**.md    they were built
+//
+// The profile's current llms.txt is the newest successful run's, unless
+// an older run was rolled back to. The live run is the one approved for
+// publishing (server/publish.js serves it on the profile's hosts); it only
+// changes when a run is published, and is never dropped from the history.
+// A schedule ({ cron, threshold }) has server/scheduler.js re-crawl the
+// site on its own.
+
+import { mkdir, readdir, readFile, rename, rm, writeFile } from "fs/promises";
+import path from "path";
+
+import { buildMetadataCsv } from "../lib/csv.js";
+import { buildPageMarkdownFiles } from "../lib/llms-full.js";
+import { parseCron } from "./cron.js";
+
+export const PROFILE_SETTINGS = [
+  "requestDelay",
+  "concurrency",
+  "maxRequestsPerSecond",
+  "linkCrawlMaxDepth",
+  "linkCrawlMaxPages",
+  "faqUrls",
+  "detectFaqs",
+  "fullText",
+  "grouping",
+  "filters",
+  "descriptions",
+  "enrich",
+  "locales",
+  "budget",
+  "site",
+];
+
+// Older runs, and their files, are dropped beyond this
+const MAX_RUNS = 50;
+const MAX_NAME_LENGTH = 100;
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+const HOST_LABEL_RE = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+const MAX_HOSTS = 20;
+
+// Never published on, whatever the config says: the app is reached there
+export const LOCAL_HOSTS = ["localhost", "127.0.0.1"];
+
+// Run artifacts under this directory are the per-page Markdown files;
+// they're counted in run.pageFiles rather than listed in run.files
+export const PAGES_DIR = "pages";
+
+/**
+ * Keep only the PROFILE_SETTINGS fields of a request body.
+ */
+export function pickProfileSettings(raw) {
+  const settings = {};
+  PROFILE_SETTINGS.forEach((key) => {
+    if (raw && raw[key] !== undefined && raw[key] !== null) {
+      settings[key] = raw[key];
+    }
+  });
+  return settings;
+}
+
+function slugify(name) {
+  return (
+    name
+      .toLowerCase()
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "site"
+  );
+}
+
+function checkName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed) throw new Error("Missing profile name");
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    throw new Error(`Profile names are limited to ${MAX_NAME_LENGTH} chars`);
+  }
+  return trimmed;
+}
+
+/**
+ * Host names a profile is published on: lowercased, without port or
+ * trailing dot, deduped. Throws on anything that isn't a host name.
+ */
+export function normalizeHosts(raw) {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw) || raw.some((h) => typeof h !== "string")) {
+    throw new Error("hosts must be a list of host names");
+  }
+  const hosts = new Set();
+  raw.forEach((value) => {
+    const host = value.trim().toLowerCase().replace(/:\d+$/, "");
+    if (!host) return;
+    const name = host.replace(/\.$/, "");
+    if (!name.split(".").every((label) => HOST_LABEL_RE.test(label))) {
+      throw new Error(`Invalid host name "${value}"`);
+    }
+    hosts.add(name);
+  });
+  if (hosts.size > MAX_HOSTS) {
+    throw new Error(`At most ${MAX_HOSTS} hosts per profile`);
+  }
+  return Array.from(hosts);
+}
+
+/**
+ * A profile's schedule: { cron, threshold } (threshold null: the server's
+ * default), or null when there's no cron expression. Throws on a bad
+ * cron expression or threshold.
+ */
+export function normalizeSchedule(raw) {
+  const cron = raw && typeof raw === "object" ? String(raw.cron || "") : "";
+  if (!cron.trim()) return null;
+  parseCron(cron);
+  let threshold = null;
+  if (![undefined, null, ""].includes(raw.threshold)) {
+    threshold = parseInt(raw.threshold, 10);
+    if (isNaN(threshold) || threshold < 1) {
+      throw new Error("The change threshold must be 1 or more");
+    }
+  }
+  return { cron: cron.trim(), threshold };
+}
+
+/**
+ * Profile list entry: everything but the run history.
+ */
+export function summarizeProfile(profile) {
+  const { runs, ...rest } = profile;
+  return { ...rest, runCount: runs.length, lastRun: runs[0] || null };
+}
+
+/**
+ * Create a profile store under dataDir. Profiles are loaded on first use
+ * and written through on every change. reservedHosts: host names the app
+ * is served on (config publish.reservedHosts); like LOCAL_HOSTS, no
+ * profile can be published on them.
+ */
+export function createProfileStore({ dataDir, reservedHosts = [] }) {
+  const profilesDir = path.join(dataDir, "profiles");
+  const reserved = new Set([...LOCAL_HOSTS, ...reservedHosts]);
+  let loading = null; // Promise<Map id → profile>
+  let writes = Promise.resolve(); // profile files are written one at a time
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        const profiles = new Map();
+        const names = await readdir(profilesDir).catch(() => []);
+        for (const name of names.filter((n) => n.endsWith(".json"))) {
+          try {
+            const profile = JSON.parse(
+              await readFile(path.join(profilesDir, name), "utf8")
+            );
+            profiles.set(profile.id, profile);
+          } catch (err) {
+            console.error(
+              `Skipping unreadable profile ${name}:`,
+              err.message
+            );
+          }
+        }
+        return profiles;
+      })();
+    }
+    return loading;
+  }
+
+  function save(profile) {
+    const file = path.join(profilesDir, `${profile.id}.json`);
+    const data = JSON.stringify(profile, null, 2);
+    const write = writes.then(async () => {
+      await mkdir(profilesDir, { recursive: true });
+      await writeFile(`${file}.tmp`, data, "utf8");
+      await rename(`${file}.tmp`, file);
+    });
+    writes = write.catch(() => {});
+    return write;
+  }
+
+  const runDir = (id, runId) => path.join(profilesDir, id, "runs", runId);
+
+  async function listProfiles() {
+    const profiles = await load();
+    return Array.from(profiles.values())
+      .map(summarizeProfile)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async function getProfile(id) {
+    if (!ID_RE.test(id || "")) return null;
+    return (await load()).get(id) || null;
+  }
+
+  /**
+   * The profile published on a host name, or null (always for reserved
+   * hosts, so the app stays reachable).
+   */
+  async function findProfileByHost(hostname) {
+    const host = String(hostname || "").toLowerCase();
+    if (!host || reserved.has(host)) return null;
+    const profiles = await load();
+    for (const profile of profiles.values()) {
+      if ((profile.hosts || []).includes(host)) return profile;
+    }
+    return null;
+  }
+
+  // Throws when one of the hosts is reserved, is appHost (the one the
+  // request came in on, i.e. the app's) or is used by another profile
+  async function checkHostsFree(id, hosts, appHost) {
+    for (const host of hosts) {
+      if (reserved.has(host) || host === appHost) {
+        throw new Error(`${host} is reserved for this app`);
+      }
+      const owner = await findProfileByHost(host);
+      if (owner && owner.id !== id) {
+        throw new Error(
+          `${host} is already used by the profile "${owner.name}"`
+        );
+      }
+    }
+  }
+
+  /**
+   * { name, url, settings, hosts, schedule } → the new profile. Settings
+   * are stored as given: validate them first (server.js runs them through
+   * the job request parser). Throws on a missing / too long name, on
+   * invalid, reserved or already used hosts and on a bad schedule.
+   * appHost: the host name the app is being used on, never published on.
+   */
+  async function createProfile(
+    { name, url, settings, hosts, schedule },
+    appHost = ""
+  ) {
+    const profiles = await load();
+    const trimmed = checkName(name);
+    const checkedSchedule = normalizeSchedule(schedule);
+    const hostNames = normalizeHosts(hosts);
+    await checkHostsFree(null, hostNames, appHost);
+    const base = slugify(trimmed);
+    let id = base;
+    for (let n = 2; profiles.has(id); n++) id = `${base}-${n}`;
+
+    const now = new Date().toISOString();
+    const profile = {
+      id,
+      name: trimmed,
+      url,
+      settings: pickProfileSettings(settings),
+      hosts: hostNames,
+      schedule: checkedSchedule,
+      createdAt: now,
+      updatedAt: now,
+      currentRunId: null,
+      liveRunId: null,
+      publishedAt: null,
+      runs: [],
+    };
+    profiles.set(id, profile);
+    await save(profile);
+    return profile;
+  }
+
+  /**
+   * Change a profile's name, url, settings, hosts and / or schedule
+   * (settings replace the old ones as a whole). Returns null for an
+   * unknown id. appHost: as for createProfile().
+   */
+  async function updateProfile(id, changes, appHost = "") {
+    const profile = await getProfile(id);
+    if (!profile) return null;
+    const name =
+      changes.name !== undefined ? checkName(changes.name) : profile.name;
+    const schedule =
+      changes.schedule !== undefined
+        ? normalizeSchedule(changes.schedule)
+        : profile.schedule || null;
+    let hosts = profile.hosts || [];
+    if (changes.hosts !== undefined) {
+      hosts = normalizeHosts(changes.hosts);
+      await checkHostsFree(id, hosts, appHost);
+    }
+    profile.name = name;
+    profile.hosts = hosts;
+    profile.schedule = schedule;
+    if (changes.url !== undefined) profile.url = changes.url;
+    if (changes.settings !== undefined) {
+      profile.settings = pickProfileSettings(changes.settings);
+    }
+    profile.updatedAt = new Date().toISOString();
+    await save(profile);
+    return profile;
+  }
+
+  async function deleteProfile(id) {
+    const profile = await getProfile(id);
+    if (!profile) return false;
+    (await load()).delete(id);
+    await writes;
+    await rm(path.join(profilesDir, `${id}.json`), { force: true });
+    await rm(path.join(profilesDir, id), { recursive: true, force: true });
+    return true;
+  }
+
+  // → { files, pageFiles }: the files listed, and the page count
+  async function writeArtifacts(id, job) {
+    const dir = runDir(id, job.id);
+    await rm(dir, { recursive: true, force: true });
+    const write = async (file, text) => {
+      await mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+      await writeFile(path.join(dir, file), text, "utf8");
+    };
+    const files = [];
+    const put = async (file, text) => {
+      await write(file, text);
+      files.push(file);
+    };
+    for (const file of job.llmsFiles || []) await put(file.path, file.text);
+    await put("meta.csv", buildMetadataCsv(job.rows || []));
+    let pages = [];
+    if (job.fullText && job.fullText.llmsFullText) {
+      await put("llms-full.txt", job.fullText.llmsFullText);
+      pages = buildPageMarkdownFiles(job.rows || [], job.fullText.pageMarkdown);
+    }
+    for (const page of pages) {
+      await write(`${PAGES_DIR}/${page.path}`, page.content);
+    }
+    return { files, pageFiles: pages.length };
+  }
+
+  /**
+   * Add a finished job to a profile's history, or refresh the run after
+   * editors changed its rows: the artifacts are (re)written from the job.
+   * A new successful run becomes the current one.
+   */
+  async function recordRun(id, job) {
+    const profile = await getProfile(id);
+    if (!profile) return;
+
+    const done = job.state === "done";
+    const artifacts = done
+      ? await writeArtifacts(id, job)
+      : { files: [], pageFiles: 0 };
+    const run = {
+      id: job.id,
+      state: job.state,
+      error: job.error || "",
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      pages: (job.rows || []).length,
+      changes: job.changes || null,
+      files: artifacts.files,
+      pageFiles: artifacts.pageFiles,
+    };
+    const index = profile.runs.findIndex((r) => r.id === job.id);
+    if (index >= 0) {
+      profile.runs[index] = run;
+    } else {
+      profile.runs.unshift(run);
+      if (done) profile.currentRunId = run.id;
+    }
+
+    for (const old of profile.runs.splice(MAX_RUNS)) {
+      if (old.id === profile.liveRunId) {
+        profile.runs.push(old); // still published
+        continue;
+      }
+      await rm(runDir(id, old.id), { recursive: true, force: true });
+    }
+    if (!profile.runs.some((r) => r.id === profile.currentRunId)) {
+      const newest = profile.runs.find((r) => r.state === "done");
+      profile.currentRunId = newest ? newest.id : null;
+    }
+    await save(profile);
+  }
+
+  /**
+   * Make an earlier successful run's llms.txt the current one. Returns the
+   * profile, or null when the profile or run doesn't exist; throws when
+   * the run didn't finish.
+   */
+  async function rollback(id, runId) {
+    const profile = await getProfile(id);
+    const run = profile && profile.runs.find((r) => r.id === runId);
+    if (!run) return null;
+    if (run.state !== "done") {
+      throw new Error("Only finished runs can be rolled back to");
+    }
+    profile.currentRunId = run.id;
+    profile.updatedAt = new Date().toISOString();
+    await save(profile);
+    return profile;
+  }
+
+  /**
+   * Approve a successful run (default: the current one) for publishing:
+   * it becomes the live run. Returns the profile, or null when the
+   * profile or run doesn't exist; throws when the run didn't finish.
+   */
+  async function publishRun(id, runId) {
+    const profile = await getProfile(id);
+    const wanted = runId || (profile && profile.currentRunId);
+    const run = profile && profile.runs.find((r) => r.id === wanted);
+    if (!run) return null;
+    if (run.state !== "done") {
+      throw new Error("Only finished runs can be published");
+    }
+    profile.liveRunId = run.id;
+    profile.publishedAt = new Date().toISOString();
+    profile.updatedAt = profile.publishedAt;
+    await save(profile);
+    return profile;
+  }
+
+  /**
+   * Stop publishing a profile. Returns the profile, or null.
+   */
+  async function unpublish(id) {
+    const profile = await getProfile(id);
+    if (!profile) return null;
+    profile.liveRunId = null;
+    profile.publishedAt = null;
+    profile.updatedAt = new Date().toISOString();
+    await save(profile);
+    return profile;
+  }
+
+  /**
+   * Absolute path of a run's artifact (file as listed in run.files, or
+   * "pages/<path>.md" when the run has page files), or null. Page files
+   * aren't listed: the path may not exist. runId "current" / "live": the
+   * profile's current / live run.
+   */
+  async function runFilePath(id, runId, file) {
+    const profile = await getProfile(id);
+    if (!profile) return null;
+    let wanted = runId;
+    if (runId === "current") wanted = profile.currentRunId;
+    if (runId === "live") wanted = profile.liveRunId;
+    const run = profile.runs.find((r) => r.id === wanted);
+    if (!run) return null;
+    if (run.files.includes(file)) return path.join(runDir(id, run.id), file);
+
+    const page = path.posix.normalize(file);
+    const isPage =
+      run.pageFiles > 0 &&
+      page.startsWith(`${PAGES_DIR}/`) &&
+      page.endsWith(".md") &&
+      !page.split("/").includes("..");
+    return isPage ? path.join(runDir(id, run.id), page) : null;
+  }
+
+  return {
+    listProfiles,
+    getProfile,
+    createProfile,
+    updateProfile,
+    deleteProfile,
+    recordRun,
+    rollback,
+    publishRun,
+    unpublish,
+    findProfileByHost,
+    runFilePath,
+  };
+}
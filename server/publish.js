@@ -0,0 +1,131 @@
+// server/publish.js
+// Publishing mode: serves each site profile's live run (the one approved
+// with POST /api/profiles/:id/publish) to LLM readers, so the files don't
+// have to be copied to the site's own host:
+//
+//   /llms.txt, /de/llms.txt   the run's llms.txt files
+//   /llms-full.txt            llms-full.txt (runs crawled with fullText)
+//   /blog/post.md             one Markdown file per page (same)
+//
+// Requests are routed by Host header (a profile's hosts, e.g. a CNAME
+// like llms.example.com pointing at this server, or a reverse proxy
+// forwarding the site's /llms.txt) or by path: /sites/<profileId>/...
+// A published host serves nothing else: every other request there, any
+// method, the app and /api/ included, gets a 404, since such hosts are
+// public. Hosts the app itself is served on (localhost, config
+// publish.reservedHosts) can't be published on.
+// Responses are revalidated (ETag / Last-Modified, 304) and gzipped when
+// accepted.
+
+import { readFile, stat } from "fs/promises";
+import { gzip } from "zlib";
+import { promisify } from "util";
+
+import { PAGES_DIR } from "./profiles.js";
+
+export const SITES_PREFIX = "/sites";
+
+const gzipAsync = promisify(gzip);
+
+// Smaller bodies aren't worth compressing
+const MIN_GZIP_BYTES = 1024;
+const MAX_GZIP_CACHE = 200;
+
+const CONTENT_TYPES = {
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+};
+
+/**
+ * The run artifact a published URL path maps to, or null: llms.txt files
+ * and llms-full.txt as they are, *.md under pages/.
+ */
+export function publishedFile(urlPath) {
+  let file;
+  try {
+    file = decodeURIComponent(urlPath).replace(/^\/+/, "");
+  } catch {
+    return null;
+  }
+  if (!file || file.split("/").some((s) => s === ".." || s === ".")) {
+    return null;
+  }
+  if (file === "llms-full.txt" || /(^|\/)llms\.txt$/.test(file)) return file;
+  if (file.endsWith(".md")) return `${PAGES_DIR}/${file}`;
+  return null;
+}
+
+/**
+ * Express middleware serving published files (see above); other requests
+ * go on to the app.
+ */
+export function createPublishHandler(profileStore) {
+  const gzipCache = new Map(); // path + mtime → gzipped body
+
+  async function gzipped(filePath, stats, body) {
+    const key = `${filePath}:${stats.mtimeMs}`;
+    if (!gzipCache.has(key)) {
+      if (gzipCache.size >= MAX_GZIP_CACHE) gzipCache.clear();
+      gzipCache.set(key, await gzipAsync(body));
+    }
+    return gzipCache.get(key);
+  }
+
+  async function sendPublished(req, res, profile, urlPath) {
+    const readable = req.method === "GET" || req.method === "HEAD";
+    const file = readable ? publishedFile(urlPath) : null;
+    const filePath =
+      file && profile.liveRunId
+        ? await profileStore.runFilePath(profile.id, "live", file)
+        : null;
+    let stats;
+    let body;
+    try {
+      if (!filePath) throw new Error("Not published");
+      stats = await stat(filePath);
+      body = await readFile(filePath);
+    } catch {
+      res.set("Cache-Control", "no-cache");
+      return res.status(404).type("text/plain").send("Not found");
+    }
+
+    const ext = file.slice(file.lastIndexOf("."));
+    res.set("Content-Type", CONTENT_TYPES[ext]);
+    // Publishing an older run must still count as a change
+    const published = Date.parse(profile.publishedAt) || 0;
+    const modified = new Date(Math.max(stats.mtimeMs, published));
+    res.set("Last-Modified", modified.toUTCString());
+    // Cached copies are checked each time: a new publish shows at once
+    res.set("Cache-Control", "no-cache");
+    res.set("Vary", "Accept-Encoding");
+    res.set("Access-Control-Allow-Origin", "*");
+    if (body.length >= MIN_GZIP_BYTES && req.acceptsEncodings("gzip")) {
+      res.set("Content-Encoding", "gzip");
+      body = await gzipped(filePath, stats, body);
+    }
+    // res.send() adds the ETag (of the encoded body) and answers
+    // conditional requests with a 304
+    res.send(body);
+  }
+
+  return async function publishHandler(req, res, next) {
+    try {
+      const byHost = await profileStore.findProfileByHost(req.hostname);
+      if (byHost) return await sendPublished(req, res, byHost, req.path);
+
+      if (req.method !== "GET" && req.method !== "HEAD") return next();
+      if (!req.path.startsWith(`${SITES_PREFIX}/`)) return next();
+      const rest = req.path.slice(SITES_PREFIX.length + 1);
+      const slash = rest.indexOf("/");
+      const id = slash < 0 ? rest : rest.slice(0, slash);
+      const file = slash < 0 ? "" : rest.slice(slash);
+      const profile = await profileStore.getProfile(id);
+      if (!profile) {
+        return res.status(404).type("text/plain").send("Not found");
+      }
+      await sendPublished(req, res, profile, file);
+    } catch (err) {
+      next(err);
+    }
+  };
+}
@@ -0,0 +1,315 @@
+// server/safe-fetch.js
+// Guarded HTTP client used for every server-side fetch (/proxy, crawl jobs,
+// CLI). Protects against SSRF:
+//   - only http: and https: URLs
+//   - optional host allowlist / denylist (see server/config.js)
+//   - hostnames are resolved and refused if ANY address is loopback, private,
+//     link-local, multicast or otherwise reserved. The check runs inside the
+//     socket's DNS lookup, so the validated address is the one connected to
+//     (no DNS-rebinding window).
+//   - redirects are followed manually and every hop is re-checked
+//   - response size and total time are capped
+// Bodies are decompressed: Content-Encoding, and gzipped files such as
+// sitemap.xml.gz (also within the size cap).
+
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import zlib from "zlib";
+
+/**
+ * Thrown when a URL is refused by the policy (scheme, host list or address).
+ */
+export class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BlockedUrlError";
+  }
+}
+
+/**
+ * Thrown when the upstream response exceeds maxResponseBytes or timeoutMs,
+ * redirects too often or sends an unusable redirect Location.
+ */
+export class FetchLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FetchLimitError";
+  }
+}
+
+// ---------- Address classification ----------
+
+const blockedRanges = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local (cloud metadata lives here)
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // documentation
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24], // documentation
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved + broadcast
+].forEach(([addr, prefix]) => blockedRanges.addSubnet(addr, prefix, "ipv4"));
+[
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["::", 96], // IPv4-compatible (deprecated; ::127.0.0.1)
+  ["64:ff9b::", 96], // NAT64 (can map onto private IPv4)
+  ["100::", 64], // discard
+  ["2001::", 32], // Teredo (embeds an IPv4 address)
+  ["2001:db8::", 32], // documentation
+  ["2002::", 16], // 6to4 (2002:7f00:1:: is 127.0.0.1)
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+].forEach(([addr, prefix]) => blockedRanges.addSubnet(addr, prefix, "ipv6"));
+
+/**
+ * True if an IP address must not be reached from the server.
+ * net.BlockList also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1,
+ * ::ffff:a00:1) against the IPv4 ranges.
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blockedRanges.check(address, "ipv4");
+  if (family === 6) return blockedRanges.check(address, "ipv6");
+  return true; // not an IP at all
+}
+
+// ---------- Host allow/deny lists ----------
+
+function hostMatches(hostname, pattern) {
+  const p = String(pattern).trim().toLowerCase();
+  if (!p) return false;
+  if (p.startsWith("*.")) {
+    const base = p.slice(2);
+    return hostname === base || hostname.endsWith(`.${base}`);
+  }
+  return hostname === p;
+}
+
+/**
+ * Synchronous policy checks that don't need DNS: scheme and host lists.
+ * Throws BlockedUrlError; returns the parsed URL otherwise.
+ */
+export function assertUrlPolicy(rawUrl, policy = {}) {
+  let urlObj;
+  try {
+    urlObj = rawUrl instanceof URL ? rawUrl : new URL(rawUrl);
+  } catch {
+    throw new BlockedUrlError("Invalid URL");
+  }
+
+  if (urlObj.protocol !== "http:" && urlObj.protocol !== "https:") {
+    throw new BlockedUrlError(`Scheme not allowed: ${urlObj.protocol}`);
+  }
+
+  // URL keeps brackets around IPv6 literals
+  const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  const { allowHosts = [], denyHosts = [] } = policy;
+
+  if (denyHosts.some((p) => hostMatches(hostname, p))) {
+    throw new BlockedUrlError(`Host is denied: ${hostname}`);
+  }
+  if (allowHosts.length && !allowHosts.some((p) => hostMatches(hostname, p))) {
+    throw new BlockedUrlError(`Host is not on the allowlist: ${hostname}`);
+  }
+
+  if (
+    net.isIP(hostname) &&
+    !policy.allowPrivateNetworks &&
+    isBlockedAddress(hostname)
+  ) {
+    throw new BlockedUrlError(`Address not allowed: ${hostname}`);
+  }
+
+  return urlObj;
+}
+
+/**
+ * Full pre-flight check including DNS resolution. Used to reject a crawl
+ * up front with a clear message; fetches are still re-checked at connect time.
+ */
+export async function checkUrlAllowed(rawUrl, policy = {}) {
+  const urlObj = assertUrlPolicy(rawUrl, policy);
+  const hostname = urlObj.hostname.replace(/^\[|\]$/g, "");
+  if (policy.allowPrivateNetworks || net.isIP(hostname)) return urlObj;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    throw new BlockedUrlError(`Could not resolve host: ${hostname}`);
+  }
+  const bad = addresses.find((a) => isBlockedAddress(a.address));
+  if (bad) {
+    throw new BlockedUrlError(
+      `Host ${hostname} resolves to a blocked address (${bad.address})`
+    );
+  }
+  return urlObj;
+}
+
+/**
+ * dns.lookup replacement handed to http(s).request: resolves every address
+ * and fails the connection if any of them is blocked.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find((a) => isBlockedAddress(a.address));
+    if (bad) {
+      return callback(
+        new BlockedUrlError(
+          `Host ${hostname} resolves to a blocked address (${bad.address})`
+        )
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// ---------- Fetch ----------
+
+function decodeBody(buffer, encoding, maxBytes) {
+  const opts = Number.isFinite(maxBytes) ? { maxOutputLength: maxBytes } : {};
+  try {
+    switch ((encoding || "").toLowerCase()) {
+      case "gzip":
+      case "x-gzip":
+        return zlib.gunzipSync(buffer, opts);
+      case "deflate":
+        return zlib.inflateSync(buffer, opts);
+      case "br":
+        return zlib.brotliDecompressSync(buffer, opts);
+      default:
+        return buffer;
+    }
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE") {
+      throw new FetchLimitError(`Response exceeded ${maxBytes} bytes`);
+    }
+    throw err;
+  }
+}
+
+// gzip magic bytes: a gzipped file served as-is (sitemap.xml.gz sent as
+// application/gzip rather than with Content-Encoding)
+function isGzipFile(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+function requestOnce(urlObj, { headers, policy, deadline }) {
+  return new Promise((resolve, reject) => {
+    const client = urlObj.protocol === "https:" ? https : http;
+    const maxBytes = policy.maxResponseBytes || Infinity;
+    let timer = null;
+
+    const fail = (err) => {
+      clearTimeout(timer);
+      req.destroy();
+      reject(err);
+    };
+
+    const req = client.request(
+      urlObj,
+      {
+        method: "GET",
+        headers: { "Accept-Encoding": "gzip, deflate, br", ...headers },
+        lookup: policy.allowPrivateNetworks ? undefined : guardedLookup,
+      },
+      (res) => {
+        const declared = Number(res.headers["content-length"]);
+        if (declared > maxBytes) {
+          return fail(
+            new FetchLimitError(`Response too large (${declared} bytes)`)
+          );
+        }
+
+        const chunks = [];
+        let received = 0;
+        res.on("data", (chunk) => {
+          received += chunk.length;
+          if (received > maxBytes) {
+            fail(new FetchLimitError(`Response exceeded ${maxBytes} bytes`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on("end", () => {
+          clearTimeout(timer);
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            raw: Buffer.concat(chunks),
+          });
+        });
+        res.on("error", fail);
+      }
+    );
+
+    timer = setTimeout(() => {
+      fail(new FetchLimitError("Upstream request timed out"));
+    }, Math.max(0, deadline - Date.now()));
+
+    req.on("error", fail);
+    req.end();
+  });
+}
+
+/**
+ * Fetch a URL under the given policy (see DEFAULT_CONFIG.proxy).
+ * Resolves to { status, ok, url (final URL), headers, body (Buffer) } for
+ * any HTTP status; rejects with BlockedUrlError, FetchLimitError or a
+ * network error.
+ */
+export async function safeFetch(rawUrl, policy = {}, { headers = {} } = {}) {
+  const maxRedirects = policy.maxRedirects ?? 5;
+  const deadline = Date.now() + (policy.timeoutMs || 20000);
+  let urlObj = assertUrlPolicy(rawUrl, policy);
+
+  for (let hop = 0; ; hop++) {
+    const res = await requestOnce(urlObj, { headers, policy, deadline });
+
+    const location = res.headers.location;
+    if (res.status >= 300 && res.status < 400 && location) {
+      if (hop >= maxRedirects) {
+        throw new FetchLimitError(`Too many redirects (>${maxRedirects})`);
+      }
+      let next;
+      try {
+        next = new URL(location, urlObj);
+      } catch {
+        throw new FetchLimitError(`Invalid redirect Location: ${location}`);
+      }
+      urlObj = assertUrlPolicy(next, policy);
+      continue;
+    }
+
+    let body = decodeBody(
+      res.raw,
+      res.headers["content-encoding"],
+      policy.maxResponseBytes
+    );
+    if (isGzipFile(body)) {
+      body = decodeBody(body, "gzip", policy.maxResponseBytes);
+    }
+
+    return {
+      status: res.status,
+      ok: res.status >= 200 && res.status < 300,
+      url: urlObj.href,
+      headers: res.headers,
+      body,
+    };
+  }
+}
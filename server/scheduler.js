@@ -0,0 +1,369 @@
+// server/scheduler.js
+// Scheduled re-crawls of site profiles. A profile with a schedule
+// ({ cron, threshold }, see server/profiles.js) is crawled with its saved
+// settings each time its cron expression (server/cron.js) comes due, so
+// llms.txt stays current without anyone clicking "Generate". Each
+// finished run's llms.txt is compared with the previous successful run's
+// (lib/llms-diff.js); when at least `threshold` entries were added,
+// removed, changed or moved, a summary is POSTed to the webhook:
+//
+//   { event: "llms.changed", text, profile: { id, name, url }, runId,
+//     previousRunId, finishedAt, threshold,
+//     counts: { added, removed, changed, moved, faq, unparsed, entries },
+//     added: [{ url, title, section }], removed: [...],
+//     changed: [{ url, section }], moved: [{ url, from, to }],
+//     unparsed: [{ line, text, section }] }
+//
+// unparsed: link lines of the new llms.txt that couldn't be read (and so
+// weren't compared); counts.unparsed covers both files.
+//
+// A failed run is retried (config "retries", "retryDelaySeconds"); when
+// the last attempt fails too, an alert goes to the same webhook:
+//
+//   { event: "run.failed", text, profile, runId, error, attempts }
+//
+// text is a one-line summary, enough for a chat webhook. Runs missed
+// while the server was down aren't made up for. Scheduled runs aren't
+// published (server/publish.js): someone still approves them.
+//
+// Config ("scheduler" section, see server/config.js):
+//
+//   {
+//     webhookUrl: "https://hooks.example.com/llms",  ← "" = no webhook
+//     threshold: 1,          ← default for profiles without their own
+//     retries: 2,            ← extra attempts after a failed run
+//     retryDelaySeconds: 300,
+//     timeoutMs: 10000       ← per webhook request
+//   }
+
+import { readFile } from "fs/promises";
+
+import { diffLlmsTexts } from "../lib/llms-diff.js";
+import { nextCronTime, parseCron } from "./cron.js";
+
+export const DEFAULT_SCHEDULER = {
+  webhookUrl: "",
+  threshold: 1,
+  retries: 2,
+  retryDelaySeconds: 300,
+  timeoutMs: 10000,
+};
+
+// Entries listed per kind in a webhook payload (the counts are complete)
+const MAX_LISTED = 50;
+
+/**
+ * Validate a scheduler config and fill in defaults. Throws an Error
+ * naming the offending setting.
+ */
+export function normalizeScheduler(raw) {
+  const input = raw && typeof raw === "object" ? raw : {};
+  const int = (key, min) => {
+    const n = parseInt(input[key] ?? DEFAULT_SCHEDULER[key], 10);
+    if (isNaN(n) || n < min) throw new Error(`${key} must be ${min} or more`);
+    return n;
+  };
+
+  const webhookUrl = String(input.webhookUrl ?? "").trim();
+  if (webhookUrl && !/^https?:\/\/[^/]/i.test(webhookUrl)) {
+    throw new Error("webhookUrl must be an http(s) URL");
+  }
+  return {
+    webhookUrl,
+    threshold: int("threshold", 1),
+    retries: int("retries", 0),
+    retryDelaySeconds: int("retryDelaySeconds", 1),
+    timeoutMs: int("timeoutMs", 1),
+  };
+}
+
+const profileRef = ({ id, name, url }) => ({ id, name, url });
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+/**
+ * The "llms.changed" payload for a diff between two runs' llms.txt.
+ */
+function changePayload(profile, run, previous, diff, threshold) {
+  const { counts } = diff;
+  const entries =
+    counts.added + counts.removed + counts.changed + counts.moved;
+  const list = (items, pick) => items.slice(0, MAX_LISTED).map(pick);
+  return {
+    event: "llms.changed",
+    text:
+      `llms.txt of ${profile.name} changed: ${counts.added} added, ` +
+      `${counts.removed} removed, ${counts.changed} changed, ` +
+      `${counts.moved} moved` +
+      (counts.unparsed
+        ? `, ${plural(counts.unparsed, "unreadable link line")}`
+        : ""),
+    profile: profileRef(profile),
+    runId: run.id,
+    previousRunId: previous.id,
+    finishedAt: run.finishedAt,
+    threshold,
+    counts: { ...counts, entries },
+    added: list(diff.added, ({ url, title, section }) => ({
+      url,
+      title,
+      section,
+    })),
+    removed: list(diff.removed, ({ url, title, section }) => ({
+      url,
+      title,
+      section,
+    })),
+    changed: list(diff.changed, ({ url, section }) => ({ url, section })),
+    moved: list(diff.moved, ({ url, from, to }) => ({ url, from, to })),
+    unparsed: list(diff.unparsed.after, ({ line, text, section }) => ({
+      line,
+      text,
+      section,
+    })),
+  };
+}
+
+/**
+ * Create the scheduler. startRun(profile) starts a crawl with the
+ * profile's settings and resolves to { job } or { error } (server.js).
+ * config: normalized scheduler config. Call start() once.
+ */
+export function createScheduler({
+  profileStore,
+  jobManager,
+  startRun,
+  config = DEFAULT_SCHEDULER,
+}) {
+  // profile id → { cron, parsed, nextRunAt, jobId, attempt, retryAt,
+  //                retryTimer, lastCheck, lastNotification }
+  const states = new Map();
+
+  // The profile's state, with nextRunAt recomputed when its cron changed
+  function stateOf(profile) {
+    let state = states.get(profile.id);
+    if (!state) {
+      state = {
+        cron: null,
+        parsed: null,
+        nextRunAt: null,
+        jobId: null, // scheduled run in progress
+        attempt: 0,
+        retryAt: null,
+        retryTimer: null,
+        lastCheck: null, // { runId, entries, notified } of the last compare
+        lastNotification: null, // { event, at, ok, error }
+      };
+      states.set(profile.id, state);
+    }
+    const cron = profile.schedule ? profile.schedule.cron : null;
+    if (state.cron !== cron) {
+      state.cron = cron;
+      state.parsed = null;
+      state.nextRunAt = null;
+      try {
+        state.parsed = cron ? parseCron(cron) : null;
+      } catch (err) {
+        console.error(`Bad schedule for profile ${profile.id}:`, err.message);
+      }
+      if (state.parsed) state.nextRunAt = nextCronTime(state.parsed);
+    }
+    return state;
+  }
+
+  async function notify(state, payload) {
+    const sent = {
+      event: payload.event,
+      at: new Date().toISOString(),
+      ok: false,
+      error: "",
+    };
+    state.lastNotification = sent;
+    if (!config.webhookUrl) {
+      sent.error = "No webhook URL configured";
+      return;
+    }
+    try {
+      const resp = await fetch(config.webhookUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(config.timeoutMs),
+      });
+      sent.ok = resp.ok;
+      if (!resp.ok) sent.error = `Webhook returned HTTP ${resp.status}`;
+    } catch (err) {
+      sent.error = `Webhook unreachable: ${err.message}`;
+    }
+    if (!sent.ok) console.error(`Scheduler ${payload.event}:`, sent.error);
+  }
+
+  async function readLlmsText(profileId, runId) {
+    const file = await profileStore.runFilePath(profileId, runId, "llms.txt");
+    return file ? readFile(file, "utf8").catch(() => "") : "";
+  }
+
+  // Compare a finished run with the previous successful one
+  async function checkChanges(profile, state, runId) {
+    const index = profile.runs.findIndex((r) => r.id === runId);
+    if (index < 0) return;
+    const previous = profile.runs
+      .slice(index + 1)
+      .find((r) => r.state === "done");
+    if (!previous) return; // first run: nothing to compare with
+
+    const diff = diffLlmsTexts(
+      await readLlmsText(profile.id, previous.id),
+      await readLlmsText(profile.id, runId)
+    );
+    const threshold = profile.schedule.threshold || config.threshold;
+    const payload = changePayload(
+      profile,
+      profile.runs[index],
+      previous,
+      diff,
+      threshold
+    );
+    const notified = payload.counts.entries >= threshold;
+    state.lastCheck = { runId, entries: payload.counts.entries, notified };
+    if (notified) await notify(state, payload);
+  }
+
+  async function onRunFinished(profileId, job) {
+    const state = states.get(profileId);
+    const profile = await profileStore.getProfile(profileId);
+    if (!state || !profile) return;
+    state.jobId = null;
+
+    if (job.state === "done") {
+      state.attempt = 0;
+      if (profile.schedule) await checkChanges(profile, state, job.id);
+      return;
+    }
+    if (state.attempt <= config.retries) {
+      const delayMs = config.retryDelaySeconds * 1000;
+      state.retryAt = new Date(Date.now() + delayMs);
+      state.retryTimer = setTimeout(() => {
+        runScheduled(profileId, state.attempt + 1).catch((err) =>
+          console.error("Scheduler error:", err)
+        );
+      }, delayMs);
+      state.retryTimer.unref();
+      return;
+    }
+    const attempts = state.attempt;
+    state.attempt = 0;
+    await notify(state, {
+      event: "run.failed",
+      text:
+        `Scheduled crawl of ${profile.name} failed after ` +
+        `${plural(attempts, "attempt")}: ${job.error}`,
+      profile: profileRef(profile),
+      runId: job.id,
+      error: job.error,
+      attempts,
+    });
+  }
+
+  async function runScheduled(profileId, attempt) {
+    const state = states.get(profileId);
+    const profile = await profileStore.getProfile(profileId);
+    if (!state || !profile) return;
+    state.attempt = attempt;
+    state.retryAt = null;
+    state.retryTimer = null;
+
+    const started = await startRun(profile);
+    if (started.error) {
+      // e.g. settings the server no longer accepts: fails like a crawl
+      await onRunFinished(profileId, {
+        id: null,
+        state: "error",
+        error: started.error,
+      });
+      return;
+    }
+    const { job } = started;
+    state.jobId = job.id;
+    const unsubscribe = jobManager.subscribe(job.id, ({ type }) => {
+      if (type !== "done") return;
+      unsubscribe();
+      onRunFinished(profileId, job).catch((err) =>
+        console.error("Scheduler error:", err)
+      );
+    });
+  }
+
+  /**
+   * Start the runs that are due at `now`. start() calls this every
+   * minute; exposed for tests.
+   */
+  async function tick(now = new Date()) {
+    const profiles = await profileStore.listProfiles();
+    const ids = new Set(profiles.map((p) => p.id));
+    for (const [id, state] of states) {
+      if (ids.has(id)) continue;
+      clearTimeout(state.retryTimer);
+      states.delete(id);
+    }
+
+    for (const profile of profiles) {
+      const state = stateOf(profile);
+      if (!state.nextRunAt || state.nextRunAt > now) continue;
+      state.nextRunAt = nextCronTime(state.parsed, now);
+      // Still busy with the last one (running, or waiting to retry)
+      if (state.jobId || state.retryAt) continue;
+      runScheduled(profile.id, 1).catch((err) =>
+        console.error("Scheduler error:", err)
+      );
+    }
+  }
+
+  // Ticks at second 1 of every minute, the cron resolution
+  function start() {
+    const delayMs = 61000 - (Date.now() % 60000);
+    const timer = setTimeout(() => {
+      tick()
+        .catch((err) => console.error("Scheduler error:", err))
+        .finally(start);
+    }, delayMs);
+    timer.unref();
+  }
+
+  /**
+   * Every profile's schedule: [{ id, name, url, cron, threshold,
+   * nextRunAt, lastRun, running, attempt, retryAt, lastCheck,
+   * lastNotification }]. lastRun: the newest run, scheduled or not.
+   */
+  async function getStatus() {
+    const profiles = await profileStore.listProfiles();
+    return profiles.map((profile) => {
+      const state = stateOf(profile);
+      const lastRun = profile.lastRun;
+      return {
+        id: profile.id,
+        name: profile.name,
+        url: profile.url,
+        cron: state.cron,
+        threshold: profile.schedule
+          ? profile.schedule.threshold || config.threshold
+          : null,
+        nextRunAt: state.nextRunAt ? state.nextRunAt.toISOString() : null,
+        lastRun: lastRun && {
+          id: lastRun.id,
+          state: lastRun.state,
+          error: lastRun.error,
+          createdAt: lastRun.createdAt,
+          finishedAt: lastRun.finishedAt,
+        },
+        running: Boolean(state.jobId),
+        attempt: state.attempt,
+        retryAt: state.retryAt ? state.retryAt.toISOString() : null,
+        lastCheck: state.lastCheck,
+        lastNotification: state.lastNotification,
+      };
+    });
+  }
+
+  return { start, tick, getStatus };
+}
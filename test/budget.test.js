@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { buildLlmsTextWithinBudget, normalizeBudget } from "../lib/budget.js";
+import { OPTIONAL_SECTION, parseLlmsText } from "../lib/llms.js";
+import { measureLlmsText } from "../lib/tokens.js";
+
+const LONG =
+  "A fairly long description of the page, written to take up tokens " +
+  "so that the budget has something to trim away from each entry.";
+
+// Three sections of four pages; blog posts are the oldest
+const rows = ["docs", "guides", "blog"].flatMap((folder, i) =>
+  [1, 2, 3, 4].map((n) => ({
+    url: `https://example.com/${folder}/page-${n}`,
+    meta_title: `${folder} ${n}`,
+    meta_description: LONG,
+    lastmod: `202${4 - i}-01-0${n}`,
+  }))
+);
+const site = { siteName: "Example", summary: "Budget tests." };
+
+const build = (budget) =>
+  buildLlmsTextWithinBudget(rows, [], site, undefined, null, budget);
+
+test("no budget leaves llms.txt alone", () => {
+  const result = build(null);
+  assert.deepEqual(result.trimmed, []);
+  assert.equal(result.overBudget, false);
+  assert.equal(result.tokens, measureLlmsText(result.text).coreTokens);
+});
+
+test("optional: moves the last sections under ## Optional", () => {
+  const full = build(null);
+  const result = build(
+    normalizeBudget({ maxTokens: full.tokens - 20, strategy: "optional" })
+  );
+  assert.ok(result.tokens <= full.tokens - 20);
+  assert.equal(result.overBudget, false);
+  assert.deepEqual(result.trimmed, [
+    { action: "moved", section: "Blog", entries: 4 },
+  ]);
+  const names = parseLlmsText(result.text).sections.map((s) => s.name);
+  assert.equal(names.at(-1), OPTIONAL_SECTION);
+});
+
+test("shorten: cuts descriptions until the text fits", () => {
+  const full = build(null);
+  const maxTokens = Math.floor(full.tokens * 0.7);
+  const result = build(normalizeBudget({ maxTokens, strategy: "shorten" }));
+  assert.ok(result.tokens <= maxTokens);
+  assert.ok(result.trimmed.length > 0);
+  result.trimmed.forEach((item) => {
+    assert.equal(item.action, "shortened");
+    assert.ok(item.to < item.from);
+  });
+});
+
+test("oldest: drops the entries with the oldest lastmod first", () => {
+  const full = build(null);
+  const result = build(
+    normalizeBudget({ maxTokens: full.tokens - 40, strategy: "oldest" })
+  );
+  assert.ok(result.tokens <= full.tokens - 40);
+  assert.ok(result.trimmed.length > 0);
+  result.trimmed.forEach((item) => {
+    assert.equal(item.action, "dropped");
+    assert.match(item.url, /\/blog\//);
+  });
+  assert.equal(result.trimmed[0].url, "https://example.com/blog/page-1");
+});
+
+test("reports a budget that can't be met", () => {
+  const result = build(normalizeBudget({ maxTokens: 5, strategy: "oldest" }));
+  assert.equal(result.overBudget, true);
+});
+
+test("normalizeBudget rejects unknown strategies", () => {
+  assert.throws(() => normalizeBudget({ maxTokens: 10, strategy: "nope" }));
+});
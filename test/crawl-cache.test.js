@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readdir, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+import {
+  crawlCachePath,
+  readCrawlCache,
+  writeCrawlCache,
+} from "../server/crawl-cache.js";
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(path.join(os.tmpdir(), "llmsgen-cache-"));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test("reads back what was written", async () => {
+  const file = crawlCachePath(dir, "https://example.com");
+  assert.equal(path.basename(file), "https-example.com.json");
+  const cache = new Map([["https://example.com/a", { etag: '"1"' }]]);
+  await writeCrawlCache(file, cache);
+  assert.deepEqual(await readCrawlCache(file), cache);
+  assert.deepEqual(await readCrawlCache(`${file}.missing`), new Map());
+});
+
+test("concurrent writes to one file all succeed, last wins", async () => {
+  const file = crawlCachePath(dir, "https://busy.example.com");
+  const cache = new Map();
+  const writes = [];
+  for (let i = 0; i < 20; i++) {
+    cache.set("https://busy.example.com/", { etag: `"${i}"` });
+    writes.push(writeCrawlCache(file, cache));
+  }
+  await Promise.all(writes);
+  const saved = await readCrawlCache(file);
+  assert.deepEqual(saved.get("https://busy.example.com/"), { etag: '"19"' });
+  const names = await readdir(path.dirname(file));
+  assert.ok(!names.some((name) => name.endsWith(".tmp")));
+});
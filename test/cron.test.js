@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { nextCronTime, parseCron } from "../server/cron.js";
+
+// Local time, like the cron fields
+const at = (y, mo, d, h = 0, mi = 0) => new Date(y, mo - 1, d, h, mi);
+const next = (expr, after) => nextCronTime(parseCron(expr), after);
+
+test("parses lists, ranges, steps and names", () => {
+  const cron = parseCron("*/15 2-10/4 1,15 jan-mar mon-fri");
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [2, 6, 10]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCron("5/20 * * * *").minutes], [5, 25, 45]);
+});
+
+test("7 is Sunday, like 0", () => {
+  assert.deepEqual([...parseCron("0 0 * * 7").weekdays], [0]);
+  // 2024-06-01 is a Saturday
+  assert.deepEqual(next("0 9 * * 7", at(2024, 6, 1)), at(2024, 6, 2, 9));
+});
+
+test("restricted day of month and weekday: either one runs", () => {
+  // The 15th, or any Monday: Monday 2024-06-03 comes first
+  const expr = "0 0 15 * mon";
+  assert.deepEqual(next(expr, at(2024, 6, 1)), at(2024, 6, 3));
+  assert.deepEqual(next(expr, at(2024, 6, 11)), at(2024, 6, 15));
+  // Only one restricted: both must match (a Monday in June, 2024-06-03)
+  assert.deepEqual(next("0 0 * 6 mon", at(2024, 5, 1)), at(2024, 6, 3));
+});
+
+test("finds the next time, to the minute", () => {
+  assert.deepEqual(
+    next("*/15 * * * *", at(2024, 6, 1, 10, 14)),
+    at(2024, 6, 1, 10, 15)
+  );
+  assert.deepEqual(next("@daily", at(2024, 12, 31, 23, 59)), at(2025, 1, 1));
+  assert.deepEqual(next("0 0 29 2 *", at(2025, 1, 1)), at(2028, 2, 29));
+});
+
+test("an impossible date has no next time", () => {
+  assert.equal(next("0 0 31 2 *", at(2024, 1, 1)), null);
+});
+
+test("rejects bad expressions", () => {
+  assert.throws(() => parseCron("* * * *"), /5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /Invalid minute "60"/);
+  assert.throws(() => parseCron("* * * * 1-8"), /Invalid day of week/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid minute/);
+});
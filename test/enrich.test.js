@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  DEFAULT_ENRICH,
+  enrichRows,
+  parseEnrichReply,
+} from "../lib/enrich.js";
+
+const enrich = { ...DEFAULT_ENRICH, batchSize: 2 };
+
+const rows = [1, 2, 3].map((n) => ({
+  url: `https://example.com/docs/page-${n}`,
+  meta_title: `Page ${n}`,
+  meta_description: `About page ${n}.`,
+}));
+
+// Answers every page with `answer(page)`, recording the requests
+function mockClient(answer) {
+  const requests = [];
+  return {
+    model: "test-model",
+    requests,
+    async complete(request) {
+      requests.push(request);
+      const answers = request.pages.map((page) => ({
+        id: page.id,
+        ...answer(page),
+      }));
+      return { text: JSON.stringify(answers), totalTokens: 100 };
+    },
+  };
+}
+
+test("suggests a description and section per page, in batches", async () => {
+  const client = mockClient((page) => ({
+    description: `All about ${page.title}.`,
+    section: "Guides",
+  }));
+  const { rows: enriched, stats } = await enrichRows(rows, { client, enrich });
+  assert.equal(client.requests.length, 2);
+  assert.deepEqual(
+    client.requests.map((request) => request.pages.length),
+    [2, 1]
+  );
+  assert.match(client.requests[0].prompt, /URL: https:\/\/example\.com/);
+  assert.equal(enriched[0].llm_description, "All about Page 1.");
+  assert.equal(enriched[0].llm_section, "Guides");
+  assert.equal(enriched[0].llm_status, "suggested");
+  assert.equal(rows[0].llm_status, undefined);
+  assert.equal(stats.suggested, 3);
+  assert.equal(stats.tokens, 200);
+});
+
+test("reuses cached suggestions", async () => {
+  const cache = new Map();
+  const answer = () => ({ description: "Cached.", section: "" });
+  await enrichRows(rows, { client: mockClient(answer), enrich, cache });
+  const client = mockClient(answer);
+  const { stats } = await enrichRows(rows, { client, enrich, cache });
+  assert.equal(client.requests.length, 0);
+  assert.equal(stats.cached, 3);
+});
+
+test("a dry run counts tokens and sends nothing", async () => {
+  const client = mockClient(() => ({ description: "x", section: "" }));
+  const { stats } = await enrichRows(rows, { client, enrich, dryRun: true });
+  assert.equal(client.requests.length, 0);
+  assert.equal(stats.requests, 2);
+  assert.ok(stats.tokens > 0);
+  assert.match(stats.samplePrompt, /### Page 1/);
+});
+
+test("stops at the token budget", async () => {
+  const client = mockClient(() => ({ description: "x", section: "" }));
+  const { stats } = await enrichRows(rows, {
+    client,
+    enrich: { ...enrich, tokenBudget: 10 },
+  });
+  assert.equal(client.requests.length, 0);
+  assert.ok(stats.budgetReached);
+});
+
+test("answers are kept to one line", async () => {
+  const client = mockClient(() => ({
+    description: "Docs.\n\n## Injected\n- [x](https://x.test): y",
+    section: "Guides\n\n## Injected",
+  }));
+  const { rows: enriched } = await enrichRows(rows, { client, enrich });
+  assert.equal(
+    enriched[0].llm_description,
+    "Docs. ## Injected - [x](https://x.test): y"
+  );
+  assert.equal(enriched[0].llm_section, "Guides ## Injected");
+});
+
+test("reads JSON wrapped in prose or a fence", () => {
+  const reply = 'Sure!\n```json\n[{"id": 1, "description": " A. "}]\n```';
+  assert.deepEqual(parseEnrichReply(reply).get(1), {
+    description: "A.",
+    section: "",
+  });
+  assert.equal(parseEnrichReply("no JSON here").size, 0);
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { getGroupNameForRow, normalizeGrouping } from "../lib/grouping.js";
+
+const RULES = [
+  { type: "prefix", match: "/blog/", section: "Blog" },
+  { type: "regex", match: "^/docs/([^/]+)/", section: "Docs: $1" },
+];
+
+test("groups rows by the first matching rule", () => {
+  const grouping = normalizeGrouping({ rules: RULES });
+  const section = (url) => getGroupNameForRow({ url }, grouping);
+  assert.equal(section("https://example.com/blog/a"), "Blog");
+  assert.equal(
+    section("https://example.com/docs/getting-started/x"),
+    "Docs: Getting Started"
+  );
+});
+
+test("rejects regex rules unless allowed", () => {
+  assert.throws(
+    () => normalizeGrouping({ rules: RULES }, { allowRegex: false }),
+    /Grouping rule 2: regular expressions are turned off/
+  );
+  const prefixOnly = normalizeGrouping(
+    { rules: RULES.slice(0, 1) },
+    { allowRegex: false }
+  );
+  assert.equal(prefixOnly.rules.length, 1);
+});
+
+test("rejects overlong regex rules", () => {
+  const rules = [{ type: "regex", match: "a".repeat(201), section: "A" }];
+  assert.throws(() => normalizeGrouping({ rules }), /limited to 200 chars/);
+});
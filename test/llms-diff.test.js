@@ -0,0 +1,132 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  diffLlmsTexts,
+  formatLlmsDiffMarkdown,
+  isEmptyLlmsDiff,
+} from "../lib/llms-diff.js";
+
+const OLD = `# Example
+
+> Old summary.
+
+## Docs
+
+- [Intro](https://example.com/docs/intro): Where to start.
+- [Setup](https://example.com/docs/setup): Installing it.
+- [Legacy](https://example.com/docs/legacy): Going away.
+
+## Frequently Asked Questions (FAQ)
+
+- user question:
+Is it free?
+
+- agent answer:
+Yes.
+
+---
+`;
+
+const NEW = `# Example
+
+> New summary.
+
+## Docs
+
+- [Intro](https://example.com/docs/intro): Where to start.
+- [Setup guide](https://example.com/docs/setup): Installing it.
+
+## Blog
+
+- [Launch](https://example.com/blog/launch): We launched.
+- [Intro](https://example.com/docs/intro): Duplicate, ignored.
+
+## Guides
+
+- [Legacy](https://example.com/guides/legacy): Moved elsewhere.
+
+## Frequently Asked Questions (FAQ)
+
+- user question:
+Is it free?
+
+- agent answer:
+Yes, for personal use.
+
+---
+`;
+
+test("identical texts give an empty diff", () => {
+  const diff = diffLlmsTexts(OLD, OLD);
+  assert.equal(isEmptyLlmsDiff(diff), true);
+  assert.match(formatLlmsDiffMarkdown(diff), /No changes\./);
+});
+
+test("added, removed, changed entries and sections", () => {
+  const diff = diffLlmsTexts(OLD, NEW);
+  assert.deepEqual(diff.header, [
+    {
+      field: "summary",
+      label: "Summary",
+      before: "Old summary.",
+      after: "New summary.",
+    },
+  ]);
+  assert.deepEqual(
+    diff.added.map((e) => e.url),
+    ["https://example.com/blog/launch", "https://example.com/guides/legacy"]
+  );
+  assert.deepEqual(
+    diff.removed.map((e) => e.url),
+    ["https://example.com/docs/legacy"]
+  );
+  assert.deepEqual(diff.changed, [
+    {
+      url: "https://example.com/docs/setup",
+      section: "Docs",
+      title: { before: "Setup", after: "Setup guide" },
+    },
+  ]);
+  assert.deepEqual(diff.moved, []);
+  assert.deepEqual(diff.sections, { added: ["Blog", "Guides"], removed: [] });
+  assert.deepEqual(diff.faq.changed, [
+    {
+      question: "Is it free?",
+      before: "Yes.",
+      after: "Yes, for personal use.",
+    },
+  ]);
+  assert.deepEqual(diff.counts, {
+    added: 2,
+    removed: 1,
+    changed: 1,
+    moved: 0,
+    faq: 1,
+    unparsed: 0,
+  });
+});
+
+test("entries moving between sections", () => {
+  const moved = OLD.replace("## Docs", "## Documentation");
+  const diff = diffLlmsTexts(OLD, moved);
+  assert.equal(diff.moved.length, 3);
+  assert.deepEqual(diff.moved[0], {
+    url: "https://example.com/docs/intro",
+    title: "Intro",
+    from: "Docs",
+    to: "Documentation",
+  });
+});
+
+test("unreadable link lines are counted and listed", () => {
+  const broken = OLD.replace(
+    "- [Legacy](https://example.com/docs/legacy): Going away.",
+    "- [Legacy](https://example.com/docs/legacy"
+  );
+  const diff = diffLlmsTexts(OLD, broken);
+  assert.equal(diff.counts.unparsed, 1);
+  assert.equal(diff.unparsed.after[0].line, 9);
+  assert.equal(isEmptyLlmsDiff(diff), false);
+  assert.match(formatLlmsDiffMarkdown(diff), /Unreadable links \(1\)/);
+});
@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  buildLlmsTextFromMetadata,
+  parseLlmsText,
+  validateLlmsText,
+} from "../lib/llms.js";
+
+const rows = [
+  {
+    url: "https://example.com/docs/intro",
+    meta_title: "Introduction",
+    meta_description: "Where to start.",
+  },
+  {
+    url: "https://example.com/docs/wiki/Foo_(bar)",
+    meta_title: "Foo [beta] \\ notes",
+    meta_description: "A title with brackets (and a URL with parens).",
+  },
+  {
+    url: "https://example.com/blog/a post",
+    meta_title: "A post",
+    meta_description: "URL with a space.",
+  },
+];
+const faqItems = [
+  {
+    question: "## How do I install it?",
+    answer: "## Steps\n\nRun the installer.\n\n---\n\n#1 tip: restart.",
+  },
+];
+const site = { siteName: "Example", summary: "An example site." };
+
+const errors = (text) =>
+  validateLlmsText(text).filter((issue) => issue.level === "error");
+
+test("generated llms.txt passes the validator", () => {
+  const text = buildLlmsTextFromMetadata(rows, faqItems, site);
+  assert.deepEqual(errors(text), []);
+  assert.deepEqual(validateLlmsText(text), []);
+});
+
+test("parser reads back the generated entries", () => {
+  const text = buildLlmsTextFromMetadata(rows, faqItems, site);
+  const parsed = parseLlmsText(text);
+  assert.equal(parsed.siteName, "Example");
+  assert.equal(parsed.summary, "An example site.");
+  const entries = parsed.sections.flatMap((section) => section.entries);
+  assert.deepEqual(
+    entries.map((entry) => entry.title).sort(),
+    ["A post", "Foo [beta] \\ notes", "Introduction"]
+  );
+  const foo = entries.find((entry) => entry.title.startsWith("Foo"));
+  assert.equal(foo.url, "https://example.com/docs/wiki/Foo_%28bar%29");
+  assert.equal(foo.description, rows[1].meta_description);
+  assert.ok(entries.some((e) => e.url === "https://example.com/blog/a%20post"));
+  assert.deepEqual(parsed.unparsed, []);
+});
+
+test("FAQ answers with headings and rules survive the round trip", () => {
+  const text = buildLlmsTextFromMetadata(rows, faqItems, site);
+  const { faqItems: parsed } = parseLlmsText(text);
+  assert.equal(parsed.length, 1);
+  assert.equal(parsed[0].question, "How do I install it?");
+  assert.match(parsed[0].answer, /\*\*Steps\*\*/);
+  assert.match(parsed[0].answer, /Run the installer\./);
+  assert.match(parsed[0].answer, /restart\./);
+});
+
+test("multi-line titles and descriptions stay on their bullet", () => {
+  const row = {
+    url: "https://example.com/docs/evil",
+    meta_title: "Evil\n# Title",
+    meta_description: "First line.\n\n## Injected\n- [x](https://x.test): y",
+  };
+  const text = buildLlmsTextFromMetadata([...rows, row], [], site);
+  assert.ok(!/^#+ (Title|Injected)/m.test(text));
+  const parsed = parseLlmsText(text);
+  assert.deepEqual(
+    parsed.sections.map((section) => section.name).sort(),
+    ["Blog", "Docs", "Wiki"]
+  );
+  const entries = parsed.sections.flatMap((section) => section.entries);
+  const evil = entries.find((entry) => entry.url.endsWith("/evil"));
+  assert.equal(evil.title, "Evil # Title");
+  assert.equal(
+    evil.description,
+    "First line. ## Injected - [x](https://x.test): y"
+  );
+  assert.equal(entries.length, rows.length + 1);
+});
+
+test("hand-written links: angle brackets and balanced parentheses", () => {
+  const text = [
+    "# Site",
+    "",
+    "> Summary",
+    "",
+    "## Docs",
+    "",
+    "- [Spaced](<https://example.com/a b>): notes",
+    "- [Wiki](https://example.com/w/Foo_(bar)): more",
+    "- [Escaped \\] title](https://example.com/c)",
+  ].join("\n");
+  assert.deepEqual(errors(text), []);
+  const [docs] = parseLlmsText(text).sections;
+  assert.deepEqual(
+    docs.entries.map(({ title, url }) => [title, url]),
+    [
+      ["Spaced", "https://example.com/a b"],
+      ["Wiki", "https://example.com/w/Foo_(bar)"],
+      ["Escaped ] title", "https://example.com/c"],
+    ]
+  );
+});
+
+test("broken link bullets are reported, not dropped", () => {
+  const text = [
+    "# Site",
+    "",
+    "## Docs",
+    "",
+    "- [Good](https://example.com/a): ok",
+    "- [Broken](https://example.com/b",
+  ].join("\n");
+  const parsed = parseLlmsText(text);
+  assert.equal(parsed.sections[0].entries.length, 1);
+  assert.deepEqual(parsed.unparsed, [
+    { line: 6, text: "- [Broken](https://example.com/b", section: "Docs" },
+  ]);
+  assert.deepEqual(
+    errors(text).map((issue) => issue.line),
+    [6]
+  );
+});
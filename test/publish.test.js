@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+import express from "express";
+
+import { createPublishHandler, publishedFile } from "../server/publish.js";
+
+const LLMS_TEXT = "# Acme\n\n> Published.\n";
+
+let dir;
+let server;
+let port;
+const calls = [];
+
+// Just enough of server/profiles.js: one profile, live on llms.acme.test
+function stubProfileStore() {
+  const profile = {
+    id: "acme",
+    hosts: ["llms.acme.test"],
+    liveRunId: "run-1",
+    publishedAt: "2026-01-01T00:00:00.000Z",
+  };
+  return {
+    async findProfileByHost(host) {
+      return profile.hosts.includes(host) ? profile : null;
+    },
+    async getProfile(id) {
+      return id === profile.id ? profile : null;
+    },
+    async runFilePath(id, runId, file) {
+      return file === "llms.txt" ? path.join(dir, "llms.txt") : null;
+    },
+  };
+}
+
+function request(method, urlPath, host) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { port, method, path: urlPath, headers: { Host: host } },
+      (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body }));
+      }
+    );
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), "publish-test-"));
+  await writeFile(path.join(dir, "llms.txt"), LLMS_TEXT);
+  const app = express();
+  app.use(createPublishHandler(stubProfileStore()));
+  // Stands in for the admin API and the app
+  app.all("*", (req, res) => {
+    calls.push(`${req.method} ${req.path}`);
+    res.send("app");
+  });
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  server.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+test("a published host serves its llms.txt", async () => {
+  const res = await request("GET", "/llms.txt", "llms.acme.test");
+  assert.equal(res.status, 200);
+  assert.equal(res.body, LLMS_TEXT);
+});
+
+test("a published host answers nothing else, not even /api/", async () => {
+  calls.length = 0;
+  for (const [method, urlPath] of [
+    ["GET", "/"],
+    ["GET", "/api/profiles"],
+    ["DELETE", "/api/profiles/acme"],
+    ["POST", "/api/jobs"],
+    ["POST", "/llms.txt"],
+  ]) {
+    const res = await request(method, urlPath, "llms.acme.test");
+    assert.equal(res.status, 404, `${method} ${urlPath}`);
+  }
+  assert.deepEqual(calls, []);
+});
+
+test("other hosts reach the app, and /sites/<id>/ serves files", async () => {
+  calls.length = 0;
+  const api = await request("GET", "/api/profiles", "localhost");
+  assert.equal(api.body, "app");
+  const site = await request("GET", "/sites/acme/llms.txt", "localhost");
+  assert.equal(site.body, LLMS_TEXT);
+  const unknown = await request("GET", "/sites/nope/llms.txt", "localhost");
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(calls, ["GET /api/profiles"]);
+});
+
+test("publishedFile maps URL paths to run artifacts", () => {
+  assert.equal(publishedFile("/llms.txt"), "llms.txt");
+  assert.equal(publishedFile("/de/llms.txt"), "de/llms.txt");
+  assert.equal(publishedFile("/blog/post.md"), "pages/blog/post.md");
+  assert.equal(publishedFile("/../secret.md"), null);
+  assert.equal(publishedFile("/meta.csv"), null);
+});
@@ -0,0 +1,73 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  matchRobotsRules,
+  parseRobotsTxt,
+  selectRobotsGroup,
+} from "../lib/robots.js";
+
+const ROBOTS = `
+User-agent: *
+Disallow: /private/
+Allow: /private/open
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: MetaScraperBot
+User-agent: OtherBot
+Disallow: /no-bots
+Allow: /no-bots/page$
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+const allowed = (rules, path) =>
+  matchRobotsRules(`https://example.com${path}`, rules).allowed;
+
+test("parses groups and sitemaps", () => {
+  const parsed = parseRobotsTxt(ROBOTS);
+  assert.equal(parsed.groups.length, 2);
+  assert.deepEqual(parsed.groups[1].agents, ["metascraperbot", "otherbot"]);
+  assert.deepEqual(parsed.sitemaps, ["https://example.com/sitemap.xml"]);
+});
+
+test("uses the group naming our agent, else *", () => {
+  const parsed = parseRobotsTxt(ROBOTS);
+  const ours = selectRobotsGroup(parsed, "MetaScraperBot");
+  assert.equal(allowed(ours.rules, "/private/x"), true);
+  assert.equal(allowed(ours.rules, "/no-bots/x"), false);
+
+  const other = selectRobotsGroup(parsed, "SomeoneElse");
+  assert.equal(other.crawlDelay, 2);
+  assert.equal(allowed(other.rules, "/private/x"), false);
+  assert.equal(allowed(other.rules, "/no-bots/x"), true);
+});
+
+test("longest match wins, Allow on a tie", () => {
+  const { rules } = selectRobotsGroup(parseRobotsTxt(ROBOTS), "any");
+  assert.equal(allowed(rules, "/private/open/page"), true);
+  assert.equal(allowed(rules, "/private/closed"), false);
+
+  const tie = [
+    { allow: false, path: "/page" },
+    { allow: true, path: "/page" },
+  ];
+  assert.equal(allowed(tie, "/page"), true);
+});
+
+test("wildcards and $ anchors", () => {
+  const { rules } = selectRobotsGroup(parseRobotsTxt(ROBOTS), "any");
+  assert.equal(allowed(rules, "/files/report.pdf"), false);
+  assert.equal(allowed(rules, "/files/report.pdf?download=1"), true);
+
+  const ours = selectRobotsGroup(parseRobotsTxt(ROBOTS), "MetaScraperBot");
+  assert.equal(allowed(ours.rules, "/no-bots/page"), true);
+  assert.equal(allowed(ours.rules, "/no-bots/page/more"), false);
+});
+
+test("robots.txt itself is always allowed", () => {
+  const rules = [{ allow: false, path: "/" }];
+  assert.equal(allowed(rules, "/robots.txt"), true);
+  assert.equal(allowed(rules, "/"), false);
+});
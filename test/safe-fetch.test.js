@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  BlockedUrlError,
+  assertUrlPolicy,
+  isBlockedAddress,
+} from "../server/safe-fetch.js";
+
+test("blocks private and special IPv4 addresses", () => {
+  for (const address of ["127.0.0.1", "10.1.2.3", "169.254.169.254"]) {
+    assert.ok(isBlockedAddress(address), address);
+  }
+  assert.ok(!isBlockedAddress("93.184.216.34"));
+});
+
+test("blocks IPv6 ranges that embed IPv4 addresses", () => {
+  for (const address of [
+    "::1",
+    "::ffff:127.0.0.1", // IPv4-mapped
+    "::127.0.0.1", // IPv4-compatible
+    "64:ff9b::a00:1", // NAT64
+    "2002:7f00:1::", // 6to4
+    "2001:0:4136:e378:8000:63bf:3fff:fdd2", // Teredo
+    "fd00::1",
+    "fe80::1",
+  ]) {
+    assert.ok(isBlockedAddress(address), address);
+  }
+  assert.ok(!isBlockedAddress("2606:2800:220:1:248:1893:25c8:1946"));
+});
+
+test("rejects URLs with blocked IPv6 literals", () => {
+  for (const url of ["http://[::127.0.0.1]/", "http://[2002:7f00:1::]/"]) {
+    assert.throws(() => assertUrlPolicy(url), BlockedUrlError, url);
+  }
+  assert.doesNotThrow(() =>
+    assertUrlPolicy("http://[::127.0.0.1]/", { allowPrivateNetworks: true })
+  );
+});
+
+test("applies scheme and host lists", () => {
+  assert.throws(() => assertUrlPolicy("file:///etc/passwd"), /Scheme/);
+  const policy = {
+    allowHosts: ["*.example.com"],
+    denyHosts: ["admin.example.com"],
+  };
+  assert.ok(assertUrlPolicy("https://docs.example.com/", policy));
+  assert.throws(
+    () => assertUrlPolicy("https://admin.example.com/", policy),
+    /denied/
+  );
+  assert.throws(
+    () => assertUrlPolicy("https://example.org/", policy),
+    /allowlist/
+  );
+});
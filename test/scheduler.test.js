@@ -0,0 +1,189 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+import { createScheduler, normalizeScheduler } from "../server/scheduler.js";
+
+// Webhook receiver: every POSTed JSON body, in order
+const received = [];
+let server;
+let webhookUrl;
+let dir;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+  dir = await mkdtemp(path.join(os.tmpdir(), "llmsgen-scheduler-"));
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+async function waitFor(check, timeoutMs = 5000) {
+  const end = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > end) throw new Error("Timed out");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// A profile due every minute, and stand-ins for the store, the job
+// manager and server.js's startRun. Runs finish as soon as they start,
+// in the state finish(job) gives them.
+function setup({ schedule, runs = [], finish, config }) {
+  const profile = {
+    id: "p1",
+    name: "Example",
+    url: "https://example.com/",
+    schedule: { cron: "* * * * *", ...schedule },
+    runs,
+  };
+  const started = [];
+  const profileStore = {
+    listProfiles: async () => [profile],
+    getProfile: async () => profile,
+    runFilePath: async (profileId, runId, name) =>
+      path.join(dir, `${runId}-${name}`),
+  };
+  const jobManager = {
+    subscribe(jobId, listener) {
+      setImmediate(() => listener({ type: "done" }));
+      return () => {};
+    },
+  };
+  const startRun = async () => {
+    const job = { id: `r${started.length + 1}` };
+    started.push(job);
+    finish(job);
+    return { job };
+  };
+  const scheduler = createScheduler({
+    profileStore,
+    jobManager,
+    startRun,
+    config: normalizeScheduler({ webhookUrl, ...config }),
+  });
+  // Past the next minute, so the profile is due
+  const tick = () => scheduler.tick(new Date(Date.now() + 120000));
+  return { profile, started, scheduler, tick };
+}
+
+const llmsTxt = (links) =>
+  [
+    "# Example",
+    "",
+    "## Docs",
+    "",
+    ...links.map((name) => `- [${name}](https://example.com/${name}): x`),
+    "",
+  ].join("\n");
+
+test("retries a failed run, then alerts with the attempt count", async () => {
+  received.length = 0;
+  const { started, tick } = setup({
+    finish: (job) => Object.assign(job, { state: "error", error: "boom" }),
+    config: { retries: 1, retryDelaySeconds: 1 },
+  });
+  await tick();
+  await waitFor(() => received.length === 1);
+  // The first attempt and one retry, a second apart
+  assert.equal(started.length, 2);
+  assert.deepEqual(received[0], {
+    event: "run.failed",
+    text: "Scheduled crawl of Example failed after 2 attempts: boom",
+    profile: { id: "p1", name: "Example", url: "https://example.com/" },
+    runId: "r2",
+    error: "boom",
+    attempts: 2,
+  });
+});
+
+test("no retries: alerts after the first failure", async () => {
+  received.length = 0;
+  const { started, tick, scheduler } = setup({
+    finish: (job) => Object.assign(job, { state: "error", error: "boom" }),
+    config: { retries: 0 },
+  });
+  await tick();
+  await waitFor(() => received.length === 1);
+  assert.equal(started.length, 1);
+  assert.equal(received[0].attempts, 1);
+  const [status] = await scheduler.getStatus();
+  assert.equal(status.lastNotification.event, "run.failed");
+  assert.ok(status.lastNotification.ok);
+});
+
+test("posts llms.changed when enough entries changed", async () => {
+  received.length = 0;
+  await writeFile(path.join(dir, "r0-llms.txt"), llmsTxt(["a", "b"]));
+  await writeFile(path.join(dir, "r1-llms.txt"), llmsTxt(["b", "c", "d"]));
+  const { profile, tick, scheduler } = setup({
+    schedule: { threshold: 3 },
+    finish: (job) => {
+      job.state = "done";
+      profile.runs.unshift({ id: job.id, state: "done", finishedAt: "t1" });
+    },
+    runs: [{ id: "r0", state: "done" }],
+  });
+  await tick();
+  await waitFor(() => received.length === 1);
+  const payload = received[0];
+  assert.equal(payload.event, "llms.changed");
+  assert.equal(payload.runId, "r1");
+  assert.equal(payload.previousRunId, "r0");
+  assert.equal(payload.finishedAt, "t1");
+  assert.equal(payload.threshold, 3);
+  assert.equal(payload.counts.added, 2);
+  assert.equal(payload.counts.removed, 1);
+  assert.equal(payload.counts.entries, 3);
+  assert.deepEqual(
+    payload.added.map((entry) => entry.url),
+    ["https://example.com/c", "https://example.com/d"]
+  );
+  assert.deepEqual(payload.removed, [
+    { url: "https://example.com/a", title: "a", section: "Docs" },
+  ]);
+  assert.match(payload.text, /2 added, 1 removed, 0 changed, 0 moved$/);
+  const [status] = await scheduler.getStatus();
+  assert.deepEqual(status.lastCheck, {
+    runId: "r1",
+    entries: 3,
+    notified: true,
+  });
+});
+
+test("stays quiet below the threshold", async () => {
+  received.length = 0;
+  await writeFile(path.join(dir, "r0-llms.txt"), llmsTxt(["a", "b"]));
+  await writeFile(path.join(dir, "r1-llms.txt"), llmsTxt(["a", "b", "c"]));
+  const { profile, tick, scheduler } = setup({
+    schedule: { threshold: 2 },
+    finish: (job) => {
+      job.state = "done";
+      profile.runs.unshift({ id: job.id, state: "done" });
+    },
+    runs: [{ id: "r0", state: "done" }],
+  });
+  await tick();
+  const lastCheck = async () => (await scheduler.getStatus())[0].lastCheck;
+  await waitFor(lastCheck);
+  assert.deepEqual(await lastCheck(), {
+    runId: "r1",
+    entries: 1,
+    notified: false,
+  });
+  assert.equal(received.length, 0);
+});
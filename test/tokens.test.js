@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { countTokens, measureLlmsText } from "../lib/tokens.js";
+
+// Real cl100k_base counts, from js-tiktoken
+const PROSE = {
+  text:
+    "Sitemaps tell search engines which pages a site has and when they " +
+    "last changed. This tool reads them, fetches every page it lists, " +
+    "and writes an llms.txt file: a short Markdown index that language " +
+    "models can read before answering questions about the site. Pages " +
+    "blocked by robots.txt are skipped, and each request waits its turn " +
+    "so the site is never flooded. When a page has no meta description, " +
+    "one is put together from its first paragraph instead.",
+  tokens: 92,
+};
+const LLMS_TXT = {
+  text: [
+    "# Example Docs",
+    "",
+    "> Guides and API reference for the Example platform.",
+    "",
+    "## Guides",
+    "",
+    "- [Getting started](https://docs.example.com/guides/getting-started): " +
+      "Install the CLI and create your first project.",
+    "- [Configuration](https://docs.example.com/guides/configuration): " +
+      "Every setting in example.config.json.",
+    "- [Deploying](https://docs.example.com/guides/deploying): " +
+      "Ship to production with one command.",
+    "",
+    "## API",
+    "",
+    "- [Users](https://docs.example.com/api/users): " +
+      "Create, list and delete users.",
+    "- [Teams](https://docs.example.com/api/teams): " +
+      "Manage teams and their members.",
+    "- [Webhooks](https://docs.example.com/api/webhooks): " +
+      "Get notified when something changes.",
+    "",
+  ].join("\n"),
+  tokens: 150,
+};
+const GERMAN = {
+  text:
+    "Die Verwaltung der Benutzerkonten erfolgt über die Einstellungen. " +
+    "Dort können Administratoren Berechtigungen vergeben, " +
+    "Passwortrichtlinien festlegen und Zwei-Faktor-Authentifizierung " +
+    "für alle Mitarbeiter verpflichtend aktivieren. Mit der neuen " +
+    "Version lassen sich Rechnungen automatisch erstellen, versenden " +
+    "und mit der Buchhaltungssoftware abgleichen.",
+  tokens: 85,
+};
+const JAPANESE = {
+  text:
+    "このページでは、アプリケーションの設定方法と" +
+    "ユーザー管理について説明します。",
+  tokens: 35,
+};
+
+// Estimate / real - 1
+const error = ({ text, tokens }) => countTokens(text) / tokens - 1;
+
+test("English, llms.txt link lists and Japanese are within 8%", () => {
+  for (const sample of [PROSE, LLMS_TXT, JAPANESE]) {
+    assert.ok(Math.abs(error(sample)) <= 0.08, `${error(sample)}`);
+  }
+});
+
+test("German is undercounted, by less than 20%", () => {
+  const err = error(GERMAN);
+  assert.ok(err < 0 && err > -0.2, `${err}`);
+});
+
+test("measures llms.txt sections", () => {
+  const stats = measureLlmsText(LLMS_TXT.text);
+  assert.deepEqual(
+    stats.sections.map(({ name, entries }) => [name, entries]),
+    [
+      ["Guides", 3],
+      ["API", 3],
+    ]
+  );
+  const sectionTokens = stats.sections.reduce((sum, s) => sum + s.tokens, 0);
+  assert.equal(stats.headerTokens + sectionTokens, stats.tokens);
+  assert.equal(stats.coreTokens, stats.tokens);
+});
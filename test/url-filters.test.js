@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { normalizeLocales } from "../lib/locales.js";
+import { matchUrlPattern, normalizeUrlFilters } from "../lib/url-filters.js";
+import { loadConfig } from "../server/config.js";
+
+test("matches globs and regexes", () => {
+  assert.ok(matchUrlPattern("/tag/**", "https://example.com/tag/a/b"));
+  assert.ok(!matchUrlPattern("/tag/*", "https://example.com/tag/a/b"));
+  assert.ok(matchUrlPattern("re:/page/\\d+", "https://example.com/page/2"));
+});
+
+test("rejects regex filters unless allowed", () => {
+  const raw = { include: ["/docs/**"], exclude: ["re:^/(a+)+$"] };
+  assert.deepEqual(normalizeUrlFilters(raw).exclude, ["re:^/(a+)+$"]);
+  assert.throws(
+    () => normalizeUrlFilters(raw, { allowRegex: false }),
+    /Exclude pattern 1: regular expressions are turned off/
+  );
+  const globs = normalizeUrlFilters(
+    { exclude: ["/tag/**"] },
+    { allowRegex: false }
+  );
+  assert.deepEqual(globs.exclude, ["/tag/**"]);
+});
+
+test("rejects regex locale rules unless allowed", () => {
+  const raw = {
+    mode: "files",
+    rules: [
+      { match: "/ch/**", locale: "de-CH" },
+      { match: "re:^/(us|uk)/", locale: "en" },
+    ],
+  };
+  assert.equal(normalizeLocales(raw).rules.length, 2);
+  assert.throws(
+    () => normalizeLocales(raw, { allowRegex: false }),
+    /Locale rule 2: regular expressions are turned off/
+  );
+});
+
+test("request regexes are off unless the operator allows them", () => {
+  const allowed = (env) => loadConfig({ env }).crawl.allowRequestRegexes;
+  assert.equal(allowed({}), false);
+  assert.equal(allowed({ ALLOW_REQUEST_REGEXES: "1" }), true);
+});